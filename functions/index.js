@@ -2,9 +2,12 @@
  * Cloud Functions for NICU Shift Tracker
  *
  * Functions:
- * 1. validateBabyData - Validates baby documents for PHI on creation
+ * 1. validateBabyData - Validates baby documents (current and archived shifts) for PHI on creation
  * 2. validateBabyDataUpdate - Validates baby documents for PHI on updates
  * 3. generateShiftSummary - Generates formatted shift summary (server-side)
+ * 4. transferBaby - Moves a baby into another nurse's current shift
+ * 5. setUnitRole - Adds or invites a nurse to a unit (optionally as charge nurse) or removes them
+ * 6. validateHandoffData - Validates handoff packages for PHI on creation
  */
 
 const functions = require('firebase-functions');
@@ -140,19 +143,22 @@ function scanForPHI(data, path = '') {
   return findings;
 }
 
+// Babies in current shifts (nicu_shifts) and archived shifts (archived_shifts)
+const BABY_DOCUMENT_PATH = 'artifacts/{appId}/users/{userId}/{shiftCollection}/{shiftId}/babies/{babyId}';
+
 // ==========================================
 // CLOUD FUNCTION: Validate Baby Data (onCreate)
 // ==========================================
 
 /**
- * Validates baby documents for PHI when created
+ * Validates baby documents for PHI when created (including babies moved by Archive / Restore)
  * Deletes the document if PHI is detected
  */
 exports.validateBabyData = functions.firestore
-  .document('artifacts/{appId}/users/{userId}/nicu_shifts/{shiftId}/babies/{babyId}')
+  .document(BABY_DOCUMENT_PATH)
   .onCreate(async (snap, context) => {
     const data = snap.data();
-    const { appId, userId, shiftId, babyId } = context.params;
+    const { appId, userId, shiftCollection, shiftId, babyId } = context.params;
 
     console.log(`Validating new baby: ${babyId} in shift ${shiftId}`);
 
@@ -168,6 +174,7 @@ exports.validateBabyData = functions.firestore
         .add({
           appId,
           userId,
+          shiftCollection,
           shiftId,
           babyId,
           documentType: 'baby',
@@ -202,11 +209,11 @@ exports.validateBabyData = functions.firestore
  * Rolls back to previous version if PHI is detected
  */
 exports.validateBabyDataUpdate = functions.firestore
-  .document('artifacts/{appId}/users/{userId}/nicu_shifts/{shiftId}/babies/{babyId}')
+  .document(BABY_DOCUMENT_PATH)
   .onUpdate(async (change, context) => {
     const newData = change.after.data();
     const oldData = change.before.data();
-    const { appId, userId, shiftId, babyId } = context.params;
+    const { appId, userId, shiftCollection, shiftId, babyId } = context.params;
 
     console.log(`Validating update to baby: ${babyId}`);
 
@@ -222,6 +229,7 @@ exports.validateBabyDataUpdate = functions.firestore
         .add({
           appId,
           userId,
+          shiftCollection,
           shiftId,
           babyId,
           documentType: 'baby',
@@ -247,6 +255,56 @@ exports.validateBabyDataUpdate = functions.firestore
     return { status: 'approved' };
   });
 
+// ==========================================
+// CLOUD FUNCTION: Validate Handoff Data (onCreate)
+// ==========================================
+
+/**
+ * Validates the babies packaged in a handoff for PHI when it is sent
+ * (the summary text is generated from the same data, and its headings look like names)
+ * Deletes the handoff if PHI is detected; handoffs can't be edited afterwards
+ */
+exports.validateHandoffData = functions.firestore
+  .document('artifacts/{appId}/handoffs/{handoffId}')
+  .onCreate(async (snap, context) => {
+    const data = snap.data();
+    const { appId, handoffId } = context.params;
+
+    console.log(`Validating new handoff: ${handoffId}`);
+
+    const phiFindings = scanForPHI({ babies: data.babies });
+
+    if (phiFindings.length > 0) {
+      console.warn(`PHI detected in handoff ${handoffId}:`, phiFindings);
+
+      await admin.firestore()
+        .collection('phi_violations')
+        .add({
+          appId,
+          userId: data.fromUserId,
+          handoffId,
+          documentType: 'handoff',
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          findings: phiFindings,
+          action: 'deleted',
+          severity: 'high'
+        });
+
+      await snap.ref.delete();
+
+      console.log(`Handoff ${handoffId} deleted due to PHI detection`);
+
+      return {
+        status: 'blocked',
+        reason: 'PHI detected',
+        findings: phiFindings.map(f => f.field)
+      };
+    }
+
+    console.log(`Handoff ${handoffId} validated successfully - no PHI detected`);
+    return { status: 'approved' };
+  });
+
 // ==========================================
 // CLOUD FUNCTION: Generate Shift Summary
 // ==========================================
@@ -300,6 +358,7 @@ exports.generateShiftSummary = functions.https.onCall(async (data, context) => {
     let summary = `=== NICU SHIFT REPORT SUMMARY ===\n\n`;
     summary += `Shift Date: ${shift.shiftDate}\n`;
     summary += `Shift Start Time: ${shift.shiftStartTime}\n`;
+    if (shift.shiftEndTime) summary += `Shift End Time: ${shift.shiftEndTime}\n`;
     summary += `Assignment Type: ${shift.assignmentType}\n`;
     summary += `Total Babies: ${babies.length}\n\n`;
     summary += `=================================\n\n`;
@@ -307,6 +366,10 @@ exports.generateShiftSummary = functions.https.onCall(async (data, context) => {
     // Generate summary for each baby
     for (const baby of babies) {
       summary += `\n--- Baby: ${baby.internalID_Nickname} ---\n`;
+      if (baby.transferredTo) {
+        summary += `  Transferred to another nurse at ${baby.transferredTo.at}\n`;
+        continue;
+      }
       summary += `  GA: ${baby.gestationalAge_Weeks}+${baby.gestationalAge_Days} weeks\n`;
       summary += `  CGA: ${baby.correctedGestationalAge_Weeks}+${baby.correctedGestationalAge_Days} weeks\n`;
       summary += `  PNA: Day ${baby.pna_Days}\n`;
@@ -332,8 +395,16 @@ exports.generateShiftSummary = functions.https.onCall(async (data, context) => {
           summary += `  Bottle/Nipple: ${rs.bottleNippleType}\n`;
         }
 
-        // Medications
-        if (rs.medications) {
+        // Medications: orders ({ name, dose, route, frequency, nextDue }), or checkboxes on older sheets
+        if (Array.isArray(rs.medications)) {
+          if (rs.medications.length > 0) {
+            const medList = rs.medications.map(med => {
+              const details = [med.name, med.dose, med.route, med.frequency === 'prn' ? 'PRN' : med.frequency].filter(Boolean).join(' ');
+              return med.nextDue && med.frequency !== 'prn' ? `${details} (due ${med.nextDue})` : details;
+            });
+            summary += `  Medications: ${medList.join(', ')}\n`;
+          }
+        } else if (rs.medications) {
           const medList = Object.entries(rs.medications)
             .filter(([key, val]) => val === true && key !== 'otherMedications')
             .map(([key]) => key);
@@ -355,8 +426,9 @@ exports.generateShiftSummary = functions.https.onCall(async (data, context) => {
       // Touch Time Logs
       if (baby.touchTimeLogs && baby.touchTimeLogs.length > 0) {
         summary += `\n  -- Touch Time Logs (${baby.touchTimeLogs.length}) --\n`;
+        // Shift order: scheduledAt keeps post-midnight touch times after the evening ones
         baby.touchTimeLogs
-          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+          .sort((a, b) => new Date(a.scheduledAt || a.timestamp) - new Date(b.scheduledAt || b.timestamp))
           .forEach(log => {
             if (log.completed) {
               summary += `    ${log.scheduledTime}: `;
@@ -365,6 +437,9 @@ exports.generateShiftSummary = functions.https.onCall(async (data, context) => {
               if (log.feedVolume) summary += ` | Feed: ${log.feedVolume}ml ${log.feedRoute || ''}`;
               summary += `\n`;
               if (log.comments) summary += `      Note: ${log.comments}\n`;
+              if (log.amendedAt) {
+                summary += `      ** Amended ${new Date(log.amendedAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}\n`;
+              }
             }
           });
       }
@@ -414,6 +489,272 @@ exports.generateShiftSummary = functions.https.onCall(async (data, context) => {
   }
 });
 
+// ==========================================
+// CLOUD FUNCTION: Transfer Baby
+// ==========================================
+
+// Document IDs from the client go straight into Firestore paths
+const SAFE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// A shift opened shortly before its start time (e.g. 06:45 for 07:00) can already receive babies
+const SHIFT_START_LEAD_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Moves a baby (demographics, report sheet and logs) into the receiving nurse's
+ * shift in progress, leaving an audit stub in the sending nurse's shift
+ * Callable function - security rules don't let clients write another user's data
+ *
+ * Both nurses must be in the same unit (unitId claim), and the receiving nurse
+ * must have a shift that hasn't ended yet.
+ */
+exports.transferBaby = functions.https.onCall(async (data, context) => {
+  // Verify authentication
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated to transfer a baby'
+    );
+  }
+
+  const { appId, shiftId, babyId, toUserId } = data;
+  const userId = context.auth.uid;
+
+  if (!appId || !shiftId || !babyId || !toUserId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'appId, shiftId, babyId and toUserId are required'
+    );
+  }
+  if (![appId, shiftId, babyId, toUserId].every(id => typeof id === 'string' && SAFE_ID_PATTERN.test(id))) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'appId, shiftId, babyId and toUserId must be letters, numbers, dashes or underscores'
+    );
+  }
+  if (toUserId === userId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Cannot transfer a baby to yourself');
+  }
+
+  // Only between nurses of the same unit
+  const fromUnitId = context.auth.token.unitId || null;
+  let toUser;
+  try {
+    toUser = await admin.auth().getUser(toUserId);
+  } catch (error) {
+    throw new functions.https.HttpsError('not-found', 'No nurse with that ID');
+  }
+  if (!fromUnitId || (toUser.customClaims || {}).unitId !== fromUnitId) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'Babies can only be transferred to a nurse in your unit'
+    );
+  }
+
+  const db = admin.firestore();
+  const babyRef = db.doc(`artifacts/${appId}/users/${userId}/nicu_shifts/${shiftId}/babies/${babyId}`);
+
+  // The receiving shift is one in progress (ends after now, already started or about to).
+  // Ended shifts and archived shifts (moved out of nicu_shifts) never receive babies.
+  const now = Date.now();
+  const toShiftsSnap = await db
+    .collection(`artifacts/${appId}/users/${toUserId}/nicu_shifts`)
+    .where('shiftEndAt', '>', new Date(now).toISOString())
+    .orderBy('shiftEndAt')
+    .limit(5)
+    .get();
+
+  const toShiftDoc = toShiftsSnap.docs.find(doc => {
+    const startAt = Date.parse(doc.data().shiftStartAt);
+    return Number.isFinite(startAt) && startAt <= now + SHIFT_START_LEAD_MS;
+  });
+
+  if (!toShiftDoc) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'The receiving nurse has no shift in progress'
+    );
+  }
+
+  const toShiftRef = toShiftDoc.ref;
+  const toBabyRef = toShiftRef.collection('babies').doc();
+  const at = new Date().toISOString();
+
+  await db.runTransaction(async (transaction) => {
+    const babySnap = await transaction.get(babyRef);
+    if (!babySnap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Baby not found');
+    }
+
+    const baby = babySnap.data();
+    if (baby.transferredTo) {
+      throw new functions.https.HttpsError('failed-precondition', 'Baby has already been transferred');
+    }
+
+    // Full copy for the receiving nurse
+    transaction.set(toBabyRef, {
+      ...baby,
+      transferredFrom: { userId, shiftId, babyId, at },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Audit stub: who the baby went to and when, without the clinical data
+    transaction.set(babyRef, {
+      internalID_Nickname: baby.internalID_Nickname,
+      bedRoomNumber: baby.bedRoomNumber || '',
+      reportSheet: {},
+      touchTimeLogs: [],
+      eventLogs: [],
+      transferredTo: { userId: toUserId, shiftId: toShiftRef.id, babyId: toBabyRef.id, at },
+      createdAt: baby.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Keep the receiving shift's history index (Past Shifts) current
+    const eventTypes = [...new Set((baby.eventLogs || []).map(event => event.eventType).filter(Boolean))];
+    transaction.update(toShiftRef, {
+      babyCount: admin.firestore.FieldValue.increment(1),
+      babyNicknames: admin.firestore.FieldValue.arrayUnion(baby.internalID_Nickname),
+      ...(eventTypes.length > 0 ? { eventTypes: admin.firestore.FieldValue.arrayUnion(...eventTypes) } : {})
+    });
+  });
+
+  console.log(`Baby ${babyId} transferred from ${userId} to ${toUserId} (shift ${toShiftRef.id})`);
+
+  return { toShiftId: toShiftRef.id, toBabyId: toBabyRef.id, transferredAt: at };
+});
+
+// ==========================================
+// CLOUD FUNCTION: Set Unit Role
+// ==========================================
+
+/**
+ * Adds a nurse to a unit, makes them charge nurse, or removes them from their unit
+ *
+ * Sets the `unitId` and `charge` custom claims and mirrors membership in
+ * artifacts/{appId}/units/{unitId}/members/{uid}, which the security rules use to
+ * give the unit's charge nurses read-only access to members' shifts.
+ *
+ * Admins can do anything. A charge nurse can invite staff nurses to their own unit
+ * and remove them, but cannot grant charge, change another charge nurse's role or
+ * take nurses from another unit. An invite (artifacts/{appId}/unitInvites/{uid}) only
+ * takes effect when the invited nurse accepts it by calling this function for themselves
+ * with the invite's unitId - joining a unit lets its charge nurses read the nurse's shifts.
+ * Pass unitId: null to remove the nurse from their unit.
+ * Returns { invited: true } when an invite was sent instead of a role change.
+ */
+exports.setUnitRole = functions.https.onCall(async (data, context) => {
+  // Verify authentication
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated to change unit roles'
+    );
+  }
+
+  const { appId, uid, unitId = null, charge = false } = data;
+  const caller = context.auth.token;
+
+  if (!appId || !uid) {
+    throw new functions.https.HttpsError('invalid-argument', 'appId and uid are required');
+  }
+  if (![appId, uid].every(id => typeof id === 'string' && SAFE_ID_PATTERN.test(id))) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'appId and uid must be letters, numbers, dashes or underscores'
+    );
+  }
+  if (unitId !== null && (typeof unitId !== 'string' || !/^[A-Za-z0-9_-]{1,50}$/.test(unitId))) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'unitId must be 1-50 letters, numbers, dashes or underscores'
+    );
+  }
+
+  let targetUser;
+  try {
+    targetUser = await admin.auth().getUser(uid);
+  } catch (error) {
+    throw new functions.https.HttpsError('not-found', 'No nurse with that ID');
+  }
+
+  const existingClaims = targetUser.customClaims || {};
+  const previousUnitId = existingClaims.unitId || null;
+
+  const db = admin.firestore();
+  const unitsPath = `artifacts/${appId}/units`;
+  const inviteRef = db.doc(`artifacts/${appId}/unitInvites/${uid}`);
+
+  if (caller.admin !== true && uid === context.auth.uid) {
+    // A nurse accepting their own invite
+    const inviteSnap = await inviteRef.get();
+    const accepted = unitId !== null &&
+      !charge &&
+      inviteSnap.exists &&
+      inviteSnap.data().unitId === unitId;
+    if (!accepted) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'You can only join a unit you have been invited to'
+      );
+    }
+  } else if (caller.admin !== true) {
+    const ownUnit = caller.charge === true ? caller.unitId : null;
+    const allowed = ownUnit &&
+      !charge &&
+      existingClaims.charge !== true &&
+      (unitId === null || unitId === ownUnit) &&
+      (previousUnitId === null || previousUnitId === ownUnit);
+    if (!allowed) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Only an admin, or a charge nurse managing staff nurses in their own unit, can change unit roles'
+      );
+    }
+
+    // Nurses not yet in the unit have to accept before they join
+    if (unitId !== null && previousUnitId === null) {
+      await inviteRef.set({
+        unitId,
+        invitedBy: caller.email || context.auth.uid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      console.log(`Unit invite for ${uid} to ${unitId} sent by ${context.auth.uid}`);
+      return { uid, unitId, charge: false, invited: true };
+    }
+  }
+
+  const batch = db.batch();
+  batch.delete(inviteRef);
+
+  if (previousUnitId && previousUnitId !== unitId) {
+    batch.delete(db.doc(`${unitsPath}/${previousUnitId}/members/${uid}`));
+  }
+  if (unitId) {
+    batch.set(db.doc(`${unitsPath}/${unitId}`), {
+      unitId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    batch.set(db.doc(`${unitsPath}/${unitId}/members/${uid}`), {
+      label: targetUser.email || targetUser.displayName || uid,
+      charge: Boolean(charge),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // Keep other claims (e.g. admin) intact
+  const otherClaims = { ...existingClaims };
+  delete otherClaims.unitId;
+  delete otherClaims.charge;
+  const claims = unitId ? { ...otherClaims, unitId, charge: Boolean(charge) } : otherClaims;
+
+  await batch.commit();
+  await admin.auth().setCustomUserClaims(uid, claims);
+
+  console.log(`Unit role for ${uid} set by ${context.auth.uid}: unit=${unitId}, charge=${Boolean(charge)}`);
+
+  return { uid, unitId, charge: Boolean(unitId && charge) };
+});
+
 // ==========================================
 // FUTURE: AI-Enhanced Summary with Gemini
 // ==========================================
@@ -0,0 +1,80 @@
+/**
+ * Service worker for touch time reminders (see src/touch-time-reminders.js)
+ *
+ * The page posts { type: 'schedule-reminders', reminders: [{ tag, at, title, body }] }.
+ * Each post replaces the previous schedule. Reminders that are already due are shown
+ * right away unless one with the same tag was already shown.
+ *
+ * Where the browser supports Notification Triggers, future reminders are handed to the
+ * browser with a TimestampTrigger, so they fire even after this worker is stopped or the
+ * app is closed. Elsewhere they fall back to timers in this worker, which only last while
+ * the app is open and keeps re-posting the schedule.
+ */
+
+const triggersSupported = 'TimestampTrigger' in self && 'showTrigger' in Notification.prototype;
+
+const timers = new Map(); // tag -> timeout id
+const shownTags = new Set();
+
+const notificationOptions = (reminder) => ({
+  body: reminder.body,
+  tag: reminder.tag,
+  requireInteraction: reminder.tag.endsWith('-due')
+});
+
+const showReminder = async (reminder) => {
+  if (shownTags.has(reminder.tag)) return;
+  shownTags.add(reminder.tag);
+  // A triggered reminder may have fired while this worker was stopped
+  if (triggersSupported && (await self.registration.getNotifications({ tag: reminder.tag })).length > 0) return;
+  await self.registration.showNotification(reminder.title, notificationOptions(reminder));
+};
+
+// Replaces the browser-held schedule: drops pending reminders that are no longer wanted
+const scheduleWithTriggers = async (upcoming) => {
+  const tags = new Set(upcoming.map(reminder => reminder.tag));
+  const pending = await self.registration.getNotifications({ includeTriggered: true });
+  pending
+    .filter(notification => notification.showTrigger && !tags.has(notification.tag))
+    .forEach(notification => notification.close());
+  await Promise.all(upcoming.map(reminder => self.registration.showNotification(reminder.title, {
+    ...notificationOptions(reminder),
+    showTrigger: new self.TimestampTrigger(reminder.at)
+  })));
+};
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'schedule-reminders') return;
+
+  timers.forEach(timer => clearTimeout(timer));
+  timers.clear();
+
+  const now = Date.now();
+  const dueNow = event.data.reminders.filter(reminder => reminder.at <= now);
+  const upcoming = event.data.reminders.filter(reminder => reminder.at > now);
+
+  const work = dueNow.map(showReminder);
+  if (triggersSupported) {
+    work.push(scheduleWithTriggers(upcoming));
+  } else {
+    upcoming.forEach((reminder) => {
+      timers.set(reminder.tag, setTimeout(() => showReminder(reminder), reminder.at - now));
+    });
+  }
+
+  event.waitUntil(Promise.all(work));
+});
+
+// Bring the app to the front when a reminder is clicked
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients[0];
+      return client ? client.focus() : self.clients.openWindow('/');
+    })
+  );
+});
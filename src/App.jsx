@@ -1,58 +1,152 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, collection, query, orderBy, onSnapshot, setDoc, addDoc, updateDoc, deleteDoc, getDoc, getDocs, writeBatch } from 'firebase/firestore';
+import React, { useState, useEffect, useRef, useSyncExternalStore, createContext, useContext } from 'react';
+import { signInWithCustomToken, onAuthStateChanged, getIdTokenResult } from 'firebase/auth';
+import { db, auth, functions } from './firebase-config';
+import {
+    getShifts,
+    addShift,
+    deleteShift,
+    refreshShiftIndex,
+    getArchivedShifts,
+    archiveShift,
+    restoreShift,
+    getBabies,
+    markFieldsReviewed,
+    getBaby,
+    addBaby,
+    updateBaby,
+    deleteBaby,
+    transferBaby,
+    updateBabyDetails,
+    getReportSheet,
+    setReportSheet,
+    getTouchTimeLogs,
+    addTouchTimeLog,
+    updateTouchTimeLog,
+    deleteTouchTimeLog,
+    getEventLogs,
+    addEventLog,
+    getUnitMembers,
+    getActiveShift,
+    getUnitInvite,
+    declineUnitInvite,
+    setUnitRole,
+    sendHandoff,
+    getIncomingHandoffs,
+    getSentHandoffs,
+    acceptHandoff,
+    fetchShiftSummaryData,
+    fetchBabyAcrossShifts
+} from './firebase-helpers-v2';
+import { migrateUserToV2, formatMigrationReport, getSkippedBabies, isMigrationComplete, markMigrationComplete } from './migrate-v1-to-v2';
+import {
+    OIDC_PROVIDER_ID,
+    OIDC_PROVIDER_NAME,
+    describeAuthError,
+    signInWithEmail,
+    createAccount,
+    signInWithOidc,
+    continueWithoutAccount,
+    resetPassword,
+    signOutUser
+} from './auth';
+import { VITAL_FIELDS, VITAL_LABELS, getDefaultVitalRanges, resolveVitalRanges, validateVitals, flagVitals, describeVitalFlag } from './vital-signs';
+import { buildTrendData, renderTrendChartsHtml } from './trend-charts';
+import { STALE_FIELD_LABELS, buildCarriedForwardBaby } from './carry-forward';
+import { AGE_FIELDS, deriveAges, validateAges } from './gestational-age';
+import {
+    PRE_ALERT_OPTIONS,
+    notificationsSupported,
+    scheduledNotificationsSupported,
+    loadReminderSettings,
+    saveReminderSettings,
+    getTouchTimeStatus,
+    buildReminders,
+    requestNotificationPermission,
+    scheduleReminders
+} from './touch-time-reminders';
+import {
+    MEDICATION_ROUTES,
+    MEDICATION_FREQUENCIES,
+    COMMON_MEDICATIONS,
+    createMedicationOrder,
+    normalizeMedications,
+    formatMedicationOrder,
+    getMedicationStatus,
+    getGivenDoses,
+    getDosesBetween,
+    getOverdueDoses,
+    buildMedGivenEvent
+} from './medications';
+import {
+    RESPIRATORY_MODES,
+    RESPIRATORY_SETTINGS,
+    getRespiratoryMode,
+    formatRespiratorySettings,
+    describeRespiratorySupport,
+    buildRespiratoryChange,
+    appendRespiratoryChange,
+    renderWeaningTimelineSvg
+} from './respiratory';
+import { buildFluidBalance, getElapsedShiftHours, formatFluidBalance } from './fluid-balance';
+import {
+    buildGrowthHistory,
+    getRecentWeightVelocity,
+    getBirthWeightRegain,
+    estimatePercentile,
+    describeGrowth,
+    renderGrowthChartSvg
+} from './growth';
+import {
+    IDF_ROUTE,
+    IDF_READINESS_SCORES,
+    IDF_QUALITY_SCORES,
+    getIdfScores,
+    collectIdfScores,
+    getIdf24hStatus,
+    describeIdf24hStatus,
+    getIdfFeedHint,
+    buildFeedingProgression,
+    formatFeedingProgressionTable
+} from './idf-feeding';
+import { getFeedingOptions, getPoBlockedReason, checkFeedingEntries } from './feeding-rules';
+import {
+    DELIVERY_TYPES,
+    DELIVERY_REASONS,
+    GBS_STATUSES,
+    STEROID_COURSES,
+    MATERNAL_CONDITIONS,
+    PROLONGED_ROM_HOURS,
+    generateMaternalSummary,
+    hasMaternalHistoryFields
+} from './maternal-history';
+import { LEGACY_SOURCES, readLegacyLocalStates, parseLegacyExport, buildLegacyImport, importLegacyShift, formatLegacyImport } from './legacy-import';
+import { HANDOFF_FORMATS, ILLNESS_SEVERITIES, buildHandoff, suggestIllnessSeverity, formatHandoffText, renderHandoffCardsHtml } from './handoff';
+import {
+    SHIFT_TEMPLATES,
+    TOUCH_TIME_INTERVALS,
+    DEFAULT_TOUCH_TIME_INTERVAL,
+    generateTouchTimeSchedule,
+    mergeScheduleWithLogs,
+    getFirstTouchTimeOptions,
+    getCommonFirstTouchTimes,
+    buildShiftTimes,
+    buildShiftDates,
+    getShiftTimestamp,
+    getOverdueTouchTimes,
+    getShiftStart,
+    getShiftEnd,
+    sortTouchTimeLogs,
+    formatShiftRange,
+    getLocalDateString
+} from './shift-schedule';
+import { subscribeSyncStatus, getSyncStatus, clearFailedWrites, diffFields, mergeRemoteChanges } from './offline-sync';
 
 // --- Firebase Configuration & Context ---
 
-// Use environment variables for Firebase configuration
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_FIREBASE_APP_ID,
-  measurementId: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID,
-};
-
-// Debug: Log Firebase configuration
-console.log('Firebase Config:', {
-  apiKey: firebaseConfig.apiKey ? 'Set' : 'Missing',
-  authDomain: firebaseConfig.authDomain ? 'Set' : 'Missing',
-  projectId: firebaseConfig.projectId ? 'Set' : 'Missing',
-  storageBucket: firebaseConfig.storageBucket ? 'Set' : 'Missing',
-  messagingSenderId: firebaseConfig.messagingSenderId ? 'Set' : 'Missing',
-  appId: firebaseConfig.appId ? 'Set' : 'Missing',
-});
-
 // Global variables (fallback for Canvas environment)
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-nicu-app';
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
 
-// Initialize Firebase App
-let firebaseApp = null;
-let db = null;
-let auth = null;
-
-try {
-  // Check if all required config values are present
-  const requiredKeys = ['apiKey', 'authDomain', 'projectId', 'storageBucket', 'messagingSenderId', 'appId'];
-  const missingKeys = requiredKeys.filter(key => !firebaseConfig[key]);
-  
-  if (missingKeys.length > 0) {
-    console.error('Missing Firebase configuration:', missingKeys);
-    console.error('Please check your .env file');
-  } else {
-    firebaseApp = initializeApp(firebaseConfig);
-    db = getFirestore(firebaseApp);
-    auth = getAuth(firebaseApp);
-    console.log('✅ Firebase initialized successfully');
-  }
-} catch (error) {
-  console.error('❌ Firebase initialization error:', error);
-}
-
 // Create a context for authentication and Firestore
 const AppContext = createContext();
 
@@ -60,9 +154,37 @@ const AppContext = createContext();
 const AppProvider = ({ children }) => {
     const [user, setUser] = useState(null);
     const [userId, setUserId] = useState(null);
+    const [account, setAccount] = useState(null); // { isAnonymous, label, unitId, charge, admin } - re-read after linking, which keeps the same user object
+    const [authError, setAuthError] = useState(null);
     const [loading, setLoading] = useState(true);
     const [firebaseReady, setFirebaseReady] = useState(false);
 
+    // forceRefresh re-fetches the ID token so unit/charge claims changed by setUnitRole apply immediately
+    const refreshAccount = async (forceRefresh = false) => {
+        const currentUser = auth?.currentUser;
+        if (!currentUser) {
+            setAccount(null);
+            return;
+        }
+        const details = {
+            isAnonymous: currentUser.isAnonymous,
+            label: currentUser.email || currentUser.displayName || currentUser.providerData[0]?.email || 'Signed in',
+            unitId: null,
+            charge: false,
+            admin: false
+        };
+        try {
+            const { claims } = await getIdTokenResult(currentUser, forceRefresh);
+            details.unitId = claims.unitId || null;
+            details.charge = claims.charge === true;
+            details.admin = claims.admin === true;
+        } catch (error) {
+            // Offline - keep working without unit role
+            console.error("Error reading account role:", error);
+        }
+        setAccount(details);
+    };
+
     useEffect(() => {
         if (!auth) {
             console.error("Firebase Auth is not initialized. Check environment variables.");
@@ -71,24 +193,22 @@ const AppProvider = ({ children }) => {
         }
 
         const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
+            setUser(currentUser);
+            setUserId(currentUser ? currentUser.uid : null);
+            refreshAccount();
             if (currentUser) {
-                setUser(currentUser);
-                setUserId(currentUser.uid);
                 console.log('Firebase: User signed in:', currentUser.uid);
-            } else {
-                console.log('Firebase: No user, attempting anonymous sign-in.');
+                setAuthError(null);
+            } else if (initialAuthToken) {
+                // Embedded (Canvas) environment signs in with the token it was given
                 try {
-                    if (initialAuthToken) {
-                        await signInWithCustomToken(auth, initialAuthToken);
-                    } else {
-                        await signInAnonymously(auth);
-                    }
+                    await signInWithCustomToken(auth, initialAuthToken);
                 } catch (error) {
                     console.error("Firebase Auth Error:", error);
-                    // Fallback to a random UUID if anonymous sign-in fails
-                    setUserId(crypto.randomUUID());
+                    setAuthError(describeAuthError(error));
                 }
             }
+            // Otherwise MainApp shows the sign-in screen
             setLoading(false);
             setFirebaseReady(true);
         });
@@ -98,176 +218,12 @@ const AppProvider = ({ children }) => {
 
     // Provide the Firebase instances and user state through context
     return (
-        <AppContext.Provider value={{ db, auth, user, userId, loading, firebaseReady }}>
+        <AppContext.Provider value={{ db, auth, appId, user, userId, account, refreshAccount, authError, setAuthError, loading, firebaseReady }}>
             {children}
         </AppContext.Provider>
     );
 };
 
-// --- Firestore Service Functions ---
-
-// Collection path for private user data
-const getUserCollectionPath = (uid) => doc(collection(db, 'artifacts', appId, 'users'), uid);
-
-// Fetches all shifts for the current user
-const getShifts = (userId, callback) => {
-    if (!db || !userId) return;
-    const shiftsRef = collection(getUserCollectionPath(userId), 'nicu_shifts');
-    const q = query(shiftsRef);
-    return onSnapshot(q, (snapshot) => {
-        const shifts = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        shifts.sort((a, b) => {
-            const dateA = new Date(a.shiftDate + 'T' + a.shiftStartTime);
-            const dateB = new Date(b.shiftDate + 'T' + b.shiftStartTime);
-            return dateB - dateA; // Newest shift first
-        });
-        callback(shifts);
-    });
-};
-
-// Adds a new shift for the current user
-const addShift = async (userId, shiftData) => {
-    if (!db || !userId) return;
-    const shiftsRef = collection(getUserCollectionPath(userId), 'nicu_shifts');
-    return await addDoc(shiftsRef, shiftData);
-};
-
-// Updates an existing shift
-const updateShift = async (userId, shiftId, shiftData) => {
-    if (!db || !userId) return;
-    const shiftRef = doc(collection(getUserCollectionPath(userId), 'nicu_shifts'), shiftId);
-    return await updateDoc(shiftRef, shiftData);
-};
-
-// Deletes a shift and its subcollections (babies, reports, etc.) using batch operations
-const deleteShift = async (userId, shiftId) => {
-    if (!db || !userId) return;
-    const shiftRef = doc(collection(getUserCollectionPath(userId), 'nicu_shifts'), shiftId);
-
-    // Fetch all babies in the shift
-    const babiesQuery = query(collection(shiftRef, 'babies'));
-    const babiesSnapshot = await getDocs(babiesQuery);
-
-    // Use a write batch to delete all subcollections
-    const batch = writeBatch(db);
-
-    // Delete all baby-related subcollections
-    for (const babyDoc of babiesSnapshot.docs) {
-        const babyRef = doc(shiftRef, 'babies', babyDoc.id);
-
-        // Delete reportSheet
-        const reportSheetRef = doc(babyRef, 'reportSheet', 'main');
-        batch.delete(reportSheetRef);
-
-        // Delete touchTimeLogs
-        const touchTimesQuery = query(collection(babyRef, 'touchTimeLogs'));
-        const touchTimesSnapshot = await getDocs(touchTimesQuery);
-        touchTimesSnapshot.docs.forEach(doc => batch.delete(doc.ref));
-
-        // Delete eventLogs
-        const eventsQuery = query(collection(babyRef, 'eventLogs'));
-        const eventsSnapshot = await getDocs(eventsQuery);
-        eventsSnapshot.docs.forEach(doc => batch.delete(doc.ref));
-
-        // Delete the baby document itself
-        batch.delete(babyRef);
-    }
-
-    // Finally, delete the shift document
-    batch.delete(shiftRef);
-
-    // Commit the batch
-    await batch.commit();
-    console.log(`Shift ${shiftId} and its subcollections deleted.`);
-};
-
-
-// Fetches babies for a specific shift
-const getBabies = (userId, shiftId, callback) => {
-    if (!db || !userId) return;
-    const babiesRef = collection(getUserCollectionPath(userId), 'nicu_shifts', shiftId, 'babies');
-    const q = query(babiesRef, orderBy('internalID_Nickname'));
-    return onSnapshot(q, (snapshot) => {
-        const babies = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        callback(babies);
-    });
-};
-
-// Adds a new baby to a shift
-const addBaby = async (userId, shiftId, babyData) => {
-    if (!db || !userId || !shiftId) return;
-    const babiesRef = collection(getUserCollectionPath(userId), 'nicu_shifts', shiftId, 'babies');
-    return await addDoc(babiesRef, babyData);
-};
-
-// Updates an existing baby in a shift
-const updateBaby = async (userId, shiftId, babyId, babyData) => {
-    if (!db || !userId || !shiftId || !babyId) return;
-    const babyRef = doc(collection(getUserCollectionPath(userId), 'nicu_shifts', shiftId, 'babies'), babyId);
-    return await updateDoc(babyRef, babyData);
-};
-
-// Fetches a baby's report sheet
-const getReportSheet = (userId, shiftId, babyId, callback) => {
-    if (!db || !userId || !shiftId || !babyId) return;
-    const reportSheetRef = doc(collection(getUserCollectionPath(userId), 'nicu_shifts', shiftId, 'babies', babyId, 'reportSheet'), 'main');
-    return onSnapshot(reportSheetRef, (docSnap) => {
-        callback(docSnap.exists() ? docSnap.data() : null);
-    });
-};
-
-// Sets/Updates a baby's report sheet (using setDoc for 'main' document)
-const setReportSheet = async (userId, shiftId, babyId, reportData) => {
-    if (!db || !userId || !shiftId || !babyId) return;
-    const reportSheetRef = doc(collection(getUserCollectionPath(userId), 'nicu_shifts', shiftId, 'babies', babyId, 'reportSheet'), 'main');
-    return await setDoc(reportSheetRef, reportData, { merge: true });
-};
-
-// Fetches touch time logs for a baby
-const getTouchTimeLogs = (userId, shiftId, babyId, callback) => {
-    if (!db || !userId || !shiftId || !babyId) return;
-    const touchTimeLogsRef = collection(getUserCollectionPath(userId), 'nicu_shifts', shiftId, 'babies', babyId, 'touchTimeLogs');
-    const q = query(touchTimeLogsRef, orderBy('timestamp', 'asc')); // Order by timestamp
-    return onSnapshot(q, (snapshot) => {
-        const logs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        callback(logs);
-    });
-};
-
-// Adds a touch time log for a baby
-const addTouchTimeLog = async (userId, shiftId, babyId, logData) => {
-    if (!db || !userId || !shiftId || !babyId) return;
-    const touchTimeLogsRef = collection(getUserCollectionPath(userId), 'nicu_shifts', shiftId, 'babies', babyId, 'touchTimeLogs');
-    return await addDoc(touchTimeLogsRef, logData);
-};
-
-// Updates a touch time log
-const updateTouchTimeLog = async (userId, shiftId, babyId, logId, logData) => {
-    if (!db || !userId || !shiftId || !babyId || !logId) return;
-    const logRef = doc(collection(getUserCollectionPath(userId), 'nicu_shifts', shiftId, 'babies', babyId, 'touchTimeLogs'), logId);
-    return await updateDoc(logRef, logData);
-};
-
-
-// Fetches event logs for a baby
-const getEventLogs = (userId, shiftId, babyId, callback) => {
-    if (!db || !userId || !shiftId || !babyId) return;
-    const eventLogsRef = collection(getUserCollectionPath(userId), 'nicu_shifts', shiftId, 'babies', babyId, 'eventLogs');
-    const q = query(eventLogsRef, orderBy('timestamp', 'asc')); // Order by timestamp
-    return onSnapshot(q, (snapshot) => {
-        const logs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        callback(logs);
-    });
-};
-
-// Adds an event log for a baby
-const addEventLog = async (userId, shiftId, babyId, eventData) => {
-    if (!db || !userId || !shiftId || !babyId) return;
-    const eventLogsRef = collection(getUserCollectionPath(userId), 'nicu_shifts', shiftId, 'babies', babyId, 'eventLogs');
-    return await addDoc(eventLogsRef, eventData);
-};
-
-
 // --- Utility Components (for styling and common elements) ---
 
 const Button = ({ children, onClick, className = '', disabled = false }) => (
@@ -367,18 +323,104 @@ const RadioGroup = ({ label, name, options, selectedValue, onChange }) => (
     </fieldset>
 );
 
-// Helper function to generate q3 schedule for a given start time
-const generateQ3Schedule = (startTime) => {
-    const times = [];
-    let [hours, minutes] = startTime.split(':').map(Number);
-    const startDateTime = new Date();
-    startDateTime.setHours(hours, minutes, 0, 0);
+// Helper function to generate a baby's touch times within the shift (interval and midnight-aware)
+// Touch times already logged are kept if the schedule was changed mid-shift
+const getBabyTouchTimes = (baby, shift) => mergeScheduleWithLogs(
+    shift,
+    generateTouchTimeSchedule(shift, baby.babyQ3StartTime, baby.touchTimeInterval || DEFAULT_TOUCH_TIME_INTERVAL),
+    baby.touchTimeLogs
+);
+
+const getIntervalLabel = (baby) => TOUCH_TIME_INTERVALS[baby.touchTimeInterval || DEFAULT_TOUCH_TIME_INTERVAL].label;
 
-    for (let i = 0; i < 8; i++) { // Generate 8 touch times (24 hours / 3 hours)
-        const touchTime = new Date(startDateTime.getTime() + i * 3 * 60 * 60 * 1000);
-        times.push(touchTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false }));
+// Current time, updated every minute (for next-due / overdue touch times)
+const useNow = (intervalMs = 60 * 1000) => {
+    const [now, setNow] = useState(new Date());
+    useEffect(() => {
+        const timer = setInterval(() => setNow(new Date()), intervalMs);
+        return () => clearInterval(timer);
+    }, [intervalMs]);
+    return now;
+};
+
+// Keeps the service worker's touch time reminders in step with the current shift's babies and logs
+// Lives in MainApp so logging from any screen updates the reminders
+const useTouchTimeReminders = (currentShift, reminderSettings) => {
+    const { db, appId, userId } = useContext(AppContext);
+    const [babies, setBabies] = useState([]);
+    const now = useNow();
+
+    useEffect(() => {
+        if (!userId || !currentShift?.id || !reminderSettings.enabled) return;
+        const unsubscribe = getBabies(db, appId, userId, currentShift.id, setBabies);
+        return () => unsubscribe();
+    }, [db, appId, userId, currentShift?.id, reminderSettings.enabled]);
+
+    useEffect(() => {
+        if (!currentShift?.id || !reminderSettings.enabled) return;
+        const entries = babies
+            .filter(baby => !baby.transferredTo && baby.babyQ3StartTime)
+            .map(baby => ({ baby, scheduleTimes: getBabyTouchTimes(baby, currentShift) }));
+        scheduleReminders(buildReminders(entries, currentShift, reminderSettings, now));
+    }, [babies, currentShift, reminderSettings, now]);
+};
+
+// Next-due / overdue line for a baby card
+const TouchTimeStatusLine = ({ baby, shift, now, preAlertMinutes }) => {
+    if (!baby.babyQ3StartTime) return null;
+    const { nextDue, overdue } = getTouchTimeStatus(shift, getBabyTouchTimes(baby, shift), baby.touchTimeLogs, now);
+    const dueSoon = nextDue && nextDue.minutesUntil <= preAlertMinutes;
+
+    return (
+        <div className="text-sm mt-1">
+            {overdue.length > 0 && <p className="text-red-600 font-semibold">Overdue: {overdue.join(', ')}</p>}
+            {nextDue
+                ? <p className={dueSoon ? 'text-orange-600 font-semibold' : 'text-gray-600'}>Next: {nextDue.time} (in {nextDue.minutesUntil} min)</p>
+                : overdue.length === 0 && <p className="text-green-700">All touch times logged</p>}
+        </div>
+    );
+};
+
+// Per-device reminder settings: notifications on/off and pre-alert minutes
+const ReminderSettingsPanel = ({ settings, onChange }) => {
+    const handleToggle = async () => {
+        if (settings.enabled) {
+            onChange({ ...settings, enabled: false });
+            scheduleReminders([]);
+            return;
+        }
+        if (!(await requestNotificationPermission())) {
+            alert('Notifications are blocked for this site. Allow them in your browser settings to get touch time reminders.');
+            return;
+        }
+        onChange({ ...settings, enabled: true });
+    };
+
+    if (!notificationsSupported()) {
+        return <p className="text-xs text-gray-500">Touch time notifications are not supported in this browser.</p>;
     }
-    return times;
+
+    return (
+        <div>
+            <div className="flex items-center space-x-3 text-sm text-gray-700">
+                <Checkbox label="Touch time notifications" name="remindersEnabled" checked={settings.enabled} onChange={handleToggle} />
+                <label htmlFor="preAlertMinutes" className="text-gray-600">Pre-alert:</label>
+                <select
+                    id="preAlertMinutes"
+                    className="border border-gray-300 rounded-md px-2 py-1"
+                    value={settings.preAlertMinutes}
+                    onChange={(e) => onChange({ ...settings, preAlertMinutes: Number(e.target.value) })}
+                >
+                    {PRE_ALERT_OPTIONS.map(minutes => <option key={minutes} value={minutes}>{minutes === 0 ? 'Off' : `${minutes} min before`}</option>)}
+                </select>
+            </div>
+            {!scheduledNotificationsSupported() && (
+                <p className="text-xs text-orange-700 mt-1">
+                    This browser only shows reminders while the app is open in a tab. Keep it open (it can be in the background) to get them.
+                </p>
+            )}
+        </div>
+    );
 };
 
 // Collapsible section component
@@ -395,12 +437,373 @@ const CollapsibleSection = ({ title, children, isOpen, toggleOpen }) => (
     </div>
 );
 
+// Banner offering the one-time V1 (subcollections) → V2 (embedded) migration
+// Runs a dry run on mount until the user is marked migrated, and stays hidden when there is nothing to migrate
+// Babies skipped by the migrator (too many logs) keep the banner up with the skipped lines
+const MigrationBanner = () => {
+    const { db, appId, userId } = useContext(AppContext);
+    const [report, setReport] = useState(null);
+    const [showDetails, setShowDetails] = useState(false);
+    const [isMigrating, setIsMigrating] = useState(false);
+
+    useEffect(() => {
+        if (!db || !userId) return;
+        let cancelled = false;
+        isMigrationComplete(db, appId, userId)
+            .then(async (complete) => {
+                if (complete) return;
+                const result = await migrateUserToV2(db, appId, userId, { dryRun: true });
+                if (result.babiesToMigrate === 0) await markMigrationComplete(db, appId, userId, result);
+                if (!cancelled) {
+                    setReport(result);
+                    setShowDetails(getSkippedBabies(result).length > 0);
+                }
+            })
+            .catch(error => console.error("Error checking for V1 data:", error));
+        return () => { cancelled = true; };
+    }, [db, appId, userId]);
+
+    const handleMigrate = async () => {
+        setIsMigrating(true);
+        try {
+            const result = await migrateUserToV2(db, appId, userId, { dryRun: false, deleteLegacy: true });
+            await markMigrationComplete(db, appId, userId, result);
+            setReport(result);
+            setShowDetails(true);
+        } catch (error) {
+            console.error("Error migrating V1 data:", error);
+            alert('Migration failed. See console for details.');
+        } finally {
+            setIsMigrating(false);
+        }
+    };
+
+    const skipped = report ? getSkippedBabies(report) : [];
+    if (!report || (report.dryRun && report.babiesToMigrate === 0 && skipped.length === 0)) return null;
+
+    return (
+        <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-6 rounded-md text-sm text-yellow-800">
+            <p className="font-semibold">
+                {report.dryRun
+                    ? `${report.babiesToMigrate} saved babies use the old data format and need a one-time update.`
+                    : `Data update complete: ${report.babiesMigrated} babies updated.`}
+            </p>
+            {skipped.length > 0 && (
+                <p className="mt-1 text-red-700">
+                    {skipped.length} {skipped.length === 1 ? 'baby has' : 'babies have'} more old-format logs than one baby can hold, so those logs were not copied and don&apos;t show in the app.
+                    They are kept as they are and listed below.
+                </p>
+            )}
+            <button className="underline mt-1" onClick={() => setShowDetails(!showDetails)}>
+                {showDetails ? 'Hide details' : 'Show details'}
+            </button>
+            {showDetails && (
+                <ul className="mt-2 list-disc list-inside font-mono text-xs">
+                    {formatMigrationReport(report).map((line, index) => <li key={index}>{line}</li>)}
+                </ul>
+            )}
+            {report.dryRun && (
+                <div className="mt-3">
+                    <Button onClick={handleMigrate} disabled={isMigrating} className="bg-yellow-600 hover:bg-yellow-700">
+                        {isMigrating ? 'Updating...' : 'Update Data Now'}
+                    </Button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Badge showing queued (not yet synced) writes and connection state
+const SyncStatusBadge = () => {
+    const { pending, failed, online } = useSyncExternalStore(subscribeSyncStatus, getSyncStatus);
+
+    let label = 'Synced';
+    let colors = 'bg-green-100 text-green-800 border-green-300';
+    if (pending > 0) {
+        label = `${online ? 'Syncing' : 'Offline'} · ${pending} pending change${pending === 1 ? '' : 's'}`;
+        colors = online ? 'bg-blue-100 text-blue-800 border-blue-300' : 'bg-yellow-100 text-yellow-800 border-yellow-300';
+    } else if (!online) {
+        label = 'Offline · all changes saved on this device';
+        colors = 'bg-yellow-100 text-yellow-800 border-yellow-300';
+    }
+
+    return (
+        <div className="flex flex-col items-end">
+            <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${colors}`}>{label}</span>
+            {failed.length > 0 && (
+                <button
+                    className="mt-1 text-xs text-red-700 underline"
+                    title={failed.map(f => `${f.label}: ${f.message}`).join('\n')}
+                    onClick={() => {
+                        alert(`These changes were rejected by the server and were not saved:\n\n${failed.map(f => `${f.label}: ${f.message}`).join('\n')}`);
+                        clearFailedWrites();
+                    }}
+                >
+                    {failed.length} change{failed.length === 1 ? '' : 's'} failed to sync
+                </button>
+            )}
+        </div>
+    );
+};
+
+
+// Signed-in account with sign-out (and "create account" for anonymous users)
+const AccountStatus = ({ onCreateAccount, onOpenUnitBoard }) => {
+    const { auth, account } = useContext(AppContext);
+    if (!account) return null;
+
+    const handleSignOut = async () => {
+        const warning = account.isAnonymous
+            ? 'You are using the app without an account. Signing out permanently loses access to the shifts saved on this device. Sign out anyway?'
+            : 'Sign out?';
+        if (!window.confirm(warning)) return;
+        try {
+            await signOutUser(auth);
+        } catch (error) {
+            console.error("Error signing out:", error);
+            alert('Failed to sign out. See console for details.');
+        }
+    };
+
+    return (
+        <div className="flex items-center space-x-3 text-xs text-gray-600">
+            {account.isAnonymous ? (
+                <>
+                    <span className="text-yellow-700">No account - data is saved on this device only</span>
+                    <button className="text-indigo-600 underline" onClick={onCreateAccount}>Create account</button>
+                </>
+            ) : (
+                <span>{account.label}</span>
+            )}
+            {account.unitId && <span>Unit {account.unitId}{account.charge ? ' · Charge' : ''}</span>}
+            {(account.charge || account.admin) && onOpenUnitBoard && (
+                <button className="text-indigo-600 underline" onClick={onOpenUnitBoard}>Unit Board</button>
+            )}
+            <button className="text-gray-500 underline" onClick={handleSignOut}>Sign out</button>
+        </div>
+    );
+};
+
+// Pending invite from a charge nurse to join their unit
+// Joining lets the unit's charge nurses see this nurse's current assignment, so it needs the nurse's OK
+const UnitInviteBanner = () => {
+    const { db, appId, userId, account, refreshAccount } = useContext(AppContext);
+    const [invite, setInvite] = useState(null);
+    const [isWorking, setIsWorking] = useState(false);
+
+    useEffect(() => {
+        if (!userId) return;
+        const unsubscribe = getUnitInvite(db, appId, userId, setInvite);
+        return () => unsubscribe();
+    }, [db, appId, userId]);
+
+    const handleAccept = async () => {
+        setIsWorking(true);
+        try {
+            await setUnitRole(functions, appId, userId, invite.unitId);
+            await refreshAccount(true);
+        } catch (error) {
+            console.error("Error joining unit:", error);
+            alert(`Failed to join unit: ${error.message}`);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleDecline = () => {
+        try {
+            declineUnitInvite(db, appId, userId);
+        } catch (error) {
+            console.error("Error declining unit invite:", error);
+            alert('Failed to decline invite. See console for details.');
+        }
+    };
+
+    if (!invite || account?.unitId === invite.unitId) return null;
+
+    return (
+        <div className="bg-indigo-50 border-l-4 border-indigo-400 p-4 mb-6 rounded-md text-sm text-indigo-800">
+            <p className="font-semibold">{invite.invitedBy || 'A charge nurse'} invited you to unit {invite.unitId}.</p>
+            <p className="mt-1">The unit&apos;s charge nurses will be able to see your current shift&apos;s assignment (read-only), and you can send handoffs and transfers to nurses in the unit.</p>
+            <div className="flex space-x-2 mt-3">
+                <Button onClick={handleAccept} disabled={isWorking} className="text-xs">{isWorking ? 'Joining...' : 'Join Unit'}</Button>
+                <Button onClick={handleDecline} disabled={isWorking} className="text-xs bg-gray-400 hover:bg-gray-500">Decline</Button>
+            </div>
+        </div>
+    );
+};
+
+// Sign-in / create-account screen
+// With an anonymous user signed in, creating an account or using SSO links it to that user so their shifts are kept
+const AuthScreen = ({ onDone, onCancel }) => {
+    const { auth, account, refreshAccount } = useContext(AppContext);
+    const isUpgrade = Boolean(account?.isAnonymous);
+    const [mode, setMode] = useState(isUpgrade ? 'createAccount' : 'signIn'); // 'signIn', 'createAccount'
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [isWorking, setIsWorking] = useState(false);
+
+    const run = async (action) => {
+        setError('');
+        setIsWorking(true);
+        try {
+            await action();
+            refreshAccount();
+            if (onDone) onDone();
+        } catch (err) {
+            console.error("Sign-in error:", err);
+            setError(describeAuthError(err));
+            setIsWorking(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!email || !password) {
+            setError('Please enter your email and password.');
+            return;
+        }
+        run(() => (mode === 'signIn' ? signInWithEmail(auth, email, password) : createAccount(auth, email, password)));
+    };
+
+    const handleResetPassword = async () => {
+        if (!email) {
+            setError('Enter your email first, then click "Forgot password?".');
+            return;
+        }
+        try {
+            await resetPassword(auth, email);
+            alert(`Password reset email sent to ${email}.`);
+        } catch (err) {
+            console.error("Password reset error:", err);
+            setError(describeAuthError(err));
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+            <div className="bg-white p-8 rounded-lg shadow-md max-w-md w-full">
+                <h2 className="text-2xl font-bold text-gray-800 mb-2">
+                    {isUpgrade ? 'Create an Account' : 'NICU Shift Tracker'}
+                </h2>
+                <p className="text-sm text-gray-600 mb-6">
+                    {isUpgrade
+                        ? 'Your shifts saved on this device move into the new account, and you can sign in from any device.'
+                        : 'Sign in to keep your shifts across devices.'}
+                </p>
+
+                {OIDC_PROVIDER_ID && (
+                    <>
+                        <Button onClick={() => run(() => signInWithOidc(auth))} disabled={isWorking} className="w-full mb-4">
+                            Sign in with {OIDC_PROVIDER_NAME}
+                        </Button>
+                        <p className="text-center text-xs text-gray-400 mb-4">or use email</p>
+                    </>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <Input label="Email" type="email" name="email" value={email} onChange={(e) => setEmail(e.target.value)} />
+                    <Input label="Password" type="password" name="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+                    {isUpgrade && mode === 'signIn' && (
+                        <p className="text-sm text-yellow-700">Signing in to an existing account does not bring along the shifts saved on this device without an account.</p>
+                    )}
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+                    <Button disabled={isWorking} className="w-full">
+                        {isWorking ? 'Please wait...' : (mode === 'signIn' ? 'Sign In' : 'Create Account')}
+                    </Button>
+                </form>
+
+                <div className="flex justify-between mt-4 text-sm">
+                    <button className="text-indigo-600 underline" onClick={() => { setMode(mode === 'signIn' ? 'createAccount' : 'signIn'); setError(''); }}>
+                        {mode === 'signIn' ? 'Create an account' : 'I already have an account'}
+                    </button>
+                    {mode === 'signIn' && <button className="text-gray-500 underline" onClick={handleResetPassword}>Forgot password?</button>}
+                </div>
+
+                <div className="border-t border-gray-200 mt-6 pt-4 text-center">
+                    {isUpgrade ? (
+                        <button className="text-sm text-gray-500 underline" onClick={onCancel}>Not now</button>
+                    ) : (
+                        <>
+                            <button className="text-sm text-gray-500 underline" onClick={() => run(() => continueWithoutAccount(auth))} disabled={isWorking}>
+                                Continue without an account
+                            </button>
+                            <p className="text-xs text-gray-400 mt-1">Shifts are lost if this browser&apos;s data is cleared.</p>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Shown when sign-in fails outright - no data is created under a made-up ID
+const AuthErrorScreen = ({ message, onRetry }) => (
+    <div className="min-h-screen flex items-center justify-center bg-red-50 p-4">
+        <div className="bg-white p-8 rounded-lg shadow-md max-w-md w-full text-center">
+            <h2 className="text-2xl font-bold text-red-700 mb-2">Unable to Sign In</h2>
+            <p className="text-gray-700 mb-2">{message}</p>
+            <p className="text-sm text-gray-500 mb-6">Nothing has been lost - shifts are stored with your account and will be there once you sign in.</p>
+            <Button onClick={onRetry}>Try Again</Button>
+        </div>
+    </div>
+);
 
 // --- Screens & Components ---
 
+// Handoff packages sent to this nurse, accepted into a new shift started with the setup form's times
+const IncomingHandoffs = ({ canAccept, onAccept }) => {
+    const { db, appId, userId } = useContext(AppContext);
+    const [handoffs, setHandoffs] = useState([]);
+    const [openId, setOpenId] = useState(null);
+    const [acceptingId, setAcceptingId] = useState(null);
+
+    useEffect(() => {
+        if (!userId) return;
+        const unsubscribe = getIncomingHandoffs(db, appId, userId, setHandoffs);
+        return () => unsubscribe();
+    }, [db, appId, userId]);
+
+    const handleAccept = async (handoff) => {
+        setAcceptingId(handoff.id);
+        await onAccept(handoff);
+        setAcceptingId(null);
+    };
+
+    if (handoffs.length === 0) return null;
+
+    return (
+        <div className="mb-6 p-4 bg-green-50 rounded-lg border border-green-200">
+            <p className="text-lg font-bold text-green-800 mb-2">Incoming Handoff{handoffs.length === 1 ? '' : 's'}</p>
+            {handoffs.map(handoff => (
+                <div key={handoff.id} className="mb-3 last:mb-0">
+                    <p className="text-sm text-gray-800">
+                        From <span className="font-semibold">{handoff.fromLabel || 'another nurse'}</span> · sent {new Date(handoff.sentAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+                    </p>
+                    <p className="text-sm text-gray-600">{handoff.babies.map(baby => baby.internalID_Nickname).join(', ')}</p>
+                    {handoff.summaryText && (
+                        <button className="text-xs text-indigo-600 underline" onClick={() => setOpenId(openId === handoff.id ? null : handoff.id)}>
+                            {openId === handoff.id ? 'Hide report' : 'View report'}
+                        </button>
+                    )}
+                    {openId === handoff.id && (
+                        <pre className="mt-2 p-2 bg-white rounded-md text-xs whitespace-pre-wrap max-h-64 overflow-y-auto">{handoff.summaryText}</pre>
+                    )}
+                    <Button onClick={() => handleAccept(handoff)} disabled={!canAccept || acceptingId !== null} className="w-full mt-2 bg-green-600 hover:bg-green-700">
+                        {acceptingId === handoff.id ? 'Accepting...' : 'Accept & Start Shift'}
+                    </Button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
 // Screen 1: Shift Setup
-const ShiftSetupScreen = ({ onStartShift }) => {
-    const [selectedTime, setSelectedTime] = useState('07:00');
+const ShiftSetupScreen = ({ onStartShift, onViewPastShifts, onImportLegacy, onCreateAccount, onOpenUnitBoard }) => {
+    const [templateId, setTemplateId] = useState(SHIFT_TEMPLATES[0].id);
+    const [startTime, setStartTime] = useState(SHIFT_TEMPLATES[0].startTime);
+    const [customEndTime, setCustomEndTime] = useState('19:00');
     const [assignmentType, setAssignmentType] = useState('ICU');
     const [currentDate, setCurrentDate] = useState('');
 
@@ -408,21 +811,49 @@ const ShiftSetupScreen = ({ onStartShift }) => {
         setCurrentDate(new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }));
     }, []);
 
-    const shiftStartOptions = ['07:00', '13:00'];
+    const shiftTimes = buildShiftTimes(templateId, startTime, customEndTime);
+
+    const buildShiftDetails = () => ({
+        ...buildShiftDates(shiftTimes),
+        ...shiftTimes,
+        assignmentType: assignmentType
+    });
+
+    const handleTemplateChange = (e) => {
+        const template = SHIFT_TEMPLATES.find(t => t.id === e.target.value);
+        setTemplateId(template.id);
+        setStartTime(template.startTime);
+    };
 
     return (
         <div className="min-h-screen flex items-center justify-center bg-gray-100 p-4">
             <div className="bg-white p-8 rounded-lg shadow-xl w-full max-w-md">
-                <h2 className="text-3xl font-bold text-center text-indigo-800 mb-6">NICU Shift Tracker</h2>
+                <h2 className="text-3xl font-bold text-center text-indigo-800 mb-2">NICU Shift Tracker</h2>
+                <div className="flex justify-center mb-6">
+                    <AccountStatus onCreateAccount={onCreateAccount} onOpenUnitBoard={onOpenUnitBoard} />
+                </div>
+                <MigrationBanner />
+                <UnitInviteBanner />
 
-                <div className="mb-6">
+                <div className="mb-6 space-y-4">
                     <Select
-                        label="Select Your Overall Shift Start Time:"
-                        name="shiftStartTime"
-                        value={selectedTime}
-                        onChange={(e) => setSelectedTime(e.target.value)}
-                        options={shiftStartOptions}
+                        label="Shift Type:"
+                        name="shiftTemplate"
+                        value={templateId}
+                        onChange={handleTemplateChange}
+                        options={SHIFT_TEMPLATES.map(t => ({ value: t.id, label: t.label }))}
                     />
+                    <div className="grid grid-cols-2 gap-4">
+                        <Input label="Start Time" type="time" name="shiftStartTime" value={startTime} onChange={(e) => setStartTime(e.target.value)} />
+                        {templateId === 'custom' ? (
+                            <Input label="End Time" type="time" name="shiftEndTime" value={customEndTime} onChange={(e) => setCustomEndTime(e.target.value)} />
+                        ) : (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">End Time</label>
+                                <p className="mt-1 px-3 py-2 bg-gray-100 rounded-md text-gray-800 sm:text-sm">{shiftTimes.shiftEndTime}</p>
+                            </div>
+                        )}
+                    </div>
                 </div>
 
                 <div className="mb-6">
@@ -447,47 +878,44 @@ const ShiftSetupScreen = ({ onStartShift }) => {
 
                 <div className="mb-8 p-4 bg-indigo-50 rounded-lg border border-indigo-200">
                     <p className="text-sm font-semibold text-indigo-700 mb-2">{currentDate}</p>
-                    <p className="text-lg font-bold text-indigo-800 mb-2">Common Baby q3 Start Options:</p>
-                    <div className="grid grid-cols-2 gap-2 text-gray-700 text-sm">
-                        {selectedTime === '07:00' ? (
-                            <>
-                                <span className="px-2 py-1 bg-indigo-100 rounded-md text-center">08:00</span>
-                                <span className="px-2 py-1 bg-indigo-100 rounded-md text-center">08:30</span>
-                                <span className="px-2 py-1 bg-indigo-100 rounded-md text-center">09:00</span>
-                            </>
-                        ) : (
-                            <>
-                                <span className="px-2 py-1 bg-indigo-100 rounded-md text-center">20:00</span>
-                                <span className="px-2 py-1 bg-indigo-100 rounded-md text-center">20:30</span>
-                                <span className="px-2 py-1 bg-indigo-100 rounded-md text-center">21:00</span>
-                            </>
-                        )}
+                    <p className="text-lg font-bold text-indigo-800 mb-2">Common First Touch Times:</p>
+                    <div className="grid grid-cols-3 gap-2 text-gray-700 text-sm">
+                        {getCommonFirstTouchTimes(startTime).map(time => (
+                            <span key={time} className="px-2 py-1 bg-indigo-100 rounded-md text-center">{time}</span>
+                        ))}
                     </div>
-                    <p className="text-xs text-gray-500 mt-2">You'll pick each baby's exact q3 start time when you add them.</p>
+                    <p className="text-xs text-gray-500 mt-2">You&apos;ll pick each baby&apos;s first touch time and interval (q2/q3/q4) when you add them.</p>
                 </div>
-                <Button onClick={() => onStartShift({
-                    shiftDate: new Date().toISOString().slice(0, 10),
-                    shiftStartTime: selectedTime,
-                    assignmentType: assignmentType
-                })} className="w-full">
+                <IncomingHandoffs
+                    canAccept={Boolean(startTime && shiftTimes.shiftEndTime)}
+                    onAccept={(handoff) => onStartShift(buildShiftDetails(), handoff)}
+                />
+                <Button onClick={() => onStartShift(buildShiftDetails())} disabled={!startTime || !shiftTimes.shiftEndTime} className="w-full">
                     Start Shift
                 </Button>
+                <Button onClick={onViewPastShifts} className="w-full mt-3 bg-gray-500 hover:bg-gray-600">
+                    Past Shifts
+                </Button>
+                <button className="w-full mt-3 text-sm text-indigo-600 hover:underline" onClick={onImportLegacy}>
+                    Import from the old standalone tracker
+                </button>
             </div>
         </div>
     );
 };
 
 // Screen 2: Baby List Dashboard
-const BabyListDashboard = ({ currentShift, onAddBaby, onSelectBaby, onEndShift }) => {
-    const { userId, db } = useContext(AppContext);
+const BabyListDashboard = ({ currentShift, reminderSettings, onChangeReminderSettings, onAddBaby, onCarryForward, onSelectBaby, onEndShift, onViewPastShifts, onCreateAccount, onOpenUnitBoard }) => {
+    const { userId, db, appId } = useContext(AppContext);
     const [babies, setBabies] = useState([]);
+    const now = useNow();
     const [showEndShiftConfirm, setShowEndShiftConfirm] = useState(false);
 
     useEffect(() => {
         if (!userId || !currentShift?.id) return;
-        const unsubscribe = getBabies(userId, currentShift.id, setBabies);
+        const unsubscribe = getBabies(db, appId, userId, currentShift.id, setBabies);
         return () => unsubscribe();
-    }, [userId, currentShift?.id]);
+    }, [db, appId, userId, currentShift?.id]);
 
     return (
         <div className="min-h-screen bg-gray-50 p-4">
@@ -495,39 +923,72 @@ const BabyListDashboard = ({ currentShift, onAddBaby, onSelectBaby, onEndShift }
                 <div className="flex items-center justify-between mb-6">
                     <div>
                         <h2 className="text-3xl font-bold text-gray-800 mb-2">Current Shift</h2>
-                        <p className="text-xl text-indigo-700">Shift Start: {currentShift.shiftDate} @ {currentShift.shiftStartTime}</p>
+                        <p className="text-xl text-indigo-700">Shift: {formatShiftRange(currentShift)}</p>
                     </div>
-                    <div className={`px-4 py-2 rounded-lg font-semibold text-lg ${
-                        currentShift.assignmentType === 'ICU'
-                            ? 'bg-red-100 text-red-800 border-2 border-red-300'
-                            : 'bg-green-100 text-green-800 border-2 border-green-300'
-                    }`}>
-                        {currentShift.assignmentType || 'ICU'} Assignment
+                    <div className="flex flex-col items-end space-y-2">
+                        <div className={`px-4 py-2 rounded-lg font-semibold text-lg ${
+                            currentShift.assignmentType === 'ICU'
+                                ? 'bg-red-100 text-red-800 border-2 border-red-300'
+                                : 'bg-green-100 text-green-800 border-2 border-green-300'
+                        }`}>
+                            {currentShift.assignmentType || 'ICU'} Assignment
+                        </div>
+                        <SyncStatusBadge />
+                        <AccountStatus onCreateAccount={onCreateAccount} onOpenUnitBoard={onOpenUnitBoard} />
                     </div>
                 </div>
 
+                <UnitInviteBanner />
+
+                <div className="mb-4">
+                    <ReminderSettingsPanel settings={reminderSettings} onChange={onChangeReminderSettings} />
+                </div>
+
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
                     {babies.length === 0 ? (
                         <p className="text-gray-600 col-span-full text-center py-8">No babies added yet. Click 'Add Baby' to start!</p>
                     ) : (
-                        babies.map(baby => (
+                        babies.map(baby => baby.transferredTo ? (
+                            // Audit stub left behind by a transfer - not editable
+                            <div key={baby.id} className="bg-gray-100 p-6 rounded-lg border-l-4 border-gray-400 text-gray-500">
+                                <h3 className="text-xl font-semibold mb-2">{baby.internalID_Nickname}</h3>
+                                <p className="text-sm">Bed: {baby.bedRoomNumber}</p>
+                                <p className="text-sm font-medium">Transferred to another nurse at {new Date(baby.transferredTo.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</p>
+                            </div>
+                        ) : (
                             <div key={baby.id}
                                 className="bg-white p-6 rounded-lg shadow-md hover:shadow-lg transition-shadow duration-200 cursor-pointer border-l-4 border-indigo-500"
                                 onClick={() => onSelectBaby(baby.id)}>
                                 <h3 className="text-xl font-semibold text-gray-800 mb-2">{baby.internalID_Nickname}</h3>
                                 <p className="text-sm text-gray-600">GA: {baby.gestationalAge_Weeks}+{baby.gestationalAge_Days} | CGA: {baby.correctedGestationalAge_Weeks}+{baby.correctedGestationalAge_Days} | PNA: Day {baby.pna_Days}</p>
                                 <p className="text-sm text-gray-600">Bed: {baby.bedRoomNumber}</p>
-                                <p className="text-sm text-indigo-600 font-medium">q3 Start: {baby.babyQ3StartTime}</p>
+                                <p className="text-sm text-indigo-600 font-medium">First Touch: {baby.babyQ3StartTime} ({getIntervalLabel(baby)})</p>
+                                <TouchTimeStatusLine baby={baby} shift={currentShift} now={now} preAlertMinutes={reminderSettings.preAlertMinutes} />
+                                {baby.staleFields?.length > 0 && (
+                                    <p className="text-sm text-yellow-700 font-medium mt-1">⚠ {baby.staleFields.length} carried-forward field{baby.staleFields.length === 1 ? '' : 's'} to review</p>
+                                )}
                             </div>
                         ))
                     )}
                 </div>
 
                 <div className="flex justify-between items-center mt-8">
-                    <Button onClick={onAddBaby}>Add Baby</Button>
-                    <Button onClick={() => setShowEndShiftConfirm(true)} className="bg-indigo-500 hover:bg-indigo-600 ml-4">End Shift & View Summary</Button>
+                    <div>
+                        <Button onClick={onAddBaby}>Add Baby</Button>
+                        <Button onClick={onCarryForward} className="ml-4 bg-indigo-500 hover:bg-indigo-600">Continue from Previous Shift</Button>
+                    </div>
+                    <div>
+                        <Button onClick={onViewPastShifts} className="bg-gray-500 hover:bg-gray-600">Past Shifts</Button>
+                        <Button onClick={() => setShowEndShiftConfirm(true)} className="bg-indigo-500 hover:bg-indigo-600 ml-4">End Shift & View Summary</Button>
+                    </div>
                 </div>
-
+                {currentShift.receivedHandoff && (
+                    <p className="text-sm text-green-700 mt-4">
+                        Handoff from {currentShift.receivedHandoff.fromLabel || 'another nurse'}: sent {new Date(currentShift.receivedHandoff.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}, accepted {new Date(currentShift.receivedHandoff.acceptedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </p>
+                )}
+                <p className="text-xs text-gray-500 mt-4">Your nurse ID (for receiving transfers and handoffs): <span className="font-mono select-all">{userId}</span></p>
+
                 {showEndShiftConfirm && (
                     <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50">
                         <div className="bg-white p-6 rounded-lg shadow-lg max-w-sm w-full text-center">
@@ -547,28 +1008,157 @@ const BabyListDashboard = ({ currentShift, onAddBaby, onSelectBaby, onEndShift }
     );
 };
 
+// Baby details (demographics) shared by the Add Baby and Edit Baby screens
+const EMPTY_BABY_DETAILS = {
+    internalID_Nickname: '',
+    gestationalAge_Weeks: '',
+    gestationalAge_Days: '',
+    correctedGestationalAge_Weeks: '',
+    correctedGestationalAge_Days: '',
+    pna_Days: '',
+    apgars_1min: '',
+    apgars_5min: '',
+    apgars_10min: '',
+    bedRoomNumber: '',
+    birthWeight: '',
+    birthLength: '',
+    lastWeight: '',
+    headCircumference: '',
+    abdominalGirth: '',
+    bedChangeDue: false,
+    babyQ3StartTime: '',
+    touchTimeInterval: DEFAULT_TOUCH_TIME_INTERVAL
+};
+
+// Labels for the baby details change history
+const BABY_DETAIL_LABELS = {
+    internalID_Nickname: 'Nickname',
+    gestationalAge_Weeks: 'GA (weeks)',
+    gestationalAge_Days: 'GA (days)',
+    correctedGestationalAge_Weeks: 'CGA (weeks)',
+    correctedGestationalAge_Days: 'CGA (days)',
+    pna_Days: 'PNA',
+    apgars_1min: 'Apgars 1 min',
+    apgars_5min: 'Apgars 5 min',
+    apgars_10min: 'Apgars 10 min',
+    bedRoomNumber: 'Bed / Room',
+    birthWeight: 'Birth Weight',
+    birthLength: 'Birth Length',
+    lastWeight: 'Last Weight',
+    headCircumference: 'Head Circumference',
+    abdominalGirth: 'Abdominal Girth',
+    bedChangeDue: 'Bed Change Due',
+    babyQ3StartTime: 'First Touch Time',
+    touchTimeInterval: 'Touch Time Interval'
+};
+
+// Applies an input change to baby details, keeping GA, CGA and PNA consistent (CGA = GA + PNA)
+const applyBabyDetailsChange = (prev, e) => {
+    const { name, value, type, checked } = e.target;
+    // Ensure name is present to avoid Firestore errors with empty field names
+    if (!name) {
+        console.error("Input element is missing 'name' attribute:", e.target);
+        return prev;
+    }
+
+    let newValue = value;
+    if (type === 'number') {
+        // Convert to number, but store null if empty string
+        newValue = value === '' ? null : Number(value);
+    } else if (type === 'checkbox') {
+        newValue = checked;
+    }
+
+    const updated = { ...prev, [name]: newValue };
+    return AGE_FIELDS.includes(name) ? { ...updated, ...deriveAges(updated, name) } : updated;
+};
+
+// Accordion form for baby details
+const BabyDetailsFields = ({ babyData, onChange, currentShift, ageErrors, openSection, toggleSection }) => {
+    const firstTouchTimeOptions = ['', ...getFirstTouchTimeOptions(currentShift, babyData.touchTimeInterval)];
+    // Keep a time that is no longer offered (e.g., interval changed) selectable
+    if (babyData.babyQ3StartTime && !firstTouchTimeOptions.includes(babyData.babyQ3StartTime)) {
+        firstTouchTimeOptions.push(babyData.babyQ3StartTime);
+    }
+
+    return (
+        <div className="max-w-3xl mx-auto space-y-4"> {/* Added space-y for vertical spacing */}
+            <CollapsibleSection
+                title="Basic Info"
+                isOpen={openSection === 'basicInfo'}
+                toggleOpen={() => toggleSection('basicInfo')}
+            >
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4"> {/* Reduced gap for within section */}
+                    <Input label="Internal ID / Nickname" name="internalID_Nickname" value={babyData.internalID_Nickname} onChange={onChange} placeholder="e.g., R3B1, Baby Star" />
+                    <Select
+                        label="Touch Time Interval"
+                        name="touchTimeInterval"
+                        value={babyData.touchTimeInterval}
+                        onChange={onChange}
+                        options={Object.entries(TOUCH_TIME_INTERVALS).map(([value, { label }]) => ({ value, label }))}
+                    />
+                    <Select
+                        label="Baby's First Touch Time"
+                        name="babyQ3StartTime"
+                        value={babyData.babyQ3StartTime}
+                        onChange={onChange}
+                        options={firstTouchTimeOptions}
+                    />
+                    <Input label="Days Old / PNA" type="number" name="pna_Days" value={babyData.pna_Days} onChange={onChange} placeholder="e.g., 15 (or enter GA + CGA)" />
+                    <Input label="Bed / Room Number (Generic)" name="bedRoomNumber" value={babyData.bedRoomNumber} onChange={onChange} placeholder="e.g., Room 3, Bed 1" />
+                </div>
+            </CollapsibleSection>
+
+            <CollapsibleSection
+                title="Gestational & Corrected Age"
+                isOpen={openSection === 'gestationalAge'}
+                toggleOpen={() => toggleSection('gestationalAge')}
+            >
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <Input label="Gestational Age (Weeks)" type="number" name="gestationalAge_Weeks" value={babyData.gestationalAge_Weeks} onChange={onChange} />
+                    <Input label="Gestational Age (Days)" type="number" name="gestationalAge_Days" value={babyData.gestationalAge_Days} onChange={onChange} />
+                    <Input label="Corrected Gestational Age (Weeks)" type="number" name="correctedGestationalAge_Weeks" value={babyData.correctedGestationalAge_Weeks} onChange={onChange} />
+                    <Input label="Corrected Gestational Age (Days)" type="number" name="correctedGestationalAge_Days" value={babyData.correctedGestationalAge_Days} onChange={onChange} />
+                    <p className="col-span-full text-xs text-gray-500">Enter any two of GA, CGA and PNA - the third is calculated (CGA = GA + PNA).</p>
+                    <FieldErrors errors={ageErrors} />
+                </div>
+            </CollapsibleSection>
+
+            <CollapsibleSection
+                title="Apgars"
+                isOpen={openSection === 'apgars'}
+                toggleOpen={() => toggleSection('apgars')}
+            >
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <Input label="Apgars (1 min)" type="number" name="apgars_1min" value={babyData.apgars_1min} onChange={onChange} />
+                    <Input label="Apgars (5 min)" type="number" name="apgars_5min" value={babyData.apgars_5min} onChange={onChange} />
+                    <Input label="Apgars (10 min)" type="number" name="apgars_10min" value={babyData.apgars_10min} onChange={onChange} />
+                </div>
+            </CollapsibleSection>
+
+            <CollapsibleSection
+                title="Growth Data"
+                isOpen={openSection === 'growthData'}
+                toggleOpen={() => toggleSection('growthData')}
+            >
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <Input label="Birth Weight (g)" type="number" name="birthWeight" value={babyData.birthWeight} onChange={onChange} />
+                    <Input label="Birth Length (cm)" type="number" name="birthLength" value={babyData.birthLength} onChange={onChange} />
+                    <Input label="Last Weight (g)" type="number" name="lastWeight" value={babyData.lastWeight} onChange={onChange} />
+                    <Input label="Head Circumference (cm)" type="number" name="headCircumference" value={babyData.headCircumference} onChange={onChange} />
+                    <Input label="Abdominal Girth (cm)" type="number" name="abdominalGirth" value={babyData.abdominalGirth} onChange={onChange} />
+                    <Checkbox label="Bed Change Due?" name="bedChangeDue" checked={babyData.bedChangeDue} onChange={onChange} />
+                </div>
+            </CollapsibleSection>
+        </div>
+    );
+};
+
 // Screen 3: Add Baby Details Form (wrapped for navigation)
-const AddBabyScreen = ({ currentShiftId, shiftStartTime, onSaveBaby, onCancel }) => {
-    const { userId, db } = useContext(AppContext);
-    const [babyData, setBabyData] = useState({
-        internalID_Nickname: '',
-        gestationalAge_Weeks: '',
-        gestationalAge_Days: '',
-        correctedGestationalAge_Weeks: '',
-        correctedGestationalAge_Days: '',
-        pna_Days: '',
-        apgars_1min: '',
-        apgars_5min: '',
-        apgars_10min: '',
-        bedRoomNumber: '',
-        birthWeight: '',
-        birthLength: '',
-        lastWeight: '',
-        headCircumference: '',
-        abdominalGirth: '',
-        bedChangeDue: false,
-        babyQ3StartTime: ''
-    });
+const AddBabyScreen = ({ currentShift, onSaveBaby, onCancel }) => {
+    const currentShiftId = currentShift?.id;
+    const { userId, db, appId } = useContext(AppContext);
+    const [babyData, setBabyData] = useState(EMPTY_BABY_DETAILS);
     const [isSaving, setIsSaving] = useState(false);
 
     // Accordion state
@@ -578,42 +1168,21 @@ const AddBabyScreen = ({ currentShiftId, shiftStartTime, onSaveBaby, onCancel })
         setOpenSection(openSection === sectionName ? '' : sectionName);
     };
 
-    const babyQ3StartOptions = (() => {
-        const [hours] = shiftStartTime.split(':').map(Number);
-        if (hours >= 7 && hours <= 15) { // Day shift range
-            return ['', '08:00', '08:30', '09:00'];
-        } else { // Night shift range
-            return ['', '20:00', '20:30', '21:00'];
-        }
-    })();
-
     const handleChange = (e) => {
-        const { name, value, type, checked } = e.target;
-        // Ensure name is present to avoid Firestore errors with empty field names
-        if (!name) {
-            console.error("Input element is missing 'name' attribute:", e.target);
-            return;
-        }
-
-        let newValue = value;
-        if (type === 'number') {
-            // Convert to number, but store null if empty string
-            newValue = value === '' ? null : Number(value);
-        } else if (type === 'checkbox') {
-            newValue = checked;
-        }
-
-        setBabyData(prev => ({
-            ...prev,
-            [name]: newValue
-        }));
+        setBabyData(prev => applyBabyDetailsChange(prev, e));
     };
 
+    const ageErrors = validateAges(babyData);
+
     const handleSave = async () => {
+        if (Object.keys(ageErrors).length > 0) {
+            setOpenSection('gestationalAge');
+            return;
+        }
         setIsSaving(true);
         try {
             console.log("Attempting to add baby with data:", babyData); // Log for debugging
-            await addBaby(userId, currentShiftId, babyData);
+            await addBaby(db, appId, userId, currentShiftId, babyData);
             alert('Baby added successfully!');
             onSaveBaby();
         } catch (error) {
@@ -631,71 +1200,251 @@ const AddBabyScreen = ({ currentShiftId, shiftStartTime, onSaveBaby, onCancel })
                 <p className="text-sm text-red-600 mb-4">
                     **Important: Do NOT enter any Protected Health Information (PHI) like full patient names, exact dates of birth, or unique identifiers that could re-identify the patient.**
                 </p>
-                <div className="max-w-3xl mx-auto space-y-4"> {/* Added space-y for vertical spacing */}
-                    <CollapsibleSection
-                        title="Basic Info"
-                        isOpen={openSection === 'basicInfo'}
-                        toggleOpen={() => toggleSection('basicInfo')}
-                    >
-                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4"> {/* Reduced gap for within section */}
-                            <Input label="Internal ID / Nickname" name="internalID_Nickname" value={babyData.internalID_Nickname} onChange={handleChange} placeholder="e.g., R3B1, Baby Star" />
-                            <Select
-                                label="Baby's q3 Start Time"
-                                name="babyQ3StartTime"
-                                value={babyData.babyQ3StartTime}
-                                onChange={handleChange}
-                                options={babyQ3StartOptions}
-                            />
-                            <Input label="Days Old / PNA" type="number" name="pna_Days" value={babyData.pna_Days} onChange={handleChange} placeholder="e.g., 15 (calculate from chart)" />
-                            <Input label="Bed / Room Number (Generic)" name="bedRoomNumber" value={babyData.bedRoomNumber} onChange={handleChange} placeholder="e.g., Room 3, Bed 1" />
-                        </div>
-                    </CollapsibleSection>
+                <BabyDetailsFields
+                    babyData={babyData}
+                    onChange={handleChange}
+                    currentShift={currentShift}
+                    ageErrors={ageErrors}
+                    openSection={openSection}
+                    toggleSection={toggleSection}
+                />
+                <div className="flex justify-end space-x-4 mt-6">
+                    <Button onClick={onCancel} className="bg-gray-400 hover:bg-gray-500">Cancel</Button>
+                    <Button onClick={handleSave} disabled={isSaving}>
+                        {isSaving ? 'Saving...' : 'Save Baby'}
+                    </Button>
+                </div>
+            </div>
+        </div>
+    );
+};
 
-                    <CollapsibleSection
-                        title="Gestational & Corrected Age"
-                        isOpen={openSection === 'gestationalAge'}
-                        toggleOpen={() => toggleSection('gestationalAge')}
-                    >
-                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                            <Input label="Gestational Age (Weeks)" type="number" name="gestationalAge_Weeks" value={babyData.gestationalAge_Weeks} onChange={handleChange} />
-                            <Input label="Gestational Age (Days)" type="number" name="gestationalAge_Days" value={babyData.gestationalAge_Days} onChange={handleChange} />
-                            <Input label="Corrected Gestational Age (Weeks)" type="number" name="correctedGestationalAge_Weeks" value={babyData.correctedGestationalAge_Weeks} onChange={handleChange} />
-                            <Input label="Corrected Gestational Age (Days)" type="number" name="correctedGestationalAge_Days" value={babyData.correctedGestationalAge_Days} onChange={handleChange} />
-                        </div>
-                    </CollapsibleSection>
+// Formats a baby details value for the change history
+const formatDetailValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+};
 
-                    <CollapsibleSection
-                        title="Apgars"
-                        isOpen={openSection === 'apgars'}
-                        toggleOpen={() => toggleSection('apgars')}
-                    >
-                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                            <Input label="Apgars (1 min)" type="number" name="apgars_1min" value={babyData.apgars_1min} onChange={handleChange} />
-                            <Input label="Apgars (5 min)" type="number" name="apgars_5min" value={babyData.apgars_5min} onChange={handleChange} />
-                            <Input label="Apgars (10 min)" type="number" name="apgars_10min" value={babyData.apgars_10min} onChange={handleChange} />
-                        </div>
-                    </CollapsibleSection>
+// Screen 3a: Edit Baby Details (demographics, bed, weights, touch time schedule) with change history
+const EditBabyScreen = ({ currentShift, babyId, onSaved, onCancel }) => {
+    const { userId, db, appId } = useContext(AppContext);
+    const [baby, setBaby] = useState(null);
+    const [babyData, setBabyData] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [openSection, setOpenSection] = useState('basicInfo');
+
+    const toggleSection = (sectionName) => {
+        setOpenSection(openSection === sectionName ? '' : sectionName);
+    };
+
+    useEffect(() => {
+        if (!userId || !currentShift?.id || !babyId) return;
+        const unsubscribe = getBaby(db, appId, userId, currentShift.id, babyId, (data) => {
+            setBaby(data);
+            // Fill the form once; later snapshots only refresh the change history
+            setBabyData(prev => prev || (data && Object.fromEntries(
+                Object.keys(EMPTY_BABY_DETAILS).map(field => [field, data[field] ?? EMPTY_BABY_DETAILS[field]])
+            )));
+        });
+        return () => unsubscribe();
+    }, [db, appId, userId, currentShift?.id, babyId]);
+
+    if (!baby || !babyData) {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-gray-100">
+                <p className="text-lg text-gray-600">Loading baby data...</p>
+            </div>
+        );
+    }
+
+    const handleChange = (e) => {
+        setBabyData(prev => applyBabyDetailsChange(prev, e));
+    };
 
+    const ageErrors = validateAges(babyData);
+    const scheduleChanged = babyData.babyQ3StartTime !== (baby.babyQ3StartTime || '') ||
+        babyData.touchTimeInterval !== (baby.touchTimeInterval || DEFAULT_TOUCH_TIME_INTERVAL);
+
+    const handleSave = async () => {
+        if (Object.keys(ageErrors).length > 0) {
+            setOpenSection('gestationalAge');
+            return;
+        }
+        setIsSaving(true);
+        try {
+            const changes = await updateBabyDetails(db, appId, userId, currentShift.id, babyId, babyData);
+            if (Object.keys(changes).length === 0) {
+                alert('No changes to save.');
+                return;
+            }
+            onSaved();
+        } catch (error) {
+            console.error("Error updating baby:", error);
+            alert('Failed to update baby. See console for details.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const history = [...(baby.fieldHistory || [])].reverse();
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-4">
+            <div className="container mx-auto py-8">
+                <h2 className="text-3xl font-bold text-gray-800 mb-6">Edit {baby.internalID_Nickname} (PHI-Free)</h2>
+                <BabyDetailsFields
+                    babyData={babyData}
+                    onChange={handleChange}
+                    currentShift={currentShift}
+                    ageErrors={ageErrors}
+                    openSection={openSection}
+                    toggleSection={toggleSection}
+                />
+                {scheduleChanged && (
+                    <p className="max-w-3xl mx-auto mt-4 p-3 rounded-md bg-indigo-50 text-sm text-indigo-800">
+                        Remaining touch times will follow the new schedule: {generateTouchTimeSchedule(currentShift, babyData.babyQ3StartTime, babyData.touchTimeInterval).join(', ') || '—'}.
+                        Touch times already logged are kept.
+                    </p>
+                )}
+
+                <div className="max-w-3xl mx-auto mt-4">
                     <CollapsibleSection
-                        title="Growth Data"
-                        isOpen={openSection === 'growthData'}
-                        toggleOpen={() => toggleSection('growthData')}
+                        title={`Change History (${history.length})`}
+                        isOpen={openSection === 'history'}
+                        toggleOpen={() => toggleSection('history')}
                     >
-                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                            <Input label="Birth Weight (g)" type="number" name="birthWeight" value={babyData.birthWeight} onChange={handleChange} />
-                            <Input label="Birth Length (cm)" type="number" name="birthLength" value={babyData.birthLength} onChange={handleChange} />
-                            <Input label="Last Weight (g)" type="number" name="lastWeight" value={babyData.lastWeight} onChange={handleChange} />
-                            <Input label="Head Circumference (cm)" type="number" name="headCircumference" value={babyData.headCircumference} onChange={handleChange} />
-                            <Input label="Abdominal Girth (cm)" type="number" name="abdominalGirth" value={babyData.abdominalGirth} onChange={handleChange} />
-                            <Checkbox label="Bed Change Due?" name="bedChangeDue" checked={babyData.bedChangeDue} onChange={handleChange} />
-                        </div>
+                        {history.length === 0 ? (
+                            <p className="text-sm text-gray-600">No changes yet.</p>
+                        ) : (
+                            <ul className="space-y-2 text-sm text-gray-700">
+                                {history.map((entry, index) => (
+                                    <li key={index}>
+                                        <span className="font-semibold">{new Date(entry.at).toLocaleString()}:</span>{' '}
+                                        {Object.entries(entry.changes).map(([field, { from, to }]) => (
+                                            `${BABY_DETAIL_LABELS[field] || field} ${formatDetailValue(from)} → ${formatDetailValue(to)}`
+                                        )).join('; ')}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
                     </CollapsibleSection>
-
                 </div>
+
                 <div className="flex justify-end space-x-4 mt-6">
                     <Button onClick={onCancel} className="bg-gray-400 hover:bg-gray-500">Cancel</Button>
                     <Button onClick={handleSave} disabled={isSaving}>
-                        {isSaving ? 'Saving...' : 'Save Baby'}
+                        {isSaving ? 'Saving...' : 'Save Changes'}
+                    </Button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Screen 3b: Continue from Previous Shift (copies babies with demographics + report sheet, not logs)
+const CarryForwardScreen = ({ shifts, currentShift, onDone, onCancel }) => {
+    const { userId, db, appId } = useContext(AppContext);
+    const previousShifts = shifts.filter(shift => shift.id !== currentShift.id);
+    const [fromShiftId, setFromShiftId] = useState(previousShifts[0]?.id || '');
+    const [fromBabies, setFromBabies] = useState([]);
+    const [currentBabies, setCurrentBabies] = useState([]);
+    const [toggledIds, setToggledIds] = useState([]); // Babies the nurse flipped from the default selection
+    const [isCopying, setIsCopying] = useState(false);
+    const fromShift = previousShifts.find(shift => shift.id === fromShiftId);
+
+    useEffect(() => {
+        if (!userId || !currentShift?.id) return;
+        const unsubscribe = getBabies(db, appId, userId, currentShift.id, setCurrentBabies);
+        return () => unsubscribe();
+    }, [db, appId, userId, currentShift?.id]);
+
+    useEffect(() => {
+        if (!userId || !fromShiftId) return;
+        let cancelled = false;
+        fetchShiftSummaryData(db, appId, userId, fromShiftId)
+            .then(({ babies }) => {
+                if (!cancelled) setFromBabies(babies.filter(baby => !baby.transferredTo));
+            })
+            .catch(error => {
+                console.error("Error loading previous shift:", error);
+                alert('Failed to load babies from that shift.');
+            });
+        return () => { cancelled = true; };
+    }, [db, appId, userId, fromShiftId]);
+
+    const isAlreadyInShift = (baby) => currentBabies.some(b => b.internalID_Nickname === baby.internalID_Nickname);
+
+    // Every baby not already in the current shift is selected by default
+    const selectedIds = fromBabies
+        .filter(baby => isAlreadyInShift(baby) === toggledIds.includes(baby.id))
+        .map(baby => baby.id);
+
+    const toggleBaby = (babyId) => {
+        setToggledIds(prev => prev.includes(babyId) ? prev.filter(id => id !== babyId) : [...prev, babyId]);
+    };
+
+    const handleCopy = async () => {
+        setIsCopying(true);
+        try {
+            for (const baby of fromBabies.filter(b => selectedIds.includes(b.id))) {
+                await addBaby(db, appId, userId, currentShift.id, buildCarriedForwardBaby(baby, fromShift, currentShift));
+            }
+            onDone();
+        } catch (error) {
+            console.error("Error carrying babies forward:", error);
+            alert('Failed to copy babies. See console for details.');
+        } finally {
+            setIsCopying(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-4">
+            <div className="container mx-auto py-8 max-w-3xl">
+                <h2 className="text-3xl font-bold text-gray-800 mb-2">Continue from Previous Shift</h2>
+                <p className="text-sm text-gray-600 mb-6">
+                    Copies demographics and the report sheet (not touch times or events). PNA and CGA are advanced by the days since that shift; fields that usually change are marked for review.
+                </p>
+
+                {previousShifts.length === 0 ? (
+                    <p className="text-gray-600 text-center py-8">No previous shifts to continue from.</p>
+                ) : (
+                    <>
+                        <Select
+                            label="Previous Shift"
+                            name="fromShiftId"
+                            value={fromShiftId}
+                            onChange={(e) => { setFromShiftId(e.target.value); setToggledIds([]); }}
+                            options={previousShifts.map(shift => ({ value: shift.id, label: `${formatShiftRange(shift)} (${shift.assignmentType || 'ICU'})` }))}
+                        />
+                        <div className="mt-4 space-y-2">
+                            {fromBabies.length === 0 && <p className="text-gray-600">No babies in that shift.</p>}
+                            {fromShift && fromBabies.map(baby => {
+                                const preview = buildCarriedForwardBaby(baby, fromShift, currentShift);
+                                return (
+                                    <div key={baby.id} className="bg-white p-4 rounded-lg shadow-sm flex items-center justify-between">
+                                        <Checkbox
+                                            label={baby.internalID_Nickname}
+                                            name={`carry-${baby.id}`}
+                                            checked={selectedIds.includes(baby.id)}
+                                            onChange={() => toggleBaby(baby.id)}
+                                        />
+                                        <div className="text-right text-sm text-gray-600">
+                                            <p>PNA: Day {baby.pna_Days ?? '?'} → {preview.pna_Days ?? '?'} | CGA: {baby.correctedGestationalAge_Weeks}+{baby.correctedGestationalAge_Days} → {preview.correctedGestationalAge_Weeks}+{preview.correctedGestationalAge_Days}</p>
+                                            {isAlreadyInShift(baby) && <p className="text-yellow-700">Already in this shift</p>}
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </>
+                )}
+
+                <div className="flex justify-end space-x-4 mt-8">
+                    <Button onClick={onCancel} className="bg-gray-500 hover:bg-gray-600">Cancel</Button>
+                    <Button onClick={handleCopy} disabled={isCopying || selectedIds.length === 0 || !fromShift}>
+                        {isCopying ? 'Copying...' : `Copy ${selectedIds.length} ${selectedIds.length === 1 ? 'Baby' : 'Babies'}`}
                     </Button>
                 </div>
             </div>
@@ -703,120 +1452,364 @@ const AddBabyScreen = ({ currentShiftId, shiftStartTime, onSaveBaby, onCancel })
     );
 };
 
+// Delivery room interventions (report sheet checkboxes) and how the summary lists them
+const DELIVERY_ROOM_LABELS = {
+    deliveryRoomPpv: 'PPV given',
+    deliveryRoomCpap: 'Straight to bubble CPAP',
+    deliveryRoomIntubated: 'Intubated in delivery room',
+    deliveryRoomCoded: 'Coded at delivery'
+};
+
+// Fills in default values for every report sheet field so form inputs stay controlled
+// and local/remote versions can be compared field by field
+const withReportSheetDefaults = (data) => ({
+    ...data,
+    maternalHistory: data?.maternalHistory || '', // Generated from the maternal fields below on save
+    maternalAge: data?.maternalAge ?? null,
+    maternalGravida: data?.maternalGravida ?? null,
+    maternalPara: data?.maternalPara ?? null,
+    maternalDeliveryType: data?.maternalDeliveryType || '',
+    maternalDeliveryReasons: data?.maternalDeliveryReasons || [],
+    maternalGbs: data?.maternalGbs || '',
+    maternalRomHours: data?.maternalRomHours ?? null,
+    maternalSteroids: data?.maternalSteroids || '',
+    maternalMagnesium: data?.maternalMagnesium || false,
+    maternalLivingChildren: data?.maternalLivingChildren ?? null,
+    maternalConditions: data?.maternalConditions || [],
+    currentProblems: data?.currentProblems || '',
+    // Baby History fields
+    birthWeight: data?.birthWeight || null,
+    currentWeight: data?.currentWeight || null,
+    apgars_1min: data?.apgars_1min || null,
+    apgars_5min: data?.apgars_5min || null,
+    apgars_10min: data?.apgars_10min || null,
+    abdominalGirth: data?.abdominalGirth || null,
+    // Delivery room interventions
+    deliveryRoomPpv: data?.deliveryRoomPpv || false,
+    deliveryRoomCpap: data?.deliveryRoomCpap || false,
+    deliveryRoomIntubated: data?.deliveryRoomIntubated || false,
+    deliveryRoomCoded: data?.deliveryRoomCoded || false,
+    feedIssues: data?.feedIssues || '',
+    babyHistoryNotes: data?.babyHistoryNotes || '',
+    // Imaging - CUS (Cranial Ultrasound)
+    cusDate: data?.cusDate || '',
+    cusFindings: data?.cusFindings || '',
+    cusFollowUpPlan: data?.cusFollowUpPlan || '',
+    cusFollowUpDate: data?.cusFollowUpDate || '',
+    // Imaging - Echo
+    echoDate: data?.echoDate || '',
+    echoFindings: data?.echoFindings || '',
+    echoFollowUpPlan: data?.echoFollowUpPlan || '',
+    echoFollowUpDate: data?.echoFollowUpDate || '',
+    // Imaging - EEG
+    eegDate: data?.eegDate || '',
+    eegFindings: data?.eegFindings || '',
+    eegFollowUpPlan: data?.eegFollowUpPlan || '',
+    eegFollowUpDate: data?.eegFollowUpDate || '',
+    // Other Imaging
+    mriDate: data?.mriDate || '',
+    mriFindings: data?.mriFindings || '',
+    renalUSDate: data?.renalUSDate || '',
+    renalUSFindings: data?.renalUSFindings || '',
+    abdominalUSDate: data?.abdominalUSDate || '',
+    abdominalUSFindings: data?.abdominalUSFindings || '',
+    otherImagingType: data?.otherImagingType || '',
+    otherImagingDate: data?.otherImagingDate || '',
+    otherImagingFindings: data?.otherImagingFindings || '',
+    respiratoryMode: data?.respiratoryMode || '',
+    respiratoryFlow: data?.respiratoryFlow || null, // Changed to null for numbers
+    respiratoryFiO2: data?.respiratoryFiO2 || null, // Changed to null for numbers
+    // Mode-specific respiratory settings (see RESPIRATORY_MODES)
+    respiratoryTemp: data?.respiratoryTemp || null,
+    respiratoryCpap: data?.respiratoryCpap || null,
+    respiratoryNavaLevel: data?.respiratoryNavaLevel || null,
+    respiratoryVentMode: data?.respiratoryVentMode || '',
+    respiratoryRate: data?.respiratoryRate || null,
+    respiratoryPip: data?.respiratoryPip || null,
+    respiratoryPeep: data?.respiratoryPeep || null,
+    respiratoryITime: data?.respiratoryITime || null,
+    respiratoryMap: data?.respiratoryMap || null,
+    respiratoryAmplitude: data?.respiratoryAmplitude || null,
+    respiratoryHz: data?.respiratoryHz || null,
+    respiratoryEtTube: data?.respiratoryEtTube || '',
+    respiratoryHistory: data?.respiratoryHistory || [], // Change log: [{ at, mode, settings, reason }]
+    respiratoryStartDate: data?.respiratoryStartDate || '', // Date the current support was started
+    respiratoryFiO2Range: data?.respiratoryFiO2Range || '',
+    respiratoryNotes: data?.respiratoryNotes || '',
+    cbgAbgSchedule: data?.cbgAbgSchedule || '',
+    feedsRoute: data?.feedsRoute || '',
+    ngOgTubeDetails: data?.ngOgTubeDetails || '',
+    feedType: data?.feedType || '',
+    feedCalories: data?.feedCalories || null, // Changed to null for numbers
+    feedVolume: data?.feedVolume || null, // Changed to null for numbers
+    feedSpecialInstructions: data?.feedSpecialInstructions || '',
+    bottleNippleType: data?.bottleNippleType || '',
+    ivLineType: data?.ivLineType || '', // '', 'Peripheral', 'PICC', 'UVC', 'UAC'
+    ivSite: data?.ivSite || '',
+    ivFluidsGeneral: data?.ivFluidsGeneral || '',
+    ivRateGeneral: data?.ivRateGeneral || '',
+    // PICC-specific
+    piccCircumference: data?.piccCircumference || '',
+    piccLineOut: data?.piccLineOut || '',
+    piccFluids: data?.piccFluids || '',
+    piccRate: data?.piccRate || '',
+    // UVC-specific
+    uvcLengthVisible: data?.uvcLengthVisible || '',
+    uvcProximalLumen: data?.uvcProximalLumen || '',
+    uvcProximalRate: data?.uvcProximalRate || '',
+    uvcDistalLumen: data?.uvcDistalLumen || '',
+    uvcDistalRate: data?.uvcDistalRate || '',
+    // UAC-specific
+    uacLengthVisible: data?.uacLengthVisible || '',
+    uacFluids: data?.uacFluids || '',
+    uacRate: data?.uacRate || '',
+    medications: normalizeMedications(data?.medications), // Orders; older sheets stored checkboxes
+    labsOrdered: data?.labsOrdered || '',
+    labResults: data?.labResults || '',
+    treatmentPlan: data?.treatmentPlan || '',
+    notes: data?.notes || '',
+    // Intermediate-specific fields
+    feedingProgression: data?.feedingProgression || '',
+    feedingGoals: data?.feedingGoals || '',
+    bottleFeedingStatus: data?.bottleFeedingStatus || '',
+    breastfeedingStatus: data?.breastfeedingStatus || '',
+    dischargeGoals: data?.dischargeGoals || '',
+    dischargeCriteria: data?.dischargeCriteria || '',
+    parentTeaching: data?.parentTeaching || '',
+    parentInvolvement: data?.parentInvolvement || '',
+    growthGoals: data?.growthGoals || '',
+    carSeatTest: data?.carSeatTest || '',
+    homePreparation: data?.homePreparation || ''
+});
+
+const formatConflictValue = (value) => {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    if (Array.isArray(value)) { // Medication orders or respiratory changes
+        return value.map(item => (item.mode ? `${item.mode} ${formatRespiratorySettings(item.settings)}`.trim() : formatMedicationOrder(item))).join(', ') || '(none)';
+    }
+    if (typeof value === 'object') {
+        return Object.entries(value).filter(([, v]) => v).map(([k, v]) => (v === true ? k : `${k}: ${v}`)).join(', ') || '(none)';
+    }
+    return String(value);
+};
+
+// Fields edited here and on another device, each resolved with Keep Mine / Use Theirs
+// Shared by the report sheet and touch time log edits
+const ConflictList = ({ conflicts, onResolve, labels = {} }) => {
+    if (conflicts.length === 0) return null;
+    return (
+        <div className="bg-orange-50 border-l-4 border-orange-400 p-4 mb-4 rounded-md">
+            <p className="text-sm font-semibold text-orange-800 mb-2">
+                These fields were changed on another device while you were editing:
+            </p>
+            {conflicts.map(conflict => (
+                <div key={conflict.field} className="flex flex-wrap items-center justify-between gap-2 py-2 border-t border-orange-200 text-sm">
+                    <div>
+                        <p className="font-semibold text-gray-800">{labels[conflict.field] || conflict.field}</p>
+                        <p className="text-gray-700">Yours: {formatConflictValue(conflict.mine)}</p>
+                        <p className="text-gray-700">Other device: {formatConflictValue(conflict.theirs)}</p>
+                    </div>
+                    <div className="flex space-x-2">
+                        <Button onClick={() => onResolve(conflict.field, false)} className="text-xs">Keep Mine</Button>
+                        <Button onClick={() => onResolve(conflict.field, true)} className="text-xs bg-gray-500 hover:bg-gray-600">Use Theirs</Button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Respiratory change log and weaning timeline (entries span every shift the sheet was carried through)
+const RespiratoryHistory = ({ history, onRemove }) => {
+    const entries = [...history].sort((a, b) => new Date(b.at) - new Date(a.at));
+    return (
+        <div className="mt-6">
+            <h4 className="text-lg font-semibold text-gray-800 mb-2">Weaning Timeline</h4>
+            {/* Markup is generated locally (text is escaped) */}
+            <div dangerouslySetInnerHTML={{ __html: renderWeaningTimelineSvg(history) }} />
+            {entries.length > 0 && (
+                <ul className="mt-3 space-y-2 text-sm text-gray-700">
+                    {entries.map(entry => (
+                        <li key={entry.at} className="flex justify-between items-start p-2 rounded-md bg-gray-50">
+                            <div>
+                                <p><span className="font-semibold">{new Date(entry.at).toLocaleString()}</span> - {getRespiratoryMode(entry.mode)?.label || entry.mode}</p>
+                                {formatRespiratorySettings(entry.settings) && <p className="text-gray-600">{formatRespiratorySettings(entry.settings)}</p>}
+                                {entry.reason && <p className="italic text-gray-600">Reason: {entry.reason}</p>}
+                            </div>
+                            <button className="text-red-600 text-xs hover:underline" onClick={() => onRemove(entry)}>Remove</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// Medication orders on the report sheet (saved with the rest of the sheet)
+const MedicationOrdersEditor = ({ orders, onChange }) => {
+    const frequencyOptions = Object.entries(MEDICATION_FREQUENCIES).map(([value, { label }]) => ({ value, label }));
+    const groups = [...new Set(COMMON_MEDICATIONS.map(med => med.group))];
+
+    const updateOrder = (id, field, value) => {
+        onChange(orders.map(order => (order.id === id ? { ...order, [field]: value } : order)));
+    };
+
+    const addOrder = (fields) => onChange([...orders, createMedicationOrder(fields)]);
+
+    return (
+        <div className="space-y-4">
+            {orders.length === 0 && <p className="text-sm text-gray-600">No medications. Add one below.</p>}
+            {orders.map(order => (
+                <div key={order.id} className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end p-3 bg-white rounded-md border border-gray-200">
+                    <div className="col-span-2">
+                        <Input label="Medication" name="name" value={order.name} onChange={(e) => updateOrder(order.id, 'name', e.target.value)} placeholder="e.g., Vanc" />
+                    </div>
+                    <Input label="Dose" name="dose" value={order.dose} onChange={(e) => updateOrder(order.id, 'dose', e.target.value)} placeholder="e.g., 5 mg" />
+                    <Select label="Route" name="route" value={order.route} onChange={(e) => updateOrder(order.id, 'route', e.target.value)} options={['', ...MEDICATION_ROUTES].map(route => ({ value: route, label: route || 'Select' }))} />
+                    <Select label="Frequency" name="frequency" value={order.frequency} onChange={(e) => updateOrder(order.id, 'frequency', e.target.value)} options={frequencyOptions} />
+                    <div className="flex items-end space-x-2">
+                        {order.frequency !== 'prn' && (
+                            <Input label="Next Due" type="time" name="nextDue" value={order.nextDue} onChange={(e) => updateOrder(order.id, 'nextDue', e.target.value)} />
+                        )}
+                        <button className="text-red-600 text-sm hover:underline pb-2" onClick={() => onChange(orders.filter(o => o.id !== order.id))}>Remove</button>
+                    </div>
+                </div>
+            ))}
+            {groups.map(group => (
+                <div key={group}>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">{group}</label>
+                    <div className="flex flex-wrap gap-2">
+                        {COMMON_MEDICATIONS.filter(med => med.group === group).map(({ key, name, route, frequency }) => (
+                            <button
+                                key={key}
+                                className="px-3 py-1 text-sm rounded-full border border-indigo-300 text-indigo-700 hover:bg-indigo-50"
+                                onClick={() => addOrder({ name, route, frequency })}
+                            >
+                                + {name}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            ))}
+            <Button onClick={() => addOrder({})} className="bg-gray-600 hover:bg-gray-700">Add Other Medication</Button>
+            <p className="text-xs text-gray-500">Next Due sets the dose schedule (e.g., q8h due 09:00 → 01:00, 09:00, 17:00). Doses are marked given from the Touch Time Logs tab.</p>
+        </div>
+    );
+};
+
+// Structured maternal history with the generated summary line (no free text, so no PHI)
+const MaternalHistoryFields = ({ values, onChange, onToggle }) => {
+    const conditions = values.maternalConditions || [];
+    const reasons = values.maternalDeliveryReasons || [];
+    const summary = generateMaternalSummary(values);
+    return (
+        <div className="space-y-4">
+            <h4 className="text-lg font-medium text-gray-700">Maternal History</h4>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <Input label="Maternal Age" type="number" name="maternalAge" value={values.maternalAge ?? ''} onChange={onChange} />
+                <Input label="Gravida (G)" type="number" name="maternalGravida" value={values.maternalGravida ?? ''} onChange={onChange} />
+                <Input label="Para (P)" type="number" name="maternalPara" value={values.maternalPara ?? ''} onChange={onChange} />
+                <Input label="Living Children" type="number" name="maternalLivingChildren" value={values.maternalLivingChildren ?? ''} onChange={onChange} />
+                <Select label="Delivery Type" name="maternalDeliveryType" value={values.maternalDeliveryType} onChange={onChange} options={['', ...DELIVERY_TYPES]} />
+                <Select label="GBS Status" name="maternalGbs" value={values.maternalGbs} onChange={onChange} options={['', ...GBS_STATUSES]} />
+                <Input label={`ROM (hours, prolonged ≥${PROLONGED_ROM_HOURS})`} type="number" name="maternalRomHours" value={values.maternalRomHours ?? ''} onChange={onChange} />
+                <Select label="Antenatal Steroids" name="maternalSteroids" value={values.maternalSteroids} onChange={onChange} options={['', ...STEROID_COURSES]} />
+                <div className="flex items-end pb-2">
+                    <Checkbox label="Magnesium given" name="maternalMagnesium" checked={Boolean(values.maternalMagnesium)} onChange={onChange} />
+                </div>
+            </div>
+            <div>
+                <p className="block text-sm font-medium text-gray-700 mb-2">Delivery Reason</p>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    {DELIVERY_REASONS.map(reason => (
+                        <Checkbox key={reason.value} label={reason.label} checked={reasons.includes(reason.value)} onChange={(e) => onToggle('maternalDeliveryReasons', reason.value, e.target.checked)} />
+                    ))}
+                </div>
+            </div>
+            <div>
+                <p className="block text-sm font-medium text-gray-700 mb-2">Maternal Conditions</p>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    {MATERNAL_CONDITIONS
+                        .filter(condition => !condition.modifierOf || conditions.includes(condition.modifierOf))
+                        .map(condition => (
+                            <Checkbox
+                                key={condition.value}
+                                label={condition.label}
+                                className={condition.modifierOf ? 'ml-4' : ''}
+                                checked={conditions.includes(condition.value)}
+                                onChange={(e) => onToggle('maternalConditions', condition.value, e.target.checked)}
+                            />
+                        ))}
+                </div>
+            </div>
+            <div className="p-3 bg-indigo-50 rounded-md text-sm">
+                <span className="font-semibold text-indigo-800">Summary: </span>
+                {summary || <span className="text-gray-500">Fill in the fields above</span>}
+            </div>
+            {!hasMaternalHistoryFields(values) && values.maternalHistory && (
+                <p className="text-xs text-gray-600">
+                    Earlier free-text entry: {values.maternalHistory} (replaced by the summary once the fields above are filled in)
+                </p>
+            )}
+        </div>
+    );
+};
+
 // Component for Report Sheet tab
-const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
-    const { userId, db } = useContext(AppContext);
+const ReportSheetSection = ({ currentShift, baby, assignmentType, staleFields = [] }) => {
+    const { userId, db, appId } = useContext(AppContext);
+    const currentShiftId = currentShift.id;
+    const babyId = baby.id;
     const [reportData, setReportData] = useState({});
+    const [conflicts, setConflicts] = useState([]); // [{ field, mine, theirs }] edited here and on another device
     const [isSaving, setIsSaving] = useState(false);
+    const [respiratoryChangeReason, setRespiratoryChangeReason] = useState(''); // Logged with the next respiratory change
+    const baseReportRef = useRef(null); // Last version received from Firestore
+    const localReportRef = useRef({});
     const [openSection, setOpenSection] = useState(assignmentType === 'Intermediate' ? 'feedingProgression' : 'historyProblems'); // Accordion state - default to relevant section
 
     const toggleSection = (sectionName) => {
         setOpenSection(openSection === sectionName ? '' : sectionName);
     };
 
+    // Highlights inputs carried forward from a previous shift that still need review
+    const staleClass = (field) => (staleFields.includes(`reportSheet.${field}`) ? 'bg-yellow-50 border-yellow-400' : '');
+
+    // Feed options follow the baby's CGA and the respiratory support being entered
+    const feedingOptions = getFeedingOptions(baby, reportData);
+    const feedingIssues = checkFeedingEntries(baby, reportData);
+
+    // Keep the latest local edits reachable from the snapshot callback
+    useEffect(() => {
+        localReportRef.current = reportData;
+    }, [reportData]);
+
     useEffect(() => {
         if (!userId || !currentShiftId || !babyId) return;
-        const unsubscribe = getReportSheet(userId, currentShiftId, babyId, (data) => {
-            // Ensure medications object exists for checkboxes and provide default values for all fields
-            setReportData({
-                ...data,
-                maternalHistory: data?.maternalHistory || '',
-                currentProblems: data?.currentProblems || '',
-                // Baby History fields
-                birthWeight: data?.birthWeight || null,
-                currentWeight: data?.currentWeight || null,
-                apgars_1min: data?.apgars_1min || null,
-                apgars_5min: data?.apgars_5min || null,
-                apgars_10min: data?.apgars_10min || null,
-                abdominalGirth: data?.abdominalGirth || null,
-                // Imaging - CUS (Cranial Ultrasound)
-                cusDate: data?.cusDate || '',
-                cusFindings: data?.cusFindings || '',
-                cusFollowUpPlan: data?.cusFollowUpPlan || '',
-                cusFollowUpDate: data?.cusFollowUpDate || '',
-                // Imaging - Echo
-                echoDate: data?.echoDate || '',
-                echoFindings: data?.echoFindings || '',
-                echoFollowUpPlan: data?.echoFollowUpPlan || '',
-                echoFollowUpDate: data?.echoFollowUpDate || '',
-                // Imaging - EEG
-                eegDate: data?.eegDate || '',
-                eegFindings: data?.eegFindings || '',
-                eegFollowUpPlan: data?.eegFollowUpPlan || '',
-                eegFollowUpDate: data?.eegFollowUpDate || '',
-                // Other Imaging
-                mriDate: data?.mriDate || '',
-                mriFindings: data?.mriFindings || '',
-                renalUSDate: data?.renalUSDate || '',
-                renalUSFindings: data?.renalUSFindings || '',
-                abdominalUSDate: data?.abdominalUSDate || '',
-                abdominalUSFindings: data?.abdominalUSFindings || '',
-                otherImagingType: data?.otherImagingType || '',
-                otherImagingDate: data?.otherImagingDate || '',
-                otherImagingFindings: data?.otherImagingFindings || '',
-                respiratoryMode: data?.respiratoryMode || '',
-                respiratoryFlow: data?.respiratoryFlow || null, // Changed to null for numbers
-                respiratoryFiO2: data?.respiratoryFiO2 || null, // Changed to null for numbers
-                cbgAbgSchedule: data?.cbgAbgSchedule || '',
-                feedsRoute: data?.feedsRoute || '',
-                ngOgTubeDetails: data?.ngOgTubeDetails || '',
-                feedType: data?.feedType || '',
-                feedCalories: data?.feedCalories || null, // Changed to null for numbers
-                feedVolume: data?.feedVolume || null, // Changed to null for numbers
-                feedSpecialInstructions: data?.feedSpecialInstructions || '',
-                bottleNippleType: data?.bottleNippleType || '',
-                ivLineType: data?.ivLineType || '', // '', 'Peripheral', 'PICC', 'UVC', 'UAC'
-                ivSite: data?.ivSite || '',
-                ivFluidsGeneral: data?.ivFluidsGeneral || '',
-                ivRateGeneral: data?.ivRateGeneral || '',
-                // PICC-specific
-                piccCircumference: data?.piccCircumference || '',
-                piccLineOut: data?.piccLineOut || '',
-                piccFluids: data?.piccFluids || '',
-                piccRate: data?.piccRate || '',
-                // UVC-specific
-                uvcLengthVisible: data?.uvcLengthVisible || '',
-                uvcProximalLumen: data?.uvcProximalLumen || '',
-                uvcProximalRate: data?.uvcProximalRate || '',
-                uvcDistalLumen: data?.uvcDistalLumen || '',
-                uvcDistalRate: data?.uvcDistalRate || '',
-                // UAC-specific
-                uacLengthVisible: data?.uacLengthVisible || '',
-                uacFluids: data?.uacFluids || '',
-                uacRate: data?.uacRate || '',
-                medications: data?.medications || {
-                    vitD: false,
-                    multivitaminWithIron: false,
-                    multivitaminWithoutIron: false,
-                    iron: false,
-                    caffeine: false,
-                    nacl: false,
-                    glycerin: false,
-                    kcl: false,
-                    ampicillin: false,
-                    gentamicin: false,
-                    otherMedications: ''
-                },
-                labsOrdered: data?.labsOrdered || '',
-                labResults: data?.labResults || '',
-                treatmentPlan: data?.treatmentPlan || '',
-                notes: data?.notes || '',
-                // Intermediate-specific fields
-                feedingProgression: data?.feedingProgression || '',
-                feedingGoals: data?.feedingGoals || '',
-                bottleFeedingStatus: data?.bottleFeedingStatus || '',
-                breastfeedingStatus: data?.breastfeedingStatus || '',
-                dischargeGoals: data?.dischargeGoals || '',
-                dischargeCriteria: data?.dischargeCriteria || '',
-                parentTeaching: data?.parentTeaching || '',
-                parentInvolvement: data?.parentInvolvement || '',
-                growthGoals: data?.growthGoals || '',
-                carSeatTest: data?.carSeatTest || '',
-                homePreparation: data?.homePreparation || ''
-            });
+        baseReportRef.current = null;
+        const unsubscribe = getReportSheet(db, appId, userId, currentShiftId, babyId, (data) => {
+            const remote = withReportSheetDefaults(data);
+            const base = baseReportRef.current;
+            baseReportRef.current = remote;
+
+            if (!base) {
+                setReportData(remote);
+                return;
+            }
+
+            // Another device (or our own queued save) changed the sheet: merge field by field
+            // so unsaved local edits are kept and true conflicts are surfaced
+            const { merged, conflicts: newConflicts } = mergeRemoteChanges(base, localReportRef.current, remote);
+            setReportData(merged);
+            if (newConflicts.length > 0) {
+                setConflicts(prev => [
+                    ...prev.filter(c => !newConflicts.some(n => n.field === c.field)),
+                    ...newConflicts
+                ]);
+            }
         });
         return () => unsubscribe();
-    }, [userId, currentShiftId, babyId]);
+    }, [db, appId, userId, currentShiftId, babyId]);
 
     const handleChange = (e) => {
         const { name, value, type, checked } = e.target;
@@ -832,44 +1825,58 @@ const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
             newValue = checked;
         }
 
-        // Handle medications as a nested object
-        if (name === 'vitD' || name === 'multivitaminWithIron' || name === 'multivitaminWithoutIron' ||
-            name === 'iron' || name === 'caffeine' || name === 'nacl' || name === 'glycerin' ||
-            name === 'kcl' || name === 'ampicillin' || name === 'gentamicin' || name === 'otherMedications') {
-            setReportData(prev => ({
+        setReportData(prev => ({ ...prev, [name]: newValue }));
+    };
+
+    // Checkbox lists (maternal conditions, delivery reasons); unchecking a condition drops its modifiers
+    const handleListToggle = (field, value, checked) => {
+        setReportData(prev => {
+            const current = prev[field] || [];
+            const modifiers = MATERNAL_CONDITIONS.filter(option => option.modifierOf === value).map(option => option.value);
+            return {
                 ...prev,
-                medications: {
-                    ...prev.medications,
-                    [name]: newValue
-                }
-            }));
-        } else {
-            setReportData(prev => ({ ...prev, [name]: newValue }));
-        }
+                [field]: checked
+                    ? [...current, value]
+                    : current.filter(item => item !== value && !(field === 'maternalConditions' && modifiers.includes(item)))
+            };
+        });
     };
 
-    const handleCheckboxChange = (e) => {
-        // This function is specifically for the main checkboxes like Gentamicin, Ampicillin, Vanc
-        const { name, checked } = e.target;
-        if (!name) {
-            console.error("Checkbox element is missing 'name' attribute:", e.target);
-            return;
+
+    const resolveConflict = (field, useTheirs) => {
+        const conflict = conflicts.find(c => c.field === field);
+        if (useTheirs && conflict) {
+            setReportData(prev => ({ ...prev, [field]: conflict.theirs }));
         }
-        setReportData(prev => ({
-            ...prev,
-            medications: {
-                ...prev.medications,
-                [name]: checked
-            }
-        }));
+        setConflicts(prev => prev.filter(c => c.field !== field));
     };
 
-
     const handleSaveReport = async () => {
+        if (conflicts.length > 0) {
+            alert('Please resolve the conflicting changes before saving.');
+            return;
+        }
+        // A new respiratory mode or setting is added to the change log
+        const respiratoryChange = buildRespiratoryChange(reportData, respiratoryChangeReason);
+        let reportToSave = respiratoryChange
+            ? { ...reportData, respiratoryHistory: appendRespiratoryChange(reportData.respiratoryHistory, respiratoryChange) }
+            : reportData;
+        // The maternal history line is regenerated from the structured fields (an older free-text entry is kept until they are filled in)
+        if (hasMaternalHistoryFields(reportToSave)) {
+            reportToSave = { ...reportToSave, maternalHistory: generateMaternalSummary(reportToSave) };
+        }
+        // Only write the fields edited here so concurrent edits to other fields are preserved
+        const changedFields = diffFields(baseReportRef.current, reportToSave);
+        if (Object.keys(changedFields).length === 0) {
+            alert('No changes to save.');
+            return;
+        }
         setIsSaving(true);
         try {
-            await setReportSheet(userId, currentShiftId, babyId, reportData);
-            alert('Report Sheet updated!');
+            await setReportSheet(db, appId, userId, currentShiftId, babyId, changedFields);
+            setReportData(reportToSave);
+            setRespiratoryChangeReason('');
+            alert(navigator.onLine ? 'Report Sheet updated!' : 'Report Sheet saved offline. It will sync when you reconnect.');
         } catch (error) {
             console.error("Error saving report sheet:", error);
             alert('Failed to save report sheet.');
@@ -884,6 +1891,7 @@ const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
             <p className="text-sm text-red-600 mb-4">
                 **Reminder: Do NOT enter any PHI in free-text fields.**
             </p>
+            <ConflictList conflicts={conflicts} onResolve={resolveConflict} />
             <div className="space-y-4"> {/* Added space-y for vertical spacing between collapsible sections */}
                 <CollapsibleSection
                     title="History & Current Problems"
@@ -891,7 +1899,7 @@ const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
                     toggleOpen={() => toggleSection('historyProblems')}
                 >
                     <div className="grid grid-cols-1 gap-4">
-                        <TextArea label="Maternal History (De-identified)" name="maternalHistory" value={reportData.maternalHistory} onChange={handleChange} placeholder="e.g., G1P1, chorio, GDM, c/s (no names)" />
+                        <MaternalHistoryFields values={reportData} onChange={handleChange} onToggle={handleListToggle} />
                         <TextArea label="Baby's Current Problems" name="currentProblems" value={reportData.currentProblems} onChange={handleChange} placeholder="e.g., Presumed pneumonia, hypoglycemia" />
                     </div>
                 </CollapsibleSection>
@@ -903,11 +1911,21 @@ const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
                 >
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                         <Input label="Birth Weight (g)" type="number" name="birthWeight" value={reportData.birthWeight} onChange={handleChange} />
-                        <Input label="Current Weight (g)" type="number" name="currentWeight" value={reportData.currentWeight} onChange={handleChange} />
+                        <Input label="Current Weight (g)" type="number" name="currentWeight" value={reportData.currentWeight} onChange={handleChange} className={staleClass('currentWeight')} />
                         <Input label="Apgars (1 min)" type="number" name="apgars_1min" value={reportData.apgars_1min} onChange={handleChange} />
                         <Input label="Apgars (5 min)" type="number" name="apgars_5min" value={reportData.apgars_5min} onChange={handleChange} />
                         <Input label="Apgars (10 min)" type="number" name="apgars_10min" value={reportData.apgars_10min} onChange={handleChange} />
                         <Input label="Abdominal Girth (cm)" type="number" name="abdominalGirth" value={reportData.abdominalGirth} onChange={handleChange} />
+                        <div className="md:col-span-2">
+                            <p className="block text-sm font-medium text-gray-700 mb-2">Delivery Room</p>
+                            <div className="grid grid-cols-2 gap-2">
+                                {Object.entries(DELIVERY_ROOM_LABELS).map(([field, label]) => (
+                                    <Checkbox key={field} label={label} name={field} checked={Boolean(reportData[field])} onChange={handleChange} />
+                                ))}
+                            </div>
+                        </div>
+                        <TextArea label="Feed Issues" name="feedIssues" value={reportData.feedIssues} onChange={handleChange} placeholder="e.g., reflux, poor suck" className="md:col-span-2" rows="2" />
+                        <TextArea label="Baby History Notes" name="babyHistoryNotes" value={reportData.babyHistoryNotes} onChange={handleChange} placeholder="e.g., NICU course so far (no names)" className="md:col-span-2" rows="2" />
                     </div>
                 </CollapsibleSection>
 
@@ -981,12 +1999,34 @@ const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
                             name="respiratoryMode"
                             value={reportData.respiratoryMode}
                             onChange={handleChange}
-                            options={['', 'RA', 'NC', 'HFNC', 'CPAP', 'Vent']}
+                            options={[{ value: '', label: 'Select' }, ...RESPIRATORY_MODES.map(({ value, label }) => ({ value, label }))]}
                         />
-                        <Input label="Flow (L/min)" type="number" name="respiratoryFlow" value={reportData.respiratoryFlow} onChange={handleChange} />
-                        <Input label="FiO₂ (%)" type="number" name="respiratoryFiO2" value={reportData.respiratoryFiO2} onChange={handleChange} />
                         <Input label="CBG / ABG Schedule" name="cbgAbgSchedule" value={reportData.cbgAbgSchedule} onChange={handleChange} placeholder="e.g., q6h, q shift" />
+                        <Input label="On Current Support Since" type="date" name="respiratoryStartDate" value={reportData.respiratoryStartDate} onChange={handleChange} />
+                        <Input label="FiO₂ Range This Shift" name="respiratoryFiO2Range" value={reportData.respiratoryFiO2Range} onChange={handleChange} placeholder="e.g., 21-30%" className={staleClass('respiratoryFiO2Range')} />
+                        {/* Settings for the selected mode */}
+                        {(getRespiratoryMode(reportData.respiratoryMode)?.settings || []).map(field => {
+                            const setting = RESPIRATORY_SETTINGS[field];
+                            const label = setting.unit ? `${setting.label} (${setting.unit})` : setting.label;
+                            return setting.options
+                                ? <Select key={field} label={label} name={field} value={reportData[field]} onChange={handleChange} options={setting.options} />
+                                : <Input key={field} label={label} type={setting.type || 'text'} name={field} value={reportData[field]} onChange={handleChange} placeholder={setting.placeholder} className={staleClass(field)} />;
+                        })}
+                        <div className="col-span-full">
+                            <Input
+                                label="Reason for Change (logged when you save a new mode or setting)"
+                                name="respiratoryChangeReason"
+                                value={respiratoryChangeReason}
+                                onChange={(e) => setRespiratoryChangeReason(e.target.value)}
+                                placeholder="e.g., weaning trial, increased work of breathing"
+                            />
+                        </div>
+                        <TextArea label="Respiratory Notes" name="respiratoryNotes" value={reportData.respiratoryNotes} onChange={handleChange} placeholder="e.g., frequent desats, desats on right side" className="col-span-full" rows="2" />
                     </div>
+                    <RespiratoryHistory
+                        history={reportData.respiratoryHistory || []}
+                        onRemove={(entry) => setReportData(prev => ({ ...prev, respiratoryHistory: prev.respiratoryHistory.filter(e => e !== entry) }))}
+                    />
                 </CollapsibleSection>
 
                 <CollapsibleSection
@@ -995,12 +2035,15 @@ const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
                     toggleOpen={() => toggleSection('feeds')}
                 >
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {feedingOptions.poBlockedReason && (
+                            <p className="col-span-full text-sm text-orange-700">PO options hidden: {feedingOptions.poBlockedReason}.</p>
+                        )}
                         <RadioGroup
                             label="Feeds Route"
                             name="feedsRoute"
                             selectedValue={reportData.feedsRoute}
                             onChange={handleChange}
-                            options={[{ value: 'PO', label: 'PO' }, { value: 'NG', label: 'NG' }, { value: 'NPO', label: 'NPO' }]}
+                            options={feedingOptions.routes}
                         />
                         <Input label="NG/OG Tube Details" name="ngOgTubeDetails" value={reportData.ngOgTubeDetails} onChange={handleChange} placeholder="e.g., 8Fr OG @ 10cm" />
                         <Select
@@ -1008,19 +2051,24 @@ const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
                             name="feedType"
                             value={reportData.feedType}
                             onChange={handleChange}
-                            options={['', 'Formula', 'Breastmilk', 'Donor', 'Fortified', 'Nutramigen 20 cal', 'Nutramigen 22 cal']}
+                            options={['', ...feedingOptions.feedTypes]}
                         />
-                        <Input label="Feed Calories" name="feedCalories" value={reportData.feedCalories} onChange={handleChange} placeholder="e.g., 20 cal" />
-                        <Input label="Feed Volume" type="number" name="feedVolume" value={reportData.feedVolume} onChange={handleChange} />
+                        <Select label="Feed Calories" name="feedCalories" value={reportData.feedCalories ?? ''} onChange={handleChange} options={['', ...feedingOptions.calories]} />
+                        <Input label="Feed Volume" type="number" name="feedVolume" value={reportData.feedVolume} onChange={handleChange} className={staleClass('feedVolume')} />
                         <TextArea label="Feed Special Instructions" name="feedSpecialInstructions" value={reportData.feedSpecialInstructions} onChange={handleChange} placeholder="e.g., Hold if RR > 70" />
                         <Select
                             label="Bottle/Nipple Type"
                             name="bottleNippleType"
                             value={reportData.bottleNippleType}
                             onChange={handleChange}
-                            options={['', 'Slow flow', 'Extra slow flow', 'Dr. Browns preemie', 'Dr. Browns ultra preemie', 'Dr. Browns transition', 'Dr. Browns level 1', 'Dr. Browns level 2', 'MAM level 0', 'MAM level 1', 'MAM level 2', 'Other']}
+                            options={['', ...feedingOptions.nippleTypes]}
                         />
-                    </div>
+                        {feedingIssues.length > 0 && (
+                            <div className="col-span-full p-3 rounded-md bg-orange-50 border border-orange-300 text-sm text-orange-800">
+                                {feedingIssues.map((issue, index) => <p key={index}>⚠ {issue}</p>)}
+                            </div>
+                        )}
+                    </div>
                 </CollapsibleSection>
 
                 <CollapsibleSection
@@ -1041,7 +2089,7 @@ const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
                         {/* Peripheral or General IV Fields */}
                         {(reportData.ivLineType === 'Peripheral' || reportData.ivLineType === '') && (
                             <>
-                                <TextArea label="IV Fluids" name="ivFluidsGeneral" value={reportData.ivFluidsGeneral} onChange={handleChange} placeholder="e.g., D10 80 mL/kg/day" />
+                                <TextArea label="IV Fluids" name="ivFluidsGeneral" value={reportData.ivFluidsGeneral} onChange={handleChange} placeholder="e.g., D10 80 mL/kg/day" className={staleClass('ivFluidsGeneral')} />
                                 <Input label="Rate" name="ivRateGeneral" value={reportData.ivRateGeneral} onChange={handleChange} placeholder="e.g., 4.2 mL/hr" />
                             </>
                         )}
@@ -1093,39 +2141,10 @@ const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
                     isOpen={openSection === 'medications'}
                     toggleOpen={() => toggleSection('medications')}
                 >
-                    <div className="grid grid-cols-1 gap-4">
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-2">Vitamins & Supplements</label>
-                            <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
-                                <Checkbox label="Vitamin D" name="vitD" checked={reportData.medications?.vitD} onChange={handleCheckboxChange} />
-                                <Checkbox label="MVI with Iron" name="multivitaminWithIron" checked={reportData.medications?.multivitaminWithIron} onChange={handleCheckboxChange} />
-                                <Checkbox label="MVI w/o Iron" name="multivitaminWithoutIron" checked={reportData.medications?.multivitaminWithoutIron} onChange={handleCheckboxChange} />
-                                <Checkbox label="Iron" name="iron" checked={reportData.medications?.iron} onChange={handleCheckboxChange} />
-                            </div>
-                        </div>
-
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-2">Common NICU Meds</label>
-                            <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
-                                <Checkbox label="Caffeine" name="caffeine" checked={reportData.medications?.caffeine} onChange={handleCheckboxChange} />
-                                <Checkbox label="NaCl" name="nacl" checked={reportData.medications?.nacl} onChange={handleCheckboxChange} />
-                                <Checkbox label="Glycerin" name="glycerin" checked={reportData.medications?.glycerin} onChange={handleCheckboxChange} />
-                                <Checkbox label="KCl" name="kcl" checked={reportData.medications?.kcl} onChange={handleCheckboxChange} />
-                            </div>
-                        </div>
-
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-2">Antibiotics</label>
-                            <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
-                                <Checkbox label="Ampicillin" name="ampicillin" checked={reportData.medications?.ampicillin} onChange={handleCheckboxChange} />
-                                <Checkbox label="Gentamicin" name="gentamicin" checked={reportData.medications?.gentamicin} onChange={handleCheckboxChange} />
-                            </div>
-                        </div>
-
-                        <div className="col-span-full">
-                            <Input label="Other Medications" name="otherMedications" value={reportData.medications?.otherMedications} onChange={handleChange} placeholder="e.g., Vanc, Dopamine, etc." />
-                        </div>
-                    </div>
+                    <MedicationOrdersEditor
+                        orders={reportData.medications || []}
+                        onChange={(orders) => setReportData(prev => ({ ...prev, medications: orders }))}
+                    />
                 </CollapsibleSection>
 
                 <CollapsibleSection
@@ -1134,8 +2153,8 @@ const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
                     toggleOpen={() => toggleSection('labsTxNotes')}
                 >
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        <TextArea label="Labs Ordered" name="labsOrdered" value={reportData.labsOrdered} onChange={handleChange} placeholder="e.g., CRP, CBC (with time)" />
-                        <TextArea label="Lab Results" name="labResults" value={reportData.labResults} onChange={handleChange} placeholder="e.g., CRP 1.6, no bands" />
+                        <TextArea label="Labs Ordered" name="labsOrdered" value={reportData.labsOrdered} onChange={handleChange} placeholder="e.g., CRP, CBC (with time)" className={staleClass('labsOrdered')} />
+                        <TextArea label="Lab Results" name="labResults" value={reportData.labResults} onChange={handleChange} placeholder="e.g., CRP 1.6, no bands" className={staleClass('labResults')} />
                         <TextArea label="Treatment Plan" name="treatmentPlan" value={reportData.treatmentPlan} onChange={handleChange} placeholder="e.g., Treat for 5 days, repeat CRP in 48h" />
                         <TextArea label="Notes" name="notes" value={reportData.notes} onChange={handleChange} placeholder="Any additional narrative (no PHI)" />
                     </div>
@@ -1187,6 +2206,11 @@ const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
                             toggleOpen={() => toggleSection('growthGoals')}
                         >
                             <div className="grid grid-cols-1 gap-4">
+                                <GrowthSnapshot
+                                    baby={baby}
+                                    shift={currentShift}
+                                    onInsert={(text) => setReportData(prev => ({ ...prev, growthGoals: prev.growthGoals ? `${prev.growthGoals}\n${text}` : text }))}
+                                />
                                 <TextArea label="Growth Goals & Tracking" name="growthGoals" value={reportData.growthGoals} onChange={handleChange} placeholder="e.g., Goal: 25g/day weight gain. Current: gaining 20g/day. May increase calories if no improvement" rows="4" />
                             </div>
                         </CollapsibleSection>
@@ -1202,72 +2226,313 @@ const ReportSheetSection = ({ currentShiftId, babyId, assignmentType }) => {
     );
 };
 
+// Empty inputs for a new touch time log (numbers are null, text is '')
+const EMPTY_LOG_INPUTS = {
+    temp: null,
+    hr: null,
+    rr: null,
+    spo2: null,
+    feedVolume: null,
+    feedRoute: '',
+    feedTolerance: '',
+    residualChecked: '',
+    diaperOutput: '',
+    diaperDetails: '',
+    positioning: '',
+    lineCheck: '',
+    comments: '',
+    idfReadiness: '',
+    idfQuality: '',
+    idfPoVolume: null,
+    idfNotes: ''
+};
+
+const TOUCH_TIME_FIELD_LABELS = {
+    temp: 'Temp', hr: 'HR', rr: 'RR', spo2: 'SpO2', feedVolume: 'Feed Volume', feedRoute: 'Feed Route',
+    feedTolerance: 'Feed Tolerance', residualChecked: 'Residual', diaperOutput: 'Diaper', diaperDetails: 'Diaper Details', positioning: 'Position',
+    lineCheck: 'Line', comments: 'Comments', idfReadiness: 'IDF Readiness', idfQuality: 'IDF Quality',
+    idfPoVolume: 'PO Volume', idfNotes: 'IDF Notes'
+};
+
+const formatTime = (isoString) => new Date(isoString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Describes a log's corrections, e.g. "Amended 10:42: HR 1500 → 150"
+const describeAmendments = (log) => {
+    if (!log.amendedAt) return '';
+    return (log.amendments || []).map(amendment => {
+        const changes = Object.entries(amendment.changes)
+            .map(([field, { from, to }]) => `${TOUCH_TIME_FIELD_LABELS[field] || field} ${from ?? '—'} → ${to ?? '—'}`)
+            .join(', ');
+        return `Amended ${formatTime(amendment.at)}: ${changes}`;
+    }).join('; ') || `Amended ${formatTime(log.amendedAt)}`;
+};
+
+// Input grid shared by the "add log" form and the per-entry edit form
+// `idf` is { criteriaMet, poBlockedReason } for babies on the IDF protocol, null otherwise
+const TouchTimeLogFields = ({ values, onChange, idf = null }) => (
+    <>
+        <Input label="Temp" type="number" name="temp" value={values.temp} onChange={onChange} />
+        <Input label="HR" type="number" name="hr" value={values.hr} onChange={onChange} />
+        <Input label="RR" type="number" name="rr" value={values.rr} onChange={onChange} />
+        <Input label="SpO2" type="number" name="spo2" value={values.spo2} onChange={onChange} />
+        <Input label="Feed Volume" type="number" name="feedVolume" value={values.feedVolume} onChange={onChange} />
+        <Input label="Feed Route" name="feedRoute" value={values.feedRoute} onChange={onChange} placeholder="PO/NG" />
+        <Input label="Feed Tolerance" name="feedTolerance" value={values.feedTolerance} onChange={onChange} placeholder="e.g., tolerated well" />
+        <Input label="Residual Checked" name="residualChecked" value={values.residualChecked} onChange={onChange} placeholder="e.g., 5mL clear" />
+        <Select label="Diaper Output" name="diaperOutput" value={values.diaperOutput} onChange={onChange} options={['', 'U', 'B', 'M', 'U/B', 'U/M', 'B/M', 'U/B/M', 'Dry']} />
+        <Input label="Diaper Details" name="diaperDetails" value={values.diaperDetails} onChange={onChange} placeholder="e.g., large, seedy" />
+        <Input label="Positioning" name="positioning" value={values.positioning} onChange={onChange} />
+        <Input label="Line Check" name="lineCheck" value={values.lineCheck} onChange={onChange} />
+        <TextArea label="Comments" name="comments" value={values.comments} onChange={onChange} rows="2" />
+        {idf && <IdfScoringFields values={values} onChange={onChange} criteriaMet={idf.criteriaMet} poBlockedReason={idf.poBlockedReason} />}
+    </>
+);
+
+// IDF readiness/quality scoring with the PO-vs-gavage suggestion for the scores entered
+// Quality is scored after a PO attempt, so it only shows once PO feeds have started
+const IdfScoringFields = ({ values, onChange, criteriaMet, poBlockedReason }) => {
+    const hint = getIdfFeedHint({ readiness: values.idfReadiness, quality: values.idfQuality }, criteriaMet, poBlockedReason);
+    return (
+        <div className="col-span-full grid grid-cols-1 md:grid-cols-2 gap-4 p-3 rounded-md bg-yellow-50 border border-yellow-200">
+            <p className="col-span-full font-semibold text-gray-800">IDF Protocol Scoring</p>
+            <Select label="Readiness Score" name="idfReadiness" value={values.idfReadiness} onChange={onChange} options={['', ...IDF_READINESS_SCORES]} />
+            {(criteriaMet || values.idfQuality) && (
+                <Select label="Quality Score (after PO attempt)" name="idfQuality" value={values.idfQuality} onChange={onChange} options={['', ...IDF_QUALITY_SCORES]} />
+            )}
+            {(criteriaMet || values.idfPoVolume !== null) && (
+                <Input label="PO Volume (mL)" type="number" name="idfPoVolume" value={values.idfPoVolume} onChange={onChange} />
+            )}
+            <Input label="PO Volume/Strategies" name="idfNotes" value={values.idfNotes} onChange={onChange} placeholder="15ml PO in 20min, pacing used, etc." />
+            {hint && (
+                <p className={`col-span-full text-sm font-semibold ${hint.decision === 'PO' ? 'text-green-700' : 'text-orange-700'}`}>
+                    Suggested: {hint.decision} - {hint.text}
+                </p>
+            )}
+        </div>
+    );
+};
+
+// One line describing a log's IDF scores, e.g. "Readiness 2, Quality 1, PO 20 mL"
+const describeIdfLog = (log) => {
+    const { readiness, quality, poVolume, notes } = getIdfScores(log);
+    return [
+        readiness !== null ? `Readiness ${readiness}` : '',
+        quality !== null ? `Quality ${quality}` : '',
+        poVolume !== null ? `PO ${poVolume} mL` : '',
+        notes
+    ].filter(Boolean).join(', ');
+};
+
+// Hard-validation errors (impossible values) shown under a form
+const FieldErrors = ({ errors }) => {
+    const messages = Object.values(errors);
+    if (messages.length === 0) return null;
+    return (
+        <div className="col-span-full p-3 rounded-md bg-red-100 border border-red-300 text-sm text-red-800">
+            {messages.map((message, index) => <p key={index}>⛔ {message}</p>)}
+        </div>
+    );
+};
+
+// Soft warnings (outside the baby's normal range) for a set of vitals
+const VitalFlags = ({ flags, className = '' }) => {
+    if (flags.length === 0) return null;
+    return (
+        <p className={`text-sm font-semibold text-red-700 ${className}`}>
+            ⚠ Out of range: {flags.map(describeVitalFlag).join(', ')}
+        </p>
+    );
+};
+
+// Per-baby normal vital ranges (defaults by CGA, overridable)
+const VitalRangesEditor = ({ currentShiftId, baby }) => {
+    const { userId, db, appId } = useContext(AppContext);
+    const [isOpen, setIsOpen] = useState(false);
+    const [ranges, setRanges] = useState(() => resolveVitalRanges(baby));
+    const defaults = getDefaultVitalRanges(baby.correctedGestationalAge_Weeks);
+    const hasOverrides = Object.keys(baby.vitalRanges || {}).length > 0;
+
+    const handleRangeChange = (field, bound, value) => {
+        setRanges(prev => ({ ...prev, [field]: { ...prev[field], [bound]: value === '' ? null : Number(value) } }));
+    };
+
+    const handleSave = async () => {
+        try {
+            // Only store values that differ from the CGA defaults
+            const overrides = {};
+            VITAL_FIELDS.forEach(field => {
+                ['min', 'max'].forEach(bound => {
+                    if (ranges[field][bound] !== defaults.ranges[field][bound]) {
+                        overrides[field] = { ...overrides[field], [bound]: ranges[field][bound] };
+                    }
+                });
+            });
+            await updateBaby(db, appId, userId, currentShiftId, baby.id, { vitalRanges: overrides });
+            setIsOpen(false);
+        } catch (error) {
+            console.error("Error saving vital ranges:", error);
+            alert('Failed to save vital ranges.');
+        }
+    };
+
+    const handleReset = async () => {
+        setRanges(defaults.ranges);
+        try {
+            await updateBaby(db, appId, userId, currentShiftId, baby.id, { vitalRanges: {} });
+        } catch (error) {
+            console.error("Error resetting vital ranges:", error);
+            alert('Failed to reset vital ranges.');
+        }
+    };
+
+    return (
+        <div className="mb-4 p-3 rounded-lg bg-gray-50 border border-gray-200 text-sm">
+            <button className="w-full flex justify-between items-center text-left font-semibold text-gray-700" onClick={() => setIsOpen(!isOpen)}>
+                <span>Normal Vital Ranges {hasOverrides ? '(customized)' : `(defaults for ${defaults.label})`}</span>
+                <span className="text-gray-500">{isOpen ? '−' : '+'}</span>
+            </button>
+            {isOpen && (
+                <div className="mt-3 space-y-2">
+                    {VITAL_FIELDS.map(field => (
+                        <div key={field} className="grid grid-cols-3 gap-2 items-end">
+                            <span className="font-medium text-gray-700 pb-2">{VITAL_LABELS[field]}</span>
+                            <Input label="Min" type="number" name={`${field}Min`} value={ranges[field].min ?? ''} onChange={(e) => handleRangeChange(field, 'min', e.target.value)} />
+                            <Input label="Max" type="number" name={`${field}Max`} value={ranges[field].max ?? ''} onChange={(e) => handleRangeChange(field, 'max', e.target.value)} />
+                        </div>
+                    ))}
+                    <div className="flex justify-end space-x-2 pt-2">
+                        <Button onClick={handleReset} className="bg-gray-400 hover:bg-gray-500">Reset to Defaults</Button>
+                        <Button onClick={handleSave}>Save Ranges</Button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Reads a touch time input change into a [name, value] pair (null for empty numbers)
+const readLogInput = (e) => {
+    const { name, value, type, checked } = e.target;
+    if (!name) { // Defensive check
+        console.error("Input element is missing 'name' attribute in TouchTimeLogsSection:", e.target);
+        return null;
+    }
+    if (type === 'number') return [name, value === '' ? null : Number(value)];
+    if (type === 'checkbox') return [name, checked];
+    return [name, value];
+};
+
+// Medications due this shift, with a button to record each dose
+const MedicationSchedule = ({ medications, shift, eventLogs, now, onGive }) => {
+    const orders = normalizeMedications(medications);
+    if (orders.length === 0) return null;
+
+    return (
+        <div className="mb-6 p-4 rounded-lg border border-blue-200 bg-blue-50">
+            <h4 className="text-lg font-semibold text-gray-800 mb-2">Medications</h4>
+            {orders.map(order => {
+                const { doses, nextDue, overdue } = getMedicationStatus(order, shift, eventLogs, now);
+                const lastGiven = getGivenDoses(order, eventLogs).slice(-1)[0];
+                return (
+                    <div key={order.id} className="py-2 border-t border-blue-100 text-sm">
+                        <div className="flex flex-wrap justify-between items-center gap-2">
+                            <span className="font-semibold text-gray-800">{formatMedicationOrder(order) || 'Unnamed medication'}</span>
+                            {order.frequency === 'prn' ? (
+                                <button className="text-blue-700 hover:underline" onClick={() => onGive(order, null)}>Give PRN dose</button>
+                            ) : (overdue[0] || nextDue) && (
+                                <button className="text-blue-700 hover:underline" onClick={() => onGive(order, overdue[0] || nextDue)}>
+                                    Mark {overdue[0] || nextDue} dose given
+                                </button>
+                            )}
+                        </div>
+                        {order.frequency !== 'prn' && (
+                            <p className="text-gray-600">
+                                {!order.nextDue ? 'No next-due time set (Report Sheet → Medications)'
+                                    : doses.length === 0 ? 'No doses due this shift'
+                                    : doses.map(dose => (
+                                        <span key={dose.time} className={`mr-3 ${dose.given ? 'text-green-700' : dose.overdue ? 'text-red-600 font-semibold' : ''}`}>
+                                            {dose.time}{dose.given ? ' ✓' : dose.overdue ? ' overdue' : ''}
+                                        </span>
+                                    ))}
+                            </p>
+                        )}
+                        {lastGiven && <p className="text-xs text-gray-500">Last given {formatTime(lastGiven.timestamp)}</p>}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
 // Component for Touch Time Logs tab
-const TouchTimeLogsSection = ({ currentShiftId, babyId, babyQ3StartTime }) => {
-    const { userId, db } = useContext(AppContext);
+const TouchTimeLogsSection = ({ currentShift, babyId, baby }) => {
+    const currentShiftId = currentShift.id;
+    const { userId, db, appId } = useContext(AppContext);
     const [touchTimes, setTouchTimes] = useState([]);
     // Ensure all currentLogInputs are initialized to empty string or null for numbers
-    const [currentLogInputs, setCurrentLogInputs] = useState({
-        temp: null,
-        hr: null,
-        rr: null,
-        spo2: null,
-        feedVolume: null,
-        feedRoute: '',
-        feedTolerance: '',
-        residualChecked: '',
-        diaperOutput: '',
-        positioning: '',
-        lineCheck: '',
-        comments: ''
-    });
+    const [currentLogInputs, setCurrentLogInputs] = useState(EMPTY_LOG_INPUTS);
     const [savingLog, setSavingLog] = useState(false);
-
-    // Generate q3 schedule for this specific baby based on their assigned q3 start time
-    const q3ScheduleTimes = babyQ3StartTime ? generateQ3Schedule(babyQ3StartTime) : [];
+    const [editingLogId, setEditingLogId] = useState(null);
+    const [editInputs, setEditInputs] = useState(EMPTY_LOG_INPUTS);
+    const [editConflicts, setEditConflicts] = useState([]); // [{ field, mine, theirs }] when the log was also edited on another device
+    const editBaseRef = useRef(null); // Log values the edit started from
+    const [deletedLog, setDeletedLog] = useState(null); // Last deleted log, kept for undo
+    const [vitalErrors, setVitalErrors] = useState({}); // Hard-validation errors for the form being saved
+    const [errorSlot, setErrorSlot] = useState(null); // Scheduled time (or 'edit') the errors belong to
+    const undoTimerRef = useRef(null);
+    const vitalRanges = resolveVitalRanges(baby);
+
+    // Touch times for this baby within the shift, based on their first touch time and interval
+    const scheduleTimes = getBabyTouchTimes(baby, currentShift);
+    const now = useNow();
+    const { nextDue, overdue } = getTouchTimeStatus(currentShift, scheduleTimes, touchTimes, now);
+    const medications = baby.reportSheet?.medications;
+    const eventLogs = baby.eventLogs || [];
+
+    // IDF criteria look back 24 hours, so earlier shifts' logs count too
+    const isIdf = baby.reportSheet?.feedsRoute === IDF_ROUTE;
+    const shiftEntries = useBabyShiftEntries({ ...baby, touchTimeLogs: touchTimes }, currentShift, isIdf);
+    const idfStatus = isIdf && shiftEntries ? getIdf24hStatus(collectIdfScores(shiftEntries), now) : null;
+    const idf = isIdf ? { criteriaMet: Boolean(idfStatus?.met), poBlockedReason: getPoBlockedReason(baby, baby.reportSheet) } : null;
 
     useEffect(() => {
         if (!userId || !currentShiftId || !babyId) return;
-        const unsubscribe = getTouchTimeLogs(userId, currentShiftId, babyId, setTouchTimes);
+        const unsubscribe = getTouchTimeLogs(db, appId, userId, currentShiftId, babyId, setTouchTimes);
         return () => unsubscribe();
-    }, [userId, currentShiftId, babyId]);
+    }, [db, appId, userId, currentShiftId, babyId]);
 
-    const handleLogInputChange = (e) => {
-        const { name, value, type, checked } = e.target;
-        if (!name) { // Defensive check
-            console.error("Input element is missing 'name' attribute in TouchTimeLogsSection:", e.target);
-            return;
-        }
+    // Clear the undo timer when leaving the tab
+    useEffect(() => () => clearTimeout(undoTimerRef.current), []);
 
-        let newValue = value;
-        if (type === 'number') {
-            newValue = value === '' ? null : Number(value); // Store null for empty number fields
-        } else if (type === 'checkbox') {
-            newValue = checked;
-        }
+    const handleLogInputChange = (e) => {
+        const input = readLogInput(e);
+        if (!input) return;
+        setCurrentLogInputs(prev => ({ ...prev, [input[0]]: input[1] }));
+    };
 
-        setCurrentLogInputs(prev => ({
-            ...prev,
-            [name]: newValue
-        }));
+    const handleEditInputChange = (e) => {
+        const input = readLogInput(e);
+        if (!input) return;
+        setEditInputs(prev => ({ ...prev, [input[0]]: input[1] }));
     };
 
     const handleAddLog = async (scheduledTime) => {
+        const errors = validateVitals(currentLogInputs);
+        setVitalErrors(errors);
+        setErrorSlot(scheduledTime);
+        if (Object.keys(errors).length > 0) return;
         setSavingLog(true);
         try {
             const newLog = {
                 timestamp: new Date().toISOString(), // Actual time of logging
-                scheduledTime: scheduledTime, // The q3 scheduled time this log corresponds to
+                scheduledTime: scheduledTime, // The scheduled touch time this log corresponds to
+                scheduledAt: getShiftTimestamp(currentShift, scheduledTime), // Same touch time as a full timestamp within the shift
                 ...currentLogInputs,
                 completed: true // Mark as completed when logged
             };
-            await addTouchTimeLog(userId, currentShiftId, babyId, newLog);
+            await addTouchTimeLog(db, appId, userId, currentShiftId, babyId, newLog);
             // Reset inputs after saving
-            setCurrentLogInputs({
-                temp: null, hr: null, rr: null, spo2: null, feedVolume: null,
-                feedRoute: '', feedTolerance: '', residualChecked: '', diaperOutput: '',
-                positioning: '', lineCheck: '', comments: ''
-            });
+            setCurrentLogInputs(EMPTY_LOG_INPUTS);
             alert(`Log for ${scheduledTime} added!`);
         } catch (error) {
             console.error("Error adding touch time log:", error);
@@ -1277,49 +2542,196 @@ const TouchTimeLogsSection = ({ currentShiftId, babyId, babyQ3StartTime }) => {
         }
     };
 
+    // Log values in the form the edit inputs use (missing text fields are '')
+    const toEditValues = (log) => Object.fromEntries(Object.keys(EMPTY_LOG_INPUTS).map(field => [field, log[field] ?? EMPTY_LOG_INPUTS[field]]));
+
+    const handleStartEdit = (log) => {
+        // Pre-fill with the logged values
+        const values = toEditValues(log);
+        editBaseRef.current = values;
+        setEditInputs(values);
+        setEditConflicts([]);
+        setEditingLogId(log.id);
+        setVitalErrors({});
+        setErrorSlot(null);
+    };
+
+    const resolveEditConflict = (field, useTheirs) => {
+        const conflict = editConflicts.find(c => c.field === field);
+        if (useTheirs && conflict) {
+            setEditInputs(prev => ({ ...prev, [field]: conflict.theirs ?? EMPTY_LOG_INPUTS[field] }));
+        }
+        setEditConflicts(prev => prev.filter(c => c.field !== field));
+    };
+
+    const handleSaveEdit = async () => {
+        if (editConflicts.length > 0) {
+            alert('Please resolve the conflicting changes before saving.');
+            return;
+        }
+        if (!navigator.onLine) {
+            alert('Changing a saved log needs a connection. Please try again when you are back online.');
+            return;
+        }
+        const errors = validateVitals(editInputs);
+        setVitalErrors(errors);
+        setErrorSlot('edit');
+        if (Object.keys(errors).length > 0) return;
+        setSavingLog(true);
+        try {
+            await updateTouchTimeLog(db, appId, userId, currentShiftId, babyId, editingLogId, editInputs, editBaseRef.current);
+            setEditingLogId(null);
+        } catch (error) {
+            if (error.conflicts) {
+                // Take the other device's changes to fields not edited here, and ask about the rest
+                const latest = toEditValues(error.latest);
+                setEditInputs(prev => mergeRemoteChanges(editBaseRef.current, prev, latest).merged);
+                editBaseRef.current = latest;
+                setEditConflicts(error.conflicts);
+                return;
+            }
+            console.error("Error updating touch time log:", error);
+            alert('Failed to update log.');
+        } finally {
+            setSavingLog(false);
+        }
+    };
+
+    const handleDeleteLog = async (log) => {
+        if (!navigator.onLine) {
+            alert('Deleting a saved log needs a connection. Please try again when you are back online.');
+            return;
+        }
+        if (!window.confirm(`Delete the log for ${log.scheduledTime}?`)) return;
+        try {
+            const removed = await deleteTouchTimeLog(db, appId, userId, currentShiftId, babyId, log.id, log);
+            setDeletedLog(removed);
+            clearTimeout(undoTimerRef.current);
+            undoTimerRef.current = setTimeout(() => setDeletedLog(null), 15000);
+        } catch (error) {
+            if (error.conflicts) {
+                alert(`The log for ${log.scheduledTime} was just changed on another device. Check the change and delete it again if needed.`);
+                return;
+            }
+            console.error("Error deleting touch time log:", error);
+            alert('Failed to delete log.');
+        }
+    };
+
+    const handleUndoDelete = async () => {
+        const log = deletedLog;
+        clearTimeout(undoTimerRef.current);
+        setDeletedLog(null);
+        try {
+            await addTouchTimeLog(db, appId, userId, currentShiftId, babyId, log);
+        } catch (error) {
+            console.error("Error restoring touch time log:", error);
+            alert('Failed to restore log.');
+        }
+    };
+
+    // Records the dose as a 'Med given' event
+    const handleGiveMed = async (order, scheduledTime) => {
+        try {
+            await addEventLog(db, appId, userId, currentShiftId, babyId, buildMedGivenEvent(order, scheduledTime));
+        } catch (error) {
+            console.error("Error recording medication:", error);
+            alert('Failed to record medication.');
+        }
+    };
+
     const isLogCompleted = (scheduledTime) => {
         return touchTimes.some(log => log.scheduledTime === scheduledTime && log.completed);
     };
 
     return (
         <div className="p-6 bg-white rounded-lg shadow-md">
-            <h3 className="text-2xl font-semibold text-gray-800 mb-4">Touch Time Logs (q3 Intervals)</h3>
+            <h3 className="text-2xl font-semibold text-gray-800 mb-4">Touch Time Logs ({getIntervalLabel(baby)})</h3>
             <p className="text-sm text-red-600 mb-4">
                 **Reminder: Do NOT enter any PHI in comments or free-text fields.**
             </p>
-            {q3ScheduleTimes.length === 0 ? (
-                <p className="text-gray-600">Please assign a q3 Start Time for this baby in the 'Add Baby' form.</p>
+            <VitalRangesEditor key={baby.id} currentShiftId={currentShiftId} baby={baby} />
+            <MedicationSchedule medications={medications} shift={currentShift} eventLogs={eventLogs} now={now} onGive={handleGiveMed} />
+            {isIdf && (
+                <div className={`mb-4 p-3 rounded-lg text-sm ${idfStatus?.met ? 'bg-green-100 text-green-800' : 'bg-yellow-50 text-gray-700'}`}>
+                    <p className="font-semibold">IDF Protocol: {idfStatus ? describeIdf24hStatus(idfStatus) : 'Loading earlier scores...'}</p>
+                    <p>{idfStatus?.met ? 'Offer PO when readiness is 1-2 and score quality after each attempt.' : 'Score readiness at each touch time; feed by gavage until the criteria are met.'}</p>
+                </div>
+            )}
+            {deletedLog && (
+                <div className="flex items-center justify-between mb-4 p-3 rounded-lg bg-gray-800 text-white text-sm">
+                    <span>Log for {deletedLog.scheduledTime} deleted.</span>
+                    <button className="font-semibold underline" onClick={handleUndoDelete}>Undo</button>
+                </div>
+            )}
+            {scheduleTimes.length === 0 ? (
+                <p className="text-gray-600">Please assign a first touch time for this baby in the &apos;Add Baby&apos; form.</p>
             ) : (
-                q3ScheduleTimes.map((time, index) => (
-                    <div key={index} className={`mb-4 p-4 rounded-lg border-l-4 ${isLogCompleted(time) ? 'border-green-500 bg-green-50' : 'border-indigo-300 bg-indigo-50'}`}>
+                scheduleTimes.map((time, index) => (
+                    <div key={index} className={`mb-4 p-4 rounded-lg border-l-4 ${
+                        isLogCompleted(time) ? 'border-green-500 bg-green-50' : overdue.includes(time) ? 'border-red-500 bg-red-50' : 'border-indigo-300 bg-indigo-50'
+                    }`}>
                         <h4 className="text-lg font-bold text-gray-800 flex justify-between items-center">
                             {time}
                             {isLogCompleted(time) && <span className="text-green-600 text-sm">Completed</span>}
+                            {!isLogCompleted(time) && overdue.includes(time) && <span className="text-red-600 text-sm">Overdue</span>}
+                            {nextDue?.time === time && <span className="text-indigo-600 text-sm">Next · in {nextDue.minutesUntil} min</span>}
                         </h4>
+                        {/* Doses due from this touch time until the next one (the first slot also takes any earlier doses) */}
+                        {getDosesBetween(medications, currentShift, index === 0 ? null : time, scheduleTimes[index + 1]).map(({ order, time: doseTime }) => {
+                            const dose = getMedicationStatus(order, currentShift, eventLogs, now).doses.find(d => d.time === doseTime);
+                            return (
+                                <div key={`${order.id}-${doseTime}`} className="flex justify-between items-center text-sm mt-1 px-2 py-1 rounded bg-blue-50">
+                                    <span className={dose.overdue ? 'text-red-600 font-semibold' : 'text-gray-700'}>
+                                        💊 {doseTime} {formatMedicationOrder(order)}{dose.overdue ? ' (overdue)' : ''}
+                                    </span>
+                                    {dose.given
+                                        ? <span className="text-green-700">Given</span>
+                                        : <button className="text-blue-700 hover:underline" onClick={() => handleGiveMed(order, doseTime)}>Mark given</button>}
+                                </div>
+                            );
+                        })}
                         {touchTimes.filter(log => log.scheduledTime === time).map(log => (
-                            <div key={log.id} className="text-sm text-gray-700 mt-2 p-2 bg-white rounded-md shadow-sm">
-                                <p className="font-semibold">Logged At: {new Date(log.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</p>
-                                <p>Temp: {log.temp || 'N/A'}, HR: {log.hr || 'N/A'}, RR: {log.rr || 'N/A'}, SpO2: {log.spo2 || 'N/A'}</p>
-                                <p>Feed: {log.feedVolume || 'N/A'} {log.feedRoute || ''} ({log.feedTolerance || 'N/A'})</p>
-                                <p>Diaper: {log.diaperOutput || 'N/A'} | Position: {log.positioning || 'N/A'} | Line: {log.lineCheck || 'N/A'}</p>
-                                <p>Comments: {log.comments || 'N/A'}</p>
-                            </div>
+                            editingLogId === log.id ? (
+                                <div key={log.id} className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-2 p-3 bg-white rounded-md shadow-sm border border-indigo-200">
+                                    {editConflicts.length > 0 && (
+                                        <div className="col-span-full">
+                                            <ConflictList conflicts={editConflicts} onResolve={resolveEditConflict} labels={TOUCH_TIME_FIELD_LABELS} />
+                                        </div>
+                                    )}
+                                    <TouchTimeLogFields values={editInputs} onChange={handleEditInputChange} idf={idf} />
+                                    <FieldErrors errors={errorSlot === 'edit' ? vitalErrors : {}} />
+                                    <VitalFlags flags={flagVitals(editInputs, vitalRanges)} className="col-span-full" />
+                                    <div className="col-span-full flex justify-end space-x-2">
+                                        <Button onClick={() => setEditingLogId(null)} className="bg-gray-400 hover:bg-gray-500">Cancel</Button>
+                                        <Button onClick={handleSaveEdit} disabled={savingLog}>{savingLog ? 'Saving...' : 'Save Changes'}</Button>
+                                    </div>
+                                </div>
+                            ) : (
+                                <div key={log.id} className={`text-sm text-gray-700 mt-2 p-2 rounded-md shadow-sm ${flagVitals(log, vitalRanges).length > 0 ? 'bg-red-50 border border-red-300' : 'bg-white'}`}>
+                                    <div className="flex justify-between items-start">
+                                        <p className="font-semibold">Logged At: {formatTime(log.timestamp)}</p>
+                                        <div className="space-x-3 text-xs">
+                                            <button className="text-indigo-600 hover:underline" onClick={() => handleStartEdit(log)}>Edit</button>
+                                            <button className="text-red-600 hover:underline" onClick={() => handleDeleteLog(log)}>Delete</button>
+                                        </div>
+                                    </div>
+                                    <p>Temp: {log.temp || 'N/A'}, HR: {log.hr || 'N/A'}, RR: {log.rr || 'N/A'}, SpO2: {log.spo2 || 'N/A'}</p>
+                                    <VitalFlags flags={flagVitals(log, vitalRanges)} />
+                                    <p>Feed: {log.feedVolume || 'N/A'} {log.feedRoute || ''} ({log.feedTolerance || 'N/A'})</p>
+                                    {describeIdfLog(log) && <p>IDF: {describeIdfLog(log)}</p>}
+                                    <p>Diaper: {log.diaperOutput || 'N/A'}{log.diaperDetails ? ` (${log.diaperDetails})` : ''} | Position: {log.positioning || 'N/A'} | Line: {log.lineCheck || 'N/A'}</p>
+                                    <p>Comments: {log.comments || 'N/A'}</p>
+                                    {log.amendedAt && <p className="mt-1 text-xs italic text-orange-700">{describeAmendments(log)}</p>}
+                                </div>
+                            )
                         ))}
                         {!isLogCompleted(time) && (
                             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
                                 {/* Values for inputs in currentLogInputs are explicitly initialized to null or '' */}
-                                <Input label="Temp" type="number" name="temp" value={currentLogInputs.temp} onChange={handleLogInputChange} />
-                                <Input label="HR" type="number" name="hr" value={currentLogInputs.hr} onChange={handleLogInputChange} />
-                                <Input label="RR" type="number" name="rr" value={currentLogInputs.rr} onChange={handleLogInputChange} />
-                                <Input label="SpO2" type="number" name="spo2" value={currentLogInputs.spo2} onChange={handleLogInputChange} />
-                                <Input label="Feed Volume" type="number" name="feedVolume" value={currentLogInputs.feedVolume} onChange={handleLogInputChange} />
-                                <Input label="Feed Route" name="feedRoute" value={currentLogInputs.feedRoute} onChange={handleLogInputChange} placeholder="PO/NG" />
-                                <Input label="Feed Tolerance" name="feedTolerance" value={currentLogInputs.feedTolerance} onChange={handleLogInputChange} placeholder="e.g., tolerated well" />
-                                <Input label="Residual Checked" name="residualChecked" value={currentLogInputs.residualChecked} onChange={handleLogInputChange} placeholder="e.g., 5mL clear" />
-                                <Select label="Diaper Output" name="diaperOutput" value={currentLogInputs.diaperOutput} onChange={handleLogInputChange} options={['', 'U', 'B', 'M', 'U/B', 'U/M', 'B/M', 'U/B/M']} />
-                                <Input label="Positioning" name="positioning" value={currentLogInputs.positioning} onChange={handleLogInputChange} />
-                                <Input label="Line Check" name="lineCheck" value={currentLogInputs.lineCheck} onChange={handleLogInputChange} />
-                                <TextArea label="Comments" name="comments" value={currentLogInputs.comments} onChange={handleLogInputChange} rows="2" />
+                                <TouchTimeLogFields values={currentLogInputs} onChange={handleLogInputChange} idf={idf} />
+                                <FieldErrors errors={errorSlot === time ? vitalErrors : {}} />
+                                <VitalFlags flags={flagVitals(currentLogInputs, vitalRanges)} className="col-span-full" />
                                 <div className="col-span-full flex justify-end">
                                     <Button onClick={() => handleAddLog(time)} disabled={savingLog}>
                                         {savingLog ? 'Adding...' : `Add Log for ${time}`}
@@ -1336,19 +2748,19 @@ const TouchTimeLogsSection = ({ currentShiftId, babyId, babyQ3StartTime }) => {
 
 // Component for Event Log tab
 const EventLogSection = ({ currentShiftId, babyId }) => {
-    const { userId, db } = useContext(AppContext);
+    const { userId, db, appId } = useContext(AppContext);
     const [events, setEvents] = useState([]);
     const [showAddEventModal, setShowAddEventModal] = useState(false);
 
     useEffect(() => {
         if (!userId || !currentShiftId || !babyId) return;
-        const unsubscribe = getEventLogs(userId, currentShiftId, babyId, setEvents);
+        const unsubscribe = getEventLogs(db, appId, userId, currentShiftId, babyId, setEvents);
         return () => unsubscribe();
-    }, [userId, currentShiftId, babyId]);
+    }, [db, appId, userId, currentShiftId, babyId]);
 
     const handleAddEvent = async (eventData) => {
         try {
-            await addEventLog(userId, currentShiftId, babyId, { ...eventData, timestamp: new Date().toISOString() });
+            await addEventLog(db, appId, userId, currentShiftId, babyId, { ...eventData, timestamp: new Date().toISOString() });
             alert('Event added!');
             setShowAddEventModal(false);
         } catch (error) {
@@ -1386,6 +2798,9 @@ const EventLogSection = ({ currentShiftId, babyId }) => {
     );
 };
 
+// Event types offered when adding an event (also the Past Shifts search hint)
+const EVENT_TYPES = ['Desat / Brady event', 'Med given', 'Lab drawn', 'Procedure', 'Note', 'Parent contact / visitation', 'Escalation to MD / NP'];
+
 // Modal for adding events
 const AddEventModal = ({ onClose, onSave }) => {
     const [eventType, setEventType] = useState('');
@@ -1415,7 +2830,7 @@ const AddEventModal = ({ onClose, onSave }) => {
                         name="eventType" // Added name prop
                         value={eventType}
                         onChange={(e) => setEventType(e.target.value)}
-                        options={['', 'Desat / Brady event', 'Med given', 'Lab drawn', 'Procedure', 'Note', 'Parent contact / visitation', 'Escalation to MD / NP']}
+                        options={['', ...EVENT_TYPES]}
                     />
                 </div>
                 <TextArea label="Event Details" name="eventDetails" value={eventDetails} onChange={(e) => setEventDetails(e.target.value)} placeholder="e.g., Desat to 60s x 15 sec, required required stimulation" rows="4" />
@@ -1430,119 +2845,509 @@ const AddEventModal = ({ onClose, onSave }) => {
     );
 };
 
-// Main Individual Baby Report Screen
-const IndividualBabyReportScreen = ({ currentShift, babyId, onBack }) => {
-    const { userId, db } = useContext(AppContext);
-    const [baby, setBaby] = useState(null);
-    const [activeTab, setActiveTab] = useState('report'); // 'report', 'touchTimeLogs', 'eventLog'
+// Builds the trend charts markup (SVG) for one baby across its touch time schedule
+const getBabyTrendChartsHtml = (baby, shift) => {
+    const scheduleTimes = getBabyTouchTimes(baby, shift);
+    const trendData = buildTrendData(baby.touchTimeLogs, baby.eventLogs, scheduleTimes);
+    return renderTrendChartsHtml(trendData, resolveVitalRanges(baby));
+};
+
+// Component for Trends tab
+const TrendsSection = ({ baby, shift }) => (
+    <div className="p-6 bg-white rounded-lg shadow-md">
+        <h3 className="text-2xl font-semibold text-gray-800 mb-4">Vitals Trends</h3>
+        {!baby.babyQ3StartTime ? (
+            <p className="text-gray-600">Please assign a first touch time for this baby to see trends.</p>
+        ) : (
+            // Markup is generated locally from numeric log values (text is escaped)
+            <div dangerouslySetInnerHTML={{ __html: getBabyTrendChartsHtml(baby, shift) }} />
+        )}
+    </div>
+);
+
+// A baby's entries across every shift they appear in (matched by nickname), null while loading
+// The current shift's entry is the live baby, so edits show without refetching
+const useBabyShiftEntries = (baby, shift, enabled = true) => {
+    const { userId, db, appId } = useContext(AppContext);
+    const [entries, setEntries] = useState(null);
+    const nickname = baby.internalID_Nickname;
 
     useEffect(() => {
-        if (!userId || !currentShift?.id || !babyId) return;
-        const babyRef = doc(collection(getUserCollectionPath(userId), 'nicu_shifts', currentShift.id, 'babies'), babyId);
-        const unsubscribe = onSnapshot(babyRef, (docSnap) => {
-            if (docSnap.exists()) {
-                setBaby({ id: docSnap.id, ...docSnap.data() });
-            } else {
-                setBaby(null);
-                onBack(); // Go back if baby not found (e.g., deleted)
-            }
-        });
-        return () => unsubscribe();
-    }, [userId, currentShift?.id, babyId, onBack]);
+        if (!enabled || !userId || !nickname) return;
+        let cancelled = false;
+        fetchBabyAcrossShifts(db, appId, userId, nickname)
+            .then(result => { if (!cancelled) setEntries(result); })
+            .catch(error => {
+                console.error("Error loading baby history:", error);
+                if (!cancelled) setEntries([]);
+            });
+        return () => { cancelled = true; };
+    }, [db, appId, userId, nickname, enabled]);
+
+    if (!enabled || entries === null) return null;
+    return [
+        ...entries.filter(entry => !(entry.shift.id === shift.id && entry.baby.id === baby.id)),
+        { shift, baby }
+    ];
+};
 
-    if (!baby) {
-        return (
-            <div className="min-h-screen flex items-center justify-center bg-gray-100">
-                <p className="text-lg text-gray-600">Loading baby data...</p>
-            </div>
-        );
+// Growth history for a baby across every shift they appear in
+const useGrowthHistory = (baby, shift) => {
+    const entries = useBabyShiftEntries(baby, shift);
+    return entries && buildGrowthHistory(entries);
+};
+
+// Growth data line with a button to add it to the Growth Goals field
+const GrowthSnapshot = ({ baby, shift, onInsert }) => {
+    const points = useGrowthHistory(baby, shift);
+    if (!points) return <p className="text-sm text-gray-500 mb-2">Loading growth data...</p>;
+    const description = describeGrowth(points, baby.birthWeight);
+    if (!description) return <p className="text-sm text-gray-500 mb-2">Not enough weights yet for growth calculations (see the Growth tab).</p>;
+
+    return (
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3 p-3 rounded-md bg-indigo-50 text-sm">
+            <span className="text-gray-700"><strong>Data:</strong> {description}</span>
+            <button className="text-indigo-600 hover:underline" onClick={() => onInsert(`${new Date().toLocaleDateString()}: ${description}`)}>Add to Growth Goals</button>
+        </div>
+    );
+};
+
+// Component for Growth tab: weight velocity, birth weight regain and reference charts
+const GrowthSection = ({ baby, shift }) => {
+    const points = useGrowthHistory(baby, shift);
+    const round = (value) => Math.round(value * 10) / 10;
+
+    if (!points) {
+        return <div className="p-6 bg-white rounded-lg shadow-md"><p className="text-gray-600">Loading growth history...</p></div>;
     }
 
+    const velocity = getRecentWeightVelocity(points);
+    const regain = getBirthWeightRegain(points, baby.birthWeight);
+    const latest = [...points].reverse().find(point => point.weight && !point.birth);
+    const percentile = latest && latest.pmaWeeks !== null ? estimatePercentile('weight', latest.pmaWeeks, latest.weight) : null;
+
     return (
-        <div className="min-h-screen bg-gray-50 p-4">
-            <div className="container mx-auto py-8">
-                <Button onClick={onBack} className="mb-6 bg-gray-600 hover:bg-gray-700">← Back to Babies</Button>
-                <h2 className="text-3xl font-bold text-gray-800 mb-2">{baby.internalID_Nickname}</h2>
-                <p className="text-xl text-indigo-700 mb-6">
-                    GA: {baby.gestationalAge_Weeks}+{baby.gestationalAge_Days} | CGA: {baby.correctedGestationalAge_Weeks}+{baby.correctedGestationalAge_Days} | PNA: Day {baby.pna_Days}
-                </p>
+        <div className="p-6 bg-white rounded-lg shadow-md">
+            <h3 className="text-2xl font-semibold text-gray-800 mb-1">Growth</h3>
+            <p className="text-sm text-gray-500 mb-4">From every shift with &quot;{baby.internalID_Nickname}&quot; (one point per day, using Last Weight and Head Circumference).</p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                {[
+                    ['Weight Velocity', velocity ? `${round(velocity.gPerKgPerDay)} g/kg/day` : 'N/A', velocity ? `${round(velocity.gPerDay)} g/day over ${round(velocity.days)} days` : 'Needs weights on 2+ days'],
+                    ['From Birth Weight', regain ? `${regain.currentPercent > 0 ? '+' : ''}${round(regain.currentPercent)}%` : 'N/A', regain ? `Lowest ${round(regain.nadirPercent)}%${regain.nadirDay !== null ? ` (DOL ${regain.nadirDay})` : ''}` : ''],
+                    ['Birth Weight Regained', regain ? (regain.regained ? `Yes${regain.regainedDay !== null ? `, DOL ${regain.regainedDay}` : ''}` : 'Not yet') : 'N/A', ''],
+                    ['Weight Percentile', percentile !== null ? `~${percentile}th` : 'N/A', 'Approximate reference']
+                ].map(([label, value, detail]) => (
+                    <div key={label} className="p-4 rounded-lg bg-indigo-50">
+                        <p className="text-sm text-gray-600">{label}</p>
+                        <p className="text-xl font-bold text-gray-800">{value}</p>
+                        {detail && <p className="text-xs text-gray-500">{detail}</p>}
+                    </div>
+                ))}
+            </div>
+            {/* Markup is generated locally from numeric values (text is escaped) */}
+            {['weight', 'headCircumference', 'length'].map(measure => (
+                <div key={measure} className="mb-4" dangerouslySetInnerHTML={{ __html: renderGrowthChartSvg(points, measure) }} />
+            ))}
+            <p className="text-xs text-gray-500 mb-4">
+                Reference lines (3rd-97th percentile) are a Fenton-style approximation for following trends; use the unit&apos;s growth chart for formal assessment.
+            </p>
+            <table className="w-full text-sm text-left text-gray-700">
+                <thead>
+                    <tr className="border-b"><th className="py-1">Date</th><th>DOL</th><th>PMA</th><th>Weight (g)</th><th>HC (cm)</th><th>Length (cm)</th></tr>
+                </thead>
+                <tbody>
+                    {points.map(point => (
+                        <tr key={point.birth ? 'birth' : point.shiftDate} className="border-b border-gray-100">
+                            <td className="py-1">{point.birth ? 'Birth' : point.shiftDate}</td>
+                            <td>{point.pnaDays ?? ''}</td>
+                            <td>{point.pmaWeeks === null ? '' : `${Math.floor(point.pmaWeeks)}+${Math.round((point.pmaWeeks % 1) * 7)}`}</td>
+                            <td>{point.weight ?? ''}</td>
+                            <td>{point.headCircumference ?? ''}</td>
+                            <td>{point.length ?? ''}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
 
-                <div className="flex border-b border-gray-200 mb-6">
-                    <button
-                        className={`py-2 px-4 text-sm font-medium ${activeTab === 'report' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
-                        onClick={() => setActiveTab('report')}
-                    >
-                        Report Sheet
-                    </button>
-                    <button
-                        className={`py-2 px-4 text-sm font-medium ${activeTab === 'touchTimeLogs' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
-                        onClick={() => setActiveTab('touchTimeLogs')}
-                    >
-                        Touch Time Logs
-                    </button>
-                    <button
-                        className={`py-2 px-4 text-sm font-medium ${activeTab === 'eventLog' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
-                        onClick={() => setActiveTab('eventLog')}
-                    >
-                        Event Log
-                    </button>
-                </div>
+// Component for I&O tab: intake, diapers and fluid/calorie totals for the shift so far
+const FluidBalanceSection = ({ baby, shift }) => {
+    const now = useNow();
+    const balance = buildFluidBalance(baby, getElapsedShiftHours(shift, now));
+    const round = (value) => Math.round(value * 10) / 10;
 
-                {activeTab === 'report' && <ReportSheetSection currentShiftId={currentShift.id} babyId={baby.id} assignmentType={currentShift.assignmentType || 'ICU'} />}
-                {activeTab === 'touchTimeLogs' && <TouchTimeLogsSection currentShiftId={currentShift.id} babyId={baby.id} babyQ3StartTime={baby.babyQ3StartTime} />}
-                {activeTab === 'eventLog' && <EventLogSection currentShiftId={currentShift.id} babyId={baby.id} />}
+    return (
+        <div className="p-6 bg-white rounded-lg shadow-md">
+            <h3 className="text-2xl font-semibold text-gray-800 mb-1">Intake &amp; Output</h3>
+            <p className="text-sm text-gray-500 mb-4">
+                Shift so far ({round(balance.hours)} hr). {balance.weightKg ? `Per-kg values use ${balance.weightSource} ${Math.round(balance.weightKg * 1000)} g.` : 'Add a weight to see per-kg values.'}
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                {[
+                    ['Enteral', `${round(balance.enteralMl)} mL`, `${balance.feedsLogged} feeds logged`],
+                    ['IV', `${round(balance.ivMl)} mL`, balance.iv.length ? `${balance.iv.length} line${balance.iv.length > 1 ? 's' : ''}` : 'No IV rate'],
+                    ['Total Intake', balance.mlPerKgPerDay === null ? `${round(balance.totalMl)} mL` : `${round(balance.mlPerKgPerDay)} mL/kg/day`, `${round(balance.totalMl)} mL`],
+                    ['Enteral Calories', balance.enteralKcalPerKgPerDay === null ? 'N/A' : `${round(balance.enteralKcalPerKgPerDay)} kcal/kg/day`, balance.kcalPerOz ? `${balance.kcalPerOz} kcal/oz` : 'Set Feed Calories on the report sheet']
+                ].map(([label, value, detail]) => (
+                    <div key={label} className="p-4 rounded-lg bg-indigo-50">
+                        <p className="text-sm text-gray-600">{label}</p>
+                        <p className="text-xl font-bold text-gray-800">{value}</p>
+                        <p className="text-xs text-gray-500">{detail}</p>
+                    </div>
+                ))}
+            </div>
+            {balance.iv.length > 0 && (
+                <div className="mb-4 text-sm text-gray-700">
+                    <h4 className="font-semibold mb-1">IV Fluids</h4>
+                    {balance.iv.map(line => (
+                        <p key={line.label}>
+                            {line.label}{line.fluids ? ` (${line.fluids})` : ''}: {line.mlPerHour === null
+                                ? <span className="text-orange-700">rate &quot;{line.rate}&quot; could not be read - enter it as mL/hr</span>
+                                : `${round(line.mlPerHour)} mL/hr × ${round(balance.hours)} hr = ${round(line.ml)} mL`}
+                        </p>
+                    ))}
+                </div>
+            )}
+            <div className="text-sm text-gray-700">
+                <h4 className="font-semibold mb-1">Output</h4>
+                <p>
+                    Diapers: {balance.diapers.total}
+                    {balance.diapers.total > 0 && ` (U ×${balance.diapers.U}, B ×${balance.diapers.B}, M ×${balance.diapers.M})`}
+                </p>
             </div>
         </div>
     );
 };
 
-// Screen 4: End-of-Shift Summary
-const ShiftSummaryScreen = ({ currentShift, babies, allReportDetails, allTouchTimeLogs, allEventsData, onBackToShifts, onDeleteShift }) => {
-    const { userId } = useContext(AppContext);
-    const [isDeleting, setIsDeleting] = useState(false);
+// Lists fields copied from a previous shift that are likely out of date
+const StaleFieldsBanner = ({ currentShiftId, baby }) => {
+    const { userId, db, appId } = useContext(AppContext);
+    const staleFields = baby.staleFields || [];
+    if (staleFields.length === 0) return null;
 
-    const handleDeleteAndReturn = async () => {
-        if (!window.confirm('Are you sure you want to delete this shift? This action cannot be undone.')) {
-            return;
-        }
-        setIsDeleting(true);
+    const handleMarkReviewed = async () => {
         try {
-            await deleteShift(userId, currentShift.id);
-            alert('Shift deleted successfully!');
-            onDeleteShift(); // This should clear the shift and return to setup
+            await markFieldsReviewed(db, appId, userId, currentShiftId, baby.id, staleFields);
         } catch (error) {
-            console.error("Error deleting shift:", error);
-            alert('Failed to delete shift. See console for details.');
-            setIsDeleting(false);
+            console.error("Error marking fields reviewed:", error);
+            alert('Failed to mark fields as reviewed.');
         }
     };
 
-    const generateSummaryText = () => {
-        let summary = `--- NICU Shift Report Summary ---\n`;
-        summary += `Shift Date: ${currentShift.shiftDate} | Overall Shift Start Time: ${currentShift.shiftStartTime}\n\n`;
-
-        babies.forEach(baby => {
-            summary += `--- Baby: ${baby.internalID_Nickname} ---\n`;
-            summary += `  GA: ${baby.gestationalAge_Weeks}+${baby.gestationalAge_Days} | CGA: ${baby.correctedGestationalAge_Weeks}+${baby.correctedGestationalAge_Days} | PNA: Day ${baby.pna_Days}\n`;
-            summary += `  Bed: ${baby.bedRoomNumber}\n`;
-            summary += `  Birth Wt: ${baby.birthWeight}g | Last Wt: ${baby.lastWeight}g | HC: ${baby.headCircumference}cm | AG: ${baby.abdominalGirth}cm\n`;
-            if (baby.birthWeight && baby.lastWeight) {
-                const weightChange = ((baby.lastWeight - baby.birthWeight) / baby.birthWeight * 100).toFixed(2);
-                summary += `  Weight % Change: ${weightChange}%\n`;
-            }
-            if (baby.bedChangeDue) summary += `  Bed Change Due: Yes\n`;
-
-            summary += `  Baby q3 Start Time: ${baby.babyQ3StartTime}\n`;
-            summary += `  Baby q3 Schedule: ${generateQ3Schedule(baby.babyQ3StartTime).join(', ')}\n`;
+    return (
+        <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-6 rounded-md flex flex-wrap items-center justify-between gap-2">
+            <div>
+                <p className="text-sm font-semibold text-yellow-800">
+                    Carried forward from {baby.carriedForwardFrom?.shiftDate || 'a previous shift'} - please review:
+                </p>
+                <p className="text-sm text-yellow-800">{staleFields.map(field => STALE_FIELD_LABELS[field] || field).join(', ')}</p>
+            </div>
+            <Button onClick={handleMarkReviewed} className="text-xs bg-yellow-600 hover:bg-yellow-700">Mark All Reviewed</Button>
+        </div>
+    );
+};
 
+// Picks another nurse from your unit's roster (babies and handoffs only go to unit members)
+const UnitNursePicker = ({ label, value, onChange, members }) => {
+    const { userId, account } = useContext(AppContext);
+    const others = members.filter(member => member.id !== userId);
 
-            const report = allReportDetails[baby.id] || {};
-            summary += `\n  -- Report Sheet --\n`;
+    if (!account?.unitId) {
+        return <p className="text-sm text-orange-700">You need to be in a unit to pick a nurse. Ask your charge nurse to add you.</p>;
+    }
+    if (others.length === 0) {
+        return <p className="text-sm text-gray-600">No other nurses in your unit yet.</p>;
+    }
+    return (
+        <Select
+            label={label}
+            name="toUserId"
+            value={value}
+            onChange={onChange}
+            options={[{ value: '', label: 'Select a nurse' }, ...others.map(member => ({ value: member.id, label: `${member.label || member.id}${member.charge ? ' (charge)' : ''}` }))]}
+        />
+    );
+};
+
+// Roster of the current user's unit (empty if they aren't in one)
+const useUnitMembers = () => {
+    const { db, appId, account } = useContext(AppContext);
+    const [members, setMembers] = useState([]);
+    const unitId = account?.unitId;
+
+    useEffect(() => {
+        if (!unitId) return;
+        const unsubscribe = getUnitMembers(db, appId, unitId, setMembers);
+        return () => unsubscribe();
+    }, [db, appId, unitId]);
+
+    return unitId ? members : [];
+};
+
+// Modal for handing a baby over to another nurse mid-shift
+const TransferBabyModal = ({ currentShift, baby, onTransferred, onCancel }) => {
+    const { userId, appId } = useContext(AppContext);
+    const members = useUnitMembers();
+    const [toUserId, setToUserId] = useState('');
+    const [isTransferring, setIsTransferring] = useState(false);
+
+    const handleTransfer = async () => {
+        if (toUserId === userId || !members.some(member => member.id === toUserId)) {
+            alert('Please pick the receiving nurse.');
+            return;
+        }
+        setIsTransferring(true);
+        try {
+            await transferBaby(functions, appId, currentShift.id, baby.id, toUserId);
+            alert(`${baby.internalID_Nickname} transferred.`);
+            onTransferred();
+        } catch (error) {
+            console.error("Error transferring baby:", error);
+            alert(`Failed to transfer baby: ${error.message}`);
+            setIsTransferring(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
+                <p className="text-lg font-semibold mb-2">Transfer {baby.internalID_Nickname} to another nurse</p>
+                <p className="text-sm text-gray-600 mb-4">
+                    The report sheet and logs move to the receiving nurse&apos;s shift in progress. A transfer record stays in this shift.
+                    Only nurses in your unit can receive babies. Requires a connection.
+                </p>
+                <UnitNursePicker
+                    label="Receiving Nurse"
+                    value={toUserId}
+                    onChange={(e) => setToUserId(e.target.value)}
+                    members={members}
+                />
+                <div className="flex justify-end space-x-4 mt-4">
+                    <Button onClick={onCancel} disabled={isTransferring} className="bg-gray-400 hover:bg-gray-500">Cancel</Button>
+                    <Button onClick={handleTransfer} disabled={isTransferring || !toUserId} className="bg-indigo-600 hover:bg-indigo-700">
+                        {isTransferring ? 'Transferring...' : 'Transfer'}
+                    </Button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Main Individual Baby Report Screen
+const IndividualBabyReportScreen = ({ currentShift, babyId, onBack, onEditBaby }) => {
+    const { userId, db, appId } = useContext(AppContext);
+    const [baby, setBaby] = useState(null);
+    const [activeTab, setActiveTab] = useState('report'); // 'report', 'touchTimeLogs', 'eventLog', 'trends'
+    const [showTransfer, setShowTransfer] = useState(false);
+
+    const handleRemoveBaby = async () => {
+        if (!window.confirm(`Remove ${baby.internalID_Nickname} from your assignment? The report sheet and all logs for this baby will be deleted.`)) {
+            return;
+        }
+        try {
+            await deleteBaby(db, appId, userId, currentShift.id, baby.id);
+            onBack();
+        } catch (error) {
+            console.error("Error removing baby:", error);
+            alert('Failed to remove baby. See console for details.');
+        }
+    };
+
+    useEffect(() => {
+        if (!userId || !currentShift?.id || !babyId) return;
+        const unsubscribe = getBaby(db, appId, userId, currentShift.id, babyId, (babyData) => {
+            setBaby(babyData);
+            if (!babyData) onBack(); // Go back if baby not found (e.g., deleted)
+        });
+        return () => unsubscribe();
+    }, [db, appId, userId, currentShift?.id, babyId, onBack]);
+
+    if (!baby) {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-gray-100">
+                <p className="text-lg text-gray-600">Loading baby data...</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-4">
+            <div className="container mx-auto py-8">
+                <div className="flex items-center justify-between mb-6">
+                    <Button onClick={onBack} className="bg-gray-600 hover:bg-gray-700">← Back to Babies</Button>
+                    <div>
+                        <Button onClick={onEditBaby}>Edit Details</Button>
+                        <Button onClick={() => setShowTransfer(true)} className="ml-4 bg-indigo-500 hover:bg-indigo-600">Transfer</Button>
+                        <Button onClick={handleRemoveBaby} className="ml-4 bg-red-600 hover:bg-red-700">Remove</Button>
+                    </div>
+                </div>
+                {showTransfer && (
+                    <TransferBabyModal
+                        currentShift={currentShift}
+                        baby={baby}
+                        onTransferred={onBack}
+                        onCancel={() => setShowTransfer(false)}
+                    />
+                )}
+                <h2 className="text-3xl font-bold text-gray-800 mb-2">{baby.internalID_Nickname}</h2>
+                <p className="text-xl text-indigo-700 mb-6">
+                    GA: {baby.gestationalAge_Weeks}+{baby.gestationalAge_Days} | CGA: {baby.correctedGestationalAge_Weeks}+{baby.correctedGestationalAge_Days} | PNA: Day {baby.pna_Days}
+                </p>
+                <StaleFieldsBanner currentShiftId={currentShift.id} baby={baby} />
+
+                <div className="flex border-b border-gray-200 mb-6">
+                    <button
+                        className={`py-2 px-4 text-sm font-medium ${activeTab === 'report' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+                        onClick={() => setActiveTab('report')}
+                    >
+                        Report Sheet
+                    </button>
+                    <button
+                        className={`py-2 px-4 text-sm font-medium ${activeTab === 'touchTimeLogs' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+                        onClick={() => setActiveTab('touchTimeLogs')}
+                    >
+                        Touch Time Logs
+                    </button>
+                    <button
+                        className={`py-2 px-4 text-sm font-medium ${activeTab === 'eventLog' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+                        onClick={() => setActiveTab('eventLog')}
+                    >
+                        Event Log
+                    </button>
+                    <button
+                        className={`py-2 px-4 text-sm font-medium ${activeTab === 'trends' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+                        onClick={() => setActiveTab('trends')}
+                    >
+                        Trends
+                    </button>
+                    <button
+                        className={`py-2 px-4 text-sm font-medium ${activeTab === 'intakeOutput' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+                        onClick={() => setActiveTab('intakeOutput')}
+                    >
+                        I&amp;O
+                    </button>
+                    <button
+                        className={`py-2 px-4 text-sm font-medium ${activeTab === 'growth' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+                        onClick={() => setActiveTab('growth')}
+                    >
+                        Growth
+                    </button>
+                </div>
+
+                {activeTab === 'report' && <ReportSheetSection currentShift={currentShift} baby={baby} assignmentType={currentShift.assignmentType || 'ICU'} staleFields={baby.staleFields} />}
+                {activeTab === 'touchTimeLogs' && <TouchTimeLogsSection currentShift={currentShift} babyId={baby.id} baby={baby} />}
+                {activeTab === 'eventLog' && <EventLogSection currentShiftId={currentShift.id} babyId={baby.id} />}
+                {activeTab === 'trends' && <TrendsSection baby={baby} shift={currentShift} />}
+                {activeTab === 'intakeOutput' && <FluidBalanceSection baby={baby} shift={currentShift} />}
+                {activeTab === 'growth' && <GrowthSection baby={baby} shift={currentShift} />}
+            </div>
+        </div>
+    );
+};
+
+// Copies text via a temporary textarea (document.execCommand('copy') works inside iFrames)
+const copyTextToClipboard = (text, successMessage) => {
+    const tempTextArea = document.createElement('textarea');
+    tempTextArea.value = text;
+    document.body.appendChild(tempTextArea);
+    tempTextArea.select();
+    try {
+        document.execCommand('copy');
+        alert(successMessage);
+    } catch (err) {
+        console.error('Failed to copy text: ', err);
+        alert('Failed to copy. Please manually select and copy the text.');
+    } finally {
+        document.body.removeChild(tempTextArea);
+    }
+};
+
+// Screen 4: End-of-Shift Summary
+const ShiftSummaryScreen = ({ currentShift, babies, onBackToShifts, onDeleteShift, onOpenHandoff }) => {
+    const { userId, db, appId } = useContext(AppContext);
+    const [isDeleting, setIsDeleting] = useState(false);
+    const [idfHistories, setIdfHistories] = useState({}); // Earlier shifts of IDF babies, by nickname
+
+    // IDF progression and the 24-hour criteria need the babies' earlier shifts
+    const idfNicknames = babies
+        .filter(baby => !baby.transferredTo && baby.reportSheet?.feedsRoute === IDF_ROUTE)
+        .map(baby => baby.internalID_Nickname)
+        .join('\n');
+    useEffect(() => {
+        if (!userId || !idfNicknames) return;
+        let cancelled = false;
+        Promise.all(idfNicknames.split('\n').map(nickname => (
+            fetchBabyAcrossShifts(db, appId, userId, nickname).then(entries => [nickname, entries])
+        )))
+            .then(results => { if (!cancelled) setIdfHistories(Object.fromEntries(results)); })
+            .catch(error => console.error("Error loading IDF history:", error));
+        return () => { cancelled = true; };
+    }, [db, appId, userId, idfNicknames]);
+
+    const handleDeleteAndReturn = async () => {
+        if (!window.confirm('Are you sure you want to delete this shift? This action cannot be undone.')) {
+            return;
+        }
+        setIsDeleting(true);
+        try {
+            await deleteShift(db, appId, userId, currentShift.id);
+            alert('Shift deleted successfully!');
+            onDeleteShift(); // This should clear the shift and return to setup
+        } catch (error) {
+            console.error("Error deleting shift:", error);
+            alert('Failed to delete shift. See console for details.');
+            setIsDeleting(false);
+        }
+    };
+
+    const generateSummaryText = () => {
+        let summary = `--- NICU Shift Report Summary ---\n`;
+        summary += `Shift: ${formatShiftRange(currentShift)}\n\n`;
+
+        babies.forEach(baby => {
+            summary += `--- Baby: ${baby.internalID_Nickname} ---\n`;
+            if (baby.transferredTo) {
+                summary += `  Transferred to another nurse at ${new Date(baby.transferredTo.at).toLocaleString()}\n\n`;
+                return;
+            }
+            summary += `  GA: ${baby.gestationalAge_Weeks}+${baby.gestationalAge_Days} | CGA: ${baby.correctedGestationalAge_Weeks}+${baby.correctedGestationalAge_Days} | PNA: Day ${baby.pna_Days}\n`;
+            summary += `  Bed: ${baby.bedRoomNumber}\n`;
+            summary += `  Birth Wt: ${baby.birthWeight}g | Last Wt: ${baby.lastWeight}g | HC: ${baby.headCircumference}cm | AG: ${baby.abdominalGirth}cm\n`;
+            if (baby.birthWeight && baby.lastWeight) {
+                const weightChange = ((baby.lastWeight - baby.birthWeight) / baby.birthWeight * 100).toFixed(2);
+                summary += `  Weight % Change: ${weightChange}%\n`;
+            }
+            if (baby.bedChangeDue) summary += `  Bed Change Due: Yes\n`;
+
+            summary += `  Touch Time Interval: ${getIntervalLabel(baby)}\n`;
+            summary += `  First Touch Time: ${baby.babyQ3StartTime}\n`;
+            summary += `  Touch Time Schedule: ${getBabyTouchTimes(baby, currentShift).join(', ')}\n`;
+
+
+            const report = baby.reportSheet || {};
+            summary += `\n  -- Report Sheet --\n`;
             summary += `  Maternal Hx: ${report.maternalHistory || 'N/A'}\n`;
             summary += `  Problems: ${report.currentProblems || 'N/A'}\n`;
-            summary += `  Resp: ${report.respiratoryMode || 'N/A'} @ ${report.respiratoryFlow || 'N/A'}L/min, ${report.respiratoryFiO2 || 'N/A'}% FiO2 | CBG/ABG Sched: ${report.cbgAbgSchedule || 'N/A'}\n`;
+            const deliveryRoom = Object.keys(DELIVERY_ROOM_LABELS).filter(field => report[field]).map(field => DELIVERY_ROOM_LABELS[field]);
+            if (deliveryRoom.length > 0) summary += `  Delivery Room: ${deliveryRoom.join(', ')}\n`;
+            if (report.babyHistoryNotes) summary += `  History Notes: ${report.babyHistoryNotes}\n`;
+            summary += `  Resp: ${describeRespiratorySupport(report) || 'N/A'} | CBG/ABG Sched: ${report.cbgAbgSchedule || 'N/A'}\n`;
+            if (report.respiratoryStartDate || report.respiratoryFiO2Range) {
+                summary += `  Resp Since: ${report.respiratoryStartDate || 'N/A'} | FiO2 Range: ${report.respiratoryFiO2Range || 'N/A'}\n`;
+            }
+            if (report.respiratoryNotes) summary += `  Resp Notes: ${report.respiratoryNotes}\n`;
+            const shiftStart = getShiftStart(currentShift);
+            (report.respiratoryHistory || []).filter(entry => new Date(entry.at) >= shiftStart).forEach(entry => {
+                summary += `    Changed ${formatTime(entry.at)}: ${describeRespiratorySupport({ respiratoryMode: entry.mode, ...entry.settings })}${entry.reason ? ` - ${entry.reason}` : ''}\n`;
+            });
             summary += `  Feeds: ${report.feedsRoute || 'N/A'} ${report.feedType || 'N/A'} ${report.feedCalories || 'N/A'} ${report.feedVolume || 'N/A'} (NG/OG: ${report.ngOgTubeDetails || 'N/A'}) | Nipple: ${report.bottleNippleType || 'N/A'}\n`;
             summary += `  Feed Instr: ${report.feedSpecialInstructions || 'N/A'}\n`;
+            if (report.feedIssues) summary += `  Feed Issues: ${report.feedIssues}\n`;
+            checkFeedingEntries(baby, report).forEach(issue => {
+                summary += `  ** Feeding check: ${issue}\n`;
+            });
 
             // IV Fluids - Enhanced display based on line type
             summary += `  IV Line: ${report.ivLineType || 'N/A'} @ ${report.ivSite || 'N/A'}\n`;
@@ -1560,15 +3365,19 @@ const ShiftSummaryScreen = ({ currentShift, babies, allReportDetails, allTouchTi
                 summary += `    Fluids: ${report.ivFluidsGeneral || 'N/A'} @ ${report.ivRateGeneral || 'N/A'}\n`;
             }
 
-            const meds = report.medications ? Object.keys(report.medications).filter(key => report.medications[key] === true).join(', ') : '';
-            summary += `  Medications: ${meds}${report.medications?.otherMedications ? (meds ? ', ' : '') + report.medications.otherMedications : '' || 'N/A'}\n`;
+            const medications = normalizeMedications(report.medications);
+            summary += `  Medications: ${medications.map(order => `${formatMedicationOrder(order)}${order.nextDue && order.frequency !== 'prn' ? ` (due ${order.nextDue})` : ''}`).join(', ') || 'N/A'}\n`;
+            const overdueDoses = getOverdueDoses(medications, currentShift, baby.eventLogs);
+            if (overdueDoses.length > 0) {
+                summary += `  ** Overdue / missed doses: ${overdueDoses.map(({ order, time }) => `${order.name} ${time}`).join(', ')}\n`;
+            }
             summary += `  Labs Ordered: ${report.labsOrdered || 'N/A'}\n`;
             summary += `  Lab Results: ${report.labResults || 'N/A'}\n`;
             summary += `  Tx Plan: ${report.treatmentPlan || 'N/A'}\n`;
             summary += `  Notes: ${report.notes || 'N/A'}\n`;
 
             summary += `\n  -- Touch Time Logs --\n`;
-            const babyTouchTimes = allTouchTimeLogs[baby.id] || [];
+            const babyTouchTimes = sortTouchTimeLogs(baby.touchTimeLogs, currentShift);
             if (babyTouchTimes.length === 0) {
                 summary += `  No touch times logged.\n`;
             } else {
@@ -1576,13 +3385,50 @@ const ShiftSummaryScreen = ({ currentShift, babies, allReportDetails, allTouchTi
                     summary += `    ${log.scheduledTime} (Logged: ${new Date(log.timestamp).toLocaleTimeString()})\n`;
                     summary += `      Temp: ${log.temp || 'N/A'}, HR: ${log.hr || 'N/A'}, RR: ${log.rr || 'N/A'}, SpO2: ${log.spo2 || 'N/A'}\n`;
                     summary += `      Feed: ${log.feedVolume || 'N/A'} ${log.feedRoute || ''} (${log.feedTolerance || 'N/A'})\n`;
-                    summary += `      Diaper: ${log.diaperOutput || 'N/A'} | Position: ${log.positioning || 'N/A'} | Line: ${log.lineCheck || 'N/A'}\n`;
+                    if (describeIdfLog(log)) summary += `      IDF: ${describeIdfLog(log)}\n`;
+                    summary += `      Diaper: ${log.diaperOutput || 'N/A'}${log.diaperDetails ? ` (${log.diaperDetails})` : ''} | Position: ${log.positioning || 'N/A'} | Line: ${log.lineCheck || 'N/A'}\n`;
                     summary += `      Comments: ${log.comments || 'N/A'}\n`;
+                    if (log.amendedAt) summary += `      ** ${describeAmendments(log)}\n`;
+                });
+            }
+
+            summary += `\n  -- Intake & Output (shift so far) --\n`;
+            formatFluidBalance(buildFluidBalance(baby, getElapsedShiftHours(currentShift))).forEach(line => {
+                summary += `    ${line}\n`;
+            });
+
+            if (report.feedsRoute === IDF_ROUTE) {
+                const entries = [
+                    ...(idfHistories[baby.internalID_Nickname] || []).filter(entry => !(entry.shift.id === currentShift.id && entry.baby.id === baby.id)),
+                    { shift: currentShift, baby }
+                ];
+                const idfScores = collectIdfScores(entries);
+                const statusTime = new Date(Math.min(Date.now(), getShiftEnd(currentShift).getTime()));
+                summary += `\n  -- IDF Feeding Progression --\n`;
+                summary += `    ${describeIdf24hStatus(getIdf24hStatus(idfScores, statusTime))}\n`;
+                const progression = buildFeedingProgression(idfScores);
+                if (progression.length === 0) {
+                    summary += `    No IDF scores logged.\n`;
+                } else {
+                    formatFeedingProgressionTable(progression).forEach(line => {
+                        summary += `    ${line}\n`;
+                    });
+                }
+            }
+
+            const vitalRanges = resolveVitalRanges(baby);
+            const flaggedLogs = babyTouchTimes
+                .map(log => ({ log, flags: flagVitals(log, vitalRanges) }))
+                .filter(({ flags }) => flags.length > 0);
+            if (flaggedLogs.length > 0) {
+                summary += `\n  -- Flagged Vitals (outside normal range) --\n`;
+                flaggedLogs.forEach(({ log, flags }) => {
+                    summary += `    ${log.scheduledTime}: ${flags.map(describeVitalFlag).join(', ')}\n`;
                 });
             }
 
             summary += `\n  -- Event Log --\n`;
-            const babyEvents = allEventsData[baby.id] || [];
+            const babyEvents = [...(baby.eventLogs || [])].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
             if (babyEvents.length === 0) {
                 summary += `  No events logged.\n`;
             } else {
@@ -1596,28 +3442,20 @@ const ShiftSummaryScreen = ({ currentShift, babies, allReportDetails, allTouchTi
     };
 
     const handleCopyToClipboard = () => {
-        const summaryText = generateSummaryText();
-        // Use document.execCommand('copy') for better compatibility in iFrames
-        const tempTextArea = document.createElement('textarea');
-        tempTextArea.value = summaryText;
-        document.body.appendChild(tempTextArea);
-        tempTextArea.select();
-        try {
-            document.execCommand('copy');
-            alert('Summary copied to clipboard!');
-        } catch (err) {
-            console.error('Failed to copy text: ', err);
-            alert('Failed to copy. Please manually select and copy the text.');
-        } finally {
-            document.body.removeChild(tempTextArea);
-        }
+        copyTextToClipboard(generateSummaryText(), 'Summary copied to clipboard!');
     };
 
     const handlePrintPdf = () => {
         const summaryText = generateSummaryText();
+        const escapedSummary = summaryText.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        // Trend charts are inline SVG, so they print without any external service
+        const chartsHtml = babies
+            .filter(baby => baby.babyQ3StartTime && !baby.transferredTo)
+            .map(baby => `<section style="page-break-before: always;"><h3 style="font-family: sans-serif;">Trends: ${baby.internalID_Nickname.replace(/</g, '&lt;')}</h3>${getBabyTrendChartsHtml(baby, currentShift)}</section>`)
+            .join('');
         // A simple way to trigger print for text, a dedicated PDF library would be needed for true PDF generation
         const printWindow = window.open('', '_blank');
-        printWindow.document.write(`<pre>${summaryText}</pre>`);
+        printWindow.document.write(`<pre>${escapedSummary}</pre>${chartsHtml}`);
         printWindow.document.close();
         printWindow.print();
     };
@@ -1644,6 +3482,7 @@ const ShiftSummaryScreen = ({ currentShift, babies, allReportDetails, allTouchTi
                     <div className="flex justify-end space-x-4 mt-6">
                         <Button onClick={handleCopyToClipboard}>Copy for Charting</Button>
                         <Button onClick={handlePrintPdf} className="bg-blue-500 hover:bg-blue-600">Print / PDF</Button>
+                        <Button onClick={onOpenHandoff} className="bg-indigo-500 hover:bg-indigo-600">Handoff Cards (I-PASS / SBAR)</Button>
                     </div>
                 </div>
 
@@ -1659,31 +3498,621 @@ const ShiftSummaryScreen = ({ currentShift, babies, allReportDetails, allTouchTi
     );
 };
 
+// Structured bedside handoff (I-PASS or SBAR) for the babies the nurse picks, as printable cards
+const HandoffScreen = ({ currentShift, babies, onBack }) => {
+    const { db, appId, userId, account } = useContext(AppContext);
+    const handoffBabies = babies.filter(baby => !baby.transferredTo);
+    const members = useUnitMembers();
+    const [toUserId, setToUserId] = useState('');
+    const [sentHandoffs, setSentHandoffs] = useState([]);
+
+    useEffect(() => {
+        if (!userId || !currentShift?.id) return;
+        const unsubscribe = getSentHandoffs(db, appId, userId, currentShift.id, setSentHandoffs);
+        return () => unsubscribe();
+    }, [db, appId, userId, currentShift?.id]);
+    const [format, setFormat] = useState('ipass');
+    const [excludedIds, setExcludedIds] = useState([]);
+    const [severities, setSeverities] = useState({}); // babyId -> severity chosen by the nurse
+
+    const toggleBaby = (babyId) => {
+        setExcludedIds(prev => (prev.includes(babyId) ? prev.filter(id => id !== babyId) : [...prev, babyId]));
+    };
+
+    const handoffs = handoffBabies
+        .filter(baby => !excludedIds.includes(baby.id))
+        .map(baby => buildHandoff(baby, currentShift, {
+            format,
+            scheduleTimes: baby.babyQ3StartTime ? getBabyTouchTimes(baby, currentShift) : [],
+            severity: severities[baby.id]
+        }));
+
+    const handleCopy = () => {
+        copyTextToClipboard(handoffs.map(formatHandoffText).join('\n\n'), 'Handoff copied to clipboard!');
+    };
+
+    const handleSend = () => {
+        if (toUserId === userId || !members.some(member => member.id === toUserId)) {
+            alert('Please pick the oncoming nurse.');
+            return;
+        }
+        try {
+            sendHandoff(db, appId, userId, {
+                toUserId,
+                fromLabel: account && !account.isAnonymous ? account.label : '',
+                shift: currentShift,
+                babies: handoffBabies.filter(baby => !excludedIds.includes(baby.id)),
+                summaryText: handoffs.map(formatHandoffText).join('\n\n')
+            });
+            setToUserId('');
+        } catch (error) {
+            console.error("Error sending handoff:", error);
+            alert('Failed to send handoff. See console for details.');
+        }
+    };
+
+    const handlePrint = () => {
+        const printWindow = window.open('', '_blank');
+        printWindow.document.write(renderHandoffCardsHtml(handoffs));
+        printWindow.document.close();
+        printWindow.print();
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-4">
+            <div className="container mx-auto py-8">
+                <Button onClick={onBack} className="bg-gray-600 hover:bg-gray-700 mb-6">← Back to Summary</Button>
+                <h2 className="text-3xl font-bold text-gray-800 mb-6">Bedside Handoff</h2>
+
+                <div className="bg-white p-6 rounded-lg shadow-md mb-6 space-y-4">
+                    <RadioGroup
+                        label="Format:"
+                        name="handoffFormat"
+                        selectedValue={format}
+                        onChange={(e) => setFormat(e.target.value)}
+                        options={Object.entries(HANDOFF_FORMATS).map(([value, { label }]) => ({ value, label }))}
+                    />
+                    <div className="space-y-2">
+                        {handoffBabies.map(baby => (
+                            <div key={baby.id} className="flex items-center justify-between">
+                                <Checkbox
+                                    label={`${baby.internalID_Nickname} (Bed ${baby.bedRoomNumber || '?'})`}
+                                    name={`handoff-${baby.id}`}
+                                    checked={!excludedIds.includes(baby.id)}
+                                    onChange={() => toggleBaby(baby.id)}
+                                />
+                                {format === 'ipass' && (
+                                    <select
+                                        className="text-sm border border-gray-300 rounded-md px-2 py-1"
+                                        value={severities[baby.id] || suggestIllnessSeverity(baby)}
+                                        onChange={(e) => setSeverities(prev => ({ ...prev, [baby.id]: e.target.value }))}
+                                    >
+                                        {ILLNESS_SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                                    </select>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex justify-end space-x-4">
+                        <Button onClick={handleCopy} disabled={handoffs.length === 0}>Copy</Button>
+                        <Button onClick={handlePrint} disabled={handoffs.length === 0} className="bg-blue-500 hover:bg-blue-600">Print Cards</Button>
+                    </div>
+                </div>
+
+                <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+                    <h3 className="text-xl font-semibold text-gray-800 mb-2">Send to Oncoming Nurse</h3>
+                    <p className="text-sm text-gray-600 mb-4">
+                        Sends the selected babies (demographics and report sheet) and this handoff to a nurse in your unit. When the oncoming nurse accepts, the babies are added to their new shift.
+                    </p>
+                    <div className="flex items-end space-x-4">
+                        <div className="flex-grow">
+                            <UnitNursePicker label="Oncoming Nurse" value={toUserId} onChange={(e) => setToUserId(e.target.value)} members={members} />
+                        </div>
+                        <Button onClick={handleSend} disabled={!toUserId || handoffs.length === 0}>Send Handoff</Button>
+                    </div>
+                    {sentHandoffs.length > 0 && (
+                        <ul className="mt-4 space-y-1 text-sm">
+                            {sentHandoffs.map(handoff => (
+                                <li key={handoff.id} className={handoff.status === 'accepted' ? 'text-green-700' : 'text-gray-600'}>
+                                    {handoff.babies.length} {handoff.babies.length === 1 ? 'baby' : 'babies'} to {members.find(member => member.id === handoff.toUserId)?.label || <span className="font-mono">{handoff.toUserId.slice(0, 8)}…</span>}
+                                    {' '}· sent {new Date(handoff.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                    {' '}· {handoff.status === 'accepted'
+                                        ? `accepted ${new Date(handoff.acceptedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                                        : 'waiting for acceptance'}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {handoffs.map((handoff, index) => (
+                        <div key={index} className="bg-white p-4 rounded-lg shadow-md text-sm">
+                            <p className="text-lg font-semibold text-gray-800">{handoff.title}</p>
+                            <p className="text-gray-600 mb-2">{handoff.subtitle}</p>
+                            {handoff.sections.map(section => (
+                                <div key={section.heading} className="mb-2">
+                                    <p className="font-semibold text-indigo-700 border-b border-gray-200">{section.heading}</p>
+                                    <ul className="list-disc list-inside text-gray-800">
+                                        {section.lines.map((line, index) => <li key={index}>{line}</li>)}
+                                    </ul>
+                                </div>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Whether a shift's history index matches a search (baby nickname, event type or date)
+const shiftMatchesSearch = (shift, search) => {
+    const term = search.trim().toLowerCase();
+    if (!term) return true;
+    return [...(shift.babyNicknames || []), ...(shift.eventTypes || []), shift.shiftDate]
+        .some(value => value && value.toLowerCase().includes(term));
+};
+
+// Screen: Past Shifts (reopen, archive, search)
+const PastShiftsScreen = ({ shifts, currentShiftId, onReopenShift, onBack }) => {
+    const { userId, db, appId } = useContext(AppContext);
+    const [search, setSearch] = useState('');
+    const [showArchived, setShowArchived] = useState(false);
+    const [archivedShifts, setArchivedShifts] = useState([]);
+    const [busyShiftId, setBusyShiftId] = useState(null);
+    const indexedRef = useRef(new Set()); // Shifts whose missing index has been requested this session
+
+    // Shifts created before the history index existed get it built once
+    useEffect(() => {
+        shifts
+            .filter(shift => shift.babyCount === undefined && !indexedRef.current.has(shift.id))
+            .forEach(shift => {
+                indexedRef.current.add(shift.id);
+                refreshShiftIndex(db, appId, userId, shift.id);
+            });
+    }, [shifts, db, appId, userId]);
+
+    useEffect(() => {
+        if (!showArchived || !userId) return;
+        const unsubscribe = getArchivedShifts(db, appId, userId, setArchivedShifts);
+        return () => unsubscribe();
+    }, [showArchived, db, appId, userId]);
+
+    const listedShifts = (showArchived ? archivedShifts : shifts).filter(shift => shiftMatchesSearch(shift, search));
+
+    // Group by shift date (lists are already newest first)
+    const shiftsByDate = listedShifts.reduce((groups, shift) => {
+        (groups[shift.shiftDate] = groups[shift.shiftDate] || []).push(shift);
+        return groups;
+    }, {});
+
+    const handleArchive = async (shift) => {
+        if (!window.confirm(`Archive the shift from ${formatShiftRange(shift)}? It will be moved out of Past Shifts (you can restore it from Archived).`)) return;
+        setBusyShiftId(shift.id);
+        try {
+            await archiveShift(db, appId, userId, shift.id);
+        } catch (error) {
+            console.error("Error archiving shift:", error);
+            alert('Failed to archive shift.');
+        } finally {
+            setBusyShiftId(null);
+        }
+    };
+
+    const handleRestore = async (shift) => {
+        setBusyShiftId(shift.id);
+        try {
+            await restoreShift(db, appId, userId, shift.id);
+        } catch (error) {
+            console.error("Error restoring shift:", error);
+            alert('Failed to restore shift.');
+        } finally {
+            setBusyShiftId(null);
+        }
+    };
+
+    const matchingNicknames = (shift) => {
+        const term = search.trim().toLowerCase();
+        if (!term) return [];
+        return (shift.babyNicknames || []).filter(nickname => nickname.toLowerCase().includes(term));
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-4">
+            <div className="container mx-auto py-8 max-w-3xl">
+                <div className="flex items-center justify-between mb-6">
+                    <h2 className="text-3xl font-bold text-gray-800">{showArchived ? 'Archived Shifts' : 'Past Shifts'}</h2>
+                    <Button onClick={onBack} className="bg-gray-500 hover:bg-gray-600">Back</Button>
+                </div>
+
+                <div className="flex flex-col md:flex-row md:items-end gap-4 mb-6">
+                    <div className="flex-1">
+                        <Input
+                            label="Search by baby nickname or event type"
+                            name="shiftSearch"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            placeholder={`e.g., R3B1 or ${EVENT_TYPES[0]}`}
+                        />
+                    </div>
+                    <Checkbox label="Show archived" name="showArchived" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+                </div>
+
+                {listedShifts.length === 0 ? (
+                    <p className="text-gray-600 text-center py-8">{search ? 'No shifts match your search.' : 'No shifts yet.'}</p>
+                ) : (
+                    Object.entries(shiftsByDate).map(([shiftDate, dateShifts]) => (
+                        <div key={shiftDate} className="mb-6">
+                            <h3 className="text-lg font-semibold text-gray-700 mb-2">{shiftDate}</h3>
+                            <div className="space-y-3">
+                                {dateShifts.map(shift => (
+                                    <div key={shift.id} className={`bg-white p-4 rounded-lg shadow-md flex items-center justify-between border-l-4 ${shift.assignmentType === 'ICU' ? 'border-red-400' : 'border-green-400'}`}>
+                                        <div>
+                                            <p className="font-semibold text-gray-800">
+                                                {formatShiftRange(shift)}
+                                                {shift.id === currentShiftId && <span className="ml-2 text-xs text-indigo-600">(current)</span>}
+                                            </p>
+                                            <p className="text-sm text-gray-600">
+                                                {shift.assignmentType || 'ICU'} Assignment · {shift.babyCount ?? '…'} {shift.babyCount === 1 ? 'baby' : 'babies'}
+                                            </p>
+                                            {matchingNicknames(shift).length > 0 && (
+                                                <p className="text-xs text-indigo-600 mt-1">Matches: {matchingNicknames(shift).join(', ')}</p>
+                                            )}
+                                        </div>
+                                        <div className="flex space-x-2">
+                                            {showArchived ? (
+                                                <Button onClick={() => handleRestore(shift)} disabled={busyShiftId === shift.id} className="text-sm px-3 py-1">Restore</Button>
+                                            ) : (
+                                                <>
+                                                    <Button onClick={() => onReopenShift(shift)} className="text-sm px-3 py-1">Reopen</Button>
+                                                    <Button onClick={() => handleArchive(shift)} disabled={busyShiftId === shift.id || shift.id === currentShiftId} className="text-sm px-3 py-1 bg-gray-500 hover:bg-gray-600">Archive</Button>
+                                                </>
+                                            )}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+};
+
+// One nurse's active assignment on the unit board (read-only)
+const UnitMemberAssignment = ({ member, now }) => {
+    const { db, appId } = useContext(AppContext);
+    const [shift, setShift] = useState(undefined); // undefined while loading, null when the nurse has no shift in progress
+    const [babies, setBabies] = useState([]);
+
+    useEffect(() => {
+        const unsubscribe = getActiveShift(db, appId, member.id, setShift);
+        return () => unsubscribe();
+    }, [db, appId, member.id]);
+
+    const isActive = Boolean(shift) && getShiftEnd(shift) > now;
+
+    useEffect(() => {
+        if (!isActive) return;
+        const unsubscribe = getBabies(db, appId, member.id, shift.id, setBabies);
+        return () => unsubscribe();
+    }, [db, appId, member.id, shift?.id, isActive]);
+
+    const assignedBabies = babies.filter(baby => !baby.transferredTo);
+
+    return (
+        <div className={`bg-white p-4 rounded-lg shadow-md border-l-4 ${shift?.assignmentType === 'Intermediate' ? 'border-green-400' : 'border-red-400'}`}>
+            <div className="flex justify-between items-baseline mb-2">
+                <p className="font-semibold text-gray-800">
+                    {member.label}
+                    {member.charge && <span className="ml-2 text-xs text-indigo-600">(charge)</span>}
+                </p>
+                {isActive && <p className="text-sm text-gray-600">{shift.assignmentType || 'ICU'} · {formatShiftRange(shift)}</p>}
+            </div>
+            {shift === undefined && <p className="text-sm text-gray-500">Loading...</p>}
+            {shift !== undefined && !isActive && <p className="text-sm text-gray-500">No active shift</p>}
+            {isActive && assignedBabies.length === 0 && <p className="text-sm text-gray-500">No babies assigned</p>}
+            {isActive && assignedBabies.length > 0 && (
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-gray-500">
+                            <th className="font-medium">Baby</th>
+                            <th className="font-medium">Bed</th>
+                            <th className="font-medium">CGA</th>
+                            <th className="font-medium">Resp</th>
+                            <th className="font-medium">Overdue Touch Times</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {assignedBabies.map(baby => {
+                            const overdue = baby.babyQ3StartTime
+                                ? getOverdueTouchTimes(shift, getBabyTouchTimes(baby, shift), baby.touchTimeLogs, now)
+                                : [];
+                            const report = baby.reportSheet || {};
+                            return (
+                                <tr key={baby.id} className="border-t border-gray-100">
+                                    <td className="py-1 font-medium text-gray-800">{baby.internalID_Nickname}</td>
+                                    <td>{baby.bedRoomNumber}</td>
+                                    <td>{baby.correctedGestationalAge_Weeks}+{baby.correctedGestationalAge_Days}</td>
+                                    <td>{report.respiratoryMode || '—'}{report.respiratoryFiO2 ? ` ${report.respiratoryFiO2}%` : ''}</td>
+                                    <td className={overdue.length > 0 ? 'text-red-600 font-semibold' : 'text-green-700'}>
+                                        {overdue.length > 0 ? overdue.join(', ') : 'None'}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+// Admin-only form for assigning any nurse to a unit, including charge nurses
+const AdminUnitRoleForm = ({ busy, onSave }) => {
+    const [nurseId, setNurseId] = useState('');
+    const [unitId, setUnitId] = useState('');
+    const [isCharge, setIsCharge] = useState(false);
+
+    const handleSave = async () => {
+        const newUnitId = unitId.trim() || null;
+        const message = newUnitId ? `Nurse assigned to unit ${newUnitId}${isCharge ? ' as charge nurse' : ''}.` : 'Nurse removed from their unit.';
+        if (await onSave(nurseId.trim(), newUnitId, message, isCharge && Boolean(newUnitId))) {
+            setNurseId('');
+        }
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-md max-w-md mb-8 border-l-4 border-indigo-500">
+            <p className="font-semibold text-gray-800 mb-2">Set Unit Role (Admin)</p>
+            <div className="space-y-3">
+                <Input label="Nurse ID" name="adminNurseId" value={nurseId} onChange={(e) => setNurseId(e.target.value)} />
+                <Input label="Unit ID (leave blank to remove from unit)" name="adminUnitId" value={unitId} onChange={(e) => setUnitId(e.target.value)} placeholder="e.g., NICU-4N" />
+                <Checkbox label="Charge nurse" name="adminIsCharge" checked={isCharge} onChange={(e) => setIsCharge(e.target.checked)} />
+                <Button onClick={handleSave} disabled={busy || !nurseId.trim()}>Save Role</Button>
+            </div>
+        </div>
+    );
+};
+
+// Screen: Import a shift saved by nicushifttracker.html / nicushifts.html (localStorage or "Save Shift" file)
+const LegacyImportScreen = ({ shifts, onImported, onBack }) => {
+    const { userId, db, appId } = useContext(AppContext);
+    const [localStates] = useState(() => readLegacyLocalStates());
+    const [legacy, setLegacy] = useState(null); // { source, state } being imported
+    const [shiftDate, setShiftDate] = useState(getLocalDateString());
+    const [assignmentType, setAssignmentType] = useState('ICU');
+    const [isImporting, setIsImporting] = useState(false);
+
+    const preview = legacy ? buildLegacyImport(legacy, { shiftDate, assignmentType }) : null;
+    const alreadyImported = preview && shifts.some(shift => shift.legacyImportKey === preview.shift.legacyImportKey);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            setLegacy(parseLegacyExport(await file.text()));
+        } catch (error) {
+            console.error("Error reading tracker file:", error);
+            alert(error.message);
+        }
+    };
+
+    const handleImport = async () => {
+        if (alreadyImported && !window.confirm('This shift was already imported. Import it again as a new shift?')) return;
+        setIsImporting(true);
+        try {
+            const shift = await importLegacyShift(db, appId, userId, preview);
+            alert(`Imported ${preview.babies.length} ${preview.babies.length === 1 ? 'baby' : 'babies'}.`);
+            onImported(shift);
+        } catch (error) {
+            console.error("Error importing shift:", error);
+            alert('Import failed. See console for details.');
+            setIsImporting(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-4">
+            <div className="container mx-auto py-8 max-w-2xl">
+                <div className="flex items-center justify-between mb-6">
+                    <h2 className="text-3xl font-bold text-indigo-800">Import from Old Tracker</h2>
+                    <Button onClick={onBack} className="bg-gray-500 hover:bg-gray-600">Back</Button>
+                </div>
+                <div className="p-6 bg-white rounded-lg shadow-md space-y-4">
+                    <p className="text-sm text-gray-600">
+                        Brings a shift saved by the standalone trackers (nicushifttracker.html or nicushifts.html) into the app as a new shift:
+                        babies, report sheets, touch times and events.
+                    </p>
+                    {localStates.length > 0 && (
+                        <div>
+                            <p className="text-sm font-medium text-gray-700 mb-2">Saved in this browser:</p>
+                            {localStates.map(entry => (
+                                <button
+                                    key={entry.source}
+                                    className={`block w-full text-left mb-2 p-3 rounded-md border text-sm ${legacy === entry ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300 hover:bg-gray-50'}`}
+                                    onClick={() => setLegacy(entry)}
+                                >
+                                    {LEGACY_SOURCES[entry.source].label}: {entry.state.babies.map(baby => baby.name || 'Unnamed').join(', ')}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Or choose a &quot;Save Shift&quot; file (.json):</label>
+                        <input type="file" accept=".json,application/json" onChange={handleFile} className="text-sm" />
+                    </div>
+                    {preview && (
+                        <>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <Input label="Shift Date" type="date" name="shiftDate" value={shiftDate} onChange={(e) => setShiftDate(e.target.value)} />
+                                <RadioGroup
+                                    label="Assignment Type"
+                                    name="importAssignmentType"
+                                    selectedValue={assignmentType}
+                                    onChange={(e) => setAssignmentType(e.target.value)}
+                                    options={[{ value: 'ICU', label: 'ICU' }, { value: 'Intermediate', label: 'Intermediate' }]}
+                                />
+                            </div>
+                            <ul className="list-disc list-inside font-mono text-xs text-gray-700">
+                                {formatLegacyImport(preview).map((line, index) => <li key={index}>{line}</li>)}
+                            </ul>
+                            {alreadyImported && <p className="text-sm text-orange-700">⚠ This shift has already been imported.</p>}
+                            <Button onClick={handleImport} disabled={isImporting || !shiftDate} className="w-full">
+                                {isImporting ? 'Importing...' : 'Import Shift'}
+                            </Button>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Charge nurse board: every unit member's active assignment, plus adding/removing staff nurses
+const UnitBoardScreen = ({ onBack }) => {
+    const { db, appId, userId, account, refreshAccount } = useContext(AppContext);
+    const [members, setMembers] = useState([]);
+    const now = useNow();
+    const [newNurseId, setNewNurseId] = useState('');
+    const [busy, setBusy] = useState(false);
+    const unitId = account?.unitId;
+
+    useEffect(() => {
+        if (!unitId) return;
+        const unsubscribe = getUnitMembers(db, appId, unitId, setMembers);
+        return () => unsubscribe();
+    }, [db, appId, unitId]);
+
+    const changeMember = async (uid, newUnitId, successMessage, charge = false) => {
+        setBusy(true);
+        try {
+            const result = await setUnitRole(functions, appId, uid, newUnitId, charge);
+            alert(result.invited ? 'Invite sent. The nurse joins the unit once they accept it on their dashboard.' : successMessage);
+            return true;
+        } catch (error) {
+            console.error("Error changing unit role:", error);
+            alert(`Failed to update unit: ${error.message}`);
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleAddNurse = async () => {
+        const uid = newNurseId.trim();
+        if (!uid) return;
+        if (await changeMember(uid, unitId, 'Nurse added to the unit.')) {
+            setNewNurseId('');
+        }
+    };
+
+    const handleRemoveNurse = (member) => {
+        if (!window.confirm(`Remove ${member.label} from unit ${unitId}?`)) return;
+        changeMember(member.id, null, 'Nurse removed from the unit.');
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-4">
+            <div className="container mx-auto py-8">
+                <div className="flex justify-between items-center mb-6">
+                    <Button onClick={onBack} className="bg-gray-600 hover:bg-gray-700">← Back</Button>
+                    <button className="text-sm text-indigo-600 underline" onClick={() => refreshAccount(true)}>Refresh role</button>
+                </div>
+                <h2 className="text-3xl font-bold text-gray-800 mb-1">Unit Board{unitId ? `: ${unitId}` : ''}</h2>
+                <p className="text-sm text-gray-600 mb-6">Read-only view of each nurse&apos;s current assignment. Updated {now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.</p>
+
+                {account?.admin && <AdminUnitRoleForm busy={busy} onSave={changeMember} />}
+
+                {!account?.charge ? (
+                    <p className="text-gray-600 text-center py-8">The unit board is available to charge nurses. Ask an admin to set your role, then click &quot;Refresh role&quot;.</p>
+                ) : (
+                    <>
+                        <div className="space-y-4 mb-8">
+                            {members.length === 0 && <p className="text-gray-600 text-center py-8">No nurses in this unit yet.</p>}
+                            {members.map(member => (
+                                <div key={member.id}>
+                                    <UnitMemberAssignment member={member} now={now} />
+                                    {!member.charge && member.id !== userId && (
+                                        <button className="text-xs text-red-600 underline mt-1" onClick={() => handleRemoveNurse(member)} disabled={busy}>
+                                            Remove from unit
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="bg-white p-4 rounded-lg shadow-md max-w-md">
+                            <p className="font-semibold text-gray-800 mb-2">Invite a Nurse to {unitId}</p>
+                            <Input
+                                label="Nurse ID (shown at the bottom of their dashboard)"
+                                name="newNurseId"
+                                value={newNurseId}
+                                onChange={(e) => setNewNurseId(e.target.value)}
+                            />
+                            <Button onClick={handleAddNurse} disabled={busy || !newNurseId.trim()} className="mt-3">Invite Nurse</Button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
 // Main App component wrapper to provide context
 function MainApp() {
-    const { userId, loading, firebaseReady } = useContext(AppContext);
-    const [screen, setScreen] = useState('shiftSetup'); // 'shiftSetup', 'dashboard', 'addBaby', 'babyReport', 'summary'
+    const { db, appId, userId, loading, firebaseReady, authError, setAuthError } = useContext(AppContext);
+    const [screen, setScreen] = useState('shiftSetup'); // 'shiftSetup', 'account', 'unitBoard', 'pastShifts', 'dashboard', 'addBaby', 'carryForward', 'babyReport', 'editBaby', 'summary', 'handoff'
     const [currentShift, setCurrentShift] = useState(null); // Currently selected shift object
     const [selectedBabyId, setSelectedBabyId] = useState(null); // Currently selected baby ID
-    const [allShifts, setAllShifts] = useState([]); // To display list of past shifts for summary
-    const [allBabiesData, setAllBabiesData] = useState({}); // To store babies data across shifts
-    const [allReportsData, setAllReportsData] = useState({}); // To store report data across babies/shifts
-    const [allTouchTimesData, setAllTouchTimesData] = useState({}); // To store touch times across babies/shifts
-    const [allEventsData, setAllEventsData] = useState({}); // To store events across babies/shifts
+    const [allShifts, setAllShifts] = useState([]); // Listed on the Past Shifts screen
+    const [summaryBabies, setSummaryBabies] = useState([]); // Babies (with embedded report sheet + logs) for the summary screen
+    const [reminderSettings, setReminderSettings] = useState(loadReminderSettings); // Per device
+
+    useTouchTimeReminders(currentShift, reminderSettings);
+
+    const handleChangeReminderSettings = (settings) => {
+        saveReminderSettings(settings);
+        setReminderSettings(settings);
+    };
+
+    // Start from shift setup whenever a different user signs in (or signs out)
+    useEffect(() => {
+        setCurrentShift(null);
+        setSelectedBabyId(null);
+        setScreen('shiftSetup');
+    }, [userId]);
 
     // Fetch all shifts on app load to populate past shifts list
     useEffect(() => {
         if (!firebaseReady || !userId) return;
-        const unsubscribe = getShifts(userId, setAllShifts);
+        const unsubscribe = getShifts(db, appId, userId, setAllShifts);
         return () => unsubscribe();
-    }, [userId, firebaseReady]);
+    }, [db, appId, userId, firebaseReady]);
 
     // Handle shift creation and navigation
-    const handleStartShift = async (shiftDetails) => {
+    // With a handoff, its babies are added to the new shift (like carry-forward) and the handoff is acknowledged
+    const handleStartShift = async (shiftDetails, handoff = null) => {
         if (!userId) return;
         try {
-            const newShiftRef = await addShift(userId, shiftDetails);
-            setCurrentShift({ id: newShiftRef.id, ...shiftDetails });
+            const acceptedAt = new Date().toISOString();
+            const details = handoff
+                ? { ...shiftDetails, receivedHandoff: { handoffId: handoff.id, fromLabel: handoff.fromLabel || '', sentAt: handoff.sentAt, acceptedAt } }
+                : shiftDetails;
+            const newShiftRef = await addShift(db, appId, userId, details);
+            const newShift = { id: newShiftRef.id, ...details };
+            if (handoff) {
+                for (const baby of handoff.babies) {
+                    await addBaby(db, appId, userId, newShift.id, {
+                        ...buildCarriedForwardBaby(baby, handoff.fromShift, newShift),
+                        receivedHandoffId: handoff.id
+                    });
+                }
+                acceptHandoff(db, appId, handoff.id, newShift.id, acceptedAt);
+            }
+            setCurrentShift(newShift);
             setScreen('dashboard');
         } catch (error) {
             console.error("Error starting new shift:", error);
@@ -1691,11 +4120,37 @@ function MainApp() {
         }
     };
 
+    // Handle reopening a shift from the Past Shifts screen
+    const handleReopenShift = (shift) => {
+        setCurrentShift(shift);
+        setSelectedBabyId(null);
+        setScreen('dashboard');
+    };
+
+    // Handle upgrading an anonymous session to a real account (returns to where the nurse was)
+    const handleCreateAccount = () => {
+        setScreen('account');
+    };
+
+    const handleBackFromAccount = () => {
+        setScreen(currentShift ? 'dashboard' : 'shiftSetup');
+    };
+
+    // Handle opening the charge nurse unit board
+    const handleOpenUnitBoard = () => {
+        setScreen('unitBoard');
+    };
+
     // Handle navigating to Add Baby screen
     const handleAddBaby = () => {
         setScreen('addBaby');
     };
 
+    // Handle navigating to Continue from Previous Shift screen
+    const handleCarryForward = () => {
+        setScreen('carryForward');
+    };
+
     // Handle saving new baby and returning to dashboard
     const handleSaveBaby = () => {
         setScreen('dashboard');
@@ -1717,48 +4172,15 @@ function MainApp() {
     const handleEndShift = async () => {
         if (!userId || !currentShift?.id) return;
 
-        const babiesInCurrentShift = await new Promise(resolve => {
-            const unsubscribe = getBabies(userId, currentShift.id, (babies) => {
-                unsubscribe(); // Unsubscribe after first fetch
-                resolve(babies);
-            });
-        });
-
-        const reportsMap = {};
-        const touchTimesMap = {};
-        const eventsMap = {};
-
-        // Fetch all report details, touch times, and events for each baby
-        await Promise.all(babiesInCurrentShift.map(async (baby) => {
-            const report = await new Promise(resolve => {
-                const unsubscribe = getReportSheet(userId, currentShift.id, baby.id, (data) => {
-                    unsubscribe();
-                    resolve(data);
-                });
-            });
-            reportsMap[baby.id] = report;
-
-            const touchTimes = await new Promise(resolve => {
-                const unsubscribe = getTouchTimeLogs(userId, currentShift.id, baby.id, (data) => {
-                    unsubscribe();
-                    resolve(data);
-                });
-            });
-            touchTimesMap[baby.id] = touchTimes;
-
-            const events = await new Promise(resolve => {
-                const unsubscribe = getEventLogs(userId, currentShift.id, baby.id, (data) => {
-                    unsubscribe();
-                    resolve(data);
-                });
-            });
-            eventsMap[baby.id] = events;
-        }));
-
-        setAllBabiesData(babiesInCurrentShift);
-        setAllReportsData(reportsMap);
-        setAllTouchTimesData(touchTimesMap);
-        setAllEventsData(eventsMap);
+        try {
+            // V2: report sheet, touch times and events are embedded in each baby doc (1 query total)
+            const { babies } = await fetchShiftSummaryData(db, appId, userId, currentShift.id);
+            setSummaryBabies(babies);
+        } catch (error) {
+            console.error("Error loading shift summary:", error);
+            alert('Failed to load shift summary.');
+            return;
+        }
         setScreen('summary');
     };
 
@@ -1790,43 +4212,84 @@ function MainApp() {
         );
     }
 
+    if (authError) {
+        return <AuthErrorScreen message={authError} onRetry={() => setAuthError(null)} />;
+    }
+
+    if (!userId) {
+        return <AuthScreen />;
+    }
+
     // Main App Routing Logic
     switch (screen) {
         case 'shiftSetup':
-            return <ShiftSetupScreen onStartShift={handleStartShift} />;
+            return <ShiftSetupScreen onStartShift={handleStartShift} onViewPastShifts={() => setScreen('pastShifts')} onImportLegacy={() => setScreen('legacyImport')} onCreateAccount={handleCreateAccount} onOpenUnitBoard={handleOpenUnitBoard} />;
+        case 'legacyImport':
+            return <LegacyImportScreen shifts={allShifts} onImported={handleReopenShift} onBack={() => setScreen('shiftSetup')} />;
+        case 'account':
+            return <AuthScreen onDone={handleBackFromAccount} onCancel={handleBackFromAccount} />;
+        case 'unitBoard':
+            return <UnitBoardScreen onBack={handleBackFromAccount} />;
+        case 'pastShifts':
+            return (
+                <PastShiftsScreen
+                    shifts={allShifts}
+                    currentShiftId={currentShift?.id}
+                    onReopenShift={handleReopenShift}
+                    onBack={() => setScreen(currentShift ? 'dashboard' : 'shiftSetup')}
+                />
+            );
         case 'dashboard':
             return (
                 <BabyListDashboard
                     currentShift={currentShift}
+                    reminderSettings={reminderSettings}
+                    onChangeReminderSettings={handleChangeReminderSettings}
                     onAddBaby={handleAddBaby}
+                    onCarryForward={handleCarryForward}
                     onSelectBaby={handleSelectBaby}
                     onEndShift={handleEndShift} // Trigger end shift which loads summary
+                    onViewPastShifts={() => setScreen('pastShifts')}
+                    onCreateAccount={handleCreateAccount}
+                    onOpenUnitBoard={handleOpenUnitBoard}
                 />
             );
         case 'addBaby':
-            return <AddBabyScreen currentShiftId={currentShift?.id} shiftStartTime={currentShift?.shiftStartTime || '07:00'} onSaveBaby={handleSaveBaby} onCancel={handleBackToDashboard} />;
+            return <AddBabyScreen currentShift={currentShift} onSaveBaby={handleSaveBaby} onCancel={handleBackToDashboard} />;
+        case 'carryForward':
+            return <CarryForwardScreen shifts={allShifts} currentShift={currentShift} onDone={handleSaveBaby} onCancel={handleBackToDashboard} />;
         case 'babyReport':
             return (
                 <IndividualBabyReportScreen
                     currentShift={currentShift}
                     babyId={selectedBabyId}
                     onBack={handleBackToDashboard}
+                    onEditBaby={() => setScreen('editBaby')}
+                />
+            );
+        case 'editBaby':
+            return (
+                <EditBabyScreen
+                    currentShift={currentShift}
+                    babyId={selectedBabyId}
+                    onSaved={() => setScreen('babyReport')}
+                    onCancel={() => setScreen('babyReport')}
                 />
             );
         case 'summary':
             return (
                 <ShiftSummaryScreen
                     currentShift={currentShift}
-                    babies={allBabiesData}
-                    allReportDetails={allReportsData}
-                    allTouchTimeLogs={allTouchTimesData}
-                    allEventsData={allEventsData}
+                    babies={summaryBabies}
                     onBackToShifts={handleBackToDashboardFromSummary}
                     onDeleteShift={handleDeleteShiftAndReturn}
+                    onOpenHandoff={() => setScreen('handoff')}
                 />
             );
+        case 'handoff':
+            return <HandoffScreen currentShift={currentShift} babies={summaryBabies} onBack={() => setScreen('summary')} />;
         default:
-            return <ShiftSetupScreen onStartShift={handleStartShift} />;
+            return <ShiftSetupScreen onStartShift={handleStartShift} onViewPastShifts={() => setScreen('pastShifts')} onImportLegacy={() => setScreen('legacyImport')} onCreateAccount={handleCreateAccount} onOpenUnitBoard={handleOpenUnitBoard} />;
     }
 }
 
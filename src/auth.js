@@ -0,0 +1,109 @@
+/**
+ * Account Sign-In
+ *
+ * Nurses sign in with email/password or the hospital's SSO (an OIDC provider
+ * configured in Firebase Authentication). "Continue without an account" still uses
+ * anonymous auth, but that data lives only as long as the browser keeps it.
+ *
+ * When an anonymous user creates an account or signs in with SSO, the new
+ * credential is linked to the anonymous user instead of replacing it: the uid stays
+ * the same, so every shift already saved under artifacts/{appId}/users/{uid} is kept.
+ *
+ * SSO is enabled by setting VITE_OIDC_PROVIDER_ID (e.g. "oidc.hospital") and
+ * optionally VITE_OIDC_PROVIDER_NAME for the button label.
+ */
+
+import {
+  signInAnonymously,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  sendPasswordResetEmail,
+  signInWithPopup,
+  linkWithCredential,
+  linkWithPopup,
+  EmailAuthProvider,
+  OAuthProvider,
+  signOut
+} from 'firebase/auth';
+
+export const OIDC_PROVIDER_ID = import.meta.env.VITE_OIDC_PROVIDER_ID || '';
+export const OIDC_PROVIDER_NAME = import.meta.env.VITE_OIDC_PROVIDER_NAME || 'Hospital SSO';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Firebase error codes -> messages a nurse can act on
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/invalid-credential': 'Email or password is incorrect.',
+  'auth/wrong-password': 'Email or password is incorrect.',
+  'auth/user-not-found': 'Email or password is incorrect.',
+  'auth/user-disabled': 'This account has been disabled. Contact your unit administrator.',
+  'auth/email-already-in-use': 'An account already exists for this email. Sign in instead - shifts saved without an account on this device will not be moved into it.',
+  'auth/credential-already-in-use': 'That SSO account is already in use. Sign in with it instead - shifts saved without an account on this device will not be moved into it.',
+  'auth/weak-password': `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+  'auth/too-many-requests': 'Too many attempts. Wait a few minutes and try again.',
+  'auth/network-request-failed': 'No connection. Signing in needs the internet; shifts already on this device are still saved.',
+  'auth/popup-blocked': 'The sign-in window was blocked. Allow pop-ups for this site and try again.',
+  'auth/popup-closed-by-user': 'The sign-in window was closed before sign-in finished.',
+  'auth/operation-not-allowed': 'This sign-in method is not enabled for this app.',
+  'auth/admin-restricted-operation': 'Using the app without an account is turned off. Please sign in.'
+};
+
+/**
+ * Turns a Firebase Auth error into a readable message
+ */
+export const describeAuthError = (error) => (
+  AUTH_ERROR_MESSAGES[error?.code] || error?.message || 'Sign-in failed.'
+);
+
+const isAnonymous = (auth) => Boolean(auth.currentUser?.isAnonymous);
+
+/**
+ * Signs in with email and password
+ */
+export const signInWithEmail = (auth, email, password) => (
+  signInWithEmailAndPassword(auth, email.trim(), password)
+);
+
+/**
+ * Creates an email/password account
+ * An anonymous user is upgraded in place, keeping their uid and shifts.
+ */
+export const createAccount = (auth, email, password) => {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return Promise.reject(Object.assign(new Error('Password too short'), { code: 'auth/weak-password' }));
+  }
+  if (isAnonymous(auth)) {
+    return linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email.trim(), password));
+  }
+  return createUserWithEmailAndPassword(auth, email.trim(), password);
+};
+
+/**
+ * Signs in with the configured OIDC provider
+ * An anonymous user is linked to the SSO account, keeping their uid and shifts.
+ */
+export const signInWithOidc = (auth) => {
+  if (!OIDC_PROVIDER_ID) {
+    return Promise.reject(Object.assign(new Error('SSO not configured'), { code: 'auth/operation-not-allowed' }));
+  }
+  const provider = new OAuthProvider(OIDC_PROVIDER_ID);
+  return isAnonymous(auth) ? linkWithPopup(auth.currentUser, provider) : signInWithPopup(auth, provider);
+};
+
+/**
+ * Uses the app without an account (data is tied to this browser)
+ */
+export const continueWithoutAccount = (auth) => signInAnonymously(auth);
+
+/**
+ * Sends a password reset email
+ */
+export const resetPassword = (auth, email) => sendPasswordResetEmail(auth, email.trim());
+
+/**
+ * Signs out
+ * Signing out of an anonymous session loses access to its shifts for good,
+ * so callers should warn first (see isAnonymous on the user).
+ */
+export const signOutUser = (auth) => signOut(auth);
@@ -0,0 +1,109 @@
+/**
+ * Carry Babies Forward
+ *
+ * Copies a baby from a previous shift into the current one: demographics and the
+ * report sheet come along, touch time and event logs do not. Ages are advanced by
+ * the number of calendar days between the two shifts, and fields that usually
+ * change between shifts are listed in `staleFields` so the nurse reviews them.
+ *
+ * `staleFields` holds baby field names ("lastWeight") and report sheet paths
+ * ("reportSheet.labResults"). A field drops off the list when it is saved.
+ */
+
+import { minutesBetween, addHoursToTime } from './shift-schedule';
+import { advanceAges } from './gestational-age';
+
+// Not copied: logs and the demographics edit history belong to the shift they were
+// recorded in, and transfer/handoff provenance describes how the baby reached that shift
+const SKIPPED_FIELDS = [
+  'id', 'touchTimeLogs', 'eventLogs', 'fieldHistory', 'createdAt', 'updatedAt',
+  'staleFields', 'carriedForwardFrom', 'transferredFrom', 'receivedHandoffId'
+];
+
+/**
+ * Fields that are likely out of date on the next shift, with display labels
+ */
+export const STALE_FIELD_LABELS = {
+  lastWeight: 'Last Weight',
+  headCircumference: 'Head Circumference',
+  abdominalGirth: 'Abdominal Girth',
+  bedRoomNumber: 'Bed / Room',
+  bedChangeDue: 'Bed Change Due',
+  babyQ3StartTime: 'First Touch Time',
+  'reportSheet.currentWeight': 'Current Weight (Report Sheet)',
+  'reportSheet.respiratoryFlow': 'Respiratory Flow',
+  'reportSheet.respiratoryFiO2': 'FiO₂',
+  'reportSheet.respiratoryFiO2Range': 'FiO₂ Range',
+  'reportSheet.respiratoryCpap': 'CPAP Level',
+  'reportSheet.respiratoryNavaLevel': 'NAVA Level',
+  'reportSheet.respiratoryPip': 'PIP',
+  'reportSheet.respiratoryPeep': 'PEEP',
+  'reportSheet.respiratoryRate': 'Vent Rate',
+  'reportSheet.respiratoryMap': 'MAP',
+  'reportSheet.respiratoryAmplitude': 'Amplitude',
+  'reportSheet.feedVolume': 'Feed Volume',
+  'reportSheet.ivFluidsGeneral': 'IV Fluids',
+  'reportSheet.labsOrdered': 'Labs Ordered',
+  'reportSheet.labResults': 'Lab Results'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar days between two "YYYY-MM-DD" shift dates (never negative)
+ */
+export const getElapsedDays = (fromShiftDate, toShiftDate) => {
+  const [fromYear, fromMonth, fromDay] = fromShiftDate.split('-').map(Number);
+  const [toYear, toMonth, toDay] = toShiftDate.split('-').map(Number);
+  // UTC avoids a 23/25 hour day around daylight saving changes
+  const elapsed = Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / DAY_MS);
+  return Math.max(elapsed, 0);
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Builds the new baby document for the current shift
+ * @param {Object} baby - Baby from the previous shift (with embedded report sheet)
+ * @param {Object} fromShift - Previous shift
+ * @param {Object} toShift - Shift the baby is copied into
+ * @returns {Object} Baby data for addBaby
+ */
+export const buildCarriedForwardBaby = (baby, fromShift, toShift) => {
+  const elapsedDays = getElapsedDays(fromShift.shiftDate, toShift.shiftDate);
+
+  const babyData = Object.fromEntries(
+    Object.entries(baby).filter(([field]) => !SKIPPED_FIELDS.includes(field))
+  );
+
+  // PNA + elapsed days, CGA = GA + PNA
+  Object.assign(babyData, advanceAges(baby, elapsedDays));
+
+  // Touch times are tied to the shift: keep the same offset from the shift start (e.g., 08:00 on a
+  // 07:00 shift becomes 20:00 on a 19:00 shift) and ask the nurse to confirm it
+  const shiftStartChanged = fromShift.shiftStartTime !== toShift.shiftStartTime;
+  if (shiftStartChanged && baby.babyQ3StartTime && fromShift.shiftStartTime && toShift.shiftStartTime) {
+    const offsetMinutes = minutesBetween(fromShift.shiftStartTime, baby.babyQ3StartTime);
+    babyData.babyQ3StartTime = addHoursToTime(toShift.shiftStartTime, offsetMinutes / 60);
+  }
+
+  const hasValue = (field) => {
+    const value = field.startsWith('reportSheet.')
+      ? baby.reportSheet?.[field.slice('reportSheet.'.length)]
+      : baby[field];
+    return !isBlank(value) && value !== false;
+  };
+
+  return {
+    ...babyData,
+    staleFields: Object.keys(STALE_FIELD_LABELS).filter(field => (
+      field === 'babyQ3StartTime' ? shiftStartChanged || !babyData.babyQ3StartTime : hasValue(field)
+    )),
+    carriedForwardFrom: {
+      shiftId: fromShift.id,
+      babyId: baby.id,
+      shiftDate: fromShift.shiftDate,
+      elapsedDays
+    }
+  };
+};
@@ -0,0 +1,152 @@
+/**
+ * Feeding Rules
+ *
+ * Which feed routes, nipple types, feed types and calorie densities make sense for a
+ * baby, from their corrected gestational age and respiratory support. The report sheet
+ * form only offers what is allowed, and the form and the shift summary both flag
+ * entries that break a rule (for instance a PO route left in place after the baby went
+ * onto CPAP).
+ *
+ * PO feeding is ruled out under 33 weeks CGA (checkIfUnder33Weeks in
+ * nicushifttracker.html), on CPAP or more support, and on high flow above
+ * FEEDING_LIMITS.maxPoFlowLpm. A value that is no longer allowed is still offered so it
+ * is not lost when the form is saved; it is flagged instead.
+ */
+
+import { toTotalDays, formatWeeksAndDays } from './gestational-age';
+import { getRespiratoryMode } from './respiratory';
+
+export const FEEDING_LIMITS = {
+  minPoCgaWeeks: 33,
+  maxPoFlowLpm: 4
+};
+
+// `oral` routes involve a PO feed or attempt
+export const FEED_ROUTES = [
+  { value: 'PO', label: 'PO only', oral: true },
+  { value: 'NG/PO', label: 'NG with PO attempts', oral: true },
+  { value: 'IDF', label: 'IDF Protocol', oral: true },
+  { value: 'NG', label: 'NG only', oral: false },
+  { value: 'OG', label: 'OG', oral: false },
+  { value: 'NPO', label: 'NPO', oral: false }
+];
+
+// Faster-flow nipples are held until the baby is older; anything else only needs PO to be allowed
+export const NIPPLE_TYPES = [
+  { value: 'Slow flow' },
+  { value: 'Extra slow flow' },
+  { value: 'Dr. Browns preemie' },
+  { value: 'Dr. Browns ultra preemie' },
+  { value: 'Dr. Browns transition', minCgaWeeks: 35 },
+  { value: 'Dr. Browns level 1', minCgaWeeks: 36 },
+  { value: 'Dr. Browns level 2', minCgaWeeks: 38 },
+  { value: 'MAM level 0' },
+  { value: 'MAM level 1', minCgaWeeks: 36 },
+  { value: 'MAM level 2', minCgaWeeks: 38 },
+  { value: 'Other' }
+];
+
+// `calories` lists the densities each feed type comes in (unfortified milk is 20 kcal/oz)
+export const FEED_TYPES = [
+  { value: 'Formula', calories: ['20 cal', '22 cal', '24 cal', '27 cal', '30 cal'] },
+  { value: 'Breastmilk', calories: ['20 cal'] },
+  { value: 'Donor', calories: ['20 cal'] },
+  { value: 'Fortified', calories: ['22 cal', '24 cal', '26 cal', '27 cal', '30 cal'] },
+  { value: 'Nutramigen 20 cal', calories: ['20 cal'] },
+  { value: 'Nutramigen 22 cal', calories: ['22 cal'] }
+];
+
+const ALL_CALORIES = ['20 cal', '22 cal', '24 cal', '26 cal', '27 cal', '30 cal'];
+
+/**
+ * Baby's CGA in weeks (with days as a fraction), or null if not recorded
+ */
+export const getCgaWeeks = (baby = {}) => {
+  const totalDays = toTotalDays(baby.correctedGestationalAge_Weeks, baby.correctedGestationalAge_Days);
+  return totalDays === null ? null : totalDays / 7;
+};
+
+/**
+ * Why PO feeds are not allowed right now, or null if they are
+ * @param {Object} baby - For CGA
+ * @param {Object} report - Report sheet (respiratoryMode, respiratoryFlow)
+ * @returns {string|null}
+ */
+export const getPoBlockedReason = (baby = {}, report = {}) => {
+  const cgaWeeks = getCgaWeeks(baby);
+  if (cgaWeeks !== null && cgaWeeks < FEEDING_LIMITS.minPoCgaWeeks) {
+    return `CGA ${formatWeeksAndDays(baby.correctedGestationalAge_Weeks, baby.correctedGestationalAge_Days)} is under ${FEEDING_LIMITS.minPoCgaWeeks} weeks`;
+  }
+  const mode = getRespiratoryMode(report.respiratoryMode);
+  if (mode && mode.level >= 3) return `on ${mode.label}`;
+  if (mode?.value === 'HFNC' && Number(report.respiratoryFlow) > FEEDING_LIMITS.maxPoFlowLpm) {
+    return `on high flow above ${FEEDING_LIMITS.maxPoFlowLpm} L/min`;
+  }
+  return null;
+};
+
+/**
+ * Options the report sheet form offers
+ * The current value of each field is always included, even if it is no longer allowed.
+ * @param {Object} baby
+ * @param {Object} report - Report sheet being edited
+ * @returns {{ poBlockedReason, routes: Array<{ value, label }>, nippleTypes: string[], feedTypes: string[], calories: string[] }}
+ */
+export const getFeedingOptions = (baby = {}, report = {}) => {
+  const poBlockedReason = getPoBlockedReason(baby, report);
+  const cgaWeeks = getCgaWeeks(baby);
+  const keepCurrent = (values, current) => (current && !values.includes(current) ? [...values, current] : values);
+
+  const routes = FEED_ROUTES.filter(route => !(poBlockedReason && route.oral) || route.value === report.feedsRoute);
+  const nippleTypes = poBlockedReason ? [] : NIPPLE_TYPES
+    .filter(nipple => !nipple.minCgaWeeks || cgaWeeks === null || cgaWeeks >= nipple.minCgaWeeks)
+    .map(nipple => nipple.value);
+  const feedTypes = FEED_TYPES.map(type => type.value);
+  const calories = FEED_TYPES.find(type => type.value === report.feedType)?.calories || ALL_CALORIES;
+
+  return {
+    poBlockedReason,
+    routes: routes.map(({ value, label }) => ({ value, label })),
+    nippleTypes: keepCurrent(nippleTypes, report.bottleNippleType),
+    feedTypes: keepCurrent(feedTypes, report.feedType),
+    calories: keepCurrent(calories, report.feedCalories)
+  };
+};
+
+/**
+ * Feeding entries that break a rule
+ * @param {Object} baby - With touchTimeLogs (for PO volumes charted this shift)
+ * @param {Object} [report] - Report sheet (defaults to baby.reportSheet)
+ * @returns {string[]} Messages, empty if everything is consistent
+ */
+export const checkFeedingEntries = (baby = {}, report = baby.reportSheet || {}) => {
+  const issues = [];
+  const poBlockedReason = getPoBlockedReason(baby, report);
+  const route = FEED_ROUTES.find(option => option.value === report.feedsRoute);
+  const cgaWeeks = getCgaWeeks(baby);
+
+  if (poBlockedReason && route?.oral) {
+    issues.push(`Route ${route.label} includes PO, but PO is not allowed (${poBlockedReason})`);
+  }
+  if (report.bottleNippleType && (poBlockedReason || report.feedsRoute === 'NPO')) {
+    issues.push(`Nipple type ${report.bottleNippleType} set, but the baby is not feeding PO (${poBlockedReason || 'NPO'})`);
+  }
+  const nipple = NIPPLE_TYPES.find(option => option.value === report.bottleNippleType);
+  if (nipple?.minCgaWeeks && cgaWeeks !== null && cgaWeeks < nipple.minCgaWeeks) {
+    issues.push(`${nipple.value} nipple is for ${nipple.minCgaWeeks}+ weeks CGA`);
+  }
+  const feedType = FEED_TYPES.find(option => option.value === report.feedType);
+  if (feedType && report.feedCalories && !feedType.calories.includes(report.feedCalories)) {
+    issues.push(`${report.feedCalories} does not match ${feedType.value} (${feedType.calories.join(', ')})`);
+  }
+  if (report.feedsRoute === 'NPO' && (baby.touchTimeLogs || []).some(log => Number(log.feedVolume) > 0)) {
+    issues.push('Route is NPO, but feeds are logged this shift');
+  }
+  if (poBlockedReason && (baby.touchTimeLogs || []).some(log => Number(log.idfPoVolume) > 0)) {
+    issues.push(`PO volumes are logged this shift, but PO is not allowed (${poBlockedReason})`);
+  }
+  if (getRespiratoryMode(report.respiratoryMode)?.value === 'CPAP' && report.feedsRoute === 'NG') {
+    issues.push('On bubble CPAP with an NG tube; an OG tube is usually used');
+  }
+  return issues;
+};
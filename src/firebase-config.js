@@ -5,13 +5,19 @@
  * It can be imported and used across the application for consistent Firebase access.
  * 
  * Usage:
- *   import { db, auth, firebaseApp } from './firebase-config';
+ *   import { db, auth, functions, firebaseApp } from './firebase-config';
  */
 
 import { initializeApp } from 'firebase/app';
 import { getAuth } from 'firebase/auth';
-import { getFirestore, enableIndexedDbPersistence } from 'firebase/firestore';
+import {
+  initializeFirestore,
+  getFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager
+} from 'firebase/firestore';
 import { getStorage } from 'firebase/storage';
+import { getFunctions } from 'firebase/functions';
 
 /**
  * Firebase configuration object
@@ -53,31 +59,26 @@ let firebaseApp = null;
 let db = null;
 let auth = null;
 let storage = null;
+let functions = null;
 
 if (isConfigComplete()) {
   try {
     // Initialize Firebase
     firebaseApp = initializeApp(firebaseConfig);
 
-    // Initialize Firestore
-    db = getFirestore(firebaseApp);
-
-    // Enable Firestore offline persistence
-    enableIndexedDbPersistence(db)
-      .then(() => {
-        console.log('✅ Firestore offline persistence enabled');
-      })
-      .catch((err) => {
-        if (err.code === 'failed-precondition') {
-          // Multiple tabs open, persistence can only be enabled in one tab at a time.
-          console.warn('⚠️ Firestore persistence failed: Multiple tabs open');
-        } else if (err.code === 'unimplemented') {
-          // The current browser doesn't support persistence
-          console.warn('⚠️ Firestore persistence not supported in this browser');
-        } else {
-          console.error('❌ Firestore persistence error:', err);
-        }
+    // Initialize Firestore with an IndexedDB-backed cache
+    // Reads are served from the cache and writes are queued while offline,
+    // and the cache is shared between tabs
+    try {
+      db = initializeFirestore(firebaseApp, {
+        localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
       });
+      console.log('✅ Firestore offline persistence enabled');
+    } catch (err) {
+      // The current browser doesn't support IndexedDB persistence - fall back to memory cache
+      console.warn('⚠️ Firestore persistence not supported in this browser:', err);
+      db = getFirestore(firebaseApp);
+    }
 
     // Initialize Auth
     auth = getAuth(firebaseApp);
@@ -85,6 +86,9 @@ if (isConfigComplete()) {
     // Initialize Storage (optional - for future features)
     storage = getStorage(firebaseApp);
 
+    // Initialize Cloud Functions (callable functions such as transferBaby)
+    functions = getFunctions(firebaseApp);
+
     console.log('✅ Firebase initialized successfully');
   } catch (error) {
     console.error('❌ Firebase initialization error:', error);
@@ -97,7 +101,7 @@ if (isConfigComplete()) {
  * Export Firebase instances
  * These can be imported and used throughout the application
  */
-export { firebaseApp, db, auth, storage };
+export { firebaseApp, db, auth, storage, functions };
 
 /**
  * App ID for Firestore collections
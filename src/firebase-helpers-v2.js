@@ -10,6 +10,11 @@
  * - Eliminates N+1 query pattern (was 4N reads, now N reads)
  * - Better suited for bounded data (8 touch times per shift)
  *
+ * Offline:
+ * - Writes go through queueWrite() (offline-sync.js) and resolve as soon as they are
+ *   applied to the local cache; Firestore syncs them when the connection returns
+ * - New documents get client-generated IDs so they can be created offline
+ *
  * New Baby Document Structure:
  * {
  *   // Demographics
@@ -19,7 +24,7 @@
  *
  *   // Report Sheet (inline, not subcollection)
  *   reportSheet: {
- *     maternalHistory: string,
+ *     maternalHistory: string (summary line generated from maternalAge, maternalConditions, ...),
  *     currentProblems: string,
  *     respiratoryMode: string,
  *     ...
@@ -28,13 +33,23 @@
  *   // Touch Time Logs (array, not subcollection)
  *   touchTimeLogs: [
  *     {
+ *       id: string (client-generated, stable across edits),
  *       timestamp: ISO string,
  *       scheduledTime: string,
+ *       scheduledAt: ISO string (touch time within the shift, for midnight-safe ordering),
  *       vitals: { temp, hr, rr, spo2 },
- *       completed: boolean
+ *       completed: boolean,
+ *       amendedAt: ISO string (only if corrected),
+ *       amendments: [{ at: ISO string, changes: { field: { from, to } } }]
  *     }
  *   ],
  *
+ *   // Set on the audit stub left behind when a baby is transferred to another nurse
+ *   transferredTo: { userId, shiftId, babyId, at },
+ *
+ *   // Demographics change history (Edit Baby screen, last 50 saves)
+ *   fieldHistory: [{ at: ISO string, changes: { field: { from, to } } }],
+ *
  *   // Event Logs (array, not subcollection)
  *   eventLogs: [
  *     {
@@ -50,18 +65,25 @@ import {
   doc,
   collection,
   query,
+  where,
   orderBy,
+  limit,
   onSnapshot,
   setDoc,
-  addDoc,
   updateDoc,
-  deleteDoc,
+  getDoc,
   getDocs,
   writeBatch,
   arrayUnion,
   arrayRemove,
-  serverTimestamp
+  serverTimestamp,
+  runTransaction,
+  deleteDoc,
+  Timestamp
 } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { queueWrite, mergeRemoteChanges } from './offline-sync';
+import { getShiftStart, sortTouchTimeLogs } from './shift-schedule';
 
 /**
  * Collection path helper for user-scoped data
@@ -91,12 +113,8 @@ export const getShifts = (db, appId, userId, callback) => {
   return onSnapshot(q, (snapshot) => {
     const shifts = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
-    // Sort by date and time (newest first)
-    shifts.sort((a, b) => {
-      const dateA = new Date(a.shiftDate + 'T' + a.shiftStartTime);
-      const dateB = new Date(b.shiftDate + 'T' + b.shiftStartTime);
-      return dateB - dateA;
-    });
+    // Sort by shift start (newest first)
+    shifts.sort((a, b) => getShiftStart(b) - getShiftStart(a));
 
     callback(shifts);
   });
@@ -108,20 +126,27 @@ export const getShifts = (db, appId, userId, callback) => {
  * @param {string} appId
  * @param {string} userId
  * @param {Object} shiftData - Shift information (date, startTime, assignmentType)
- * @returns {Promise<DocumentReference>}
+ * @returns {Promise<DocumentReference>} Resolves immediately with the new shift's reference
  */
 export const addShift = async (db, appId, userId, shiftData) => {
   if (!db || !userId) throw new Error('Missing db or userId');
 
-  const shiftsRef = collection(getUserCollectionPath(db, appId, userId), 'nicu_shifts');
+  const shiftRef = doc(collection(getUserCollectionPath(db, appId, userId), 'nicu_shifts'));
 
   const shiftWithMetadata = {
     ...shiftData,
+    // Security rules can't parse ISO strings; charge nurses may only read shifts before this time
+    ...(shiftData.shiftEndAt ? { shiftEndTimestamp: Timestamp.fromDate(new Date(shiftData.shiftEndAt)) } : {}),
+    // History index (see refreshShiftIndex)
+    babyCount: 0,
+    babyNicknames: [],
+    eventTypes: [],
     createdAt: serverTimestamp(),
     updatedAt: serverTimestamp()
   };
 
-  return await addDoc(shiftsRef, shiftWithMetadata);
+  queueWrite(setDoc(shiftRef, shiftWithMetadata), 'New shift');
+  return shiftRef;
 };
 
 /**
@@ -135,10 +160,10 @@ export const updateShift = async (db, appId, userId, shiftId, shiftData) => {
     shiftId
   );
 
-  return await updateDoc(shiftRef, {
+  queueWrite(updateDoc(shiftRef, {
     ...shiftData,
     updatedAt: serverTimestamp()
-  });
+  }), 'Shift update');
 };
 
 /**
@@ -173,10 +198,110 @@ export const deleteShift = async (db, appId, userId, shiftId) => {
   batch.delete(shiftRef);
 
   // Commit the batch
-  await batch.commit();
+  queueWrite(batch.commit(), 'Delete shift');
   console.log(`Shift ${shiftId} and ${babiesSnapshot.docs.length} babies deleted.`);
 };
 
+// ==========================================
+// SHIFT HISTORY (search index & archive)
+// ==========================================
+
+/**
+ * Recomputes a shift's history index: babyCount, babyNicknames and eventTypes
+ * Stored on the shift document so Past Shifts can list and search shifts without
+ * reading every baby. Reads come from the local cache, so this also works offline.
+ */
+export const refreshShiftIndex = (db, appId, userId, shiftId) => {
+  if (!db || !userId || !shiftId) return;
+
+  const shiftRef = doc(
+    collection(getUserCollectionPath(db, appId, userId), 'nicu_shifts'),
+    shiftId
+  );
+
+  const indexWrite = getDocs(query(collection(shiftRef, 'babies'))).then((babiesSnapshot) => {
+    const allBabies = babiesSnapshot.docs.map(babyDoc => babyDoc.data());
+    // Transferred babies stay searchable by nickname but no longer count toward the shift
+    const babies = allBabies.filter(baby => !baby.transferredTo);
+    const eventTypes = new Set(babies.flatMap(baby => (baby.eventLogs || []).map(event => event.eventType)));
+    return updateDoc(shiftRef, {
+      babyCount: babies.length,
+      babyNicknames: allBabies.map(baby => baby.internalID_Nickname).filter(Boolean),
+      eventTypes: [...eventTypes].filter(Boolean)
+    });
+  });
+
+  queueWrite(indexWrite, 'Shift index');
+};
+
+/**
+ * Fetches archived shifts for the current user (newest first)
+ * @returns {Function} Unsubscribe function
+ */
+export const getArchivedShifts = (db, appId, userId, callback) => {
+  if (!db || !userId) return () => {};
+
+  const archivedRef = collection(getUserCollectionPath(db, appId, userId), 'archived_shifts');
+
+  return onSnapshot(query(archivedRef), (snapshot) => {
+    const shifts = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    shifts.sort((a, b) => getShiftStart(b) - getShiftStart(a));
+    callback(shifts);
+  });
+};
+
+/**
+ * Builds a batch that moves a shift and its babies between nicu_shifts and archived_shifts (same IDs)
+ */
+const buildMoveShiftBatch = async (db, appId, userId, shiftId, fromCollection, toCollection, extraFields) => {
+  const userRef = getUserCollectionPath(db, appId, userId);
+  const fromRef = doc(collection(userRef, fromCollection), shiftId);
+  const toRef = doc(collection(userRef, toCollection), shiftId);
+
+  const [shiftSnap, babiesSnapshot] = await Promise.all([
+    getDoc(fromRef),
+    getDocs(query(collection(fromRef, 'babies')))
+  ]);
+  if (!shiftSnap.exists()) throw new Error(`Shift ${shiftId} not found in ${fromCollection}`);
+
+  const shiftData = shiftSnap.data();
+  delete shiftData.archivedAt;
+
+  const batch = writeBatch(db);
+  batch.set(toRef, { ...shiftData, babyCount: babiesSnapshot.size, ...extraFields, updatedAt: serverTimestamp() });
+  babiesSnapshot.docs.forEach(babyDoc => {
+    batch.set(doc(collection(toRef, 'babies'), babyDoc.id), babyDoc.data());
+    batch.delete(babyDoc.ref);
+  });
+  batch.delete(fromRef);
+
+  return { batch, babyCount: babiesSnapshot.size };
+};
+
+/**
+ * Archives a shift: moves it (with its babies) to archived_shifts
+ * Archived shifts no longer appear in Past Shifts but can be restored
+ */
+export const archiveShift = async (db, appId, userId, shiftId) => {
+  if (!db || !userId || !shiftId) throw new Error('Missing required parameters');
+
+  const { batch, babyCount } = await buildMoveShiftBatch(db, appId, userId, shiftId, 'nicu_shifts', 'archived_shifts', {
+    archivedAt: serverTimestamp()
+  });
+  queueWrite(batch.commit(), 'Archive shift');
+  console.log(`Shift ${shiftId} and ${babyCount} babies archived.`);
+};
+
+/**
+ * Restores an archived shift back to nicu_shifts
+ */
+export const restoreShift = async (db, appId, userId, shiftId) => {
+  if (!db || !userId || !shiftId) throw new Error('Missing required parameters');
+
+  const { batch } = await buildMoveShiftBatch(db, appId, userId, shiftId, 'archived_shifts', 'nicu_shifts', {});
+  queueWrite(batch.commit(), 'Restore shift');
+};
+
 // ==========================================
 // BABY OPERATIONS
 // ==========================================
@@ -203,18 +328,35 @@ export const getBabies = (db, appId, userId, shiftId, callback) => {
   });
 };
 
+/**
+ * Subscribes to a single baby document
+ * Callback receives the full baby (demographics + embedded data) or null if it no longer exists
+ */
+export const getBaby = (db, appId, userId, shiftId, babyId, callback) => {
+  if (!db || !userId || !shiftId || !babyId) return () => {};
+
+  const babyRef = doc(
+    collection(getUserCollectionPath(db, appId, userId), 'nicu_shifts', shiftId, 'babies'),
+    babyId
+  );
+
+  return onSnapshot(babyRef, (docSnap) => {
+    callback(docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null);
+  });
+};
+
 /**
  * Adds a new baby to a shift
  */
 export const addBaby = async (db, appId, userId, shiftId, babyData) => {
   if (!db || !userId || !shiftId) throw new Error('Missing required parameters');
 
-  const babiesRef = collection(
+  const babyRef = doc(collection(
     getUserCollectionPath(db, appId, userId),
     'nicu_shifts',
     shiftId,
     'babies'
-  );
+  ));
 
   // Initialize baby with empty arrays and reportSheet object
   const babyWithDefaults = {
@@ -226,11 +368,14 @@ export const addBaby = async (db, appId, userId, shiftId, babyData) => {
     updatedAt: serverTimestamp()
   };
 
-  return await addDoc(babiesRef, babyWithDefaults);
+  queueWrite(setDoc(babyRef, babyWithDefaults), 'New baby');
+  refreshShiftIndex(db, appId, userId, shiftId);
+  return babyRef;
 };
 
 /**
  * Updates baby demographics or basic info
+ * Saving a field also clears it from `staleFields` (see carry-forward.js)
  */
 export const updateBaby = async (db, appId, userId, shiftId, babyId, babyData) => {
   if (!db || !userId || !shiftId || !babyId) throw new Error('Missing required parameters');
@@ -240,14 +385,20 @@ export const updateBaby = async (db, appId, userId, shiftId, babyId, babyData) =
     babyId
   );
 
-  return await updateDoc(babyRef, {
+  const reviewedFields = 'staleFields' in babyData ? [] : Object.keys(babyData);
+
+  queueWrite(updateDoc(babyRef, {
     ...babyData,
+    ...(reviewedFields.length > 0 ? { staleFields: arrayRemove(...reviewedFields) } : {}),
     updatedAt: serverTimestamp()
-  });
+  }), 'Baby update');
+  if ('internalID_Nickname' in babyData) refreshShiftIndex(db, appId, userId, shiftId);
 };
 
 /**
- * Deletes a baby
+ * Deletes a baby and all of its logs
+ * V2 logs are embedded and go with the document; V1 subcollections that were never
+ * migrated are deleted in the same batch
  */
 export const deleteBaby = async (db, appId, userId, shiftId, babyId) => {
   if (!db || !userId || !shiftId || !babyId) throw new Error('Missing required parameters');
@@ -257,7 +408,101 @@ export const deleteBaby = async (db, appId, userId, shiftId, babyId) => {
     babyId
   );
 
-  await deleteDoc(babyRef);
+  const legacySnapshots = await Promise.all(
+    ['reportSheet', 'touchTimeLogs', 'eventLogs'].map(name => getDocs(collection(babyRef, name)))
+  );
+
+  const batch = writeBatch(db);
+  legacySnapshots.forEach(snapshot => snapshot.docs.forEach(legacyDoc => batch.delete(legacyDoc.ref)));
+  batch.delete(babyRef);
+
+  queueWrite(batch.commit(), 'Delete baby');
+  refreshShiftIndex(db, appId, userId, shiftId);
+};
+
+// Keeps the baby's change history bounded (Firestore documents are limited to 1 MiB)
+const MAX_FIELD_HISTORY = 50;
+
+const isBlankValue = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Updates baby demographics and records what changed in `fieldHistory`
+ * Fields whose value did not change are ignored (blank, null and missing count as the same).
+ * Saved fields are also cleared from `staleFields`.
+ *
+ * @param {Object} details - Demographics from the Edit Baby form
+ * @returns {Promise<Object>} Recorded changes ({ field: { from, to } }); empty if nothing changed
+ */
+export const updateBabyDetails = async (db, appId, userId, shiftId, babyId, details) => {
+  if (!db || !userId || !shiftId || !babyId) throw new Error('Missing required parameters');
+
+  const babyRef = doc(
+    collection(getUserCollectionPath(db, appId, userId), 'nicu_shifts', shiftId, 'babies'),
+    babyId
+  );
+
+  const babySnap = await getDoc(babyRef);
+  if (!babySnap.exists()) throw new Error('Baby not found');
+  const current = babySnap.data();
+
+  const changes = {};
+  Object.entries(details).forEach(([field, value]) => {
+    const from = current[field];
+    if (isBlankValue(from) && isBlankValue(value)) return;
+    if (from !== value) changes[field] = { from: from ?? null, to: value ?? null };
+  });
+  if (Object.keys(changes).length === 0) return changes;
+
+  const fieldHistory = [
+    ...(current.fieldHistory || []),
+    { at: new Date().toISOString(), changes }
+  ].slice(-MAX_FIELD_HISTORY);
+
+  queueWrite(updateDoc(babyRef, {
+    ...Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, to])),
+    fieldHistory,
+    staleFields: arrayRemove(...Object.keys(changes)),
+    updatedAt: serverTimestamp()
+  }), 'Baby details');
+
+  if (changes.internalID_Nickname) refreshShiftIndex(db, appId, userId, shiftId);
+  return changes;
+};
+
+/**
+ * Transfers a baby to another nurse's current shift (transferBaby Cloud Function)
+ * The baby document is replaced by an audit stub with `transferredTo`.
+ * Requires a connection - the move happens on the server.
+ *
+ * @param {Functions} functions - Cloud Functions instance
+ * @param {string} toUserId - Receiving nurse's user ID
+ * @returns {Promise<Object>} { toShiftId, toBabyId, transferredAt }
+ */
+export const transferBaby = async (functions, appId, shiftId, babyId, toUserId) => {
+  if (!functions || !shiftId || !babyId || !toUserId) throw new Error('Missing required parameters');
+
+  const callTransfer = httpsCallable(functions, 'transferBaby');
+  const result = await callTransfer({ appId, shiftId, babyId, toUserId });
+  return result.data;
+};
+
+/**
+ * Marks carried-forward fields as reviewed without changing them
+ * @param {string[]} fields - Entries of the baby's staleFields
+ */
+export const markFieldsReviewed = async (db, appId, userId, shiftId, babyId, fields) => {
+  if (!db || !userId || !shiftId || !babyId) throw new Error('Missing required parameters');
+  if (fields.length === 0) return;
+
+  const babyRef = doc(
+    collection(getUserCollectionPath(db, appId, userId), 'nicu_shifts', shiftId, 'babies'),
+    babyId
+  );
+
+  queueWrite(updateDoc(babyRef, {
+    staleFields: arrayRemove(...fields),
+    updatedAt: serverTimestamp()
+  }), 'Review carried-forward fields');
 };
 
 // ==========================================
@@ -288,7 +533,8 @@ export const getReportSheet = (db, appId, userId, shiftId, babyId, callback) =>
 
 /**
  * Updates a baby's report sheet
- * Uses merge to update only changed fields
+ * Only the fields passed in are written (as `reportSheet.<field>` paths), so edits
+ * to different fields from two devices merge instead of overwriting each other
  */
 export const setReportSheet = async (db, appId, userId, shiftId, babyId, reportData) => {
   if (!db || !userId || !shiftId || !babyId) throw new Error('Missing required parameters');
@@ -298,17 +544,64 @@ export const setReportSheet = async (db, appId, userId, shiftId, babyId, reportD
     babyId
   );
 
-  // Update the reportSheet field within the baby document
-  return await updateDoc(babyRef, {
-    reportSheet: reportData,
+  // Update individual fields within the embedded reportSheet
+  const fieldUpdates = Object.fromEntries(
+    Object.entries(reportData).map(([field, value]) => [`reportSheet.${field}`, value])
+  );
+
+  queueWrite(updateDoc(babyRef, {
+    ...fieldUpdates,
+    // Saved fields are no longer stale after carry-forward
+    staleFields: arrayRemove(...Object.keys(fieldUpdates)),
     updatedAt: serverTimestamp()
-  });
+  }), 'Report sheet');
 };
 
 // ==========================================
 // TOUCH TIME LOG OPERATIONS (Now embedded array)
 // ==========================================
 
+// Fields that describe a log rather than the care given; not tracked as amendments
+const TOUCH_TIME_LOG_META_FIELDS = ['id', 'timestamp', 'scheduledTime', 'scheduledAt', 'completed', 'amendedAt', 'amendments', 'v1Id'];
+
+/**
+ * Stable ID for an embedded log
+ * Logs written before IDs were added fall back to their V1 ID or timestamp
+ */
+export const getLogId = (log) => log.id || log.v1Id || log.timestamp;
+
+/**
+ * Reads a baby's touch time logs inside a transaction and locates one by ID
+ */
+const readTouchTimeLog = async (transaction, babyRef, logId) => {
+  const babySnap = await transaction.get(babyRef);
+  const baby = babySnap.exists() ? babySnap.data() : null;
+
+  if (!baby || !baby.touchTimeLogs) {
+    throw new Error('Baby or touchTimeLogs not found');
+  }
+
+  const logs = [...baby.touchTimeLogs];
+  const logIndex = logs.findIndex(log => getLogId(log) === logId);
+  if (logIndex === -1) {
+    throw new Error(`Touch time log ${logId} not found`);
+  }
+
+  return { logs, logIndex };
+};
+
+/**
+ * Error thrown when a touch time log was changed on another device since it was opened
+ * `conflicts` is [{ field, mine, theirs }] (empty for a delete) and `latest` holds the
+ * log's current values for the edited fields
+ */
+const touchTimeLogConflict = (message, conflicts, latest) => {
+  const error = new Error(message);
+  error.conflicts = conflicts;
+  error.latest = latest;
+  return error;
+};
+
 /**
  * Fetches touch time logs for a baby
  * In V2, these are stored as an array in the baby document
@@ -323,11 +616,10 @@ export const getTouchTimeLogs = (db, appId, userId, shiftId, babyId, callback) =
 
   return onSnapshot(babyRef, (docSnap) => {
     if (docSnap.exists()) {
-      const logs = docSnap.data().touchTimeLogs || [];
-      // Sort by timestamp (ascending)
-      logs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-      // Add synthetic IDs based on index for compatibility
-      const logsWithIds = logs.map((log, index) => ({ ...log, id: index.toString() }));
+      // Sort in shift order (scheduled touch time, so 01:00 follows 22:00 on a night shift)
+      const logs = sortTouchTimeLogs(docSnap.data().touchTimeLogs);
+      // Ensure every log has an ID (older logs predate client-generated IDs)
+      const logsWithIds = logs.map(log => ({ ...log, id: getLogId(log) }));
       callback(logsWithIds);
     } else {
       callback([]);
@@ -338,6 +630,7 @@ export const getTouchTimeLogs = (db, appId, userId, shiftId, babyId, callback) =
 /**
  * Adds a touch time log for a baby
  * Uses arrayUnion to append to the touchTimeLogs array
+ * Also used to restore a deleted log (undo) - pass the original log including its ID
  */
 export const addTouchTimeLog = async (db, appId, userId, shiftId, babyId, logData) => {
   if (!db || !userId || !shiftId || !babyId) throw new Error('Missing required parameters');
@@ -348,41 +641,100 @@ export const addTouchTimeLog = async (db, appId, userId, shiftId, babyId, logDat
   );
 
   // Add the log to the touchTimeLogs array
-  return await updateDoc(babyRef, {
-    touchTimeLogs: arrayUnion(logData),
+  const logWithId = { ...logData, id: logData.id || crypto.randomUUID() };
+  queueWrite(updateDoc(babyRef, {
+    touchTimeLogs: arrayUnion(logWithId),
     updatedAt: serverTimestamp()
-  });
+  }), 'Touch time log');
 };
 
 /**
- * Updates a touch time log
+ * Updates (amends) a touch time log
  * NOTE: Arrays don't support direct index updates in Firestore
- * We need to read the array, modify it, and write it back
+ * We need to read the array, modify it, and write it back - in a transaction, so an
+ * edit on another device (or to another log) in between is never overwritten
+ *
+ * `baseLog` is the log as it was when editing started. Fields changed on another
+ * device since then are merged in; a field changed on both sides rejects the save
+ * with a conflict error (see touchTimeLogConflict) for the nurse to resolve.
+ * Transactions need a connection, so callers check navigator.onLine first.
+ *
+ * Every correction is recorded: `amendedAt` is set and the changed fields
+ * (old and new values) are appended to the log's `amendments` history
  */
-export const updateTouchTimeLog = async (db, appId, userId, shiftId, babyId, logIndex, logData) => {
-  if (!db || !userId || !shiftId || !babyId) throw new Error('Missing required parameters');
+export const updateTouchTimeLog = async (db, appId, userId, shiftId, babyId, logId, logData, baseLog) => {
+  if (!db || !userId || !shiftId || !babyId || !logId) throw new Error('Missing required parameters');
 
   const babyRef = doc(
     collection(getUserCollectionPath(db, appId, userId), 'nicu_shifts', shiftId, 'babies'),
     babyId
   );
 
-  // Read current data
-  const babySnap = await getDocs(query(collection(babyRef.parent), where('__name__', '==', babyId)));
-  const baby = babySnap.docs[0]?.data();
+  await runTransaction(db, async (transaction) => {
+    const { logs, logIndex } = await readTouchTimeLog(transaction, babyRef, logId);
+    const existing = logs[logIndex];
+
+    const fields = Object.keys(logData).filter(field => !TOUCH_TIME_LOG_META_FIELDS.includes(field));
+    // '' and a missing field both mean "not entered"
+    const pick = (log) => Object.fromEntries(fields.map(field => [field, log[field] === '' ? null : log[field] ?? null]));
+    const latest = pick(existing);
+    const { merged, conflicts } = mergeRemoteChanges(pick(baseLog || existing), pick(logData), latest);
+    if (conflicts.length > 0) {
+      throw touchTimeLogConflict('Touch time log was changed on another device', conflicts, latest);
+    }
 
-  if (!baby || !baby.touchTimeLogs) {
-    throw new Error('Baby or touchTimeLogs not found');
-  }
+    // Record which fields actually changed
+    const changes = {};
+    Object.entries(merged).forEach(([field, value]) => {
+      if (latest[field] !== value) changes[field] = { from: latest[field], to: value };
+    });
+
+    if (Object.keys(changes).length === 0) return;
+
+    const amendedAt = new Date().toISOString();
+    logs[logIndex] = {
+      ...existing,
+      ...Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, to])),
+      id: getLogId(existing),
+      amendedAt,
+      amendments: [...(existing.amendments || []), { at: amendedAt, changes }]
+    };
+
+    // Write back
+    transaction.update(babyRef, {
+      touchTimeLogs: logs,
+      updatedAt: serverTimestamp()
+    });
+  });
+};
 
-  // Update the specific log
-  const updatedLogs = [...baby.touchTimeLogs];
-  updatedLogs[logIndex] = { ...updatedLogs[logIndex], ...logData };
+/**
+ * Deletes a touch time log
+ * Runs in a transaction like updateTouchTimeLog; a log amended on another device since
+ * `baseLog` was shown is not deleted (conflict error with no field conflicts)
+ * @returns {Promise<Object>} The removed log (pass it to addTouchTimeLog to undo)
+ */
+export const deleteTouchTimeLog = async (db, appId, userId, shiftId, babyId, logId, baseLog) => {
+  if (!db || !userId || !shiftId || !babyId || !logId) throw new Error('Missing required parameters');
 
-  // Write back
-  return await updateDoc(babyRef, {
-    touchTimeLogs: updatedLogs,
-    updatedAt: serverTimestamp()
+  const babyRef = doc(
+    collection(getUserCollectionPath(db, appId, userId), 'nicu_shifts', shiftId, 'babies'),
+    babyId
+  );
+
+  return runTransaction(db, async (transaction) => {
+    const { logs, logIndex } = await readTouchTimeLog(transaction, babyRef, logId);
+    if (baseLog && (logs[logIndex].amendedAt ?? null) !== (baseLog.amendedAt ?? null)) {
+      throw touchTimeLogConflict('Touch time log was changed on another device', [], logs[logIndex]);
+    }
+    const [removed] = logs.splice(logIndex, 1);
+
+    transaction.update(babyRef, {
+      touchTimeLogs: logs,
+      updatedAt: serverTimestamp()
+    });
+
+    return { ...removed, id: getLogId(removed) };
   });
 };
 
@@ -426,10 +778,11 @@ export const addEventLog = async (db, appId, userId, shiftId, babyId, eventData)
     babyId
   );
 
-  return await updateDoc(babyRef, {
+  queueWrite(updateDoc(babyRef, {
     eventLogs: arrayUnion(eventData),
     updatedAt: serverTimestamp()
-  });
+  }), 'Event log');
+  refreshShiftIndex(db, appId, userId, shiftId);
 };
 
 /**
@@ -443,16 +796,238 @@ export const deleteEventLog = async (db, appId, userId, shiftId, babyId, eventDa
     babyId
   );
 
-  return await updateDoc(babyRef, {
+  queueWrite(updateDoc(babyRef, {
     eventLogs: arrayRemove(eventData),
     updatedAt: serverTimestamp()
+  }), 'Delete event log');
+  refreshShiftIndex(db, appId, userId, shiftId);
+};
+
+// ==========================================
+// UNIT OPERATIONS (charge nurse unit board)
+// ==========================================
+
+/**
+ * Subscribes to a unit's roster (artifacts/{appId}/units/{unitId}/members)
+ * Callback receives [{ id: uid, label, charge }], charge nurses first
+ * @returns {Function} Unsubscribe function
+ */
+export const getUnitMembers = (db, appId, unitId, callback) => {
+  if (!db || !unitId) return () => {};
+
+  const membersRef = collection(db, 'artifacts', appId, 'units', unitId, 'members');
+
+  return onSnapshot(query(membersRef), (snapshot) => {
+    const members = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    members.sort((a, b) => Number(Boolean(b.charge)) - Number(Boolean(a.charge)) || (a.label || '').localeCompare(b.label || ''));
+    callback(members);
+  });
+};
+
+// The rules compare shiftEndTimestamp with the server's clock, so the query asks for shifts
+// ending a little later than this device's clock to stay within what the rules allow
+const RULES_CLOCK_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Subscribes to a nurse's shift in progress (the next one to end that hasn't ended yet)
+ * Used for other nurses' assignments: charge nurses can only read members' shifts that
+ * haven't ended (see isShiftInProgress in firestore.rules)
+ * Callback receives the shift or null
+ * @returns {Function} Unsubscribe function
+ */
+export const getActiveShift = (db, appId, userId, callback) => {
+  if (!db || !userId) return () => {};
+
+  const shiftsRef = collection(getUserCollectionPath(db, appId, userId), 'nicu_shifts');
+  const notEnded = where('shiftEndTimestamp', '>', Timestamp.fromMillis(Date.now() + RULES_CLOCK_MARGIN_MS));
+
+  return onSnapshot(query(shiftsRef, notEnded, orderBy('shiftEndTimestamp'), limit(1)), (snapshot) => {
+    const active = snapshot.docs[0];
+    callback(active ? { id: active.id, ...active.data() } : null);
   });
 };
 
+/**
+ * Adds a nurse to a unit, optionally as charge nurse (setUnitRole Cloud Function)
+ * Pass unitId null to remove the nurse from their unit. The nurse's new role applies
+ * once their ID token refreshes (sign out/in, or "Refresh role").
+ * A charge nurse adding a nurse who isn't in a unit sends an invite instead (`invited: true`);
+ * the nurse accepts by calling this for their own uid and the invite's unitId.
+ *
+ * @param {Functions} functions - Cloud Functions instance
+ * @returns {Promise<Object>} { uid, unitId, charge, invited }
+ */
+export const setUnitRole = async (functions, appId, uid, unitId, charge = false) => {
+  if (!functions || !uid) throw new Error('Missing required parameters');
+
+  const callSetUnitRole = httpsCallable(functions, 'setUnitRole');
+  const result = await callSetUnitRole({ appId, uid, unitId, charge });
+  return result.data;
+};
+
+/**
+ * Subscribes to this nurse's pending unit invite (sent by a charge nurse via setUnitRole)
+ * Callback receives { unitId, invitedBy } or null. Accept with setUnitRole(functions, appId, userId, unitId).
+ * @returns {Function} Unsubscribe function
+ */
+export const getUnitInvite = (db, appId, userId, callback) => {
+  if (!db || !userId) return () => {};
+
+  return onSnapshot(doc(db, 'artifacts', appId, 'unitInvites', userId), (docSnap) => {
+    callback(docSnap.exists() ? docSnap.data() : null);
+  });
+};
+
+/**
+ * Declines (deletes) this nurse's pending unit invite
+ */
+export const declineUnitInvite = (db, appId, userId) => {
+  if (!db || !userId) throw new Error('Missing required parameters');
+
+  queueWrite(deleteDoc(doc(db, 'artifacts', appId, 'unitInvites', userId)), 'Decline unit invite');
+};
+
+// ==========================================
+// HANDOFF OPERATIONS (outgoing -> oncoming nurse)
+// ==========================================
+
+/**
+ * Handoff packages live at artifacts/{appId}/handoffs/{handoffId}, readable only by
+ * the sending and receiving nurse. Babies are sent with demographics and report sheet;
+ * touch time and event logs stay with the sender's shift.
+ *
+ * {
+ *   fromUserId, fromLabel, toUserId,
+ *   fromShift: { id, shiftDate, shiftStartTime, shiftEndTime, assignmentType },
+ *   babies: [ { id, ...baby data, reportSheet } ],
+ *   summaryText,                      // I-PASS / SBAR text at the time of sending
+ *   status: 'sent' | 'accepted',
+ *   sentAt, acceptedAt, acceptedShiftId
+ * }
+ */
+
+const getHandoffsCollection = (db, appId) => collection(db, 'artifacts', appId, 'handoffs');
+
+/**
+ * Publishes a handoff package to the oncoming nurse
+ * @returns {DocumentReference}
+ */
+export const sendHandoff = (db, appId, userId, { toUserId, fromLabel, shift, babies, summaryText = '' }) => {
+  if (!db || !userId || !toUserId || !shift?.id) throw new Error('Missing required parameters');
+
+  const handoffRef = doc(getHandoffsCollection(db, appId));
+  const packagedBabies = babies.map((baby) => {
+    const packaged = { ...baby };
+    delete packaged.touchTimeLogs;
+    delete packaged.eventLogs;
+    delete packaged.fieldHistory;
+    delete packaged.createdAt;
+    delete packaged.updatedAt;
+    return packaged;
+  });
+
+  queueWrite(setDoc(handoffRef, {
+    fromUserId: userId,
+    fromLabel: fromLabel || '',
+    toUserId,
+    fromShift: {
+      id: shift.id,
+      shiftDate: shift.shiftDate,
+      shiftStartTime: shift.shiftStartTime,
+      shiftEndTime: shift.shiftEndTime || '',
+      assignmentType: shift.assignmentType || 'ICU'
+    },
+    babies: packagedBabies,
+    summaryText,
+    status: 'sent',
+    sentAt: new Date().toISOString(),
+    createdAt: serverTimestamp()
+  }), 'Send handoff');
+
+  return handoffRef;
+};
+
+/**
+ * Subscribes to handoffs sent to this nurse that haven't been accepted yet (newest first)
+ * @returns {Function} Unsubscribe function
+ */
+export const getIncomingHandoffs = (db, appId, userId, callback) => {
+  if (!db || !userId) return () => {};
+
+  const q = query(getHandoffsCollection(db, appId), where('toUserId', '==', userId));
+
+  return onSnapshot(q, (snapshot) => {
+    const handoffs = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(handoff => handoff.status === 'sent');
+    handoffs.sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt));
+    callback(handoffs);
+  });
+};
+
+/**
+ * Subscribes to handoffs this nurse sent from a shift (with their acknowledgment status)
+ * @returns {Function} Unsubscribe function
+ */
+export const getSentHandoffs = (db, appId, userId, shiftId, callback) => {
+  if (!db || !userId || !shiftId) return () => {};
+
+  const q = query(
+    getHandoffsCollection(db, appId),
+    where('fromUserId', '==', userId),
+    where('fromShift.id', '==', shiftId)
+  );
+
+  return onSnapshot(q, (snapshot) => {
+    const handoffs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    handoffs.sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt));
+    callback(handoffs);
+  });
+};
+
+/**
+ * Marks a handoff as accepted into the receiving nurse's shift
+ * @returns {string} Acknowledgment timestamp (ISO)
+ */
+export const acceptHandoff = (db, appId, handoffId, shiftId, acceptedAt = new Date().toISOString()) => {
+  if (!db || !handoffId || !shiftId) throw new Error('Missing required parameters');
+
+  queueWrite(updateDoc(doc(getHandoffsCollection(db, appId), handoffId), {
+    status: 'accepted',
+    acceptedAt,
+    acceptedShiftId: shiftId
+  }), 'Accept handoff');
+
+  return acceptedAt;
+};
+
 // ==========================================
 // SUMMARY GENERATION HELPER
 // ==========================================
 
+/**
+ * Fetches a baby's entries across all shifts (current, past and archived), for growth history
+ * Babies are matched by nickname, using the babyNicknames index on each shift.
+ * @returns {Promise<Array<{ shift, baby }>>}
+ */
+export const fetchBabyAcrossShifts = async (db, appId, userId, nickname) => {
+  if (!db || !userId || !nickname) throw new Error('Missing required parameters');
+
+  const userRef = getUserCollectionPath(db, appId, userId);
+  const shiftSnapshots = await Promise.all(['nicu_shifts', 'archived_shifts'].map(shiftCollection => (
+    getDocs(query(collection(userRef, shiftCollection), where('babyNicknames', 'array-contains', nickname)))
+  )));
+
+  const entries = await Promise.all(shiftSnapshots.flatMap(snapshot => snapshot.docs).map(async (shiftDoc) => {
+    const babiesSnap = await getDocs(query(collection(shiftDoc.ref, 'babies'), where('internalID_Nickname', '==', nickname)));
+    const shift = { id: shiftDoc.id, ...shiftDoc.data() };
+    return babiesSnap.docs
+      .filter(babyDoc => !babyDoc.data().transferredTo)
+      .map(babyDoc => ({ shift, baby: { id: babyDoc.id, ...babyDoc.data() } }));
+  }));
+  return entries.flat();
+};
+
 /**
  * Fetches all data for shift summary generation
  * In V2, this is MUCH more efficient - just fetch all babies (1 query!)
@@ -471,11 +1046,11 @@ export const fetchShiftSummaryData = async (db, appId, userId, shiftId) => {
 
   // Fetch shift and babies in parallel
   const [shiftSnap, babiesSnap] = await Promise.all([
-    getDocs(query(collection(shiftRef.parent), where('__name__', '==', shiftId))),
-    getDocs(babiesRef)
+    getDoc(shiftRef),
+    getDocs(query(babiesRef, orderBy('internalID_Nickname')))
   ]);
 
-  const shift = shiftSnap.docs[0]?.data();
+  const shift = shiftSnap.exists() ? { id: shiftSnap.id, ...shiftSnap.data() } : null;
   const babies = babiesSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
   return { shift, babies };
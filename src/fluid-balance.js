@@ -0,0 +1,155 @@
+/**
+ * Intake & Output / Fluid Balance
+ *
+ * Adds up a baby's intake and output for the shift from data already charted:
+ * enteral intake from `feedVolume` on each touch time log, IV intake from the free-text
+ * rates on the report sheet (assumed to run for the whole period), and diapers from
+ * `diaperOutput`. Totals are scaled to mL/kg/day and kcal/kg/day using the baby's
+ * last weight (birth weight if no weight yet) and the feed's kcal/oz.
+ *
+ * Totals cover the shift so far: from the shift start to now, or to the shift end once
+ * it is over. Rates that cannot be read (e.g. "KVO") are listed instead of guessed.
+ */
+
+import { getShiftStart, getShiftEnd } from './shift-schedule';
+
+const ML_PER_OZ = 29.57;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Rate fields on the report sheet for each IV line type (matches the IV section of the form)
+const IV_RATE_FIELDS = {
+  PICC: [{ field: 'piccRate', fluids: 'piccFluids', label: 'PICC' }],
+  UVC: [
+    { field: 'uvcProximalRate', fluids: 'uvcProximalLumen', label: 'UVC proximal' },
+    { field: 'uvcDistalRate', fluids: 'uvcDistalLumen', label: 'UVC distal' }
+  ],
+  UAC: [{ field: 'uacRate', fluids: 'uacFluids', label: 'UAC' }]
+};
+const GENERAL_IV_RATE_FIELDS = [{ field: 'ivRateGeneral', fluids: 'ivFluidsGeneral', label: 'IV' }];
+
+export const DIAPER_TYPES = ['U', 'B', 'M'];
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Reads a free-text IV rate as mL/hr
+ * Understands "4.2 mL/hr", "4.2", "0.5 cc/h", "10 mL/day" and "80 mL/kg/day" (needs weightKg).
+ * @param {string} text
+ * @param {number|null} [weightKg]
+ * @returns {number|null} mL/hr, or null if the rate can't be read
+ */
+export const parseRateMlPerHour = (text, weightKg = null) => {
+  if (text === null || text === undefined || text === '') return null;
+  const value = String(text).toLowerCase();
+
+  const withUnit = value.match(/(\d+(?:\.\d+)?)\s*(?:ml|cc)\s*\/\s*(kg\s*\/\s*)?(hr|hour|h|day|d)\b/);
+  if (withUnit) {
+    const amount = Number(withUnit[1]);
+    const perKg = Boolean(withUnit[2]);
+    const perDay = withUnit[3].startsWith('d');
+    if (perKg && !weightKg) return null;
+    return (perKg ? amount * weightKg : amount) / (perDay ? 24 : 1);
+  }
+
+  // A single bare number is taken as mL/hr (the form's placeholder unit)
+  const numbers = value.match(/\d+(?:\.\d+)?/g) || [];
+  return numbers.length === 1 && !/kg|day/.test(value) ? Number(numbers[0]) : null;
+};
+
+/**
+ * Reads feed calories ("20 cal", "24kcal", "22") as kcal/oz
+ * @returns {number|null}
+ */
+export const parseKcalPerOz = (text) => {
+  const match = String(text ?? '').match(/\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+};
+
+/**
+ * Diaper counts from touch time logs ("U/B" counts once as U and once as B)
+ * @returns {{ total: number, U: number, B: number, M: number }}
+ */
+export const countDiapers = (touchTimeLogs = []) => {
+  const counts = { total: 0, U: 0, B: 0, M: 0 };
+  touchTimeLogs.forEach(log => {
+    const parts = String(log.diaperOutput || '').split('/').filter(part => DIAPER_TYPES.includes(part));
+    if (parts.length === 0) return;
+    counts.total += 1;
+    parts.forEach(part => { counts[part] += 1; });
+  });
+  return counts;
+};
+
+/**
+ * Hours of the shift covered so far (0 before it starts, the full shift once it ends)
+ */
+export const getElapsedShiftHours = (shift, now = new Date()) => {
+  const start = getShiftStart(shift);
+  const end = Math.min(getShiftEnd(shift).getTime(), now.getTime());
+  return Math.max(end - start.getTime(), 0) / MS_PER_HOUR;
+};
+
+/**
+ * I&O totals for one baby
+ * @param {Object} baby - Baby with embedded reportSheet and touchTimeLogs
+ * @param {number} hours - Period covered (see getElapsedShiftHours)
+ * @returns {Object} { hours, weightKg, weightSource, enteralMl, feedsLogged, iv: [{ label, fluids, rate, mlPerHour, ml }],
+ *   unreadRates: string[], ivMl, totalMl, mlPerKgPerDay, kcalPerOz, enteralKcalPerKgPerDay, diapers }
+ */
+export const buildFluidBalance = (baby, hours) => {
+  const report = baby.reportSheet || {};
+  const touchTimeLogs = baby.touchTimeLogs || [];
+  const weightGrams = Number(baby.lastWeight) || Number(baby.birthWeight) || null;
+  const weightKg = weightGrams ? weightGrams / 1000 : null;
+
+  const feeds = touchTimeLogs.filter(log => Number(log.feedVolume) > 0);
+  const enteralMl = feeds.reduce((sum, log) => sum + Number(log.feedVolume), 0);
+
+  const rateFields = IV_RATE_FIELDS[report.ivLineType] || GENERAL_IV_RATE_FIELDS;
+  const iv = rateFields
+    .filter(({ field }) => report[field])
+    .map(({ field, fluids, label }) => {
+      const mlPerHour = parseRateMlPerHour(report[field], weightKg);
+      return { label, fluids: report[fluids] || '', rate: report[field], mlPerHour, ml: mlPerHour === null ? null : mlPerHour * hours };
+    });
+  const ivMl = iv.reduce((sum, line) => sum + (line.ml || 0), 0);
+  const totalMl = enteralMl + ivMl;
+
+  const perKgPerDay = (amount) => (weightKg && hours > 0 ? (amount / hours) * 24 / weightKg : null);
+  const kcalPerOz = parseKcalPerOz(report.feedCalories);
+  const enteralKcal = kcalPerOz ? enteralMl * (kcalPerOz / ML_PER_OZ) : null;
+
+  return {
+    hours,
+    weightKg,
+    weightSource: baby.lastWeight ? 'last weight' : baby.birthWeight ? 'birth weight' : null,
+    enteralMl,
+    feedsLogged: feeds.length,
+    iv,
+    unreadRates: iv.filter(line => line.mlPerHour === null).map(line => `${line.label}: ${line.rate}`),
+    ivMl,
+    totalMl,
+    mlPerKgPerDay: perKgPerDay(totalMl),
+    kcalPerOz,
+    enteralKcalPerKgPerDay: enteralKcal === null ? null : perKgPerDay(enteralKcal),
+    diapers: countDiapers(touchTimeLogs)
+  };
+};
+
+/**
+ * I&O as summary lines
+ * @returns {string[]}
+ */
+export const formatFluidBalance = (balance) => {
+  const diapers = balance.diapers;
+  return [
+    `Period: ${round(balance.hours)} hr${balance.weightKg ? ` | Weight: ${round(balance.weightKg, 3)} kg (${balance.weightSource})` : ' | No weight recorded'}`,
+    `Enteral: ${round(balance.enteralMl)} mL (${balance.feedsLogged} feeds logged)`,
+    ...balance.iv.map(line => (
+      `${line.label}${line.fluids ? ` ${line.fluids}` : ''}: ${line.mlPerHour === null ? `rate "${line.rate}" not read` : `${round(line.mlPerHour, 2)} mL/hr = ${round(line.ml)} mL`}`
+    )),
+    `Total intake: ${round(balance.totalMl)} mL${balance.mlPerKgPerDay === null ? '' : ` = ${round(balance.mlPerKgPerDay)} mL/kg/day`}`,
+    balance.enteralKcalPerKgPerDay === null ? '' : `Enteral calories: ${round(balance.enteralKcalPerKgPerDay)} kcal/kg/day (${balance.kcalPerOz} kcal/oz)`,
+    `Diapers: ${diapers.total}${diapers.total ? ` (${DIAPER_TYPES.filter(type => diapers[type]).map(type => `${type} ×${diapers[type]}`).join(', ')})` : ''}`
+  ].filter(Boolean);
+};
@@ -0,0 +1,145 @@
+/**
+ * Gestational Age Calculations
+ *
+ * Ages are stored as separate fields on the baby document:
+ *   gestationalAge_Weeks / _Days            - GA at birth
+ *   correctedGestationalAge_Weeks / _Days   - CGA today
+ *   pna_Days                                - postnatal age (day of life, 0 at birth)
+ *
+ * They are tied together by CGA = GA + PNA (the same relation as calculateDOL in
+ * nicushifttracker.html), so any two determine the third.
+ */
+
+export const AGE_FIELDS = [
+  'gestationalAge_Weeks',
+  'gestationalAge_Days',
+  'correctedGestationalAge_Weeks',
+  'correctedGestationalAge_Days',
+  'pna_Days'
+];
+
+const GA_FIELDS = ['gestationalAge_Weeks', 'gestationalAge_Days'];
+const CGA_FIELDS = ['correctedGestationalAge_Weeks', 'correctedGestationalAge_Days'];
+
+// Plausible week ranges - anything outside is a typo
+const GA_WEEKS_LIMITS = { min: 20, max: 45 };
+const CGA_WEEKS_LIMITS = { min: 20, max: 70 };
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Weeks + days -> total days (null if weeks is blank; blank days count as 0)
+ */
+export const toTotalDays = (weeks, days) => {
+  if (isBlank(weeks)) return null;
+  return Number(weeks) * 7 + (isBlank(days) ? 0 : Number(days));
+};
+
+/**
+ * Total days -> { weeks, days }
+ */
+export const fromTotalDays = (totalDays) => ({
+  weeks: Math.floor(totalDays / 7),
+  days: totalDays % 7
+});
+
+/**
+ * Formats weeks + days as "30+5" ('' if unknown)
+ */
+export const formatWeeksAndDays = (weeks, days) => (
+  isBlank(weeks) ? '' : `${weeks}+${isBlank(days) ? 0 : days}`
+);
+
+/**
+ * Recalculates the dependent age after one age field changes
+ *
+ * - GA or PNA changed  -> CGA = GA + PNA
+ * - CGA changed        -> PNA = CGA - GA (or GA = CGA - PNA when GA is unknown)
+ *
+ * @param {Object} ages - Baby data including the new value of `changedField`
+ * @param {string} changedField - One of AGE_FIELDS
+ * @returns {Object} Derived fields to merge in (empty if nothing can be derived)
+ */
+export const deriveAges = (ages, changedField) => {
+  const ga = toTotalDays(ages.gestationalAge_Weeks, ages.gestationalAge_Days);
+  const cga = toTotalDays(ages.correctedGestationalAge_Weeks, ages.correctedGestationalAge_Days);
+  const pna = isBlank(ages.pna_Days) ? null : Number(ages.pna_Days);
+
+  if ((GA_FIELDS.includes(changedField) || changedField === 'pna_Days') && ga !== null && pna !== null && pna >= 0) {
+    const derived = fromTotalDays(ga + pna);
+    return { correctedGestationalAge_Weeks: derived.weeks, correctedGestationalAge_Days: derived.days };
+  }
+
+  if (CGA_FIELDS.includes(changedField) && cga !== null) {
+    if (ga !== null) {
+      return cga >= ga ? { pna_Days: cga - ga } : {};
+    }
+    if (pna !== null && cga - pna >= 0) {
+      const derived = fromTotalDays(cga - pna);
+      return { gestationalAge_Weeks: derived.weeks, gestationalAge_Days: derived.days };
+    }
+  }
+
+  return {};
+};
+
+/**
+ * Validates the age fields
+ * @returns {Object} { field: message } (empty when valid)
+ */
+export const validateAges = (ages) => {
+  const errors = {};
+
+  const checkInteger = (field, label, min, max) => {
+    const value = ages[field];
+    if (isBlank(value)) return;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      errors[field] = `${label} must be a whole number from ${min} to ${max}.`;
+    }
+  };
+
+  checkInteger('gestationalAge_Weeks', 'GA weeks', GA_WEEKS_LIMITS.min, GA_WEEKS_LIMITS.max);
+  checkInteger('gestationalAge_Days', 'GA days', 0, 6);
+  checkInteger('correctedGestationalAge_Weeks', 'CGA weeks', CGA_WEEKS_LIMITS.min, CGA_WEEKS_LIMITS.max);
+  checkInteger('correctedGestationalAge_Days', 'CGA days', 0, 6);
+  checkInteger('pna_Days', 'PNA', 0, 365);
+
+  const ga = toTotalDays(ages.gestationalAge_Weeks, ages.gestationalAge_Days);
+  const cga = toTotalDays(ages.correctedGestationalAge_Weeks, ages.correctedGestationalAge_Days);
+  if (ga !== null && cga !== null && cga < ga && !errors.correctedGestationalAge_Weeks) {
+    errors.correctedGestationalAge_Weeks = 'Corrected GA cannot be less than GA at birth.';
+  }
+  if (ga !== null && cga !== null && cga >= ga && !isBlank(ages.pna_Days) && !errors.pna_Days && cga - ga !== Number(ages.pna_Days)) {
+    errors.pna_Days = `PNA should be ${cga - ga} days for GA ${formatWeeksAndDays(ages.gestationalAge_Weeks, ages.gestationalAge_Days)} and CGA ${formatWeeksAndDays(ages.correctedGestationalAge_Weeks, ages.correctedGestationalAge_Days)}.`;
+  }
+
+  return errors;
+};
+
+/**
+ * Rolls ages forward by a number of days (e.g., carrying a baby into a later shift)
+ * PNA increases by `elapsedDays`; CGA follows GA + PNA when GA is known
+ * @returns {Object} Updated age fields (blank fields stay blank)
+ */
+export const advanceAges = (ages, elapsedDays) => {
+  const advanced = {};
+
+  if (!isBlank(ages.pna_Days)) {
+    advanced.pna_Days = Number(ages.pna_Days) + elapsedDays;
+  }
+
+  const ga = toTotalDays(ages.gestationalAge_Weeks, ages.gestationalAge_Days);
+  const cga = toTotalDays(ages.correctedGestationalAge_Weeks, ages.correctedGestationalAge_Days);
+  const newCga = ga !== null && advanced.pna_Days !== undefined
+    ? ga + advanced.pna_Days
+    : (cga !== null ? cga + elapsedDays : null);
+
+  if (newCga !== null) {
+    const derived = fromTotalDays(newCga);
+    advanced.correctedGestationalAge_Weeks = derived.weeks;
+    advanced.correctedGestationalAge_Days = derived.days;
+  }
+
+  return advanced;
+};
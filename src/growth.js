@@ -0,0 +1,284 @@
+/**
+ * Growth Tracking
+ *
+ * Builds a baby's growth history from every shift they appear in (matched by
+ * nickname, the same linkage Past Shifts search uses), then works out:
+ *   - weight velocity in g/kg/day (two-point average-weight method:
+ *     1000 × (Wn − W1) / ((Wn + W1) / 2) / days)
+ *   - weight change from birth weight, the lowest point, and when birth weight was regained
+ *   - an estimated percentile against a bundled preterm growth reference
+ *
+ * The reference is a Fenton-style approximation for 22–50 weeks PMA, sexes combined:
+ * median values per two weeks (linearly interpolated) with a fixed coefficient of
+ * variation per measure. It is meant for following the trend at the bedside, not
+ * for formal growth assessment - use the unit's growth chart for that.
+ *
+ * Charts are plain SVG, like the vitals trend charts, so they work offline.
+ */
+
+import { toTotalDays } from './gestational-age';
+import { getShiftStart } from './shift-schedule';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const GROWTH_MEASURES = {
+  weight: {
+    label: 'Weight',
+    unit: 'g',
+    color: '#4f46e5',
+    cv: 0.13,
+    medians: { 22: 500, 24: 650, 26: 880, 28: 1150, 30: 1450, 32: 1800, 34: 2250, 36: 2700, 38: 3100, 40: 3500, 42: 3900, 44: 4350, 46: 4800, 48: 5250, 50: 5650 }
+  },
+  headCircumference: {
+    label: 'Head Circumference',
+    unit: 'cm',
+    color: '#059669',
+    cv: 0.045,
+    medians: { 22: 20, 24: 22, 26: 24, 28: 25.8, 30: 27.5, 32: 29.2, 34: 30.8, 36: 32.3, 38: 33.8, 40: 35, 42: 36.3, 44: 37.5, 46: 38.5, 48: 39.4, 50: 40.2 }
+  },
+  length: {
+    label: 'Length',
+    unit: 'cm',
+    color: '#d97706',
+    cv: 0.045,
+    medians: { 22: 28.5, 24: 31, 26: 34, 28: 37, 30: 39.5, 32: 42, 34: 44.3, 36: 46.5, 38: 48.8, 40: 51, 42: 53, 44: 55, 46: 56.5, 48: 58, 50: 59.5 }
+  }
+};
+
+// Percentile lines drawn on the charts, with their z-scores
+export const REFERENCE_PERCENTILES = [
+  { label: '3rd', z: -1.881 },
+  { label: '10th', z: -1.282 },
+  { label: '50th', z: 0 },
+  { label: '90th', z: 1.282 },
+  { label: '97th', z: 1.881 }
+];
+
+export const REFERENCE_WEEKS = { min: 22, max: 50 };
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => (isBlank(value) || Number.isNaN(Number(value)) ? null : Number(value));
+
+/**
+ * Reference median at a PMA (weeks, may be fractional), or null outside 22–50 weeks
+ */
+export const getReferenceMedian = (measure, pmaWeeks) => {
+  if (pmaWeeks < REFERENCE_WEEKS.min || pmaWeeks > REFERENCE_WEEKS.max) return null;
+  const medians = GROWTH_MEASURES[measure].medians;
+  const lower = Math.min(Math.floor(pmaWeeks / 2) * 2, REFERENCE_WEEKS.max - 2);
+  const fraction = (pmaWeeks - lower) / 2;
+  return medians[lower] + (medians[lower + 2] - medians[lower]) * fraction;
+};
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17)
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+};
+
+/**
+ * Estimated percentile (1–99) of a measurement at a PMA, or null outside the reference
+ */
+export const estimatePercentile = (measure, pmaWeeks, value) => {
+  const median = getReferenceMedian(measure, pmaWeeks);
+  if (median === null || toNumber(value) === null) return null;
+  const z = (Number(value) / median - 1) / GROWTH_MEASURES[measure].cv;
+  return Math.min(Math.max(Math.round(normalCdf(z) * 100), 1), 99);
+};
+
+/**
+ * Growth history from the baby's entries across shifts
+ * @param {Array<{ baby, shift }>} entries - The baby as saved on each shift
+ * @returns {Array<{ at: Date, shiftDate, pmaWeeks, pnaDays, weight, headCircumference, length, birth }>}
+ *   Oldest first; the first point is birth (GA, birth weight and length) when GA is known.
+ *   Shifts on the same date are merged into the latest one.
+ */
+export const buildGrowthHistory = (entries = []) => {
+  const byDate = new Map();
+  [...entries]
+    .sort((a, b) => getShiftStart(a.shift) - getShiftStart(b.shift))
+    .forEach(({ baby, shift }) => {
+      const cgaDays = toTotalDays(baby.correctedGestationalAge_Weeks, baby.correctedGestationalAge_Days);
+      byDate.set(shift.shiftDate, {
+        at: getShiftStart(shift),
+        shiftDate: shift.shiftDate,
+        pmaWeeks: cgaDays === null ? null : cgaDays / 7,
+        pnaDays: toNumber(baby.pna_Days),
+        weight: toNumber(baby.lastWeight),
+        headCircumference: toNumber(baby.headCircumference),
+        length: null,
+        birth: false
+      });
+    });
+  const points = [...byDate.values()];
+
+  // Birth point, dated back from the day of life on the most recent entry
+  const latest = entries.length > 0 ? entries.reduce((a, b) => (getShiftStart(b.shift) > getShiftStart(a.shift) ? b : a)) : null;
+  const gaDays = latest ? toTotalDays(latest.baby.gestationalAge_Weeks, latest.baby.gestationalAge_Days) : null;
+  const latestPoint = points[points.length - 1];
+  if (gaDays !== null && latestPoint?.pnaDays !== null && latestPoint) {
+    points.unshift({
+      at: new Date(latestPoint.at.getTime() - latestPoint.pnaDays * DAY_MS),
+      shiftDate: null,
+      pmaWeeks: gaDays / 7,
+      pnaDays: 0,
+      weight: toNumber(latest.baby.birthWeight),
+      headCircumference: null,
+      length: toNumber(latest.baby.birthLength),
+      birth: true
+    });
+  }
+  return points;
+};
+
+/**
+ * Weight velocity (g/kg/day) between two weighed points
+ */
+export const calculateWeightVelocity = (from, to) => {
+  const days = (to.at - from.at) / DAY_MS;
+  if (!from.weight || !to.weight || days < 1) return null;
+  return (1000 * (to.weight - from.weight)) / ((to.weight + from.weight) / 2) / days;
+};
+
+/**
+ * Weight velocity over roughly the last `days` days (from the weighed point closest to
+ * that many days before the latest weight), ignoring the birth point
+ * @returns {{ gPerKgPerDay, gPerDay, days } | null}
+ */
+export const getRecentWeightVelocity = (points, days = 7) => {
+  const weighed = points.filter(point => point.weight && !point.birth);
+  if (weighed.length < 2) return null;
+  const latest = weighed[weighed.length - 1];
+  const target = latest.at.getTime() - days * DAY_MS;
+  const from = weighed.slice(0, -1).reduce((best, point) => (
+    Math.abs(point.at - target) < Math.abs(best.at - target) ? point : best
+  ));
+  const gPerKgPerDay = calculateWeightVelocity(from, latest);
+  if (gPerKgPerDay === null) return null;
+  const elapsedDays = (latest.at - from.at) / DAY_MS;
+  return { gPerKgPerDay, gPerDay: (latest.weight - from.weight) / elapsedDays, days: elapsedDays };
+};
+
+/**
+ * Weight against birth weight: lowest point and when it was regained
+ * @returns {{ currentPercent, nadirPercent, nadirDay, regained, regainedDay } | null}
+ *   Percents are change from birth weight; days are day of life
+ */
+export const getBirthWeightRegain = (points, birthWeight) => {
+  const bw = toNumber(birthWeight);
+  const weighed = points.filter(point => point.weight && !point.birth);
+  if (!bw || weighed.length === 0) return null;
+
+  const percentOf = (weight) => ((weight - bw) / bw) * 100;
+  const nadir = weighed.reduce((low, point) => (point.weight < low.weight ? point : low));
+  const regainedAt = weighed.find(point => point.weight >= bw && point.at >= nadir.at);
+  const current = weighed[weighed.length - 1];
+  return {
+    currentPercent: percentOf(current.weight),
+    nadirPercent: Math.min(percentOf(nadir.weight), 0),
+    nadirDay: nadir.pnaDays,
+    regained: Boolean(regainedAt),
+    regainedDay: regainedAt ? regainedAt.pnaDays : null
+  };
+};
+
+/**
+ * One-line growth summary for the Growth Goals field and the shift summary
+ */
+export const describeGrowth = (points, birthWeight) => {
+  const velocity = getRecentWeightVelocity(points);
+  const regain = getBirthWeightRegain(points, birthWeight);
+  const latest = [...points].reverse().find(point => point.weight && !point.birth);
+  const percentile = latest && latest.pmaWeeks !== null ? estimatePercentile('weight', latest.pmaWeeks, latest.weight) : null;
+  return [
+    velocity ? `${round(velocity.gPerKgPerDay)} g/kg/day (${round(velocity.gPerDay)} g/day over ${round(velocity.days)} days)` : '',
+    regain ? (regain.regained
+      ? `birth weight regained${regain.regainedDay !== null ? ` DOL ${regain.regainedDay}` : ''}`
+      : `${round(regain.currentPercent)}% from birth weight (lowest ${round(regain.nadirPercent)}%)`) : '',
+    percentile !== null ? `~${percentile}th percentile (reference)` : ''
+  ].filter(Boolean).join('; ');
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Renders one measure against PMA, over the reference percentile lines
+ * @param {Array} points - Result of buildGrowthHistory
+ * @param {string} measure - Key of GROWTH_MEASURES
+ * @returns {string} SVG markup
+ */
+export const renderGrowthChartSvg = (points, measure) => {
+  const config = GROWTH_MEASURES[measure];
+  const width = 640;
+  const height = 220;
+  const pad = { top: 20, right: 40, bottom: 28, left: 48 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const fmt = (n) => Number(n.toFixed(1));
+
+  const data = points.filter(point => point[measure] !== null && point.pmaWeeks !== null);
+
+  // X axis: PMA weeks around the data (at least 6 weeks wide), within the reference
+  const weeks = data.map(point => point.pmaWeeks);
+  const xMin = Math.max(Math.floor(Math.min(...weeks, 40)) - 1, REFERENCE_WEEKS.min);
+  const xMax = Math.min(Math.max(Math.ceil(Math.max(...weeks, xMin + 6)) + 1, xMin + 6), REFERENCE_WEEKS.max);
+
+  const curveAt = (week, z) => getReferenceMedian(measure, week) * (1 + z * config.cv);
+  const values = [
+    ...data.map(point => point[measure]),
+    curveAt(xMin, REFERENCE_PERCENTILES[0].z),
+    curveAt(xMax, REFERENCE_PERCENTILES[REFERENCE_PERCENTILES.length - 1].z)
+  ];
+  const yMin = Math.min(...values) * 0.95;
+  const yMax = Math.max(...values) * 1.05;
+
+  const xPos = (week) => pad.left + ((week - xMin) / (xMax - xMin)) * plotWidth;
+  const yPos = (value) => pad.top + plotHeight - ((value - yMin) / (yMax - yMin)) * plotHeight;
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeXml(config.label)} growth chart" style="font-family: sans-serif; font-size: 10px;">`);
+  parts.push(`<text x="${pad.left}" y="12" font-size="12" font-weight="bold" fill="#1f2937">${escapeXml(config.label)} (${config.unit}) by PMA</text>`);
+
+  // Axes
+  parts.push(`<line x1="${pad.left}" y1="${pad.top + plotHeight}" x2="${pad.left + plotWidth}" y2="${pad.top + plotHeight}" stroke="#9ca3af"/>`);
+  parts.push(`<line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${pad.top + plotHeight}" stroke="#9ca3af"/>`);
+  for (let week = Math.ceil(xMin); week <= xMax; week++) {
+    parts.push(`<text x="${fmt(xPos(week))}" y="${height - 8}" text-anchor="middle" fill="#6b7280">${week}</text>`);
+  }
+  [yMin, yMax].forEach(value => {
+    parts.push(`<text x="${pad.left - 4}" y="${fmt(yPos(value) + 3)}" text-anchor="end" fill="#6b7280">${fmt(value)}</text>`);
+  });
+
+  // Reference percentile lines
+  REFERENCE_PERCENTILES.forEach(({ label, z }) => {
+    const line = [];
+    for (let week = xMin; week <= xMax; week += 0.5) line.push(`${fmt(xPos(week))},${fmt(yPos(curveAt(week, z)))}`);
+    parts.push(`<polyline points="${line.join(' ')}" fill="none" stroke="#d1d5db" stroke-width="${z === 0 ? 2 : 1}"${z === 0 ? '' : ' stroke-dasharray="4,3"'}/>`);
+    parts.push(`<text x="${pad.left + plotWidth + 3}" y="${fmt(yPos(curveAt(xMax, z)) + 3)}" fill="#9ca3af">${label}</text>`);
+  });
+
+  // Baby's measurements
+  if (data.length > 1) {
+    parts.push(`<polyline points="${data.map(point => `${fmt(xPos(point.pmaWeeks))},${fmt(yPos(point[measure]))}`).join(' ')}" fill="none" stroke="${config.color}" stroke-width="2"/>`);
+  }
+  data.forEach(point => {
+    const label = `${point.birth ? 'Birth' : point.shiftDate}: ${point[measure]} ${config.unit}`;
+    parts.push(`<circle cx="${fmt(xPos(point.pmaWeeks))}" cy="${fmt(yPos(point[measure]))}" r="3.5" fill="${config.color}"><title>${escapeXml(label)}</title></circle>`);
+  });
+
+  if (data.length === 0) {
+    parts.push(`<text x="${pad.left + plotWidth / 2}" y="${pad.top + plotHeight / 2}" text-anchor="middle" fill="#9ca3af">No measurements recorded</text>`);
+  }
+
+  parts.push('</svg>');
+  return parts.join('');
+};
@@ -0,0 +1,249 @@
+/**
+ * Bedside Handoff (I-PASS / SBAR)
+ *
+ * Builds a structured handoff per baby from the report sheet, the most recent touch
+ * time, this shift's events and pending follow-ups, in either format:
+ *
+ *   I-PASS: Illness severity, Patient summary, Action list, Situation awareness &
+ *           contingency planning, Synthesis by receiver
+ *   SBAR:   Situation, Background, Assessment, Recommendation
+ *
+ * A handoff is { title, subtitle, sections: [{ heading, lines: [] }] }, rendered as
+ * plain text (copy) or as compact printable cards.
+ */
+
+import { resolveVitalRanges, flagVitals, describeVitalFlag } from './vital-signs';
+import { formatWeeksAndDays } from './gestational-age';
+import { sortTouchTimeLogs, getOverdueTouchTimes } from './shift-schedule';
+import { normalizeMedications, formatMedicationOrder, getOverdueDoses } from './medications';
+import { describeRespiratorySupport, isHighRespiratorySupport } from './respiratory';
+
+export const HANDOFF_FORMATS = {
+  ipass: { label: 'I-PASS' },
+  sbar: { label: 'SBAR' }
+};
+
+export const ILLNESS_SEVERITIES = ['Stable', 'Watcher', 'Unstable'];
+
+// Events worth calling out under situation awareness / assessment
+const SIGNIFICANT_EVENTS = ['Desat / Brady event', 'Escalation to MD / NP', 'Procedure'];
+
+const FOLLOW_UPS = [
+  { label: 'CUS', date: 'cusFollowUpDate', plan: 'cusFollowUpPlan' },
+  { label: 'Echo', date: 'echoFollowUpDate', plan: 'echoFollowUpPlan' },
+  { label: 'EEG', date: 'eegFollowUpDate', plan: 'eegFollowUpPlan' }
+];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const join = (parts, separator = ' | ') => parts.filter(part => !isBlank(part)).join(separator);
+
+/**
+ * Active medications as a readable list
+ */
+export const formatMedications = (medications) => join(normalizeMedications(medications).map(formatMedicationOrder), ', ');
+
+const describeFeeds = (report) => join([
+  report.feedsRoute,
+  report.feedType,
+  isBlank(report.feedCalories) ? '' : `${report.feedCalories} kcal`,
+  isBlank(report.feedVolume) ? '' : `${report.feedVolume} mL`,
+  report.bottleNippleType ? `nipple ${report.bottleNippleType}` : ''
+], ' ');
+
+const describeIv = (report) => {
+  if (!report.ivLineType) return '';
+  const line = join([report.ivLineType, report.ivSite ? `@ ${report.ivSite}` : ''], ' ');
+  const fluids = {
+    PICC: join([report.piccFluids, report.piccRate], ' @ '),
+    UVC: join([
+      join([report.uvcProximalLumen, report.uvcProximalRate], ' @ '),
+      join([report.uvcDistalLumen, report.uvcDistalRate], ' @ ')
+    ], ' / '),
+    UAC: join([report.uacFluids, report.uacRate], ' @ ')
+  }[report.ivLineType] ?? join([report.ivFluidsGeneral, report.ivRateGeneral], ' @ ');
+  return join([line, fluids], ': ');
+};
+
+const describeTouchTime = (log) => `${log.scheduledTime}: ${join([
+  join([
+    isBlank(log.temp) ? '' : `T ${log.temp}`,
+    isBlank(log.hr) ? '' : `HR ${log.hr}`,
+    isBlank(log.rr) ? '' : `RR ${log.rr}`,
+    isBlank(log.spo2) ? '' : `SpO2 ${log.spo2}`
+  ], ', '),
+  log.feedVolume ? `fed ${join([log.feedVolume, log.feedRoute], ' ')}${log.feedTolerance ? ` (${log.feedTolerance})` : ''}` : '',
+  log.diaperOutput ? `diaper ${log.diaperOutput}` : ''
+], '; ') || 'no values'}`;
+
+const describeEvent = (event) => {
+  const time = new Date(event.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `${time} ${event.eventType}${event.eventDetails ? ` - ${event.eventDetails}` : ''}`;
+};
+
+/**
+ * Follow-ups and pending items that the oncoming nurse needs to act on
+ * @returns {string[]}
+ */
+export const getPendingFollowUps = (report = {}) => [
+  ...FOLLOW_UPS
+    .filter(({ date, plan }) => report[date] || report[plan])
+    .map(({ label, date, plan }) => `${label} follow-up${report[date] ? ` ${report[date]}` : ''}${report[plan] ? `: ${report[plan]}` : ''}`),
+  report.labsOrdered ? `Labs ordered: ${report.labsOrdered}` : '',
+  report.carSeatTest ? `Car seat test: ${report.carSeatTest}` : ''
+].filter(Boolean);
+
+/**
+ * Suggested I-PASS illness severity (the nurse can override it)
+ * Watcher: abnormal vitals at the last touch time, a desat/brady or escalation this
+ * shift, or respiratory support beyond nasal cannula
+ */
+export const suggestIllnessSeverity = (baby) => {
+  const report = baby.reportSheet || {};
+  const lastLog = sortTouchTimeLogs(baby.touchTimeLogs).slice(-1)[0];
+  const abnormalVitals = lastLog && flagVitals(lastLog, resolveVitalRanges(baby)).length > 0;
+  const concerningEvents = (baby.eventLogs || []).some(event => ['Desat / Brady event', 'Escalation to MD / NP'].includes(event.eventType));
+  return abnormalVitals || concerningEvents || isHighRespiratorySupport(report.respiratoryMode) ? 'Watcher' : 'Stable';
+};
+
+/**
+ * Builds a structured handoff for one baby
+ * @param {Object} baby - Baby with embedded reportSheet, touchTimeLogs and eventLogs
+ * @param {Object} shift - Current shift
+ * @param {Object} options
+ * @param {'ipass'|'sbar'} [options.format]
+ * @param {string[]} [options.scheduleTimes] - Baby's touch time schedule (for next/overdue touch times)
+ * @param {string} [options.severity] - Illness severity (defaults to suggestIllnessSeverity)
+ * @param {Date} [options.now]
+ * @returns {{ title, subtitle, format, sections: Array<{ heading, lines }> }}
+ */
+export const buildHandoff = (baby, shift, { format = 'ipass', scheduleTimes = [], severity, now = new Date() } = {}) => {
+  const report = baby.reportSheet || {};
+  const touchTimeLogs = sortTouchTimeLogs(baby.touchTimeLogs, shift);
+  const lastLog = touchTimeLogs[touchTimeLogs.length - 1];
+  const lastFlags = lastLog ? flagVitals(lastLog, resolveVitalRanges(baby)) : [];
+  const events = [...(baby.eventLogs || [])].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const significantEvents = events.filter(event => SIGNIFICANT_EVENTS.includes(event.eventType));
+  const overdue = getOverdueTouchTimes(shift, scheduleTimes, baby.touchTimeLogs, now);
+  const loggedTimes = new Set((baby.touchTimeLogs || []).map(log => log.scheduledTime));
+  const nextTouchTime = scheduleTimes.find(time => !loggedTimes.has(time) && !overdue.includes(time));
+  const overdueDoses = getOverdueDoses(report.medications, shift, baby.eventLogs, now);
+  const resolvedSeverity = severity || suggestIllnessSeverity(baby);
+
+  const ages = join([
+    `GA ${formatWeeksAndDays(baby.gestationalAge_Weeks, baby.gestationalAge_Days) || '?'}`,
+    `CGA ${formatWeeksAndDays(baby.correctedGestationalAge_Weeks, baby.correctedGestationalAge_Days) || '?'}`,
+    isBlank(baby.pna_Days) ? '' : `DOL ${baby.pna_Days}`
+  ], ', ');
+  const weights = join([
+    baby.birthWeight ? `BW ${baby.birthWeight}g` : '',
+    baby.lastWeight ? `last wt ${baby.lastWeight}g` : ''
+  ], ', ');
+
+  const systems = [
+    describeRespiratorySupport(report) ? `Resp: ${describeRespiratorySupport(report)}${report.cbgAbgSchedule ? ` (gases ${report.cbgAbgSchedule})` : ''}` : '',
+    describeFeeds(report) ? `Feeds: ${describeFeeds(report)}${report.feedSpecialInstructions ? ` - ${report.feedSpecialInstructions}` : ''}` : '',
+    describeIv(report) ? `IV: ${describeIv(report)}` : '',
+    formatMedications(report.medications) ? `Meds: ${formatMedications(report.medications)}` : ''
+  ].filter(Boolean);
+
+  const lastTouch = lastLog ? [`Last touch ${describeTouchTime(lastLog)}`] : ['No touch times logged this shift'];
+  const flagged = lastFlags.length > 0 ? [`Abnormal at last touch: ${lastFlags.map(describeVitalFlag).join(', ')}`] : [];
+  const eventLines = significantEvents.map(describeEvent);
+  const touchTimeActions = [
+    overdue.length > 0 ? `Overdue touch times: ${overdue.join(', ')}` : '',
+    nextTouchTime ? `Next touch time ${nextTouchTime}` : '',
+    overdueDoses.length > 0 ? `Overdue meds: ${overdueDoses.map(({ order, time }) => `${order.name} ${time}`).join(', ')}` : ''
+  ].filter(Boolean);
+  const followUps = getPendingFollowUps(report);
+
+  const title = join([baby.internalID_Nickname, baby.bedRoomNumber ? `Bed ${baby.bedRoomNumber}` : ''], ' · ');
+  const subtitle = join([ages, weights], ' · ');
+
+  const sections = format === 'sbar'
+    ? [
+      { heading: 'Situation', lines: [`${title} - ${ages}`, report.currentProblems ? `Problems: ${report.currentProblems}` : '', `Overall: ${resolvedSeverity}`].filter(Boolean) },
+      {
+        heading: 'Background',
+        lines: [
+          report.maternalHistory ? `Maternal hx: ${report.maternalHistory}` : '',
+          weights,
+          report.cusFindings ? `CUS: ${report.cusFindings}` : '',
+          report.echoFindings ? `Echo: ${report.echoFindings}` : '',
+          report.eegFindings ? `EEG: ${report.eegFindings}` : ''
+        ].filter(Boolean)
+      },
+      { heading: 'Assessment', lines: [...lastTouch, ...flagged, ...systems, ...eventLines, report.labResults ? `Labs: ${report.labResults}` : ''].filter(Boolean) },
+      { heading: 'Recommendation', lines: [report.treatmentPlan ? `Plan: ${report.treatmentPlan}` : '', ...touchTimeActions, ...followUps].filter(Boolean) }
+    ]
+    : [
+      { heading: 'Illness Severity', lines: [resolvedSeverity] },
+      {
+        heading: 'Patient Summary',
+        lines: [
+          ages,
+          weights,
+          report.maternalHistory ? `Maternal hx: ${report.maternalHistory}` : '',
+          report.currentProblems ? `Problems: ${report.currentProblems}` : '',
+          ...systems,
+          report.treatmentPlan ? `Plan: ${report.treatmentPlan}` : ''
+        ].filter(Boolean)
+      },
+      { heading: 'Action List', lines: [...touchTimeActions, ...followUps] },
+      {
+        heading: 'Situation Awareness & Contingency',
+        lines: [...lastTouch, ...flagged, ...eventLines, report.notes ? `Notes: ${report.notes}` : ''].filter(Boolean)
+      },
+      { heading: 'Synthesis by Receiver', lines: ['Receiver summary / questions: ______________________'] }
+    ];
+
+  return {
+    title,
+    subtitle,
+    format,
+    sections: sections.map(section => ({ ...section, lines: section.lines.length > 0 ? section.lines : ['None'] }))
+  };
+};
+
+/**
+ * Handoff as plain text (for copying)
+ */
+export const formatHandoffText = (handoff) => [
+  `=== ${HANDOFF_FORMATS[handoff.format].label}: ${handoff.title} ===`,
+  handoff.subtitle,
+  ...handoff.sections.flatMap(section => [`${section.heading}:`, ...section.lines.map(line => `  - ${line}`)])
+].filter(Boolean).join('\n');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Compact printable cards (two per row, never split across pages)
+ * @param {Array} handoffs - Results of buildHandoff
+ * @returns {string} Full HTML document
+ */
+export const renderHandoffCardsHtml = (handoffs) => {
+  const cards = handoffs.map(handoff => `
+    <div class="card">
+      <div class="title">${escapeHtml(handoff.title)} <span class="format">${escapeHtml(HANDOFF_FORMATS[handoff.format].label)}</span></div>
+      <div class="subtitle">${escapeHtml(handoff.subtitle)}</div>
+      ${handoff.sections.map(section => `
+        <div class="heading">${escapeHtml(section.heading)}</div>
+        <ul>${section.lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`).join('')}
+    </div>`).join('');
+
+  return `<!DOCTYPE html><html><head><title>Handoff Cards</title><style>
+    body { font-family: sans-serif; font-size: 10px; margin: 8px; }
+    .cards { display: flex; flex-wrap: wrap; gap: 8px; }
+    .card { width: calc(50% - 22px); border: 1px solid #374151; border-radius: 4px; padding: 6px 8px; page-break-inside: avoid; break-inside: avoid; }
+    .title { font-size: 12px; font-weight: bold; }
+    .format { float: right; font-size: 9px; color: #4f46e5; }
+    .subtitle { color: #4b5563; margin-bottom: 4px; }
+    .heading { font-weight: bold; margin-top: 4px; border-bottom: 1px solid #d1d5db; }
+    ul { margin: 2px 0 0 0; padding-left: 14px; }
+    li { margin: 0; }
+  </style></head><body><div class="cards">${cards}</div></body></html>`;
+};
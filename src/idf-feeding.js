@@ -0,0 +1,189 @@
+/**
+ * Infant-Driven Feeding (IDF)
+ *
+ * Readiness and quality scoring per touch time for babies on the IDF protocol
+ * (`reportSheet.feedsRoute === 'IDF'`), matching the IDF scoring in nicushifttracker.html
+ * but on the full 1-5 scales. Scores are flat fields on each touch time log
+ * (idfReadiness, idfQuality, idfPoVolume, idfNotes) so they are edited and amended like
+ * the rest of the log.
+ *
+ * PO feeds start once the baby has shown readiness over the last 24 hours: at least
+ * IDF_CRITERIA.minScores readiness scores, with IDF_CRITERIA.readyPercent of them a 1 or 2.
+ * This is worked out from the logs (across shifts) instead of being ticked by hand, and
+ * is re-checked on a rolling window, so it lapses if readiness falls off.
+ */
+
+import { getLogScheduledAt } from './shift-schedule';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+export const IDF_ROUTE = 'IDF';
+
+export const IDF_CRITERIA = {
+  windowHours: 24,
+  minScores: 6,
+  readyPercent: 70
+};
+
+export const IDF_READINESS_SCORES = [
+  { value: '1', label: '1 - Drowsy, alert or fussy before care; rooting, hands to mouth; good tone' },
+  { value: '2', label: '2 - Drowsy or alert once handled; some rooting or takes pacifier; adequate tone' },
+  { value: '3', label: '3 - Briefly alert with care; no hunger cues; no change in tone' },
+  { value: '4', label: '4 - Sleeping throughout care; no hunger cues; no change in tone' },
+  { value: '5', label: '5 - Needs more O₂, As/Bs or tachypnea with care' }
+];
+
+export const IDF_QUALITY_SCORES = [
+  { value: '1', label: '1 - Strong, coordinated suck throughout feed' },
+  { value: '2', label: '2 - Strong, coordinated suck at first but tires' },
+  { value: '3', label: '3 - Difficulty coordinating suck-swallow-breathe despite pacing' },
+  { value: '4', label: '4 - Weak or inconsistent suck; little rhythm; needs rest breaks' },
+  { value: '5', label: '5 - Unable to coordinate despite pacing; As/Bs or tachypnea with feed' }
+];
+
+const toScore = (value) => {
+  const score = Number(value);
+  return Number.isInteger(score) && score >= 1 && score <= 5 ? score : null;
+};
+
+export const isReadyScore = (readiness) => {
+  const score = toScore(readiness);
+  return score !== null && score <= 2;
+};
+
+/**
+ * Scores on a touch time log (logs from the standalone tracker keep them in `idfScoring`)
+ * @returns {{ readiness: number|null, quality: number|null, poVolume: number|null, notes: string }}
+ */
+export const getIdfScores = (log = {}) => ({
+  readiness: toScore(log.idfReadiness ?? log.idfScoring?.readinessScore),
+  quality: toScore(log.idfQuality ?? log.idfScoring?.qualityScore),
+  poVolume: log.idfPoVolume === null || log.idfPoVolume === undefined || log.idfPoVolume === '' ? null : Number(log.idfPoVolume),
+  notes: log.idfNotes ?? log.idfScoring?.notes ?? ''
+});
+
+/**
+ * Scored touch times from a baby's shifts, oldest first
+ * @param {Array<{ shift, baby }>} entries - From fetchBabyAcrossShifts (plus the live shift)
+ * @returns {Array<{ at, readiness, quality, poVolume, notes, feedVolume }>}
+ */
+export const collectIdfScores = (entries = []) => entries
+  .flatMap(({ shift, baby }) => (baby.touchTimeLogs || []).map(log => ({
+    at: getLogScheduledAt(log, shift),
+    ...getIdfScores(log),
+    feedVolume: Number(log.feedVolume) || 0
+  })))
+  .filter(score => score.readiness !== null || score.quality !== null)
+  .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+/**
+ * Rolling 24-hour readiness criteria
+ * @param {Array} scores - From collectIdfScores
+ * @param {Date} [now]
+ * @returns {{ met: boolean, scored: number, ready: number, readyPercent: number|null }}
+ */
+export const getIdf24hStatus = (scores = [], now = new Date()) => {
+  const since = now.getTime() - IDF_CRITERIA.windowHours * MS_PER_HOUR;
+  const inWindow = scores.filter(score => {
+    const at = new Date(score.at).getTime();
+    return score.readiness !== null && at > since && at <= now.getTime();
+  });
+  const ready = inWindow.filter(score => isReadyScore(score.readiness)).length;
+  const readyPercent = inWindow.length > 0 ? Math.round((ready / inWindow.length) * 100) : null;
+  return {
+    met: inWindow.length >= IDF_CRITERIA.minScores && readyPercent >= IDF_CRITERIA.readyPercent,
+    scored: inWindow.length,
+    ready,
+    readyPercent
+  };
+};
+
+/**
+ * "Criteria met: 7 of 8 readiness scores 1-2 in the last 24 hr"
+ */
+export const describeIdf24hStatus = (status) => {
+  const counts = `${status.ready} of ${status.scored} readiness scores 1-2 in the last ${IDF_CRITERIA.windowHours} hr`;
+  if (status.met) return `Criteria met: ${counts}`;
+  if (status.scored < IDF_CRITERIA.minScores) return `Criteria not met: ${counts} (needs ${IDF_CRITERIA.minScores}+ scores)`;
+  return `Criteria not met: ${counts} (needs ${IDF_CRITERIA.readyPercent}%)`;
+};
+
+/**
+ * PO-vs-gavage suggestion for a touch time, per the protocol
+ * @param {{ readiness, quality }} scores - Touch time scores (strings or numbers)
+ * @param {boolean} criteriaMet - From getIdf24hStatus
+ * @param {string|null} [poBlockedReason] - From getPoBlockedReason (feeding-rules.js)
+ * @returns {{ decision: 'PO' | 'Gavage', text: string } | null} null until readiness is scored
+ */
+export const getIdfFeedHint = ({ readiness, quality }, criteriaMet, poBlockedReason = null) => {
+  const readinessScore = toScore(readiness);
+  const qualityScore = toScore(quality);
+  if (readinessScore === null) return null;
+
+  if (!isReadyScore(readinessScore)) {
+    return { decision: 'Gavage', text: `Readiness ${readinessScore}: gavage full volume, no PO attempt` };
+  }
+  if (poBlockedReason) {
+    return { decision: 'Gavage', text: `Readiness ${readinessScore}: gavage; PO not allowed (${poBlockedReason})` };
+  }
+  if (!criteriaMet) {
+    return { decision: 'Gavage', text: `Readiness ${readinessScore}: gavage; counts toward the ${IDF_CRITERIA.windowHours}-hour criteria` };
+  }
+  if (qualityScore === null) {
+    return { decision: 'PO', text: `Readiness ${readinessScore}: offer PO, then score quality` };
+  }
+  return qualityScore <= 2
+    ? { decision: 'PO', text: `Quality ${qualityScore}: continue PO; gavage any volume not taken` }
+    : { decision: 'Gavage', text: `Quality ${qualityScore}: stop PO and gavage the remainder` };
+};
+
+/**
+ * Day-by-day feeding progression
+ * @param {Array} scores - From collectIdfScores
+ * @returns {Array<{ date, scored, ready, poAttempts, averageQuality, poMl, totalMl, poPercent }>} Oldest day first
+ */
+export const buildFeedingProgression = (scores = []) => {
+  const days = new Map();
+  scores.forEach(score => {
+    const date = new Date(score.at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(score);
+  });
+
+  return [...days.entries()].map(([date, dayScores]) => {
+    const withReadiness = dayScores.filter(score => score.readiness !== null);
+    const attempts = dayScores.filter(score => score.quality !== null || score.poVolume > 0);
+    const qualities = attempts.filter(score => score.quality !== null).map(score => score.quality);
+    const poMl = dayScores.reduce((sum, score) => sum + (score.poVolume || 0), 0);
+    const totalMl = dayScores.reduce((sum, score) => sum + score.feedVolume, 0);
+    return {
+      date,
+      scored: withReadiness.length,
+      ready: withReadiness.filter(score => isReadyScore(score.readiness)).length,
+      poAttempts: attempts.length,
+      averageQuality: qualities.length > 0 ? Math.round((qualities.reduce((a, b) => a + b, 0) / qualities.length) * 10) / 10 : null,
+      poMl,
+      totalMl,
+      poPercent: totalMl > 0 ? Math.round((poMl / totalMl) * 100) : null
+    };
+  });
+};
+
+/**
+ * Feeding progression as fixed-width table lines, for the shift summary
+ * @returns {string[]}
+ */
+export const formatFeedingProgressionTable = (rows) => {
+  const header = ['Date', 'Ready', 'PO tries', 'Avg qual', 'PO mL', 'Total mL', '% PO'];
+  const body = rows.map(row => [
+    row.date,
+    `${row.ready}/${row.scored}`,
+    String(row.poAttempts),
+    row.averageQuality === null ? '-' : String(row.averageQuality),
+    String(row.poMl),
+    String(row.totalMl),
+    row.poPercent === null ? '-' : `${row.poPercent}%`
+  ]);
+  const widths = header.map((title, column) => Math.max(title.length, ...body.map(cells => cells[column].length)));
+  return [header, ...body].map(cells => cells.map((cell, column) => cell.padEnd(widths[column])).join(' | ').trimEnd());
+};
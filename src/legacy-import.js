@@ -0,0 +1,484 @@
+/**
+ * Import from the Standalone Trackers
+ *
+ * Before this app, shifts were kept in two single-page trackers that saved to
+ * localStorage: nicushifttracker.html (key `nicuShiftTracker`) and nicushifts.html
+ * (key `nicuShiftState`). Both could also download the same state as JSON ("Save Shift").
+ * One saved state is one shift: { shiftStart, babies: [...] } with each baby's report
+ * sheet, touch times keyed by "HH:MM" and an event list.
+ *
+ * buildLegacyImport maps a state onto a new shift and its babies without touching
+ * Firestore, so the import can be previewed; importLegacyShift writes it. The old state
+ * has no date, so the nurse picks the shift date. Fields the app has no place for are
+ * added to the report sheet notes rather than dropped.
+ *
+ * Imported shifts carry `legacyImportKey` (source + baby ids) so importing the same
+ * state twice can be caught.
+ */
+
+import { addShift, addBaby } from './firebase-helpers-v2';
+import { MAX_TOUCH_TIME_LOGS, MAX_EVENT_LOGS } from './migrate-v1-to-v2';
+import { normalizeMedications } from './medications';
+import { RESPIRATORY_MODES, MAX_RESPIRATORY_HISTORY, buildRespiratoryChange, appendRespiratoryChange } from './respiratory';
+import { MATERNAL_CONDITIONS, DELIVERY_REASONS, generateMaternalSummary } from './maternal-history';
+import { getShiftStart, getShiftEnd, getShiftTimestamp, minutesBetween, getLocalDateString } from './shift-schedule';
+
+export const LEGACY_SOURCES = {
+  nicuShiftTracker: { label: 'nicushifttracker.html', storageKey: 'nicuShiftTracker' },
+  nicuShiftState: { label: 'nicushifts.html', storageKey: 'nicuShiftState' }
+};
+
+// Respiratory modes by the codes the trackers stored (labels such as "Bubble CPAP" are matched too)
+const LEGACY_RESPIRATORY_MODES = {
+  RA: 'RA',
+  'LF-NC': 'NC',
+  'HF-NC': 'HFNC',
+  HHHF: 'HFNC',
+  Bubble: 'CPAP',
+  Optibubble: 'CPAP',
+  'NI-NAVA': 'NI-NAVA',
+  'I-NAVA': 'I-NAVA',
+  Conventional: 'Vent',
+  'Vent-Conv': 'Vent',
+  Oscillator: 'Oscillator',
+  'Vent-Osc': 'Oscillator'
+};
+
+// Tracker respiratory fields -> report sheet fields
+const LEGACY_RESPIRATORY_FIELDS = {
+  flowRate: 'respiratoryFlow',
+  flow: 'respiratoryFlow',
+  fio2: 'respiratoryFiO2',
+  temperature: 'respiratoryTemp',
+  cpapLevel: 'respiratoryCpap',
+  navaLevel: 'respiratoryNavaLevel',
+  peep: 'respiratoryPeep',
+  pip: 'respiratoryPip',
+  rate: 'respiratoryRate',
+  iTime: 'respiratoryITime',
+  map: 'respiratoryMap',
+  amplitude: 'respiratoryAmplitude',
+  frequency: 'respiratoryHz'
+};
+
+const LEGACY_DELIVERY_TYPES = { SVD: 'SVD', Induction: 'Induced vaginal', 'C/S': 'C-section' };
+
+// Diaper words the trackers' quick buttons (and nurses) used, in diaperOutput order
+const LEGACY_DIAPER_WORDS = [
+  { pattern: /\b(wet|void(ed)?|urine|u)\b/i, code: 'U' },
+  { pattern: /\b(stool|bm|b)\b/i, code: 'B' },
+  { pattern: /\b(mec(onium)?|m)\b/i, code: 'M' }
+];
+
+const LEGACY_FEED_ROUTES = { 'PO-order': 'PO' };
+
+const DELIVERY_ROOM_FIELDS = {
+  ppv: 'deliveryRoomPpv',
+  straightBubble: 'deliveryRoomCpap',
+  intubated: 'deliveryRoomIntubated',
+  coded: 'deliveryRoomCoded'
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+  if (isBlank(value)) return null;
+  const match = String(value).match(/-?\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+};
+
+/**
+ * "28+3" -> { weeks: 28, days: 3 } (blank strings if it can't be read)
+ */
+const parseWeeksAndDays = (text) => {
+  const match = String(text ?? '').match(/(\d+)\s*(?:\+\s*(\d+))?/);
+  return match ? { weeks: Number(match[1]), days: Number(match[2] || 0) } : { weeks: '', days: '' };
+};
+
+/**
+ * "07:00", "7:02:15 AM" -> "HH:MM" (null if it can't be read)
+ */
+const parseClockTime = (text) => {
+  const match = String(text ?? '').match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*(AM|PM)?/i);
+  if (!match) return null;
+  let hours = Number(match[1]) % 24;
+  const meridiem = match[3]?.toUpperCase();
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+};
+
+const mapRespiratoryMode = (mode) => {
+  if (!mode) return '';
+  return LEGACY_RESPIRATORY_MODES[mode] ||
+    RESPIRATORY_MODES.find(option => option.value === mode || option.label === mode)?.value ||
+    '';
+};
+
+/**
+ * Structured maternal history fields from the tracker's `maternal` object (condition and
+ * reason keys match maternal-history.js), plus the tracker's free-text notes
+ */
+const buildMaternalFields = (maternal = {}) => {
+  const checked = (flags = {}, options) => options.map(option => option.value).filter(value => flags[value]);
+  // deliveryReason was free text in older saves; keep it when it names a known reason
+  const typedReason = DELIVERY_REASONS.find(reason => reason.label.toLowerCase() === String(maternal.deliveryReason ?? '').trim().toLowerCase());
+  const reasons = checked(maternal.deliveryReasons, DELIVERY_REASONS);
+  if (typedReason && !reasons.includes(typedReason.value)) reasons.push(typedReason.value);
+  const fields = {
+    maternalAge: toNumber(maternal.age),
+    maternalGravida: toNumber(maternal.gravida),
+    maternalPara: toNumber(maternal.para),
+    maternalLivingChildren: toNumber(maternal.livingChildren),
+    maternalDeliveryType: LEGACY_DELIVERY_TYPES[maternal.deliveryType] || '',
+    maternalDeliveryReasons: reasons,
+    maternalConditions: checked(maternal.conditions, MATERNAL_CONDITIONS)
+  };
+  const notes = [
+    maternal.deliveryReason && !typedReason ? `Delivery reason: ${maternal.deliveryReason}` : '',
+    maternal.notes || ''
+  ].filter(Boolean);
+  return { fields, notes: notes.length > 0 ? `Maternal: ${notes.join('; ')}` : '' };
+};
+
+/**
+ * Tracker "M/D/YY" respiratory change date -> ISO timestamp (noon local)
+ */
+const parseLegacyDate = (text) => {
+  const match = String(text ?? '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+  if (!match) return null;
+  const year = Number(match[3]) < 100 ? 2000 + Number(match[3]) : Number(match[3]);
+  return new Date(year, Number(match[1]) - 1, Number(match[2]), 12).toISOString();
+};
+
+/**
+ * Report sheet fields from a tracker baby's nested report sheet
+ */
+const buildReportSheet = (legacyBaby, shift) => {
+  const legacy = legacyBaby.reportSheet || {};
+  const respiratory = legacy.respiratory || {};
+  const feeds = legacy.feeds || {};
+  const lines = legacy.lines || {};
+  const iv = legacy.iv || {};
+  const babyHistory = legacy.babyHistory || {};
+  const report = {};
+  const extraNotes = [];
+
+  // nicushifts.html kept maternal history as free text
+  if (typeof legacy.maternalHistory === 'string') {
+    report.maternalHistory = legacy.maternalHistory;
+  } else {
+    const maternal = buildMaternalFields(legacy.maternal);
+    Object.assign(report, maternal.fields);
+    report.maternalHistory = generateMaternalSummary(maternal.fields);
+    if (maternal.notes) extraNotes.push(maternal.notes);
+  }
+  report.currentProblems = legacy.currentProblems || legacyBaby.description || '';
+
+  Object.entries(DELIVERY_ROOM_FIELDS).forEach(([legacyField, field]) => {
+    report[field] = Boolean(babyHistory.deliveryRoom?.[legacyField]);
+  });
+  report.feedIssues = babyHistory.feedIssues || '';
+  report.babyHistoryNotes = babyHistory.notes || '';
+
+  report.respiratoryMode = mapRespiratoryMode(respiratory.mode);
+  if (respiratory.mode && !report.respiratoryMode) extraNotes.push(`Respiratory mode: ${respiratory.mode}`);
+  Object.entries(LEGACY_RESPIRATORY_FIELDS).forEach(([legacyField, field]) => {
+    if (!isBlank(respiratory[legacyField]) && isBlank(report[field])) report[field] = toNumber(respiratory[legacyField]);
+  });
+  if (respiratory.ventMode) report.respiratoryVentMode = respiratory.ventMode;
+  if (respiratory.etTube) report.respiratoryEtTube = respiratory.etTube;
+  report.respiratoryFiO2Range = respiratory.fio2Range || '';
+  report.respiratoryStartDate = /^\d{4}-\d{2}-\d{2}$/.test(respiratory.dateStarted || '')
+    ? respiratory.dateStarted
+    : parseLegacyDate(respiratory.dateStarted)?.slice(0, 10) || '';
+  report.respiratoryNotes = respiratory.notes || '';
+  report.cbgAbgSchedule = respiratory.schedule || '';
+
+  report.respiratoryHistory = (babyHistory.respiratoryHistory || [])
+    .map(entry => ({ at: parseLegacyDate(entry.date), mode: mapRespiratoryMode(entry.mode), settings: {}, reason: entry.reason || '' }))
+    .filter(entry => entry.at && entry.mode)
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .slice(-MAX_RESPIRATORY_HISTORY);
+  const current = buildRespiratoryChange(report, '', getShiftStart(shift));
+  if (current) report.respiratoryHistory = appendRespiratoryChange(report.respiratoryHistory, current);
+
+  report.feedsRoute = LEGACY_FEED_ROUTES[feeds.route] || feeds.route || '';
+  report.feedType = feeds.type || '';
+  report.feedCalories = feeds.calories || '';
+  report.feedVolume = toNumber(feeds.volume);
+  // nicushifts.html took the volume as text ("45ml q3h"); keep the wording with the feed instructions
+  const volumeText = String(feeds.volume ?? '').trim();
+  report.feedSpecialInstructions = [
+    feeds.instructions,
+    volumeText && String(report.feedVolume) !== volumeText ? `Volume: ${volumeText}` : '',
+    feeds.poOrder ? `PO order: ${feeds.poOrder}` : '',
+    feeds.fortification?.method ? `Fortified with ${[feeds.fortification.method, feeds.fortification.recipe].filter(Boolean).join(' ')}` : '',
+    feeds.isThickened ? `Thickened${feeds.thickening ? ` with ${[feeds.thickening.agent, feeds.thickening.recipe].filter(Boolean).join(' ')}` : ''}` : ''
+  ].filter(Boolean).join('; ');
+  report.ngOgTubeDetails = [feeds.tube?.size && `${feeds.tube.size} Fr`, feeds.tube?.depth && `@ ${feeds.tube.depth} cm`].filter(Boolean).join(' ');
+
+  // nicushifttracker.html kept a single access/fluids pair; nicushifts.html had site/fluids/rate
+  // and, later, one entry per line (piv, picc, uvc, uac) plus ivFluids
+  const structuredLines = [
+    lines.hasPICC && lines.picc && { type: 'PICC', site: lines.picc.location },
+    lines.hasUVC && lines.uvc && { type: 'UVC', site: '' },
+    lines.hasUAC && lines.uac && { type: 'UAC', site: '' },
+    lines.piv?.site && { type: 'Peripheral', site: [lines.piv.site, lines.piv.gauge && `${lines.piv.gauge}g`].filter(Boolean).join(' ') }
+  ].filter(Boolean);
+  const access = lines.access || iv.site || structuredLines[0]?.site || '';
+  const fluids = lines.fluids || lines.ivFluids || iv.fluids || '';
+  const lineType = structuredLines[0]?.type ||
+    ['PICC', 'UVC', 'UAC'].find(type => access.toUpperCase().includes(type)) ||
+    (access ? 'Peripheral' : '');
+  report.ivLineType = lineType;
+  report.ivSite = access;
+  if (lineType === 'PICC') {
+    report.piccLineOut = lines.picc?.lineOut || '';
+    report.piccCircumference = lines.picc?.circumference || '';
+  }
+  if (lineType === 'UVC' && lines.uvc) {
+    report.uvcLengthVisible = lines.uvc.length || '';
+    report.uvcDistalLumen = lines.uvc.distal || '';
+  }
+  if (lineType === 'UAC') report.uacLengthVisible = lines.uac?.length || '';
+  // The report sheet holds one line; any others are listed in the notes
+  structuredLines.slice(1).forEach(line => {
+    const details = line.type === 'UVC'
+      ? [lines.uvc.length && `${lines.uvc.length} cm visible`, lines.uvc.proximal && `proximal ${lines.uvc.proximal}`, lines.uvc.distal && `distal ${lines.uvc.distal}`]
+      : line.type === 'UAC' ? [lines.uac.length && `${lines.uac.length} cm visible`] : [line.site];
+    extraNotes.push(`Also ${line.type}: ${details.filter(Boolean).join(', ') || 'in place'}`);
+  });
+  if (lineType === 'PICC') report.piccFluids = fluids;
+  else if (lineType === 'UVC') report.uvcProximalLumen = [lines.uvc?.proximal, fluids].filter(Boolean).join('; ');
+  else if (lineType === 'UAC') report.uacFluids = fluids;
+  else report.ivFluidsGeneral = fluids;
+  if (iv.rate) report[lineType === 'PICC' ? 'piccRate' : lineType === 'UVC' ? 'uvcProximalRate' : lineType === 'UAC' ? 'uacRate' : 'ivRateGeneral'] = iv.rate;
+
+  report.medications = normalizeMedications(typeof legacy.medications === 'string'
+    ? { otherMedications: legacy.medications }
+    : legacy.medications);
+  report.labsOrdered = legacy.labs || '';
+  report.treatmentPlan = legacy.plan || '';
+  report.notes = [legacy.notes, ...extraNotes].filter(Boolean).join('\n');
+  return report;
+};
+
+/**
+ * Tracker feed text ("45ml NG, 20ml PO", "30 PO - spit up") -> total volume, routes
+ * ("NG/PO"), the PO part and whatever words are left (usually how the feed went)
+ */
+const parseLegacyFeed = (text) => {
+  const parts = [...String(text ?? '').matchAll(/(\d+(?:\.\d+)?)\s*(?:ml|cc)?\s*(PO|NG|OG|IDF|gavage)?\b/gi)];
+  const routes = [...new Set(parts.map(part => part[2]?.toUpperCase()).filter(Boolean))];
+  const poParts = parts.filter(part => part[2]?.toUpperCase() === 'PO');
+  const rest = String(text ?? '')
+    .replace(/(\d+(?:\.\d+)?)\s*(?:ml|cc)?\s*(PO|NG|OG|IDF|gavage)?\b/gi, '')
+    .replace(/^[\s,;+-]+|[\s,;+-]+$/g, '')
+    .replace(/\s*[,;+]\s*[,;+]\s*/g, ', ');
+  return {
+    volume: parts.length > 0 ? parts.reduce((sum, part) => sum + Number(part[1]), 0) : null,
+    route: routes.join('/'),
+    poVolume: poParts.length > 0 ? poParts.reduce((sum, part) => sum + Number(part[1]), 0) : null,
+    rest
+  };
+};
+
+/**
+ * Tracker diaper text ("Wet + Stool", "Dry", "wet, large stool") -> diaperOutput code and
+ * the words that are not part of it
+ */
+const parseLegacyDiaper = (text) => {
+  const value = String(text ?? '').trim();
+  if (!value) return { output: '', details: '' };
+  if (/^dry$/i.test(value)) return { output: 'Dry', details: '' };
+  const codes = LEGACY_DIAPER_WORDS.filter(word => word.pattern.test(value)).map(word => word.code);
+  const details = LEGACY_DIAPER_WORDS
+    .reduce((rest, word) => rest.replace(new RegExp(word.pattern.source, 'gi'), ''), value)
+    .replace(/[\s+&,/]+/g, ' ')
+    .trim();
+  return { output: codes.join('/'), details };
+};
+
+/**
+ * Touch time logs from a tracker baby's { "HH:MM": log } map (only times with something charted)
+ */
+const buildTouchTimeLogs = (legacyBaby, shift) => Object.entries(legacyBaby.touchTimes && !Array.isArray(legacyBaby.touchTimes) ? legacyBaby.touchTimes : legacyBaby.touchTimeLogs || {})
+  .filter(([time, log]) => parseClockTime(time) && (log.complete || ['temp', 'hr', 'rr', 'spo2', 'feed', 'diaper', 'comments'].some(field => !isBlank(log[field]))))
+  .map(([time, log]) => {
+    const scheduledTime = parseClockTime(time);
+    const scheduledAt = getShiftTimestamp(shift, scheduledTime);
+    const feed = parseLegacyFeed(log.feed);
+    const diaper = parseLegacyDiaper(log.diaper);
+    return {
+      timestamp: scheduledAt, // The trackers did not record when a log was charted
+      scheduledTime,
+      scheduledAt,
+      temp: toNumber(log.temp),
+      hr: toNumber(log.hr),
+      rr: toNumber(log.rr),
+      spo2: toNumber(log.spo2),
+      feedVolume: feed.volume,
+      feedRoute: feed.route,
+      feedTolerance: feed.rest,
+      residualChecked: log.residual || '',
+      diaperOutput: diaper.output,
+      diaperDetails: diaper.details,
+      positioning: log.positioning ? 'Done' : '',
+      lineCheck: log.lineCheck ? 'Done' : '',
+      comments: log.comments || '',
+      idfReadiness: log.idfScoring?.readinessScore || '',
+      idfQuality: log.idfScoring?.qualityScore || '',
+      idfPoVolume: feed.poVolume,
+      idfNotes: log.idfScoring?.notes || '',
+      completed: true,
+      importedFromLegacy: true
+    };
+  })
+  .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+
+/**
+ * Event logs from a tracker baby's [{ time, type, description }]
+ */
+const buildEventLogs = (legacyBaby, shift) => (legacyBaby.events || []).map(event => {
+  const time = parseClockTime(event.time);
+  return {
+    eventType: event.type || 'Note',
+    eventDetails: event.description || '',
+    timestamp: time ? getShiftTimestamp(shift, time) : getShiftStart(shift).toISOString(),
+    importedFromLegacy: true
+  };
+});
+
+/**
+ * Touch time interval from the tracker's feeding status (or the gap between a baby's touch times)
+ */
+const getTouchTimeInterval = (legacyBaby) => {
+  if (legacyBaby.feedingStatus === 'npo') return 'q4';
+  if (legacyBaby.feedingStatus === 'continuous') return 'continuous';
+  if (legacyBaby.feedingStatus === 'regular') return 'q3';
+  const times = (Array.isArray(legacyBaby.touchTimes) ? legacyBaby.touchTimes : Object.keys(legacyBaby.touchTimeLogs || {}))
+    .map(parseClockTime)
+    .filter(Boolean);
+  const gapHours = times.length > 1 ? minutesBetween(times[0], times[1]) / 60 : 3;
+  return ({ 2: 'q2', 3: 'q3', 4: 'q4' })[gapHours] || 'q3';
+};
+
+const getFirstTouchTime = (legacyBaby) => {
+  if (legacyBaby.firstTouchTime) return parseClockTime(legacyBaby.firstTouchTime) || '';
+  const times = Array.isArray(legacyBaby.touchTimes) ? legacyBaby.touchTimes : Object.keys(legacyBaby.touchTimes || legacyBaby.touchTimeLogs || {});
+  return parseClockTime(times[0]) || '';
+};
+
+/**
+ * Reads a tracker state saved in this browser's localStorage
+ * @returns {Array<{ source, state }>} One entry per tracker with saved babies
+ */
+export const readLegacyLocalStates = () => Object.entries(LEGACY_SOURCES)
+  .map(([source, { storageKey }]) => {
+    try {
+      return { source, state: JSON.parse(localStorage.getItem(storageKey) || 'null') };
+    } catch {
+      return { source, state: null };
+    }
+  })
+  .filter(({ state }) => Array.isArray(state?.babies) && state.babies.length > 0);
+
+/**
+ * Parses a "Save Shift" JSON download
+ * @returns {{ source, state }}
+ * @throws {Error} If the text is not a tracker state
+ */
+export const parseLegacyExport = (text) => {
+  let state;
+  try {
+    state = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!state || !Array.isArray(state.babies)) {
+    throw new Error('The file is not a shift saved by the old tracker (no babies list).');
+  }
+  // nicushifts.html kept a shift-wide touchTimes list; nicushifttracker.html keeps them per baby
+  return { source: Array.isArray(state.touchTimes) ? 'nicuShiftState' : 'nicuShiftTracker', state };
+};
+
+/**
+ * Maps a tracker state onto a new shift and its babies
+ * @param {{ source, state }} legacy - From readLegacyLocalStates or parseLegacyExport
+ * @param {Object} options
+ * @param {string} [options.shiftDate] - "YYYY-MM-DD" the shift started on (default today)
+ * @param {string} [options.assignmentType]
+ * @returns {{ shift: Object, babies: Array, warnings: string[] }}
+ */
+export const buildLegacyImport = ({ source, state }, { shiftDate = getLocalDateString(), assignmentType = 'ICU' } = {}) => {
+  const warnings = [];
+  const shiftStartTime = parseClockTime(state.shiftStart) || '07:00';
+  const shiftEndTime = parseClockTime(state.shiftEnd) || '19:00';
+  if (!parseClockTime(state.shiftStart)) warnings.push('No shift start time saved; using 07:00.');
+
+  const times = { shiftTemplate: shiftStartTime === '07:00' && shiftEndTime === '19:00' ? 'day12' : 'custom', shiftStartTime, shiftEndTime };
+  const dated = { ...times, shiftDate };
+  const shift = {
+    ...dated,
+    shiftStartAt: getShiftStart(dated).toISOString(),
+    shiftEndAt: getShiftEnd(dated).toISOString(),
+    assignmentType,
+    legacyImportKey: `${source}:${state.babies.map(baby => baby.id).join(',')}`
+  };
+
+  const babies = state.babies.map((legacyBaby, index) => {
+    const nickname = legacyBaby.name || `Baby ${index + 1}`;
+    const ga = parseWeeksAndDays(legacyBaby.gaAtBirth ?? legacyBaby.ga);
+    const cga = parseWeeksAndDays(legacyBaby.currentCGA ?? legacyBaby.cga);
+    let touchTimeLogs = buildTouchTimeLogs(legacyBaby, shift);
+    let eventLogs = buildEventLogs(legacyBaby, shift);
+    if (touchTimeLogs.length > MAX_TOUCH_TIME_LOGS) {
+      warnings.push(`${nickname}: only the last ${MAX_TOUCH_TIME_LOGS} of ${touchTimeLogs.length} touch times imported.`);
+      touchTimeLogs = touchTimeLogs.slice(-MAX_TOUCH_TIME_LOGS);
+    }
+    if (eventLogs.length > MAX_EVENT_LOGS) {
+      warnings.push(`${nickname}: only the last ${MAX_EVENT_LOGS} of ${eventLogs.length} events imported.`);
+      eventLogs = eventLogs.slice(-MAX_EVENT_LOGS);
+    }
+
+    return {
+      internalID_Nickname: nickname,
+      bedRoomNumber: legacyBaby.bed || '',
+      gestationalAge_Weeks: ga.weeks,
+      gestationalAge_Days: ga.days,
+      correctedGestationalAge_Weeks: cga.weeks,
+      correctedGestationalAge_Days: cga.days,
+      pna_Days: toNumber(legacyBaby.daysOfLife ?? legacyBaby.dol) ?? '',
+      babyQ3StartTime: getFirstTouchTime(legacyBaby),
+      touchTimeInterval: getTouchTimeInterval(legacyBaby),
+      reportSheet: buildReportSheet(legacyBaby, shift),
+      touchTimeLogs,
+      eventLogs,
+      legacyId: String(legacyBaby.id ?? index)
+    };
+  });
+
+  return { shift, babies, warnings };
+};
+
+/**
+ * Writes an import built by buildLegacyImport
+ * @returns {Promise<Object>} The new shift ({ id, ...shift })
+ */
+export const importLegacyShift = async (db, appId, userId, { shift, babies }) => {
+  const shiftRef = await addShift(db, appId, userId, shift);
+  for (const baby of babies) {
+    await addBaby(db, appId, userId, shiftRef.id, baby);
+  }
+  return { id: shiftRef.id, ...shift };
+};
+
+/**
+ * Preview lines for an import
+ */
+export const formatLegacyImport = ({ shift, babies, warnings }) => [
+  `Shift ${shift.shiftDate} ${shift.shiftStartTime}–${shift.shiftEndTime}, ${babies.length} ${babies.length === 1 ? 'baby' : 'babies'}:`,
+  ...babies.map(baby => `${baby.internalID_Nickname}: ${baby.touchTimeLogs.length} touch times, ${baby.eventLogs.length} events`),
+  ...warnings
+];
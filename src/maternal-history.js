@@ -0,0 +1,117 @@
+/**
+ * Maternal History
+ *
+ * Structured maternal history for the report sheet, replacing the free-text field
+ * (where identifying details tended to end up). The summary line follows
+ * generateMaternalSummary in nicushifttracker.html, e.g.
+ * "G2P1 | C-section for PIH | Conditions: GDM, Pre-eclampsia with severe features",
+ * with GBS, ROM and antenatal steroid/magnesium details added.
+ *
+ * The fields are flat report sheet fields (maternalAge, maternalConditions, ...) so they
+ * save, merge and carry forward like every other report sheet field. The generated line
+ * is stored in `maternalHistory` when the report sheet is saved, so the summary and
+ * handoff keep reading one field.
+ */
+
+export const MATERNAL_HISTORY_FIELDS = [
+  'maternalAge',
+  'maternalGravida',
+  'maternalPara',
+  'maternalLivingChildren',
+  'maternalDeliveryType',
+  'maternalDeliveryReasons',
+  'maternalGbs',
+  'maternalRomHours',
+  'maternalSteroids',
+  'maternalMagnesium',
+  'maternalConditions'
+];
+
+export const DELIVERY_TYPES = ['SVD', 'Induced vaginal', 'Assisted vaginal', 'C-section'];
+
+export const DELIVERY_REASONS = [
+  { value: 'preEclampsia', label: 'Pre-eclampsia' },
+  { value: 'pih', label: 'PIH' },
+  { value: 'hellp', label: 'HELLP' },
+  { value: 'abruption', label: 'Abruption' },
+  { value: 'pretermLabor', label: 'Preterm labor' },
+  { value: 'pprom', label: 'PPROM' },
+  { value: 'nrfht', label: 'NRFHT' },
+  { value: 'reverseDoppler', label: 'Reverse doppler' },
+  { value: 'chorio', label: 'Chorio' },
+  { value: 'breech', label: 'Breech' }
+];
+
+export const GBS_STATUSES = [
+  { value: 'negative', label: 'GBS negative' },
+  { value: 'positiveTreated', label: 'GBS positive, adequately treated' },
+  { value: 'positiveUntreated', label: 'GBS positive, not adequately treated' },
+  { value: 'unknown', label: 'GBS unknown' }
+];
+
+export const STEROID_COURSES = [
+  { value: 'complete', label: 'Complete course' },
+  { value: 'partial', label: 'Partial course' },
+  { value: 'none', label: 'None' }
+];
+
+// Modifiers only apply (and are only offered) when the condition they modify is checked;
+// they add `suffix` to that condition in the summary
+export const MATERNAL_CONDITIONS = [
+  { value: 'gdm', label: 'GDM' },
+  { value: 't1d', label: 'T1D' },
+  { value: 't2d', label: 'T2D' },
+  { value: 'insulinDependent', label: 'Insulin dependent', modifierOf: 't2d', suffix: ' (insulin dependent)' },
+  { value: 'chtn', label: 'cHTN' },
+  { value: 'pih', label: 'PIH' },
+  { value: 'preEclampsia', label: 'Pre-eclampsia' },
+  { value: 'severeFeatures', label: 'With severe features', modifierOf: 'preEclampsia', suffix: ' with severe features' },
+  { value: 'hellp', label: 'HELLP' },
+  { value: 'chorio', label: 'Chorioamnionitis' },
+  { value: 'substanceUse', label: 'Substance use' }
+];
+
+// Rupture of membranes this long before delivery is a sepsis risk factor
+export const PROLONGED_ROM_HOURS = 18;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const labelFor = (options, value) => options.find(option => option.value === value)?.label || value;
+
+/**
+ * Whether any structured maternal history field is filled in
+ */
+export const hasMaternalHistoryFields = (report = {}) => MATERNAL_HISTORY_FIELDS.some(field => {
+  const value = report[field];
+  return Array.isArray(value) ? value.length > 0 : !isBlank(value) && value !== false;
+});
+
+/**
+ * Summary line from the structured fields
+ * @param {Object} report - Report sheet
+ * @returns {string} e.g. "31yo | G2P1 | C-section for PIH | GBS negative | Conditions: GDM" ('' if nothing is entered)
+ */
+export const generateMaternalSummary = (report = {}) => {
+  const conditions = report.maternalConditions || [];
+  const reasons = (report.maternalDeliveryReasons || []).map(reason => labelFor(DELIVERY_REASONS, reason));
+  const listed = MATERNAL_CONDITIONS
+    .filter(condition => !condition.modifierOf && conditions.includes(condition.value))
+    .map(condition => condition.label + MATERNAL_CONDITIONS
+      .filter(modifier => modifier.modifierOf === condition.value && conditions.includes(modifier.value))
+      .map(modifier => modifier.suffix)
+      .join(''));
+  const romHours = Number(report.maternalRomHours);
+
+  const delivery = [report.maternalDeliveryType, reasons.length > 0 ? `for ${reasons.join(', ')}` : ''].filter(Boolean).join(' ');
+  return [
+    isBlank(report.maternalAge) ? '' : `${report.maternalAge}yo`,
+    isBlank(report.maternalGravida) || isBlank(report.maternalPara) ? '' : `G${report.maternalGravida}P${report.maternalPara}`,
+    isBlank(report.maternalLivingChildren) ? '' : `Living children: ${report.maternalLivingChildren}`,
+    delivery,
+    report.maternalGbs ? labelFor(GBS_STATUSES, report.maternalGbs) : '',
+    isBlank(report.maternalRomHours) ? '' : `ROM ${romHours} hr${romHours >= PROLONGED_ROM_HOURS ? ' (prolonged)' : ''}`,
+    report.maternalSteroids ? `Steroids: ${labelFor(STEROID_COURSES, report.maternalSteroids).toLowerCase()}` : '',
+    report.maternalMagnesium ? 'Magnesium given' : '',
+    listed.length > 0 ? `Conditions: ${listed.join(', ')}` : ''
+  ].filter(Boolean).join(' | ');
+};
@@ -0,0 +1,188 @@
+/**
+ * Medication Schedule
+ *
+ * Each medication on the report sheet is an order with dose, route, frequency and
+ * next-due time (`reportSheet.medications`, an array). The next-due time anchors the
+ * dose schedule: doses fall every `frequency` hours from it, so a q8h med due at 09:00
+ * is due at 01:00, 09:00 and 17:00 on every shift and the order carries forward as is.
+ *
+ * Giving a dose adds a 'Med given' event carrying the order id and the dose time it
+ * covers; a scheduled dose with no such event after its time has passed is overdue.
+ *
+ * Report sheets saved before orders existed stored booleans per common med
+ * (`{ vitD: true, caffeine: false, ..., otherMedications: 'Vanc' }`);
+ * normalizeMedications turns those into orders with the details left blank.
+ */
+
+import {
+  timeToMinutes,
+  minutesToTime,
+  minutesBetween,
+  getShiftDurationMinutes,
+  getShiftTimestamp
+} from './shift-schedule';
+
+export const MED_GIVEN_EVENT = 'Med given';
+
+export const MEDICATION_ROUTES = ['PO', 'NG/OG', 'IV', 'IM', 'PR', 'Topical', 'Inhaled'];
+
+export const MEDICATION_FREQUENCIES = {
+  q4h: { label: 'q4h', hours: 4 },
+  q6h: { label: 'q6h', hours: 6 },
+  q8h: { label: 'q8h', hours: 8 },
+  q12h: { label: 'q12h', hours: 12 },
+  q24h: { label: 'q24h', hours: 24 },
+  prn: { label: 'PRN', hours: null }
+};
+
+// Quick-add list; keys match the booleans stored by older report sheets
+export const COMMON_MEDICATIONS = [
+  { key: 'vitD', name: 'Vitamin D', group: 'Vitamins & Supplements', route: 'PO', frequency: 'q24h' },
+  { key: 'multivitaminWithIron', name: 'MVI with Iron', group: 'Vitamins & Supplements', route: 'PO', frequency: 'q24h' },
+  { key: 'multivitaminWithoutIron', name: 'MVI w/o Iron', group: 'Vitamins & Supplements', route: 'PO', frequency: 'q24h' },
+  { key: 'iron', name: 'Iron', group: 'Vitamins & Supplements', route: 'PO', frequency: 'q24h' },
+  { key: 'caffeine', name: 'Caffeine', group: 'Common NICU Meds', route: 'PO', frequency: 'q24h' },
+  { key: 'nacl', name: 'NaCl', group: 'Common NICU Meds', route: 'PO', frequency: 'q12h' },
+  { key: 'glycerin', name: 'Glycerin', group: 'Common NICU Meds', route: 'PR', frequency: 'prn' },
+  { key: 'kcl', name: 'KCl', group: 'Common NICU Meds', route: 'PO', frequency: 'q12h' },
+  { key: 'ampicillin', name: 'Ampicillin', group: 'Antibiotics', route: 'IV', frequency: 'q8h' },
+  { key: 'gentamicin', name: 'Gentamicin', group: 'Antibiotics', route: 'IV', frequency: 'q24h' }
+];
+
+/**
+ * New medication order
+ * @param {Object} [fields] - { name, dose, route, frequency, nextDue }
+ */
+export const createMedicationOrder = (fields = {}) => ({
+  id: `med-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+  name: '',
+  dose: '',
+  route: 'PO',
+  frequency: 'q24h',
+  nextDue: '',
+  ...fields
+});
+
+/**
+ * Medication orders from a report sheet, converting the old checkbox format
+ * @param {Array|Object} medications - reportSheet.medications
+ * @returns {Array} Orders
+ */
+export const normalizeMedications = (medications) => {
+  if (Array.isArray(medications)) return medications;
+  if (!medications) return [];
+
+  // Fixed ids so the converted orders stay the same between renders
+  const orders = COMMON_MEDICATIONS
+    .filter(med => medications[med.key] === true)
+    .map(({ key, name, route, frequency }) => createMedicationOrder({ id: `med-${key}`, name, route, frequency }));
+  (medications.otherMedications || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .forEach((name, index) => orders.push(createMedicationOrder({ id: `med-other-${index}`, name, route: '', frequency: 'prn' })));
+  return orders;
+};
+
+/**
+ * "Caffeine 5 mg PO q24h"
+ */
+export const formatMedicationOrder = (order) => [
+  order.name,
+  order.dose,
+  order.route,
+  MEDICATION_FREQUENCIES[order.frequency]?.label
+].filter(Boolean).join(' ');
+
+/**
+ * Dose times of an order that fall within the shift
+ * PRN orders and orders without a next-due time have none.
+ * @param {Object} order
+ * @param {Object} shift - { shiftStartTime, shiftEndTime }
+ * @returns {string[]} "HH:MM" times in shift order; a time equal to the shift end is excluded (handoff)
+ */
+export const getDoseTimes = (order, shift) => {
+  const hours = MEDICATION_FREQUENCIES[order.frequency]?.hours;
+  if (!hours || !order.nextDue || !shift?.shiftStartTime) return [];
+
+  // Every frequency divides 24 hours, so the same clock times repeat each day
+  const stepMinutes = hours * 60;
+  const duration = getShiftDurationMinutes(shift);
+  const startMinutes = timeToMinutes(shift.shiftStartTime);
+
+  const times = [];
+  for (let offset = minutesBetween(shift.shiftStartTime, order.nextDue) % stepMinutes; offset < duration; offset += stepMinutes) {
+    times.push(minutesToTime(startMinutes + offset));
+  }
+  return times;
+};
+
+/**
+ * 'Med given' events recorded for an order
+ */
+export const getGivenDoses = (order, eventLogs = []) => (
+  eventLogs.filter(event => event.eventType === MED_GIVEN_EVENT && event.medicationId === order.id)
+);
+
+/**
+ * Dose-by-dose status of an order this shift
+ * @param {Object} order
+ * @param {Object} shift
+ * @param {Array} eventLogs - Baby's event logs
+ * @param {Date} [now]
+ * @returns {{ doses: Array<{ time, given, overdue }>, nextDue: string | null, overdue: string[] }}
+ */
+export const getMedicationStatus = (order, shift, eventLogs = [], now = new Date()) => {
+  const givenTimes = new Set(getGivenDoses(order, eventLogs).map(event => event.scheduledTime));
+  const doses = getDoseTimes(order, shift).map(time => {
+    const given = givenTimes.has(time);
+    return { time, given, overdue: !given && new Date(getShiftTimestamp(shift, time)) < now };
+  });
+  return {
+    doses,
+    nextDue: doses.find(dose => !dose.given && !dose.overdue)?.time || null,
+    overdue: doses.filter(dose => dose.overdue).map(dose => dose.time)
+  };
+};
+
+/**
+ * Overdue (or, once the shift is over, missed) doses across a baby's medications
+ * @param {Array|Object} medications - reportSheet.medications
+ * @param {Object} shift
+ * @param {Array} eventLogs
+ * @param {Date} [now]
+ * @returns {Array<{ order, time }>} In shift order
+ */
+export const getOverdueDoses = (medications, shift, eventLogs = [], now = new Date()) => (
+  normalizeMedications(medications)
+    .flatMap(order => getMedicationStatus(order, shift, eventLogs, now).overdue.map(time => ({ order, time })))
+    .sort((a, b) => minutesBetween(shift.shiftStartTime, a.time) - minutesBetween(shift.shiftStartTime, b.time))
+);
+
+/**
+ * Doses due from `fromTime` up to (not including) `toTime`, for placing meds on the touch time timeline
+ * @returns {Array<{ order, time }>}
+ */
+export const getDosesBetween = (medications, shift, fromTime, toTime) => {
+  const offsetOf = (time) => minutesBetween(shift.shiftStartTime, time);
+  const from = fromTime ? offsetOf(fromTime) : 0;
+  const to = toTime ? offsetOf(toTime) : getShiftDurationMinutes(shift);
+  return normalizeMedications(medications)
+    .flatMap(order => getDoseTimes(order, shift).map(time => ({ order, time })))
+    .filter(({ time }) => offsetOf(time) >= from && offsetOf(time) < to)
+    .sort((a, b) => offsetOf(a.time) - offsetOf(b.time));
+};
+
+/**
+ * Event log entry for a dose given
+ * @param {Object} order
+ * @param {string|null} scheduledTime - Dose time covered ("HH:MM"), null for PRN
+ * @param {Date} [givenAt]
+ */
+export const buildMedGivenEvent = (order, scheduledTime, givenAt = new Date()) => ({
+  eventType: MED_GIVEN_EVENT,
+  eventDetails: `${formatMedicationOrder(order)}${scheduledTime ? ` (due ${scheduledTime})` : ''}`,
+  medicationId: order.id,
+  scheduledTime: scheduledTime || null,
+  timestamp: givenAt.toISOString()
+});
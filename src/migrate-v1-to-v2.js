@@ -0,0 +1,251 @@
+/**
+ * One-time V1 → V2 Data Migrator
+ *
+ * V1 stored each baby's report sheet, touch time logs and event logs in
+ * subcollections (reportSheet/main, touchTimeLogs/{id}, eventLogs/{id}).
+ * V2 embeds them in the baby document (see firebase-helpers-v2.js).
+ *
+ * The migrator is idempotent:
+ * - every migrated log keeps its V1 document ID in `v1Id`, so re-running never duplicates entries
+ * - report sheet fields already present on the V2 baby win over V1 values
+ * - babies with nothing left to copy are reported as unchanged and not written
+ *
+ * V1 subcollection documents are left in place unless `deleteLegacy` is set.
+ *
+ * Once a user has nothing left to migrate, settings/migration is marked `v2Complete`
+ * (markMigrationComplete) so the app stops scanning their shifts on every visit.
+ * Babies skipped for exceeding the log limits keep the scan running, so they stay listed.
+ *
+ * Usage:
+ *   const report = await migrateUserToV2(db, appId, userId);                   // dry run
+ *   const report = await migrateUserToV2(db, appId, userId, { dryRun: false }); // write
+ */
+
+import {
+  doc,
+  collection,
+  getDoc,
+  getDocs,
+  setDoc,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { getUserCollectionPath } from './firebase-helpers-v2';
+
+// Mirrors the array size limits enforced by isValidBaby() in firestore.rules
+export const MAX_TOUCH_TIME_LOGS = 20;
+export const MAX_EVENT_LOGS = 50;
+
+/**
+ * Merges V1 subcollection entries into an embedded V2 array
+ * Entries whose V1 ID is already embedded are skipped
+ *
+ * @param {Array} embedded - Current V2 array on the baby document
+ * @param {Array} legacyDocs - V1 entries as { id, ...data }
+ * @returns {{ merged: Array, added: number }}
+ */
+const mergeLogs = (embedded = [], legacyDocs = []) => {
+  const knownIds = new Set(embedded.map(entry => entry.v1Id).filter(Boolean));
+  const additions = legacyDocs
+    .filter(entry => !knownIds.has(entry.id))
+    .map(({ id, ...data }) => ({ ...data, v1Id: id }));
+
+  const merged = [...embedded, ...additions]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  return { merged, added: additions.length };
+};
+
+/**
+ * Computes the V2 update for a single baby without touching Firestore
+ *
+ * @param {Object} baby - V2 baby document data
+ * @param {Object|null} legacyReport - V1 reportSheet/main data
+ * @param {Array} legacyTouchTimes - V1 touchTimeLogs as { id, ...data }
+ * @param {Array} legacyEvents - V1 eventLogs as { id, ...data }
+ * @returns {Object} { update, changes } - update is null when nothing needs writing
+ */
+export const buildV2Update = (baby, legacyReport, legacyTouchTimes, legacyEvents) => {
+  const embeddedReport = baby.reportSheet || {};
+  const copiedFields = Object.keys(legacyReport || {})
+    .filter(field => !(field in embeddedReport));
+
+  const touchTimes = mergeLogs(baby.touchTimeLogs, legacyTouchTimes);
+  const events = mergeLogs(baby.eventLogs, legacyEvents);
+
+  const changes = {
+    reportSheetFields: copiedFields.length,
+    touchTimeLogs: touchTimes.added,
+    eventLogs: events.added,
+    errors: []
+  };
+
+  if (touchTimes.merged.length > MAX_TOUCH_TIME_LOGS) {
+    changes.errors.push(`${touchTimes.merged.length} touch time logs exceeds the limit of ${MAX_TOUCH_TIME_LOGS}`);
+  }
+  if (events.merged.length > MAX_EVENT_LOGS) {
+    changes.errors.push(`${events.merged.length} event logs exceeds the limit of ${MAX_EVENT_LOGS}`);
+  }
+
+  const hasChanges = copiedFields.length > 0 || touchTimes.added > 0 || events.added > 0;
+  if (!hasChanges || changes.errors.length > 0) {
+    return { update: null, changes };
+  }
+
+  return {
+    update: {
+      reportSheet: { ...legacyReport, ...embeddedReport },
+      touchTimeLogs: touchTimes.merged,
+      eventLogs: events.merged,
+      schemaVersion: 2,
+      updatedAt: serverTimestamp()
+    },
+    changes
+  };
+};
+
+/**
+ * Reads the V1 subcollections of one baby
+ */
+const readLegacyBabyData = async (babyRef) => {
+  const [reportSnap, touchTimesSnap, eventsSnap] = await Promise.all([
+    getDoc(doc(babyRef, 'reportSheet', 'main')),
+    getDocs(collection(babyRef, 'touchTimeLogs')),
+    getDocs(collection(babyRef, 'eventLogs'))
+  ]);
+
+  return {
+    reportSnap,
+    touchTimesSnap,
+    eventsSnap,
+    report: reportSnap.exists() ? reportSnap.data() : null,
+    touchTimes: touchTimesSnap.docs.map(d => ({ id: d.id, ...d.data() })),
+    events: eventsSnap.docs.map(d => ({ id: d.id, ...d.data() }))
+  };
+};
+
+/**
+ * Migrates all of a user's shifts from V1 subcollections to embedded V2 data
+ *
+ * @param {Firestore} db
+ * @param {string} appId
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=true] - Only report what would change
+ * @param {boolean} [options.deleteLegacy=false] - Delete V1 subcollection docs after they are embedded
+ * @returns {Promise<Object>} Report: { dryRun, babiesScanned, babiesToMigrate, babiesMigrated, totals, babies }
+ */
+export const migrateUserToV2 = async (db, appId, userId, { dryRun = true, deleteLegacy = false } = {}) => {
+  if (!db || !userId) throw new Error('Missing db or userId');
+
+  const report = {
+    dryRun,
+    babiesScanned: 0,
+    babiesToMigrate: 0,
+    babiesMigrated: 0,
+    totals: { reportSheetFields: 0, touchTimeLogs: 0, eventLogs: 0 },
+    babies: []
+  };
+
+  const shiftsRef = collection(getUserCollectionPath(db, appId, userId), 'nicu_shifts');
+  const shiftsSnap = await getDocs(shiftsRef);
+
+  for (const shiftDoc of shiftsSnap.docs) {
+    const babiesSnap = await getDocs(collection(shiftDoc.ref, 'babies'));
+
+    for (const babyDoc of babiesSnap.docs) {
+      report.babiesScanned++;
+      const baby = babyDoc.data();
+      const legacy = await readLegacyBabyData(babyDoc.ref);
+      const { update, changes } = buildV2Update(baby, legacy.report, legacy.touchTimes, legacy.events);
+
+      const entry = {
+        shiftId: shiftDoc.id,
+        shiftDate: shiftDoc.data().shiftDate,
+        babyId: babyDoc.id,
+        nickname: baby.internalID_Nickname,
+        ...changes
+      };
+
+      if (update) {
+        report.babiesToMigrate++;
+        report.totals.reportSheetFields += changes.reportSheetFields;
+        report.totals.touchTimeLogs += changes.touchTimeLogs;
+        report.totals.eventLogs += changes.eventLogs;
+        report.babies.push(entry);
+      } else if (changes.errors.length > 0) {
+        report.babies.push(entry);
+      }
+
+      if (dryRun || !update) continue;
+
+      const batch = writeBatch(db);
+      batch.update(babyDoc.ref, update);
+      if (deleteLegacy) {
+        if (legacy.reportSnap.exists()) batch.delete(legacy.reportSnap.ref);
+        legacy.touchTimesSnap.docs.forEach(d => batch.delete(d.ref));
+        legacy.eventsSnap.docs.forEach(d => batch.delete(d.ref));
+      }
+      await batch.commit();
+      report.babiesMigrated++;
+    }
+  }
+
+  return report;
+};
+
+const getMigrationStatusRef = (db, appId, userId) =>
+  doc(collection(getUserCollectionPath(db, appId, userId), 'settings'), 'migration');
+
+/**
+ * Whether the user's data has already been checked and found (or made) V2-only
+ * @returns {Promise<boolean>}
+ */
+export const isMigrationComplete = async (db, appId, userId) => {
+  const snap = await getDoc(getMigrationStatusRef(db, appId, userId));
+  return snap.exists() && snap.data().v2Complete === true;
+};
+
+/**
+ * Babies the migrator could not update (e.g. more logs than the rules allow)
+ * @param {Object} report - Result of migrateUserToV2
+ * @returns {Array} Report entries with errors
+ */
+export const getSkippedBabies = (report) => report.babies.filter(entry => entry.errors.length > 0);
+
+/**
+ * Records that the user has no V1 data left, so the scan is not repeated
+ * Nothing is recorded while any baby was skipped: their V1 logs are still only in subcollections
+ * @param {Object} report - Result of migrateUserToV2 (its counts are kept for reference)
+ * @returns {Promise<boolean>} Whether the migration was marked complete
+ */
+export const markMigrationComplete = async (db, appId, userId, report) => {
+  if (getSkippedBabies(report).length > 0) return false;
+  await setDoc(getMigrationStatusRef(db, appId, userId), {
+    v2Complete: true,
+    babiesScanned: report.babiesScanned,
+    babiesMigrated: report.babiesMigrated,
+    checkedAt: serverTimestamp()
+  });
+  return true;
+};
+
+/**
+ * Formats a migration report as human-readable lines
+ * @param {Object} report - Result of migrateUserToV2
+ * @returns {string[]}
+ */
+export const formatMigrationReport = (report) => {
+  const lines = report.babies.map(entry => {
+    const label = `${entry.shiftDate || entry.shiftId} · ${entry.nickname || entry.babyId}`;
+    if (entry.errors.length > 0) {
+      return `${label}: skipped (${entry.errors.join('; ')})`;
+    }
+    return `${label}: ${entry.reportSheetFields} report fields, ${entry.touchTimeLogs} touch times, ${entry.eventLogs} events`;
+  });
+
+  const verb = report.dryRun ? 'would be migrated' : 'migrated';
+  const count = report.dryRun ? report.babiesToMigrate : report.babiesMigrated;
+  lines.unshift(`${count} of ${report.babiesScanned} babies ${verb}.`);
+  return lines;
+};
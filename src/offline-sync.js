@@ -0,0 +1,131 @@
+/**
+ * Offline Write Queue & Sync Status
+ *
+ * Firestore (with the persistent IndexedDB cache from firebase-config.js) applies
+ * writes to the local cache immediately and replays them when the connection returns.
+ * The promise returned by setDoc/updateDoc, however, only resolves once the server
+ * acknowledges the write - so awaiting it offline hangs the UI indefinitely.
+ *
+ * The helpers in firebase-helpers-v2.js therefore hand their write promises to
+ * queueWrite() and return immediately. This module counts the writes that are still
+ * waiting for the server and exposes that as a subscribable sync status.
+ * (Amending or deleting a touch time log is the exception: it rewrites the whole log
+ * array, so it runs in a transaction and needs a connection.)
+ *
+ * It also contains the field-level merge used to detect conflicting edits
+ * when the same baby document is changed from two devices.
+ */
+
+let nextWriteId = 0;
+const pendingWrites = new Map(); // writeId -> label
+let failedWrites = []; // [{ label, message, at }]
+let online = typeof navigator === 'undefined' ? true : navigator.onLine;
+const listeners = new Set();
+
+let snapshot = { pending: 0, failed: [], online };
+
+const emit = () => {
+  snapshot = { pending: pendingWrites.size, failed: failedWrites, online };
+  listeners.forEach(listener => listener());
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => { online = true; emit(); });
+  window.addEventListener('offline', () => { online = false; emit(); });
+}
+
+/**
+ * Tracks a Firestore write without blocking on the server acknowledgement
+ * @param {Promise} writePromise - Promise returned by setDoc/updateDoc/batch.commit
+ * @param {string} label - Short description used in failure messages
+ */
+export const queueWrite = (writePromise, label) => {
+  const writeId = ++nextWriteId;
+  pendingWrites.set(writeId, label);
+  emit();
+
+  writePromise
+    .then(() => {
+      pendingWrites.delete(writeId);
+      emit();
+    })
+    .catch((error) => {
+      console.error(`Queued write failed (${label}):`, error);
+      pendingWrites.delete(writeId);
+      failedWrites = [...failedWrites, { label, message: error.message, at: new Date().toISOString() }];
+      emit();
+    });
+};
+
+/**
+ * Subscribes to sync status changes (compatible with React's useSyncExternalStore)
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeSyncStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Current sync status
+ * @returns {{ pending: number, failed: Array, online: boolean }}
+ */
+export const getSyncStatus = () => snapshot;
+
+/**
+ * Clears the list of failed writes (after the user has seen them)
+ */
+export const clearFailedWrites = () => {
+  failedWrites = [];
+  emit();
+};
+
+// ==========================================
+// CONFLICT DETECTION
+// ==========================================
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Returns the fields of `local` that differ from `base`
+ * @param {Object} base - Last version received from Firestore
+ * @param {Object} local - Version being edited
+ * @returns {Object} Changed fields only
+ */
+export const diffFields = (base, local) => {
+  const changed = {};
+  Object.keys(local).forEach(field => {
+    if (!isSameValue(base?.[field], local[field])) changed[field] = local[field];
+  });
+  return changed;
+};
+
+/**
+ * Three-way merge of a remote update into a locally edited form
+ *
+ * - field unchanged remotely        -> keep the local value
+ * - field not edited locally        -> take the remote value
+ * - both changed to different values -> keep local value and report a conflict
+ *
+ * @param {Object} base - Version the local edits started from
+ * @param {Object} local - Version with unsaved local edits
+ * @param {Object} remote - Version just received from Firestore
+ * @returns {{ merged: Object, conflicts: Array<{ field, mine, theirs }> }}
+ */
+export const mergeRemoteChanges = (base, local, remote) => {
+  const merged = { ...local };
+  const conflicts = [];
+  const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+  fields.forEach(field => {
+    if (isSameValue(remote[field], base[field])) return;
+    if (isSameValue(local[field], base[field]) || isSameValue(local[field], remote[field])) {
+      merged[field] = remote[field];
+      return;
+    }
+    conflicts.push({ field, mine: local[field], theirs: remote[field] });
+  });
+
+  return { merged, conflicts };
+};
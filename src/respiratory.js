@@ -0,0 +1,188 @@
+/**
+ * Respiratory Support
+ *
+ * Modes and their settings, matching the respiratory section of nicushifttracker.html
+ * (NI-NAVA, I-NAVA, conventional ventilator, oscillator, ...). Settings are flat report
+ * sheet fields (respiratoryPeep, respiratoryMap, ...) so they save, merge and carry
+ * forward like every other report sheet field; only the ones for the current mode
+ * are shown and summarized.
+ *
+ * `reportSheet.respiratoryHistory` is the change log: [{ at, mode, settings, reason }].
+ * An entry is added when the report sheet is saved with a different mode or settings
+ * than the last entry. The log is part of the report sheet, so it carries forward and
+ * the weaning timeline spans every shift since it started; only the latest
+ * MAX_RESPIRATORY_HISTORY entries are kept so the baby document does not keep growing.
+ */
+
+export const MAX_RESPIRATORY_HISTORY = 50;
+
+export const RESPIRATORY_SETTINGS = {
+  respiratoryFlow: { label: 'Flow', unit: 'L/min', type: 'number' },
+  respiratoryFiO2: { label: 'FiO₂', unit: '%', type: 'number' },
+  respiratoryTemp: { label: 'Temperature', unit: '°C', type: 'number' },
+  respiratoryCpap: { label: 'CPAP', unit: 'cmH₂O', type: 'number' },
+  respiratoryNavaLevel: { label: 'NAVA Level', unit: '', type: 'number' },
+  respiratoryVentMode: { label: 'Vent Mode', unit: '', options: ['', 'SIMV', 'AC', 'PRVC', 'PSV'] },
+  respiratoryRate: { label: 'Rate', unit: 'bpm', type: 'number' },
+  respiratoryPip: { label: 'PIP', unit: 'cmH₂O', type: 'number' },
+  respiratoryPeep: { label: 'PEEP', unit: 'cmH₂O', type: 'number' },
+  respiratoryITime: { label: 'I-Time', unit: 'sec', type: 'number' },
+  respiratoryMap: { label: 'MAP', unit: 'cmH₂O', type: 'number' },
+  respiratoryAmplitude: { label: 'Amplitude', unit: '', type: 'number' },
+  respiratoryHz: { label: 'Frequency', unit: 'Hz', type: 'number' },
+  respiratoryEtTube: { label: 'ETT Size & Depth', unit: '', placeholder: 'e.g., 3.0 @ 8.5 cm' }
+};
+
+// `level` orders modes from least to most support, for the weaning timeline
+export const RESPIRATORY_MODES = [
+  { value: 'RA', label: 'Room Air', level: 0, settings: [] },
+  { value: 'NC', label: 'Low Flow NC', level: 1, settings: ['respiratoryFlow', 'respiratoryFiO2'] },
+  { value: 'HFNC', label: 'High Flow NC', level: 2, settings: ['respiratoryFlow', 'respiratoryFiO2', 'respiratoryTemp'] },
+  { value: 'CPAP', label: 'Bubble CPAP', level: 3, settings: ['respiratoryCpap', 'respiratoryFiO2'] },
+  { value: 'NI-NAVA', label: 'Noninvasive NAVA', level: 4, settings: ['respiratoryNavaLevel', 'respiratoryPeep', 'respiratoryFiO2'] },
+  { value: 'I-NAVA', label: 'Invasive NAVA', level: 5, settings: ['respiratoryNavaLevel', 'respiratoryPeep', 'respiratoryFiO2', 'respiratoryEtTube'] },
+  {
+    value: 'Vent',
+    label: 'Conventional Vent',
+    level: 5,
+    settings: ['respiratoryVentMode', 'respiratoryRate', 'respiratoryPip', 'respiratoryPeep', 'respiratoryITime', 'respiratoryFiO2', 'respiratoryEtTube']
+  },
+  { value: 'Oscillator', label: 'Oscillator', level: 6, settings: ['respiratoryMap', 'respiratoryAmplitude', 'respiratoryHz', 'respiratoryFiO2', 'respiratoryEtTube'] }
+];
+
+const MAX_LEVEL = Math.max(...RESPIRATORY_MODES.map(mode => mode.level));
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+export const getRespiratoryMode = (value) => RESPIRATORY_MODES.find(mode => mode.value === value) || null;
+
+/**
+ * Support beyond low-flow nasal cannula
+ */
+export const isHighRespiratorySupport = (modeValue) => (getRespiratoryMode(modeValue)?.level || 0) >= 2;
+
+/**
+ * Settings that apply to the report sheet's current mode (blank ones left out)
+ * @returns {Object} { respiratoryPeep: 6, ... }
+ */
+export const getModeSettings = (report = {}) => Object.fromEntries(
+  (getRespiratoryMode(report.respiratoryMode)?.settings || [])
+    .filter(field => !isBlank(report[field]))
+    .map(field => [field, report[field]])
+);
+
+/**
+ * "PEEP 6 cmH₂O, FiO₂ 30%"
+ */
+export const formatRespiratorySettings = (settings = {}) => Object.entries(settings)
+  .filter(([field, value]) => RESPIRATORY_SETTINGS[field] && !isBlank(value))
+  .map(([field, value]) => {
+    const { label, unit } = RESPIRATORY_SETTINGS[field];
+    return `${label} ${value}${unit === '%' ? '%' : unit ? ` ${unit}` : ''}`;
+  })
+  .join(', ');
+
+/**
+ * Current mode and its settings, e.g. "Noninvasive NAVA (NAVA Level 1.5, PEEP 6 cmH₂O, FiO₂ 30%)"
+ */
+export const describeRespiratorySupport = (report = {}) => {
+  if (!report.respiratoryMode) return '';
+  const label = getRespiratoryMode(report.respiratoryMode)?.label || report.respiratoryMode;
+  const settings = formatRespiratorySettings(getModeSettings(report));
+  return settings ? `${label} (${settings})` : label;
+};
+
+/**
+ * Change log entry for the report sheet's current respiratory support, or null if it
+ * matches the latest entry (or no mode is set)
+ * @param {Object} report - Report sheet being saved
+ * @param {string} [reason]
+ * @param {Date} [now]
+ */
+export const buildRespiratoryChange = (report, reason = '', now = new Date()) => {
+  if (!report.respiratoryMode) return null;
+  const settings = getModeSettings(report);
+  const latest = (report.respiratoryHistory || []).slice(-1)[0];
+  // Compare sorted: Firestore does not keep map key order
+  const sameSettings = (a = {}, b = {}) => JSON.stringify(Object.entries(a).sort()) === JSON.stringify(Object.entries(b).sort());
+  if (latest && latest.mode === report.respiratoryMode && sameSettings(latest.settings, settings)) {
+    return null;
+  }
+  return { at: now.toISOString(), mode: report.respiratoryMode, settings, reason: reason.trim() };
+};
+
+/**
+ * Change log with an entry added, trimmed to the latest MAX_RESPIRATORY_HISTORY entries
+ */
+export const appendRespiratoryChange = (history = [], entry) => [...history, entry].slice(-MAX_RESPIRATORY_HISTORY);
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Weaning timeline: support level over time as a step chart, with FiO₂ at each change
+ * @param {Array} history - reportSheet.respiratoryHistory
+ * @param {Date} [now] - Right edge of the chart
+ * @returns {string} SVG markup
+ */
+export const renderWeaningTimelineSvg = (history = [], now = new Date()) => {
+  const width = 640;
+  const height = 200;
+  const pad = { top: 20, right: 16, bottom: 28, left: 110 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const fmt = (n) => Number(n.toFixed(1));
+
+  const entries = [...history].sort((a, b) => new Date(a.at) - new Date(b.at));
+  const start = entries.length > 0 ? new Date(entries[0].at).getTime() : now.getTime();
+  const end = Math.max(now.getTime(), start + 60 * 60 * 1000);
+
+  const xPos = (time) => pad.left + ((time - start) / (end - start)) * plotWidth;
+  const yPos = (level) => pad.top + plotHeight - (level / MAX_LEVEL) * plotHeight;
+  const dateLabel = (time) => new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Respiratory weaning timeline" style="font-family: sans-serif; font-size: 10px;">`);
+  parts.push(`<text x="${pad.left}" y="12" font-size="12" font-weight="bold" fill="#1f2937">Respiratory Support</text>`);
+
+  // Level labels and grid lines (one label per level)
+  const levels = new Map();
+  RESPIRATORY_MODES.forEach(mode => levels.set(mode.level, levels.has(mode.level) ? `${levels.get(mode.level)} / ${mode.value}` : mode.label));
+  levels.forEach((label, level) => {
+    const y = fmt(yPos(level));
+    parts.push(`<line x1="${pad.left}" y1="${y}" x2="${pad.left + plotWidth}" y2="${y}" stroke="#f3f4f6"/>`);
+    parts.push(`<text x="${pad.left - 4}" y="${y + 3}" text-anchor="end" fill="#6b7280">${escapeXml(label)}</text>`);
+  });
+  parts.push(`<line x1="${pad.left}" y1="${pad.top + plotHeight}" x2="${pad.left + plotWidth}" y2="${pad.top + plotHeight}" stroke="#9ca3af"/>`);
+  parts.push(`<text x="${pad.left}" y="${height - 8}" fill="#6b7280">${escapeXml(dateLabel(start))}</text>`);
+  parts.push(`<text x="${pad.left + plotWidth}" y="${height - 8}" text-anchor="end" fill="#6b7280">${escapeXml(dateLabel(end))}</text>`);
+
+  // Steps: each entry holds until the next one (or now)
+  entries.forEach((entry, index) => {
+    const level = getRespiratoryMode(entry.mode)?.level ?? 0;
+    const x1 = fmt(xPos(new Date(entry.at).getTime()));
+    const x2 = fmt(xPos(index < entries.length - 1 ? new Date(entries[index + 1].at).getTime() : end));
+    const y = fmt(yPos(level));
+    const details = [getRespiratoryMode(entry.mode)?.label || entry.mode, formatRespiratorySettings(entry.settings), entry.reason ? `Reason: ${entry.reason}` : '']
+      .filter(Boolean).join(' - ');
+    parts.push(`<line x1="${x1}" y1="${y}" x2="${x2}" y2="${y}" stroke="#4f46e5" stroke-width="3"/>`);
+    if (index > 0) {
+      const previousLevel = getRespiratoryMode(entries[index - 1].mode)?.level ?? 0;
+      parts.push(`<line x1="${x1}" y1="${fmt(yPos(previousLevel))}" x2="${x1}" y2="${y}" stroke="#4f46e5" stroke-width="1" stroke-dasharray="2,2"/>`);
+    }
+    parts.push(`<circle cx="${x1}" cy="${y}" r="4" fill="#4f46e5"><title>${escapeXml(`${new Date(entry.at).toLocaleString()}: ${details}`)}</title></circle>`);
+    if (!isBlank(entry.settings?.respiratoryFiO2)) {
+      parts.push(`<text x="${x1 + 4}" y="${y - 6}" fill="#059669">${escapeXml(`${entry.settings.respiratoryFiO2}%`)}</text>`);
+    }
+  });
+
+  if (entries.length === 0) {
+    parts.push(`<text x="${pad.left + plotWidth / 2}" y="${pad.top + plotHeight / 2}" text-anchor="middle" fill="#9ca3af">No respiratory changes recorded</text>`);
+  }
+
+  parts.push('</svg>');
+  return parts.join('');
+};
@@ -0,0 +1,295 @@
+/**
+ * Shift Templates & Touch Time Schedules
+ *
+ * A shift runs from shiftStartTime to shiftEndTime ("HH:MM", local time). The end may be
+ * on the next calendar day (e.g., 19:00–07:00); all calculations work in minutes
+ * elapsed since the shift start so they are correct across midnight.
+ *
+ * Each baby has a first touch time (stored as `babyQ3StartTime` for compatibility with
+ * existing documents) and a touch time interval (`touchTimeInterval`). Each touch time log
+ * also stores `scheduledAt`, the full timestamp of its touch time within the shift.
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Shift templates offered on the Shift Setup screen
+ * Start times are defaults; the nurse can change them (and the end time for 'custom')
+ */
+export const SHIFT_TEMPLATES = [
+  { id: 'day12', label: '12h Day', startTime: '07:00', durationHours: 12 },
+  { id: 'night12', label: '12h Night', startTime: '19:00', durationHours: 12 },
+  { id: 'eight', label: '8 hours', startTime: '07:00', durationHours: 8 },
+  { id: 'four', label: '4 hours', startTime: '07:00', durationHours: 4 },
+  { id: 'custom', label: 'Custom end time', startTime: '07:00', durationHours: null }
+];
+
+/**
+ * Touch time intervals
+ * Continuous feeds use q4 touch times, matching nicushifttracker.html's feedingStatus
+ */
+export const TOUCH_TIME_INTERVALS = {
+  q2: { label: 'q2 (every 2 hours)', hours: 2 },
+  q3: { label: 'q3 (every 3 hours)', hours: 3 },
+  q4: { label: 'q4 (every 4 hours / NPO)', hours: 4 },
+  continuous: { label: 'Continuous feeds (q4 touch times)', hours: 4 }
+};
+
+export const DEFAULT_TOUCH_TIME_INTERVAL = 'q3';
+
+/**
+ * "HH:MM" -> minutes after midnight
+ */
+export const timeToMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes after midnight (any integer, wraps around) -> "HH:MM"
+ */
+export const minutesToTime = (totalMinutes) => {
+  const minutes = ((totalMinutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Adds hours to a clock time, wrapping past midnight
+ */
+export const addHoursToTime = (hhmm, hours) => minutesToTime(timeToMinutes(hhmm) + hours * 60);
+
+/**
+ * Minutes from `fromTime` forward to `toTime` (0–1439), assuming toTime is the next occurrence
+ */
+export const minutesBetween = (fromTime, toTime) => (
+  (timeToMinutes(toTime) - timeToMinutes(fromTime) + MINUTES_PER_DAY) % MINUTES_PER_DAY
+);
+
+/**
+ * Shift length in minutes
+ * Shifts saved before end times existed are treated as 24 hours (the old 8 × q3 schedule)
+ */
+export const getShiftDurationMinutes = (shift) => {
+  if (!shift?.shiftStartTime || !shift?.shiftEndTime) return MINUTES_PER_DAY;
+  return minutesBetween(shift.shiftStartTime, shift.shiftEndTime) || MINUTES_PER_DAY;
+};
+
+/**
+ * Whether the shift runs past midnight
+ */
+export const crossesMidnight = (shift) => (
+  timeToMinutes(shift.shiftStartTime) + getShiftDurationMinutes(shift) > MINUTES_PER_DAY
+);
+
+/**
+ * Generates a baby's touch times within a shift
+ *
+ * @param {Object} shift - { shiftStartTime, shiftEndTime }
+ * @param {string} firstTouchTime - "HH:MM"
+ * @param {string} [interval='q3'] - Key of TOUCH_TIME_INTERVALS
+ * @returns {string[]} Touch times ("HH:MM") in shift order; a time equal to the shift end is excluded (handoff)
+ */
+export const generateTouchTimeSchedule = (shift, firstTouchTime, interval = DEFAULT_TOUCH_TIME_INTERVAL) => {
+  if (!firstTouchTime || !shift?.shiftStartTime) return [];
+
+  const stepMinutes = (TOUCH_TIME_INTERVALS[interval] || TOUCH_TIME_INTERVALS[DEFAULT_TOUCH_TIME_INTERVAL]).hours * 60;
+  const duration = getShiftDurationMinutes(shift);
+  const startMinutes = timeToMinutes(shift.shiftStartTime);
+
+  const times = [];
+  for (let offset = minutesBetween(shift.shiftStartTime, firstTouchTime); offset < duration; offset += stepMinutes) {
+    times.push(minutesToTime(startMinutes + offset));
+  }
+  return times;
+};
+
+/**
+ * Combines a (possibly changed) schedule with the touch times already logged
+ *
+ * When a baby's first touch time or interval changes mid-shift, slots that were already
+ * logged stay, and only new slots after the last logged one are taken from the new schedule.
+ *
+ * @param {Object} shift
+ * @param {string[]} scheduleTimes - Result of generateTouchTimeSchedule
+ * @param {Array} [touchTimeLogs] - Baby's logs ({ scheduledTime })
+ * @returns {string[]} Touch times in shift order
+ */
+export const mergeScheduleWithLogs = (shift, scheduleTimes, touchTimeLogs = []) => {
+  const loggedTimes = [...new Set(touchTimeLogs.map(log => log.scheduledTime).filter(Boolean))];
+  if (loggedTimes.length === 0) return scheduleTimes;
+
+  const offsetOf = (time) => minutesBetween(shift.shiftStartTime, time);
+  const lastLoggedOffset = Math.max(...loggedTimes.map(offsetOf));
+
+  return [...loggedTimes, ...scheduleTimes.filter(time => offsetOf(time) > lastLoggedOffset)]
+    .sort((a, b) => offsetOf(a) - offsetOf(b));
+};
+
+/**
+ * First touch time options for a baby: every 30 minutes from shift start through one interval
+ * @returns {string[]}
+ */
+export const getFirstTouchTimeOptions = (shift, interval = DEFAULT_TOUCH_TIME_INTERVAL) => {
+  if (!shift?.shiftStartTime) return [];
+  const hours = (TOUCH_TIME_INTERVALS[interval] || TOUCH_TIME_INTERVALS[DEFAULT_TOUCH_TIME_INTERVAL]).hours;
+  const options = [];
+  for (let offset = 0; offset <= hours * 60; offset += 30) {
+    options.push(addHoursToTime(shift.shiftStartTime, offset / 60));
+  }
+  return options;
+};
+
+/**
+ * The most common first touch times (1 to 2 hours into the shift)
+ */
+export const getCommonFirstTouchTimes = (shiftStartTime) => (
+  [1, 1.5, 2].map(hours => addHoursToTime(shiftStartTime, hours))
+);
+
+/**
+ * Resolves a template plus the nurse's choices into shift fields
+ * @param {string} templateId - Key of SHIFT_TEMPLATES
+ * @param {string} startTime - "HH:MM"
+ * @param {string} [customEndTime] - "HH:MM", used by the 'custom' template
+ * @returns {{ shiftTemplate, shiftStartTime, shiftEndTime }}
+ */
+export const buildShiftTimes = (templateId, startTime, customEndTime) => {
+  const template = SHIFT_TEMPLATES.find(t => t.id === templateId) || SHIFT_TEMPLATES[0];
+  const shiftEndTime = template.durationHours === null
+    ? customEndTime
+    : addHoursToTime(startTime, template.durationHours);
+  return { shiftTemplate: template.id, shiftStartTime: startTime, shiftEndTime };
+};
+
+// ==========================================
+// SHIFT DATES & TIMESTAMPS
+// ==========================================
+//
+// `shiftDate` is the local calendar date the shift started on, and `shiftStartAt` /
+// `shiftEndAt` are full ISO timestamps. A 19:00–07:00 shift is one continuous block
+// anchored at its start: a 02:00 touch time belongs to the next morning, not the
+// start of the shift date.
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Local calendar date as "YYYY-MM-DD" (toISOString() would give the UTC date)
+ */
+export const getLocalDateString = (date = new Date()) => (
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+);
+
+/**
+ * Date for a local "YYYY-MM-DD" and "HH:MM"
+ */
+const toLocalDate = (dateString, hhmm) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+};
+
+/**
+ * Local date a shift with this start time belongs to
+ * Opening a night shift after midnight (e.g., 01:00 for a 19:00 start) uses yesterday's date
+ * @param {Object} shiftTimes - { shiftStartTime, shiftEndTime }
+ * @param {Date} [now]
+ * @returns {string} "YYYY-MM-DD"
+ */
+export const getShiftDateForStart = (shiftTimes, now = new Date()) => {
+  const today = getLocalDateString(now);
+  const startToday = toLocalDate(today, shiftTimes.shiftStartTime);
+  if (startToday <= now) return today;
+
+  const startYesterday = new Date(startToday);
+  startYesterday.setDate(startYesterday.getDate() - 1);
+  const endYesterday = new Date(startYesterday.getTime() + getShiftDurationMinutes(shiftTimes) * MS_PER_MINUTE);
+  return endYesterday > now ? getLocalDateString(startYesterday) : today;
+};
+
+/**
+ * Start of the shift as a Date
+ * Shifts saved before `shiftStartAt` existed are rebuilt from shiftDate + shiftStartTime (local)
+ */
+export const getShiftStart = (shift) => {
+  if (shift.shiftStartAt) return new Date(shift.shiftStartAt);
+  return toLocalDate(shift.shiftDate, shift.shiftStartTime || '00:00');
+};
+
+/**
+ * End of the shift as a Date
+ */
+export const getShiftEnd = (shift) => {
+  if (shift.shiftEndAt) return new Date(shift.shiftEndAt);
+  return new Date(getShiftStart(shift).getTime() + getShiftDurationMinutes(shift) * MS_PER_MINUTE);
+};
+
+/**
+ * Builds the date fields stored on a new shift document
+ * @param {Object} shiftTimes - Result of buildShiftTimes
+ * @param {Date} [now]
+ * @returns {{ shiftDate, shiftStartAt, shiftEndAt }}
+ */
+export const buildShiftDates = (shiftTimes, now = new Date()) => {
+  const shiftDate = getShiftDateForStart(shiftTimes, now);
+  const shift = { ...shiftTimes, shiftDate };
+  return {
+    shiftDate,
+    shiftStartAt: getShiftStart(shift).toISOString(),
+    shiftEndAt: getShiftEnd(shift).toISOString()
+  };
+};
+
+/**
+ * Full timestamp of a clock time within the shift (the next occurrence after the shift start)
+ * @param {Object} shift
+ * @param {string} hhmm - e.g. a scheduled touch time
+ * @returns {string} ISO timestamp
+ */
+export const getShiftTimestamp = (shift, hhmm) => (
+  new Date(getShiftStart(shift).getTime() + minutesBetween(shift.shiftStartTime, hhmm) * MS_PER_MINUTE).toISOString()
+);
+
+/**
+ * Timestamp of the touch time a log belongs to
+ * Logs saved before `scheduledAt` existed are placed using their scheduledTime
+ */
+export const getLogScheduledAt = (log, shift) => (
+  log.scheduledAt || (shift && log.scheduledTime ? getShiftTimestamp(shift, log.scheduledTime) : log.timestamp)
+);
+
+/**
+ * Scheduled touch times that are past due and have no log
+ * @param {Object} shift
+ * @param {string[]} scheduleTimes - Baby's touch time schedule
+ * @param {Array} touchTimeLogs - Baby's logs
+ * @param {Date} [now]
+ * @returns {string[]} Overdue "HH:MM" times
+ */
+export const getOverdueTouchTimes = (shift, scheduleTimes = [], touchTimeLogs = [], now = new Date()) => {
+  const loggedTimes = new Set(touchTimeLogs.map(log => log.scheduledTime));
+  return scheduleTimes.filter(time => !loggedTimes.has(time) && new Date(getShiftTimestamp(shift, time)) < now);
+};
+
+/**
+ * Sorts touch time logs in shift order (by scheduled touch time, then time logged)
+ * @returns {Array} New sorted array
+ */
+export const sortTouchTimeLogs = (logs = [], shift) => [...logs].sort((a, b) => (
+  new Date(getLogScheduledAt(a, shift)) - new Date(getLogScheduledAt(b, shift)) ||
+  new Date(a.timestamp) - new Date(b.timestamp)
+));
+
+/**
+ * Shift time range for display, e.g. "Mon, Oct 19 19:00 – Tue, Oct 20 07:00"
+ * The end date is only repeated when the shift crosses midnight
+ */
+export const formatShiftRange = (shift) => {
+  const start = getShiftStart(shift);
+  const end = getShiftEnd(shift);
+  const dateLabel = (date) => date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  const startLabel = `${dateLabel(start)} ${shift.shiftStartTime}`;
+  if (!shift.shiftEndTime) return startLabel;
+  return getLocalDateString(start) === getLocalDateString(end)
+    ? `${startLabel}–${shift.shiftEndTime}`
+    : `${startLabel} – ${dateLabel(end)} ${shift.shiftEndTime}`;
+};
@@ -0,0 +1,156 @@
+/**
+ * Touch Time Reminders
+ *
+ * Works out each baby's next-due and overdue touch times and turns them into
+ * browser notifications: a pre-alert a few minutes before each touch time and an
+ * "overdue" alert at the touch time itself if nothing has been logged.
+ *
+ * Notifications are shown by the service worker (public/sw.js). The page hands the
+ * worker its reminders whenever the schedule or logs change and again every minute,
+ * and the worker immediately shows anything that came due while it was asleep.
+ * Reminders carry a fixed tag, which the worker uses to avoid showing the same one twice.
+ *
+ * Browsers with Notification Triggers hold the future reminders themselves, so they
+ * fire with the app closed. Elsewhere the worker's timers only survive while the app is
+ * open (a stopped worker loses them), which the settings panel tells the nurse.
+ *
+ * Settings are per device (notification permission is per browser), in localStorage.
+ */
+
+import { getShiftTimestamp, getOverdueTouchTimes } from './shift-schedule';
+
+const SETTINGS_KEY = 'nicuReminderSettings';
+const MS_PER_MINUTE = 60 * 1000;
+
+// Reminders this recent are still handed to the worker, in case it missed them
+const MISSED_REMINDER_WINDOW_MS = 2 * MS_PER_MINUTE;
+
+export const PRE_ALERT_OPTIONS = [0, 5, 10, 15, 30];
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  preAlertMinutes: 10
+};
+
+export const notificationsSupported = () => (
+  typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator
+);
+
+/**
+ * Whether the browser can hold reminders until they are due (Notification Triggers),
+ * so they fire even when the app is closed
+ */
+export const scheduledNotificationsSupported = () => (
+  notificationsSupported() && 'TimestampTrigger' in window && 'showTrigger' in Notification.prototype
+);
+
+/**
+ * Reminder settings saved on this device
+ */
+export const loadReminderSettings = () => {
+  try {
+    return { ...DEFAULT_REMINDER_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+  } catch {
+    return { ...DEFAULT_REMINDER_SETTINGS };
+  }
+};
+
+export const saveReminderSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Next-due and overdue touch times for one baby
+ * @param {Object} shift
+ * @param {string[]} scheduleTimes - Baby's touch time schedule
+ * @param {Array} touchTimeLogs
+ * @param {Date} [now]
+ * @returns {{ nextDue: { time, minutesUntil } | null, overdue: string[] }}
+ */
+export const getTouchTimeStatus = (shift, scheduleTimes = [], touchTimeLogs = [], now = new Date()) => {
+  const overdue = getOverdueTouchTimes(shift, scheduleTimes, touchTimeLogs, now);
+  const loggedTimes = new Set(touchTimeLogs.map(log => log.scheduledTime));
+  const nextTime = scheduleTimes.find(time => !loggedTimes.has(time) && !overdue.includes(time));
+
+  return {
+    nextDue: nextTime
+      ? { time: nextTime, minutesUntil: Math.ceil((new Date(getShiftTimestamp(shift, nextTime)) - now) / MS_PER_MINUTE) }
+      : null,
+    overdue
+  };
+};
+
+/**
+ * Upcoming notifications for the shift
+ * @param {Array<{ baby, scheduleTimes }>} entries - Active babies with their schedules
+ * @param {Object} shift
+ * @param {Object} settings - { enabled, preAlertMinutes }
+ * @param {Date} [now]
+ * @returns {Array<{ tag, at, title, body }>} Sorted by time; `at` is epoch ms (includes ones just missed)
+ */
+export const buildReminders = (entries, shift, settings, now = new Date()) => {
+  if (!settings.enabled) return [];
+
+  const reminders = [];
+  entries.forEach(({ baby, scheduleTimes }) => {
+    const loggedTimes = new Set((baby.touchTimeLogs || []).map(log => log.scheduledTime));
+    scheduleTimes.filter(time => !loggedTimes.has(time)).forEach(time => {
+      const dueAt = new Date(getShiftTimestamp(shift, time)).getTime();
+      const label = `${baby.internalID_Nickname}${baby.bedRoomNumber ? ` (Bed ${baby.bedRoomNumber})` : ''}`;
+      if (settings.preAlertMinutes > 0) {
+        reminders.push({
+          tag: `${shift.id}-${baby.id}-${time}-pre`,
+          at: dueAt - settings.preAlertMinutes * MS_PER_MINUTE,
+          title: `Touch time in ${settings.preAlertMinutes} min`,
+          body: `${label} - ${time}`
+        });
+      }
+      reminders.push({
+        tag: `${shift.id}-${baby.id}-${time}-due`,
+        at: dueAt,
+        title: 'Touch time due',
+        body: `${label} - ${time} not logged yet`
+      });
+    });
+  });
+
+  return reminders
+    .filter(reminder => reminder.at > now.getTime() - MISSED_REMINDER_WINDOW_MS)
+    .sort((a, b) => a.at - b.at);
+};
+
+/**
+ * Registers the service worker (once) and resolves to its registration
+ */
+let registrationPromise = null;
+export const registerReminderWorker = () => {
+  if (!notificationsSupported()) return Promise.resolve(null);
+  if (!registrationPromise) {
+    registrationPromise = navigator.serviceWorker.register('/sw.js')
+      .then(() => navigator.serviceWorker.ready)
+      .catch((error) => {
+        console.error('Service worker registration failed:', error);
+        registrationPromise = null;
+        return null;
+      });
+  }
+  return registrationPromise;
+};
+
+/**
+ * Asks for notification permission
+ * @returns {Promise<boolean>} Whether notifications are allowed
+ */
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return false;
+  if (Notification.permission === 'granted') return true;
+  return (await Notification.requestPermission()) === 'granted';
+};
+
+/**
+ * Hands the upcoming reminders to the service worker (replacing what it had)
+ */
+export const scheduleReminders = async (reminders) => {
+  const registration = await registerReminderWorker();
+  registration?.active?.postMessage({ type: 'schedule-reminders', reminders });
+};
@@ -0,0 +1,182 @@
+/**
+ * Vitals Trend Charts
+ *
+ * Builds per-baby trend data from touch time logs and renders it as plain SVG markup.
+ * No charting library or external service is used, so charts work offline and the
+ * same markup is shown in the Trends tab and written into the printed shift summary.
+ */
+
+import { VITAL_UNITS } from './vital-signs';
+
+export const TREND_SERIES = [
+  { field: 'temp', label: 'Temp', unit: VITAL_UNITS.temp, color: '#dc2626' },
+  { field: 'hr', label: 'HR', unit: VITAL_UNITS.hr, color: '#4f46e5' },
+  { field: 'rr', label: 'RR', unit: VITAL_UNITS.rr, color: '#0891b2' },
+  { field: 'spo2', label: 'SpO2', unit: VITAL_UNITS.spo2, color: '#059669' },
+  { field: 'feedVolume', label: 'Feed Volume', unit: 'mL', color: '#d97706' }
+];
+
+// Event types drawn as markers across every chart
+export const TREND_EVENT_MARKERS = {
+  'Desat / Brady event': { label: 'Desat/Brady', color: '#dc2626' },
+  'Med given': { label: 'Med given', color: '#2563eb' }
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Positions a clock time on the schedule axis (0 = first slot, 1 = second slot, ...)
+ * Times before the first slot are treated as the next day (night shifts). Slots may be
+ * unevenly spaced (schedule changed mid-shift), so the position is interpolated per gap.
+ */
+const positionOnSchedule = (date, scheduleTimes) => {
+  if (scheduleTimes.length < 2) return 0;
+  const start = toMinutes(scheduleTimes[0]);
+  const sinceStart = (minutes) => (minutes - start + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const slotOffsets = scheduleTimes.map(time => sinceStart(toMinutes(time)));
+  const elapsed = sinceStart(date.getHours() * 60 + date.getMinutes());
+
+  let slot = 0;
+  while (slot < slotOffsets.length - 2 && elapsed >= slotOffsets[slot + 1]) slot++;
+  const gap = slotOffsets[slot + 1] - slotOffsets[slot];
+  return slot + (elapsed - slotOffsets[slot]) / gap;
+};
+
+/**
+ * Builds chart data for one baby
+ * @param {Array} touchTimeLogs - Baby's touch time logs
+ * @param {Array} eventLogs - Baby's event logs
+ * @param {string[]} scheduleTimes - Scheduled touch times ("HH:MM") forming the x axis
+ * @returns {{ scheduleTimes, series: Object, events: Array }}
+ */
+export const buildTrendData = (touchTimeLogs = [], eventLogs = [], scheduleTimes = []) => {
+  const series = {};
+  TREND_SERIES.forEach(({ field }) => {
+    series[field] = touchTimeLogs
+      .map(log => ({ x: scheduleTimes.indexOf(log.scheduledTime), value: log[field] }))
+      .filter(point => point.x !== -1 && point.value !== null && point.value !== undefined && point.value !== '')
+      .map(point => ({ x: point.x, value: Number(point.value) }))
+      .sort((a, b) => a.x - b.x);
+  });
+
+  const lastX = Math.max(scheduleTimes.length - 1, 0);
+  const events = eventLogs
+    .filter(event => TREND_EVENT_MARKERS[event.eventType])
+    .map(event => ({
+      x: positionOnSchedule(new Date(event.timestamp), scheduleTimes),
+      type: event.eventType,
+      details: event.eventDetails || ''
+    }))
+    .filter(event => event.x <= lastX + 0.999);
+
+  return { scheduleTimes, series, events };
+};
+
+/**
+ * Renders one vital as an SVG line chart
+ * @param {Object} trendData - Result of buildTrendData
+ * @param {Object} seriesConfig - Entry from TREND_SERIES
+ * @param {Object} [normalRange] - { min, max } drawn as a shaded band
+ * @returns {string} SVG markup
+ */
+export const renderTrendChartSvg = (trendData, seriesConfig, normalRange) => {
+  const width = 640;
+  const height = 160;
+  const pad = { top: 20, right: 16, bottom: 28, left: 44 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  const { scheduleTimes, events } = trendData;
+  const points = trendData.series[seriesConfig.field] || [];
+  const slotCount = Math.max(scheduleTimes.length - 1, 1);
+
+  // Y scale covers data and the normal range, with a little headroom
+  const values = points.map(p => p.value);
+  if (normalRange?.min !== undefined && normalRange?.min !== null) values.push(normalRange.min);
+  if (normalRange?.max !== undefined && normalRange?.max !== null) values.push(normalRange.max);
+  let yMin = values.length ? Math.min(...values) : 0;
+  let yMax = values.length ? Math.max(...values) : 1;
+  if (yMin === yMax) { yMin -= 1; yMax += 1; }
+  const headroom = (yMax - yMin) * 0.1;
+  yMin -= headroom;
+  yMax += headroom;
+
+  const xPos = (x) => pad.left + (x / slotCount) * plotWidth;
+  const yPos = (value) => pad.top + plotHeight - ((value - yMin) / (yMax - yMin)) * plotHeight;
+  const fmt = (n) => Number(n.toFixed(1));
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeXml(seriesConfig.label)} trend" style="font-family: sans-serif; font-size: 10px;">`);
+  parts.push(`<text x="${pad.left}" y="12" font-size="12" font-weight="bold" fill="#1f2937">${escapeXml(seriesConfig.label)} (${escapeXml(seriesConfig.unit)})</text>`);
+
+  // Normal range band
+  if (normalRange && normalRange.min !== null && normalRange.max !== null && normalRange.min !== undefined && normalRange.max !== undefined) {
+    const top = yPos(normalRange.max);
+    parts.push(`<rect x="${pad.left}" y="${fmt(top)}" width="${plotWidth}" height="${fmt(yPos(normalRange.min) - top)}" fill="#d1fae5" opacity="0.6"/>`);
+  }
+
+  // Axes
+  parts.push(`<line x1="${pad.left}" y1="${pad.top + plotHeight}" x2="${pad.left + plotWidth}" y2="${pad.top + plotHeight}" stroke="#9ca3af"/>`);
+  parts.push(`<line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${pad.top + plotHeight}" stroke="#9ca3af"/>`);
+  [yMin + headroom, yMax - headroom].forEach(value => {
+    parts.push(`<text x="${pad.left - 4}" y="${fmt(yPos(value) + 3)}" text-anchor="end" fill="#6b7280">${fmt(value)}</text>`);
+  });
+  scheduleTimes.forEach((time, index) => {
+    const x = fmt(xPos(index));
+    parts.push(`<line x1="${x}" y1="${pad.top + plotHeight}" x2="${x}" y2="${pad.top + plotHeight + 4}" stroke="#9ca3af"/>`);
+    parts.push(`<text x="${x}" y="${height - 8}" text-anchor="middle" fill="#6b7280">${escapeXml(time)}</text>`);
+  });
+
+  // Event markers
+  events.forEach(event => {
+    const marker = TREND_EVENT_MARKERS[event.type];
+    const x = fmt(xPos(event.x));
+    parts.push(`<line x1="${x}" y1="${pad.top}" x2="${x}" y2="${pad.top + plotHeight}" stroke="${marker.color}" stroke-dasharray="3,3"><title>${escapeXml(`${marker.label}: ${event.details}`)}</title></line>`);
+  });
+
+  // Data line and points
+  if (points.length > 1) {
+    const path = points.map(p => `${fmt(xPos(p.x))},${fmt(yPos(p.value))}`).join(' ');
+    parts.push(`<polyline points="${path}" fill="none" stroke="${seriesConfig.color}" stroke-width="2"/>`);
+  }
+  points.forEach(p => {
+    const outOfRange = normalRange && ((normalRange.min !== null && p.value < normalRange.min) || (normalRange.max !== null && p.value > normalRange.max));
+    parts.push(`<circle cx="${fmt(xPos(p.x))}" cy="${fmt(yPos(p.value))}" r="3.5" fill="${outOfRange ? '#dc2626' : seriesConfig.color}"><title>${escapeXml(`${scheduleTimes[p.x]}: ${p.value}`)}</title></circle>`);
+  });
+
+  if (points.length === 0) {
+    parts.push(`<text x="${pad.left + plotWidth / 2}" y="${pad.top + plotHeight / 2}" text-anchor="middle" fill="#9ca3af">No values logged</text>`);
+  }
+
+  parts.push('</svg>');
+  return parts.join('');
+};
+
+/**
+ * Renders all trend charts for one baby, plus the event marker legend
+ * @param {Object} trendData - Result of buildTrendData
+ * @param {Object} [vitalRanges] - Normal ranges by field (see resolveVitalRanges)
+ * @returns {string} HTML markup
+ */
+export const renderTrendChartsHtml = (trendData, vitalRanges = {}) => {
+  const legend = Object.values(TREND_EVENT_MARKERS)
+    .map(marker => `<span style="margin-right: 12px; color: ${marker.color};">┆ ${escapeXml(marker.label)}</span>`)
+    .join('');
+
+  const charts = TREND_SERIES
+    .map(config => `<div style="margin-bottom: 8px; page-break-inside: avoid;">${renderTrendChartSvg(trendData, config, vitalRanges[config.field])}</div>`)
+    .join('');
+
+  return `<div style="font-family: sans-serif; font-size: 11px; margin-bottom: 6px;">Markers: ${legend}<span style="color: #059669;">▇ Normal range</span></div>${charts}`;
+};
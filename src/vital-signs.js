@@ -0,0 +1,169 @@
+/**
+ * Vital Sign Validation & Range Flagging
+ *
+ * Two levels of checking for touch time vitals:
+ * - Hard validation: values that cannot be real (HR 1500, SpO2 120, a temp entered in °F)
+ *   block the log from being saved
+ * - Soft warnings: values outside the baby's normal range are saved but flagged,
+ *   coloured in the log and listed in the shift summary
+ *
+ * Normal ranges default by corrected gestational age and can be overridden per baby
+ * (stored as `vitalRanges` on the baby document).
+ */
+
+export const VITAL_FIELDS = ['temp', 'hr', 'rr', 'spo2'];
+
+export const VITAL_LABELS = {
+  temp: 'Temp',
+  hr: 'HR',
+  rr: 'RR',
+  spo2: 'SpO2'
+};
+
+export const VITAL_UNITS = {
+  temp: '°C',
+  hr: 'bpm',
+  rr: 'br/min',
+  spo2: '%'
+};
+
+/**
+ * Physiologically possible limits - anything outside is a typo
+ */
+const HARD_LIMITS = {
+  temp: { min: 30, max: 43 },
+  hr: { min: 30, max: 300 },
+  rr: { min: 0, max: 150 },
+  spo2: { min: 40, max: 100 }
+};
+
+/**
+ * Default normal ranges by corrected gestational age (weeks)
+ * SpO2 upper limits in preterm infants reflect oxygen targeting for ROP prevention
+ */
+const RANGES_BY_CGA = [
+  {
+    maxWeeks: 32,
+    label: '< 32 weeks CGA',
+    ranges: {
+      temp: { min: 36.5, max: 37.5 },
+      hr: { min: 120, max: 180 },
+      rr: { min: 40, max: 70 },
+      spo2: { min: 88, max: 95 }
+    }
+  },
+  {
+    maxWeeks: 37,
+    label: '32–36 weeks CGA',
+    ranges: {
+      temp: { min: 36.5, max: 37.5 },
+      hr: { min: 110, max: 170 },
+      rr: { min: 35, max: 65 },
+      spo2: { min: 90, max: 98 }
+    }
+  },
+  {
+    maxWeeks: Infinity,
+    label: '≥ 37 weeks CGA',
+    ranges: {
+      temp: { min: 36.5, max: 37.5 },
+      hr: { min: 100, max: 160 },
+      rr: { min: 30, max: 60 },
+      spo2: { min: 95, max: 100 }
+    }
+  }
+];
+
+/**
+ * Default normal ranges for a corrected gestational age
+ * @param {number|null} cgaWeeks - Corrected GA in whole weeks (term ranges if unknown)
+ * @returns {{ label: string, ranges: Object }}
+ */
+export const getDefaultVitalRanges = (cgaWeeks) => {
+  const weeks = Number(cgaWeeks);
+  const band = (cgaWeeks === null || cgaWeeks === undefined || cgaWeeks === '' || Number.isNaN(weeks))
+    ? RANGES_BY_CGA[RANGES_BY_CGA.length - 1]
+    : RANGES_BY_CGA.find(b => weeks < b.maxWeeks);
+  return { label: band.label, ranges: band.ranges };
+};
+
+/**
+ * Normal ranges for a baby: defaults by CGA with any per-baby overrides applied
+ * @param {Object} baby - Baby document (uses correctedGestationalAge_Weeks and vitalRanges)
+ * @returns {Object} { temp: { min, max }, hr: {...}, rr: {...}, spo2: {...} }
+ */
+export const resolveVitalRanges = (baby) => {
+  const { ranges } = getDefaultVitalRanges(baby?.correctedGestationalAge_Weeks);
+  const overrides = baby?.vitalRanges || {};
+  return Object.fromEntries(VITAL_FIELDS.map(field => [
+    field,
+    { ...ranges[field], ...(overrides[field] || {}) }
+  ]));
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Hard validation - returns errors for values that cannot be real
+ * @param {Object} values - Touch time values ({ temp, hr, rr, spo2 })
+ * @returns {Object} { field: message } (empty when valid)
+ */
+export const validateVitals = (values) => {
+  const errors = {};
+
+  VITAL_FIELDS.forEach(field => {
+    const value = values[field];
+    if (isBlank(value)) return;
+    const number = Number(value);
+
+    if (Number.isNaN(number)) {
+      errors[field] = `${VITAL_LABELS[field]} must be a number.`;
+      return;
+    }
+
+    // Fahrenheit entered instead of Celsius (95–108 °F ≈ 35–42 °C)
+    if (field === 'temp' && number >= 90 && number <= 110) {
+      errors[field] = `Temp ${number} looks like °F - enter °C (${((number - 32) * 5 / 9).toFixed(1)} °C).`;
+      return;
+    }
+
+    const { min, max } = HARD_LIMITS[field];
+    if (number < min || number > max) {
+      errors[field] = `${VITAL_LABELS[field]} ${number} is not possible (expected ${min}–${max} ${VITAL_UNITS[field]}).`;
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Soft warnings - values outside the normal range
+ * @param {Object} values - Touch time values
+ * @param {Object} ranges - Result of resolveVitalRanges
+ * @returns {Array<{ field, value, direction: 'low'|'high', min, max }>}
+ */
+export const flagVitals = (values, ranges) => {
+  const flags = [];
+
+  VITAL_FIELDS.forEach(field => {
+    const value = values[field];
+    if (isBlank(value) || !ranges[field]) return;
+    const number = Number(value);
+    const { min, max } = ranges[field];
+
+    if (!isBlank(min) && number < min) {
+      flags.push({ field, value: number, direction: 'low', min, max });
+    } else if (!isBlank(max) && number > max) {
+      flags.push({ field, value: number, direction: 'high', min, max });
+    }
+  });
+
+  return flags;
+};
+
+/**
+ * Formats a flag for display, e.g. "HR 190 ↑ (120–180)"
+ */
+export const describeVitalFlag = (flag) => (
+  `${VITAL_LABELS[flag.field]} ${flag.value} ${flag.direction === 'high' ? '↑' : '↓'} (${flag.min}–${flag.max})`
+);